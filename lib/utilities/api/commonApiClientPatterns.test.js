@@ -0,0 +1,162 @@
+const http = require('http');
+const { createApiClient, createCachedClient } = require('./commonApiClientPatterns');
+
+describe('createCachedClient', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let handler;
+  let cached;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    handler = (req, res) => reply(res, 200, { n: requests.length }, { 'Cache-Control': 'max-age=60' });
+  });
+
+  afterEach(() => {
+    cached?.destroy();
+    cached = null;
+  });
+
+  function reply(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(status === 304 ? undefined : JSON.stringify(body));
+  }
+
+  const create = (options = {}) => {
+    cached = createCachedClient(createApiClient({ baseURL, retries: 0 }), options);
+    return cached;
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  it('serves fresh responses from the cache', async () => {
+    const api = create();
+
+    await expect(api.get('/items')).resolves.toEqual({ n: 1 });
+    await expect(api.get('/items')).resolves.toEqual({ n: 1 });
+
+    expect(requests).toHaveLength(1);
+    expect(api.getStats()).toMatchObject({ size: 1, hits: 1, misses: 1 });
+  });
+
+  it('coalesces concurrent identical requests into one', async () => {
+    handler = (req, res) => setTimeout(() => reply(res, 200, { n: requests.length }, { 'Cache-Control': 'max-age=60' }), 20);
+    const api = create();
+
+    const results = await Promise.all([api.get('/items'), api.get('/items'), api.get('/items')]);
+
+    expect(results).toEqual([{ n: 1 }, { n: 1 }, { n: 1 }]);
+    expect(requests).toHaveLength(1);
+    expect(api.getStats().coalesced).toBe(2);
+  });
+
+  it('honors no-store and no-cache', async () => {
+    handler = (req, res) => reply(res, 200, { n: requests.length }, { 'Cache-Control': req.url === '/secret' ? 'no-store' : 'no-cache', ETag: '"v1"' });
+    const api = create();
+
+    await api.get('/secret');
+    await api.get('/secret');
+    await api.get('/always-check');
+    await api.get('/always-check');
+
+    expect(requests).toHaveLength(4);
+    expect(requests[3].headers['if-none-match']).toBe('"v1"');
+  });
+
+  it('revalidates stale entries with ETag and Last-Modified and keeps the body on 304', async () => {
+    handler = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        reply(res, 304, null, { ETag: '"v1"', 'Cache-Control': 'max-age=60' });
+        return;
+      }
+      reply(res, 200, { version: 1 }, { ETag: '"v1"', 'Last-Modified': 'Wed, 01 Jan 2025 00:00:00 GMT', 'Cache-Control': 'max-age=0' });
+    };
+    const api = create();
+
+    await expect(api.get('/doc')).resolves.toEqual({ version: 1 });
+    await expect(api.get('/doc')).resolves.toEqual({ version: 1 });
+    await expect(api.get('/doc')).resolves.toEqual({ version: 1 });
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].headers['if-none-match']).toBe('"v1"');
+    expect(requests[1].headers['if-modified-since']).toBe('Wed, 01 Jan 2025 00:00:00 GMT');
+  });
+
+  it('serves stale data while revalidating in the background', async () => {
+    handler = (req, res) => reply(res, 200, { n: requests.length }, { 'Cache-Control': 'max-age=0, stale-while-revalidate=60' });
+    const api = create();
+
+    await expect(api.get('/feed')).resolves.toEqual({ n: 1 });
+    await expect(api.get('/feed')).resolves.toEqual({ n: 1 });
+    await settle();
+
+    expect(requests).toHaveLength(2);
+    await expect(api.get('/feed')).resolves.toEqual({ n: 2 });
+  });
+
+  it('serves stale data when revalidation fails within stale-if-error', async () => {
+    handler = (req, res) => reply(res, 200, { ok: true }, { 'Cache-Control': 'max-age=0, stale-if-error=60' });
+    const api = create();
+    await api.get('/status');
+
+    handler = (req, res) => reply(res, 500, { error: 'down' });
+    await expect(api.get('/status')).resolves.toEqual({ ok: true });
+    expect(api.getStats().staleIfError).toBe(1);
+
+    await expect(api.get('/other')).rejects.toMatchObject({ status: 500 });
+  });
+
+  it('falls back to the configured windows when responses set no cache headers', async () => {
+    handler = (req, res) => reply(res, 200, { n: requests.length });
+    const api = create({ ttl: 10, staleIfError: 60000 });
+    await api.get('/plain');
+    await settle();
+
+    handler = (req, res) => reply(res, 503, { error: 'busy' });
+    await expect(api.get('/plain')).resolves.toEqual({ n: 1 });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('bounds the default storage and accepts a custom one', async () => {
+    const api = create({ maxSize: 2 });
+    await api.get('/a');
+    await api.get('/b');
+    await api.get('/c');
+    expect(api.getStats().size).toBe(2);
+    expect(api.getStats().entries.map(entry => entry.key)).toEqual(['/b:{}', '/c:{}']);
+    expect(api.invalidate('/b')).toBeUndefined();
+    expect(api.getStats().size).toBe(1);
+    api.clear();
+    expect(api.getStats()).toMatchObject({ size: 0, entries: [] });
+    api.destroy();
+
+    const entries = new Map();
+    const storage = {
+      get: async key => entries.get(key),
+      set: async (key, entry) => { entries.set(key, entry); },
+      delete: async key => { entries.delete(key); },
+      clear: async () => entries.clear()
+    };
+    cached = createCachedClient(createApiClient({ baseURL, retries: 0 }), { storage });
+    await cached.get('/shared');
+    await cached.get('/shared');
+    expect(entries.size).toBe(1);
+    await cached.invalidate('/shared');
+    expect(entries.size).toBe(0);
+    expect(cached.getStats()).toMatchObject({ size: 0, entries: [] });
+  });
+});
@@ -8,7 +8,12 @@
 
 import { handleError } from '../error/commonErrorHandling.js';
 import { validateType, validateAndTrimString } from '../validation/commonValidation.js';
-import { withRetry } from '../error/commonErrorHandling.js';
+import createFetchClient from '../http/createFetchClient.js';
+import type { FetchMiddleware } from '../http/createFetchClient.js';
+import type { AuthProvider } from './createOAuth2TokenProvider.js';
+import createResponseCacheStorage from './createResponseCacheStorage.js';
+import type { CachedResponse, ResponseCacheStorage } from './createResponseCacheStorage.js';
+import { authMiddleware, interceptorMiddleware, retryMiddleware, timeoutMiddleware } from '../http/fetchClientMiddleware.js';
 
 /**
  * HTTP client configuration
@@ -23,6 +28,8 @@ interface HttpClientConfig {
     username?: string;
     password?: string;
     bearer?: string;
+    /** Token source such as createOAuth2TokenProvider; 401s are retried once with a fresh token */
+    provider?: AuthProvider;
   };
   interceptors?: {
     request?: Array<(config: any) => any>;
@@ -30,36 +37,19 @@ interface HttpClientConfig {
     error?: Array<(error: any) => any>;
   };
   validateStatus?: (status: number) => boolean;
-}
-
-/**
- * API request options
- */
-interface ApiRequestOptions {
-  method?: 'GET' | 'POST' | 'PUT' | 'DELETE' | 'PATCH';
-  url?: string;
-  data?: any;
-  params?: Record<string, any>;
-  headers?: Record<string, string>;
-  timeout?: number;
-  retries?: number;
-  signal?: AbortSignal;
-}
-
-/**
- * API response interface
- */
-interface ApiResponse<T = any> {
-  data: T;
-  status: number;
-  statusText: string;
-  headers: Record<string, string>;
-  config: any;
-  request?: any;
+  /** Extra middleware, run between the interceptors and retry */
+  middleware?: FetchMiddleware[];
 }
 
 /**
  * Creates a configurable HTTP client with interceptors and retry logic
+ *
+ * Wrapper over createFetchClient with the middleware stack
+ * auth -> interceptors -> retry -> timeout, so request interceptors see
+ * (and may rewrite) the Authorization header from `auth`. Only retryable failures
+ * (network errors, timeouts, 5xx, 408, 409, 429) are retried; errors are
+ * HttpClientError with `status`, `response` and `isApiError`.
+ *
  * @param config - Client configuration
  * @returns HTTP client object
  */
@@ -72,207 +62,22 @@ export function createHttpClient(config: HttpClientConfig = {}) {
     headers = {},
     auth,
     interceptors = {},
-    validateStatus = (status) => status >= 200 && status < 300
+    validateStatus = (status) => status >= 200 && status < 300,
+    middleware = []
   } = config;
 
-  // Base configuration
-  const baseConfig = {
+  return createFetchClient({
     baseURL,
-    timeout,
-    headers: { ...headers },
-    validateStatus
-  };
-
-  // Add authentication if provided
-  if (auth) {
-    if (auth.bearer) {
-      baseConfig.headers.Authorization = `Bearer ${auth.bearer}`;
-    } else if (auth.username && auth.password) {
-      const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
-      baseConfig.headers.Authorization = `Basic ${credentials}`;
-    }
-  }
-
-  // Request interceptor chain
-  const applyRequestInterceptors = (requestConfig: any): any => {
-    let config = { ...requestConfig };
-
-    for (const interceptor of interceptors.request || []) {
-      config = interceptor(config) || config;
-    }
-
-    return config;
-  };
-
-  // Response interceptor chain
-  const applyResponseInterceptors = (response: any): any => {
-    let result = response;
-
-    for (const interceptor of interceptors.response || []) {
-      result = interceptor(result) || result;
-    }
-
-    return result;
-  };
-
-  // Error interceptor chain
-  const applyErrorInterceptors = (error: any): any => {
-    let result = error;
-
-    for (const interceptor of interceptors.error || []) {
-      result = interceptor(result) || result;
-    }
-
-    return result;
-  };
-
-  // Core request function
-  const request = async (options: ApiRequestOptions = {}): Promise<ApiResponse> => {
-    const {
-      method = 'GET',
-      url = '',
-      data,
-      params,
-      headers: requestHeaders = {},
-      timeout: requestTimeout,
-      retries: requestRetries,
-      signal
-    } = options;
-
-    // Merge with base configuration
-    const requestConfig = applyRequestInterceptors({
-      ...baseConfig,
-      method,
-      url: url.startsWith('http') ? url : `${baseURL}${url}`,
-      data,
-      params,
-      headers: { ...baseConfig.headers, ...requestHeaders },
-      timeout: requestTimeout || baseConfig.timeout,
-      signal
-    });
-
-    // Create URL with query parameters
-    let finalUrl = requestConfig.url;
-    if (params) {
-      const queryString = new URLSearchParams(params).toString();
-      finalUrl = `${finalUrl}${finalUrl.includes('?') ? '&' : '?'}${queryString}`;
-    }
-
-    // Execute request with retry logic
-    const executeRequest = withRetry(
-      async (): Promise<ApiResponse> => {
-        try {
-          // Create AbortController if not provided
-          const controller = new AbortController();
-          const finalSignal = signal || controller.signal;
-
-          // Fetch request
-          const response = await fetch(finalUrl, {
-            method: requestConfig.method,
-            headers: requestConfig.headers,
-            body: data ? JSON.stringify(data) : undefined,
-            signal: finalSignal
-          });
-
-          // Parse response
-          const responseData = await getResponseData(response);
-          const responseHeaders = getResponseHeaders(response);
-
-          const apiResponse: ApiResponse = {
-            data: responseData,
-            status: response.status,
-            statusText: response.statusText,
-            headers: responseHeaders,
-            config: requestConfig
-          };
-
-          // Check status validation
-          if (!validateStatus(response.status)) {
-            throw createApiError(response.status, response.statusText, apiResponse);
-          }
-
-          // Apply response interceptors
-          return applyResponseInterceptors(apiResponse);
-        } catch (error) {
-          // Apply error interceptors
-          throw applyErrorInterceptors(error);
-        }
-      },
-      requestRetries || retries,
-      retryDelay,
-      'createHttpClient'
-    );
-
-    return executeRequest();
-  };
-
-  // Convenience methods
-  return {
-    request,
-    get: (url: string, options: Omit<ApiRequestOptions, 'method' | 'url'> = {}) =>
-      request({ ...options, method: 'GET', url }),
-
-    post: (url: string, data?: any, options: Omit<ApiRequestOptions, 'method' | 'url' | 'data'> = {}) =>
-      request({ ...options, method: 'POST', url, data }),
-
-    put: (url: string, data?: any, options: Omit<ApiRequestOptions, 'method' | 'url' | 'data'> = {}) =>
-      request({ ...options, method: 'PUT', url, data }),
-
-    delete: (url: string, options: Omit<ApiRequestOptions, 'method' | 'url'> = {}) =>
-      request({ ...options, method: 'DELETE', url }),
-
-    patch: (url: string, data?: any, options: Omit<ApiRequestOptions, 'method' | 'url' | 'data'> = {}) =>
-      request({ ...options, method: 'PATCH', url, data })
-  };
-}
-
-/**
- * Gets response data based on content type
- * @param response - Fetch response object
- * @returns Parsed response data
- */
-async function getResponseData(response: Response): Promise<any> {
-  const contentType = response.headers.get('content-type') || '';
-
-  if (contentType.includes('application/json')) {
-    return response.json();
-  } else if (contentType.includes('text/')) {
-    return response.text();
-  } else if (contentType.includes('application/octet-stream') || contentType.includes('application/zip')) {
-    return response.arrayBuffer();
-  } else {
-    return response.text();
-  }
-}
-
-/**
- * Gets response headers as plain object
- * @param response - Fetch response object
- * @returns Response headers object
- */
-function getResponseHeaders(response: Response): Record<string, string> {
-  const headers: Record<string, string> = {};
-
-  response.headers.forEach((value, key) => {
-    headers[key] = value;
+    headers,
+    validateStatus,
+    middleware: [
+      ...(auth ? [authMiddleware(auth)] : []),
+      interceptorMiddleware(interceptors),
+      ...middleware,
+      retryMiddleware({ retries, retryDelay }),
+      timeoutMiddleware({ timeout })
+    ]
   });
-
-  return headers;
-}
-
-/**
- * Creates API error with standard format
- * @param status - HTTP status code
- * @param message - Error message
- * @param response - API response
- * @returns API error object
- */
-function createApiError(status: number, message: string, response: ApiResponse): Error {
-  const error = new Error(message) as any;
-  error.status = status;
-  error.response = response;
-  error.isApiError = true;
-  return error;
 }
 
 /**
@@ -392,50 +197,182 @@ export function createBatchClient(
   };
 }
 
+/**
+ * Parse a Cache-Control header into directives
+ * @param header - Cache-Control header value
+ * @returns Directive names (lower-cased) mapped to their value, or true when valueless
+ */
+function parseCacheControl(header?: string): Record<string, string | true> {
+  const directives: Record<string, string | true> = {};
+  for (const part of (header || '').split(',')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = value.length ? value.join('=').replace(/^"|"$/g, '') : true;
+    }
+  }
+  return directives;
+}
+
+/**
+ * Seconds from a Cache-Control directive as milliseconds, or null when absent
+ */
+function directiveMs(directives: Record<string, string | true>, name: string): number | null {
+  const seconds = Number(directives[name]);
+  return directives[name] !== undefined && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
 /**
  * Creates a cached API client
- * @param client - Base API client
+ *
+ * Caches GET responses following HTTP semantics: Cache-Control max-age,
+ * no-cache, no-store, stale-while-revalidate and stale-if-error (falling
+ * back to Expires, then to the configured windows), with conditional
+ * revalidation through ETag / Last-Modified. Identical concurrent GETs
+ * share one request (singleflight). Stale entries inside the
+ * stale-while-revalidate window are served at once while a background
+ * request refreshes them; stale entries inside the stale-if-error window
+ * are served when the refresh fails.
+ *
+ * Storage is bounded (BoundedLRUCache, maxSize entries) unless a storage
+ * backend is given. Call destroy() to stop the storage's cleanup timer.
+ *
+ * @param client - Base API client (createApiClient); its `raw` client supplies response headers
  * @param options - Cache options
  * @returns Cached API client
+ * @example
+ * const api = createCachedClient(ApiClientFactories.json('https://api.example.com'), {
+ *   ttl: 60000,
+ *   staleWhileRevalidate: 30000,
+ *   staleIfError: 300000
+ * });
+ * const products = await api.get('/products');
+ * api.destroy();
  */
 export function createCachedClient(
   client: ReturnType<typeof createApiClient>,
   options: {
-    ttl?: number; // Time to live in milliseconds
+    /** Freshness when the response sets none, in milliseconds */
+    ttl?: number;
+    /** Entry limit of the default storage */
     maxSize?: number;
     keyGenerator?: (url: string, options: any) => string;
+    /** Stale-while-revalidate window when the response sets none, in milliseconds (default: 0) */
+    staleWhileRevalidate?: number;
+    /** Stale-if-error window when the response sets none, in milliseconds (default: 0) */
+    staleIfError?: number;
+    /** Follow Cache-Control / Expires from responses (default: true) */
+    respectCacheHeaders?: boolean;
+    /** Storage backend (default: in-memory, bounded by maxSize) */
+    storage?: ResponseCacheStorage;
   } = {}
 ) {
   const {
     ttl = 300000, // 5 minutes
     maxSize = 100,
-    keyGenerator = (url, options) => `${url}:${JSON.stringify(options)}`
+    keyGenerator = (url, options) => `${url}:${JSON.stringify(options)}`,
+    staleWhileRevalidate = 0,
+    staleIfError = 0,
+    respectCacheHeaders = true
   } = options;
 
-  const cache = new Map<string, { data: any; timestamp: number }>();
-
-  const cleanCache = (): void => {
-    const cutoff = Date.now() - ttl;
+  const storage: ResponseCacheStorage = options.storage || createResponseCacheStorage({ maxSize });
+  const inFlight = new Map<string, Promise<any>>();
+  const stats = { hits: 0, misses: 0, stale: 0, coalesced: 0, revalidations: 0, staleIfError: 0 };
 
-    for (const [key, entry] of cache.entries()) {
-      if (entry.timestamp < cutoff) {
-        cache.delete(key);
+  // FETCH: Response with headers from the raw client; plain clients only give data
+  const fetchResponse = async (url: string, requestOptions: any): Promise<{ data: any; status: number; headers: Record<string, string> }> => {
+    if (client.raw) {
+      try {
+        return await client.raw.get(url, requestOptions);
+      } catch (error: any) {
+        if (error?.status === 304 && error.response) {
+          return error.response;
+        }
+        throw error;
       }
     }
+    return { data: await client.get(url, requestOptions), status: 200, headers: {} };
+  };
+
+  // FRESHNESS: Build an entry from a response, or null when it must not be stored
+  const toEntry = (response: { data: any; status: number; headers: Record<string, string> }, data: any): { entry: CachedResponse; retainMs: number } | null => {
+    const headers: Record<string, string> = {};
+    for (const [name, value] of Object.entries(response.headers || {})) {
+      headers[name.toLowerCase()] = value;
+    }
 
-    // Limit cache size
-    if (cache.size > maxSize) {
-      const entries = Array.from(cache.entries());
-      const oldest = entries
-        .sort((a, b) => a[1].timestamp - b[1].timestamp)
-        .slice(0, cache.size - maxSize);
+    const directives = respectCacheHeaders ? parseCacheControl(headers['cache-control']) : {};
+    if (directives['no-store']) {
+      return null;
+    }
 
-      oldest.forEach(([key]) => cache.delete(key));
+    const now = Date.now();
+    const expires = respectCacheHeaders && headers.expires ? Date.parse(headers.expires) - now : NaN;
+    let freshMs = directiveMs(directives, 'max-age') ?? (Number.isFinite(expires) ? Math.max(expires, 0) : ttl);
+    if (directives['no-cache']) {
+      freshMs = 0;
+    }
+    const swrMs = directiveMs(directives, 'stale-while-revalidate') ?? staleWhileRevalidate;
+    const sieMs = directiveMs(directives, 'stale-if-error') ?? staleIfError;
+    const etag = headers.etag;
+    const lastModified = headers['last-modified'];
+
+    // Entries past every window are still worth keeping while validators allow a cheap 304
+    const retainMs = Math.max(freshMs + swrMs, freshMs + sieMs, etag || lastModified ? ttl : 0);
+    if (retainMs <= 0) {
+      return null;
     }
+
+    return {
+      entry: {
+        data,
+        status: response.status,
+        headers,
+        storedAt: now,
+        expiresAt: now + freshMs,
+        staleWhileRevalidateUntil: now + freshMs + swrMs,
+        staleIfErrorUntil: now + freshMs + sieMs,
+        etag,
+        lastModified
+      },
+      retainMs
+    };
   };
 
-  // Periodic cleanup
-  setInterval(cleanCache, Math.min(ttl / 4, 60000)); // At least every minute
+  // REVALIDATE: One request per key, conditional when the entry has validators
+  const revalidate = (key: string, url: string, requestOptions: any, cached?: CachedResponse): Promise<any> => {
+    const pending = inFlight.get(key);
+    if (pending) {
+      stats.coalesced++;
+      return pending;
+    }
+
+    const headers = { ...(requestOptions.headers || {}) };
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached?.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const request = (async () => {
+      const response = await fetchResponse(url, { ...requestOptions, headers });
+      const notModified = response.status === 304 && cached;
+      const data = notModified ? cached.data : response.data;
+      const stored = toEntry(notModified ? { ...response, headers: { ...cached.headers, ...response.headers } } : response, data);
+      if (stored) {
+        await storage.set(key, stored.entry, stored.retainMs);
+      } else {
+        await storage.delete(key);
+      }
+      return data;
+    })().finally(() => {
+      inFlight.delete(key);
+    });
+
+    inFlight.set(key, request);
+    return request;
+  };
 
   return {
     /**
@@ -443,54 +380,77 @@ export function createCachedClient(
      */
     async get<T>(url: string, options: any = {}): Promise<T> {
       const key = keyGenerator(url, options);
+      const cached = await storage.get(key);
+      const now = Date.now();
 
-      // Check cache
-      const cached = cache.get(key);
-      if (cached && Date.now() - cached.timestamp < ttl) {
+      if (cached && now < cached.expiresAt) {
+        stats.hits++;
         return cached.data;
       }
 
-      // Make request
-      const data = await client.get(url, options);
-
-      // Cache result
-      cache.set(key, { data, timestamp: Date.now() });
-      cleanCache();
+      if (cached && now < cached.staleWhileRevalidateUntil) {
+        stats.stale++;
+        stats.revalidations++;
+        revalidate(key, url, options, cached).catch(error => {
+          handleError(error, 'createCachedClient', `Background revalidation failed for: ${url}`);
+        });
+        return cached.data;
+      }
 
-      return data;
+      stats.misses++;
+      if (cached) {
+        stats.revalidations++;
+      }
+      try {
+        return await revalidate(key, url, options, cached);
+      } catch (error) {
+        if (cached && Date.now() < cached.staleIfErrorUntil) {
+          stats.staleIfError++;
+          handleError(error, 'createCachedClient', `Serving stale response after error for: ${url}`);
+          return cached.data;
+        }
+        throw error;
+      }
     },
 
     /**
-     * Invalidates cache entry
+     * Invalidates cache entry; returns the storage's promise when it is asynchronous
      */
-    invalidate(url: string, options: any = {}): void {
-      const key = keyGenerator(url, options);
-      cache.delete(key);
+    invalidate(url: string, options: any = {}): void | Promise<void> {
+      return storage.delete(keyGenerator(url, options));
     },
 
     /**
-     * Clears all cache
+     * Clears all cache; returns the storage's promise when it is asynchronous
      */
-    clear(): void {
-      cache.clear();
+    clear(): void | Promise<void> {
+      return storage.clear();
     },
 
     /**
-     * Gets cache statistics
+     * Gets cache statistics; size and entries are reported when the storage
+     * can list them (0 and [] otherwise)
      */
-    getStats(): { size: number; entries: Array<{ key: string; age: number }> } {
+    getStats(): { size: number; entries: Array<{ key: string; age: number }>; inFlight: number } & typeof stats {
       const now = Date.now();
-      const entries = Array.from(cache.entries()).map(([key, entry]) => ({
-        key,
-        age: now - entry.timestamp
-      }));
-
+      const entries = storage.entries
+        ? storage.entries().map(([key, entry]) => ({ key, age: now - entry.storedAt }))
+        : [];
       return {
-        size: cache.size,
-        entries
+        size: storage.size ? storage.size() : entries.length,
+        entries,
+        inFlight: inFlight.size,
+        ...stats
       };
     },
 
+    /**
+     * Stops the storage cleanup timer and drops cached entries
+     */
+    destroy(): void {
+      storage.destroy?.();
+    },
+
     // Pass through methods
     post: client.post,
     put: client.put,
@@ -544,6 +504,17 @@ export const ApiClientFactories = {
       }
     }),
 
+  /**
+   * Creates a client authenticated by a token provider, e.g. OAuth2
+   * client credentials or a refresh token
+   */
+  oauth2: (baseURL: string, provider: AuthProvider, config: HttpClientConfig = {}) =>
+    createApiClient({
+      ...config,
+      baseURL,
+      auth: { provider }
+    }),
+
   /**
    * Creates a client with basic auth
    */
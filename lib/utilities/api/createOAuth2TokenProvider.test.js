@@ -0,0 +1,179 @@
+const http = require('http');
+const { default: createOAuth2TokenProvider, OAuth2TokenError } = require('./createOAuth2TokenProvider');
+const { ApiClientFactories } = require('./commonApiClientPatterns');
+
+describe('createOAuth2TokenProvider', () => {
+  let server;
+  let baseURL;
+  let tokenRequests;
+  let issued;
+  let validTokens;
+  let tokenResponse;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const send = (status, payload) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload));
+        };
+
+        if (req.url === '/oauth/token') {
+          const form = Object.fromEntries(new URLSearchParams(body));
+          tokenRequests.push({ form, authorization: req.headers.authorization });
+          const custom = tokenResponse(form, req);
+          if (custom) {
+            send(custom.status, custom.body);
+            return;
+          }
+          const accessToken = `token-${++issued}`;
+          validTokens.add(accessToken);
+          setTimeout(() => send(200, { access_token: accessToken, token_type: 'Bearer', expires_in: 3600 }), 10);
+          return;
+        }
+
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (!validTokens.has(token)) {
+          send(401, { error: 'invalid_token' });
+          return;
+        }
+        send(200, { path: req.url, token });
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    tokenRequests = [];
+    issued = 0;
+    validTokens = new Set();
+    tokenResponse = () => null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const advanceClock = (ms) => {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  };
+
+  const createProvider = (options = {}) => createOAuth2TokenProvider({
+    tokenUrl: `${baseURL}/oauth/token`,
+    clientId: 'orders-service',
+    clientSecret: 's3cret',
+    ...options
+  });
+
+  it('requests client-credentials tokens with basic client auth and caches them', async () => {
+    const provider = createProvider({ scope: 'orders:read' });
+
+    await expect(provider.getToken()).resolves.toBe('token-1');
+    await expect(provider.getToken()).resolves.toBe('token-1');
+
+    expect(tokenRequests).toHaveLength(1);
+    expect(tokenRequests[0].form).toEqual({ grant_type: 'client_credentials', scope: 'orders:read' });
+    expect(tokenRequests[0].authorization).toBe(`Basic ${Buffer.from('orders-service:s3cret').toString('base64')}`);
+    expect(provider.getTokenInfo().expiresAt).toBeGreaterThan(Date.now() + 3500000);
+  });
+
+  it('shares one token request between concurrent callers', async () => {
+    const provider = createProvider();
+
+    const tokens = await Promise.all([provider.getToken(), provider.getToken(), provider.getToken()]);
+
+    expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+    expect(tokenRequests).toHaveLength(1);
+  });
+
+  it('refreshes tokens that are about to expire', async () => {
+    tokenResponse = () => ({ status: 200, body: { access_token: `token-${tokenRequests.length}`, expires_in: 120 } });
+    const provider = createProvider({ expiryMarginMs: 30000 });
+
+    await expect(provider.getToken()).resolves.toBe('token-1');
+    advanceClock(89000);
+    await expect(provider.getToken()).resolves.toBe('token-1');
+    advanceClock(2000);
+    await expect(provider.getToken()).resolves.toBe('token-2');
+  });
+
+  it('caps the expiry margin at half the lifetime of short-lived tokens', async () => {
+    tokenResponse = () => ({ status: 200, body: { access_token: `short-${tokenRequests.length}`, expires_in: 20 } });
+    const provider = createProvider({ expiryMarginMs: 30000 });
+
+    await expect(provider.getToken()).resolves.toBe('short-1');
+    await expect(provider.getToken()).resolves.toBe('short-1');
+    advanceClock(10500);
+    await expect(provider.getToken()).resolves.toBe('short-2');
+    expect(tokenRequests).toHaveLength(2);
+  });
+
+  it('uses and rotates refresh tokens', async () => {
+    tokenResponse = form => ({ status: 200, body: { access_token: `for-${form.refresh_token}`, refresh_token: `${form.refresh_token}+`, expires_in: 1 } });
+    const onRefreshToken = jest.fn();
+    const provider = createProvider({ refreshToken: 'r1', clientAuth: 'body', onRefreshToken });
+
+    await expect(provider.getToken()).resolves.toBe('for-r1');
+    advanceClock(1000);
+    await expect(provider.getToken()).resolves.toBe('for-r1+');
+
+    expect(tokenRequests[0].form).toEqual({ grant_type: 'refresh_token', refresh_token: 'r1', client_id: 'orders-service', client_secret: 's3cret' });
+    expect(tokenRequests[0].authorization).toBeUndefined();
+    expect(onRefreshToken).toHaveBeenCalledWith('r1+');
+  });
+
+  it('reports token endpoint errors as OAuth2TokenError', async () => {
+    tokenResponse = () => ({ status: 401, body: { error: 'invalid_client', error_description: 'Unknown client' } });
+    const provider = createProvider();
+
+    const error = await provider.getToken().catch(err => err);
+
+    expect(error).toBeInstanceOf(OAuth2TokenError);
+    expect(error.code).toBe('OAUTH2_TOKEN_ERROR');
+    expect(error.status).toBe(401);
+    expect(error.oauthError).toBe('invalid_client');
+    expect(error.message).toContain('Unknown client');
+  });
+
+  it('validates its options', () => {
+    expect(() => createOAuth2TokenProvider({ clientId: 'x' })).toThrow('tokenUrl');
+    expect(() => createOAuth2TokenProvider({ tokenUrl: 'http://x', clientId: 'x', grantType: 'refresh_token' })).toThrow('refreshToken');
+  });
+
+  describe('ApiClientFactories.oauth2', () => {
+    it('authenticates API calls with provider tokens', async () => {
+      const api = ApiClientFactories.oauth2(baseURL, createProvider(), { retries: 0 });
+
+      await expect(api.get('/orders')).resolves.toEqual({ path: '/orders', token: 'token-1' });
+      await expect(api.get('/orders/2')).resolves.toEqual({ path: '/orders/2', token: 'token-1' });
+      expect(tokenRequests).toHaveLength(1);
+    });
+
+    it('retries once with a fresh token after a 401, sharing the refresh', async () => {
+      const api = ApiClientFactories.oauth2(baseURL, createProvider(), { retries: 0 });
+      await api.get('/warm-up');
+      validTokens.clear(); // server revokes token-1
+
+      const results = await Promise.all([api.get('/a'), api.get('/b')]);
+
+      expect(results.map(result => result.token)).toEqual(['token-2', 'token-2']);
+      expect(tokenRequests).toHaveLength(2);
+    });
+
+    it('gives up when the fresh token is rejected too', async () => {
+      tokenResponse = () => ({ status: 200, body: { access_token: 'never-valid', expires_in: 3600 } });
+      const api = ApiClientFactories.oauth2(baseURL, createProvider(), { retries: 0 });
+
+      await expect(api.get('/orders')).rejects.toMatchObject({ status: 401 });
+      expect(tokenRequests).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * OAuth2 Token Provider
+ *
+ * Supplies bearer tokens to API clients (see `auth.provider` in
+ * createHttpClient and ApiClientFactories.oauth2). Tokens come from an OAuth2
+ * token endpoint using the client-credentials grant or a refresh token, and
+ * are cached until shortly before they expire. Callers that ask while a
+ * token request is in flight share it, so a burst of requests triggers one
+ * token fetch. When an API answers 401 the client asks for a fresh token
+ * once and repeats the request.
+ */
+
+import createFetchClient from '../http/createFetchClient.js';
+import { timeoutMiddleware } from '../http/fetchClientMiddleware.js';
+
+/**
+ * Source of bearer tokens for authMiddleware
+ */
+interface AuthProvider {
+  /**
+   * Current access token; forceRefresh skips the cache unless another
+   * caller already replaced the token in `staleToken`
+   */
+  getToken(options?: { forceRefresh?: boolean; staleToken?: string }): Promise<string>;
+  /** Drop the cached token */
+  invalidate?(): void;
+}
+
+interface OAuth2TokenProviderOptions {
+  /** Token endpoint URL */
+  tokenUrl: string;
+  clientId: string;
+  clientSecret?: string;
+  /** Grant used to obtain tokens (default: client_credentials, or refresh_token when refreshToken is given) */
+  grantType?: 'client_credentials' | 'refresh_token';
+  /** Refresh token for the refresh_token grant; replaced when the server rotates it */
+  refreshToken?: string;
+  /** Space-separated scopes to request */
+  scope?: string;
+  /** Audience parameter some providers require */
+  audience?: string;
+  /** Send client credentials as HTTP Basic (default) or in the form body */
+  clientAuth?: 'basic' | 'body';
+  /** Refresh this long before the token expires in milliseconds (default: 30000); at most half the token's lifetime */
+  expiryMarginMs?: number;
+  /** Token request timeout in milliseconds (default: 10000) */
+  timeout?: number;
+  /** Called with each rotated refresh token, so it can be persisted */
+  onRefreshToken?: (refreshToken: string) => void;
+  /** fetch implementation (default: global fetch) */
+  fetch?: typeof fetch;
+}
+
+/**
+ * Token endpoint refused or failed to issue a token
+ */
+class OAuth2TokenError extends Error {
+  code: string;
+  /** HTTP status from the token endpoint, when it answered */
+  status?: number;
+  /** OAuth2 `error` code (invalid_client, invalid_grant, ...) */
+  oauthError?: string;
+
+  constructor(message: string, details: { status?: number; oauthError?: string; cause?: unknown } = {}) {
+    super(message);
+    this.name = 'OAuth2TokenError';
+    this.code = 'OAUTH2_TOKEN_ERROR';
+    this.status = details.status;
+    this.oauthError = details.oauthError;
+    if (details.cause !== undefined) {
+      (this as any).cause = details.cause;
+    }
+  }
+}
+
+/**
+ * Creates a caching OAuth2 token provider.
+ *
+ * @param options - Token endpoint, client credentials, grant and cache settings
+ * @returns AuthProvider with getToken, invalidate and getTokenInfo
+ *
+ * @example
+ * const auth = createOAuth2TokenProvider({
+ *   tokenUrl: 'https://auth.example.com/oauth/token',
+ *   clientId: process.env.CLIENT_ID,
+ *   clientSecret: process.env.CLIENT_SECRET,
+ *   scope: 'orders:read'
+ * });
+ * const orders = ApiClientFactories.oauth2('https://api.example.com', auth);
+ * const list = await orders.get('/orders');
+ */
+function createOAuth2TokenProvider(options: OAuth2TokenProviderOptions) {
+  const {
+    tokenUrl,
+    clientId,
+    clientSecret,
+    scope,
+    audience,
+    clientAuth = 'basic',
+    expiryMarginMs = 30000,
+    timeout = 10000,
+    onRefreshToken,
+    fetch: fetchImpl
+  } = options || ({} as OAuth2TokenProviderOptions);
+
+  // INPUT VALIDATION: The endpoint and client are required for every grant
+  if (!tokenUrl || typeof tokenUrl !== 'string') {
+    throw new Error('createOAuth2TokenProvider requires a tokenUrl');
+  }
+  if (!clientId || typeof clientId !== 'string') {
+    throw new Error('createOAuth2TokenProvider requires a clientId');
+  }
+
+  let refreshToken = options.refreshToken;
+  const grantType = options.grantType || (refreshToken ? 'refresh_token' : 'client_credentials');
+  if (grantType === 'refresh_token' && !refreshToken) {
+    throw new Error('The refresh_token grant requires a refreshToken');
+  }
+
+  const client = createFetchClient({
+    fetch: fetchImpl,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    middleware: [timeoutMiddleware({ timeout })]
+  });
+
+  // TOKEN CACHE: One token, and at most one request for the next
+  let cached: { accessToken: string; expiresAt: number; refreshAt: number } | null = null;
+  let pending: Promise<string> | null = null;
+
+  async function requestToken(): Promise<string> {
+    const form: Record<string, string> = { grant_type: grantType };
+    if (grantType === 'refresh_token') {
+      form.refresh_token = refreshToken!;
+    }
+    if (scope) {
+      form.scope = scope;
+    }
+    if (audience) {
+      form.audience = audience;
+    }
+
+    const headers: Record<string, string> = {};
+    if (clientAuth === 'basic' && clientSecret !== undefined) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      form.client_id = clientId;
+      if (clientSecret !== undefined) {
+        form.client_secret = clientSecret;
+      }
+    }
+
+    let data: any;
+    try {
+      ({ data } = await client.post(tokenUrl, form, { headers }));
+    } catch (error: any) {
+      const body = error?.response?.data;
+      const oauthError = typeof body === 'object' && body ? body.error : undefined;
+      const description = typeof body === 'object' && body ? body.error_description : undefined;
+      throw new OAuth2TokenError(`Token request failed: ${description || oauthError || error?.message}`, {
+        status: error?.status,
+        oauthError,
+        cause: error
+      });
+    }
+
+    if (!data || typeof data.access_token !== 'string') {
+      throw new OAuth2TokenError('Token response did not include an access_token');
+    }
+
+    if (typeof data.refresh_token === 'string' && data.refresh_token !== refreshToken) {
+      refreshToken = data.refresh_token;
+      onRefreshToken?.(data.refresh_token);
+    }
+
+    // EXPIRY: Tokens without expires_in are kept until an API rejects them.
+    // The margin is capped at half the lifetime so short-lived tokens are
+    // still reused for a while instead of refetched on every call.
+    const expiresInMs = Number(data.expires_in) * 1000;
+    const expiresAt = expiresInMs > 0 ? Date.now() + expiresInMs : Infinity;
+    cached = {
+      accessToken: data.access_token,
+      expiresAt,
+      refreshAt: expiresAt - Math.min(expiryMarginMs, expiresInMs > 0 ? expiresInMs / 2 : expiryMarginMs)
+    };
+    return data.access_token;
+  }
+
+  return {
+    getToken(tokenOptions: { forceRefresh?: boolean; staleToken?: string } = {}): Promise<string> {
+      const { forceRefresh = false, staleToken } = tokenOptions;
+
+      // Another caller may already have replaced the token a 401 rejected
+      const replaced = staleToken !== undefined && cached && cached.accessToken !== staleToken;
+      if (cached && (!forceRefresh || replaced) && Date.now() < cached.refreshAt) {
+        return Promise.resolve(cached.accessToken);
+      }
+
+      if (!pending) {
+        pending = requestToken().finally(() => {
+          pending = null;
+        });
+      }
+      return pending;
+    },
+
+    invalidate(): void {
+      cached = null;
+    },
+
+    /**
+     * Expiry of the cached token, for monitoring
+     */
+    getTokenInfo(): { hasToken: boolean; expiresAt: number | null } {
+      return { hasToken: cached !== null, expiresAt: cached ? cached.expiresAt : null };
+    }
+  };
+}
+
+export { OAuth2TokenError };
+export type { AuthProvider, OAuth2TokenProviderOptions };
+export default createOAuth2TokenProvider;
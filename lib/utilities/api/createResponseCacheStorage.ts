@@ -0,0 +1,70 @@
+/**
+ * Response cache storage contract
+ *
+ * createCachedClient keeps responses in a storage backend with this shape,
+ * so a cache can live in process memory (the default, bounded by
+ * BoundedLRUCache) or in a shared store such as Redis. Entries must be
+ * JSON-serializable for backends that write them out. Methods may answer
+ * synchronously or with a promise.
+ */
+
+import { BoundedLRUCache } from '../performance/boundedCache.js';
+
+/**
+ * One cached response with its freshness windows
+ */
+export interface CachedResponse<T = any> {
+  data: T;
+  status: number;
+  /** Response headers, lower-cased */
+  headers: Record<string, string>;
+  storedAt: number;
+  /** Fresh until this time; afterwards the entry is stale */
+  expiresAt: number;
+  /** May be served while revalidating in the background until this time */
+  staleWhileRevalidateUntil: number;
+  /** May be served when revalidation fails until this time */
+  staleIfErrorUntil: number;
+  etag?: string;
+  lastModified?: string;
+}
+
+export interface ResponseCacheStorage {
+  get(key: string): CachedResponse | undefined | Promise<CachedResponse | undefined>;
+  /** Store an entry, keeping it at most ttlMs */
+  set(key: string, entry: CachedResponse, ttlMs: number): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear(): void | Promise<void>;
+  /** Number of entries, when the backend can tell cheaply */
+  size?(): number;
+  /** Stored keys and entries, when the backend can list them synchronously */
+  entries?(): Array<[string, CachedResponse]>;
+  /** Stop timers and release connections */
+  destroy?(): void;
+}
+
+/**
+ * In-Memory Response Cache Storage
+ *
+ * @param {object} [options] - Storage options
+ * @param {number} [options.maxSize=100] - Most entries kept; the least recently used go first
+ * @returns {ResponseCacheStorage} Storage with get, set, delete, clear, size, entries and destroy
+ */
+function createResponseCacheStorage(options: { maxSize?: number } = {}): Required<ResponseCacheStorage> {
+  const { maxSize = 100 } = options;
+  const cache = new BoundedLRUCache<string, CachedResponse>(maxSize);
+
+  return {
+    get: (key) => cache.get(key),
+    set: (key, entry, ttlMs) => cache.set(key, entry, ttlMs),
+    delete: (key) => {
+      cache.delete(key);
+    },
+    clear: () => cache.clear(),
+    size: () => cache.size,
+    entries: () => cache.entries().map(([key, entry]) => [String(key), entry]),
+    destroy: () => cache.destroy()
+  };
+}
+
+export default createResponseCacheStorage;
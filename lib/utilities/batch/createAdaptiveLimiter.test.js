@@ -0,0 +1,84 @@
+const { default: createAdaptiveLimiter, isOverloadError } = require('./createAdaptiveLimiter');
+
+describe('createAdaptiveLimiter', () => {
+  it('adds one slot per window of healthy completions under AIMD', () => {
+    const limiter = createAdaptiveLimiter({ initialConcurrency: 4 });
+    for (let i = 0; i < 4; i++) {
+      limiter.record({ latencyMs: 10 });
+    }
+    expect(limiter.getLimit()).toBe(4);
+    limiter.record({ latencyMs: 10 });
+    expect(limiter.getLimit()).toBe(5);
+  });
+
+  it('backs off on 429s and timeouts but ignores other failures', () => {
+    const limiter = createAdaptiveLimiter({ initialConcurrency: 16 });
+
+    limiter.record({ latencyMs: 10, error: Object.assign(new Error('Too Many Requests'), { status: 429 }) });
+    expect(limiter.getLimit()).toBe(8);
+    limiter.record({ latencyMs: 10, error: new Error('Operation timeout') });
+    expect(limiter.getLimit()).toBe(4);
+    limiter.record({ latencyMs: 10, error: new Error('Invalid payload') });
+    expect(limiter.getLimit()).toBe(4);
+  });
+
+  it('treats latency over the threshold as overload under AIMD', () => {
+    const limiter = createAdaptiveLimiter({ initialConcurrency: 10, latencyThresholdMs: 500, backoffRatio: 0.8 });
+    limiter.record({ latencyMs: 900 });
+    expect(limiter.getLimit()).toBe(8);
+  });
+
+  it('stays within its bounds', () => {
+    const limiter = createAdaptiveLimiter({ initialConcurrency: 2, minConcurrency: 2, maxConcurrency: 3 });
+    limiter.record({ latencyMs: 10, error: Object.assign(new Error('busy'), { statusCode: 503 }) });
+    expect(limiter.getLimit()).toBe(2);
+    for (let i = 0; i < 20; i++) {
+      limiter.record({ latencyMs: 10 });
+    }
+    expect(limiter.getLimit()).toBe(3);
+  });
+
+  it('grows with steady latency and shrinks when latency rises under gradient', () => {
+    const limiter = createAdaptiveLimiter({ algorithm: 'gradient', initialConcurrency: 10 });
+    for (let i = 0; i < 20; i++) {
+      limiter.record({ latencyMs: 50 });
+    }
+    const grown = limiter.getLimit();
+    expect(grown).toBeGreaterThan(10);
+
+    for (let i = 0; i < 20; i++) {
+      limiter.record({ latencyMs: 400 });
+    }
+    expect(limiter.getLimit()).toBeLessThan(grown);
+  });
+
+  it('gates acquisitions at the current limit', async () => {
+    const limiter = createAdaptiveLimiter({ initialConcurrency: 1, maxConcurrency: 2 });
+    const first = await limiter.acquire();
+    let granted = false;
+    const second = limiter.acquire().then(release => {
+      granted = true;
+      return release;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(granted).toBe(false);
+
+    limiter.record({ latencyMs: 5 }); // limit 1 -> 2 frees a slot for the waiter
+    (await second)();
+    first();
+    expect(limiter.getInFlight()).toBe(0);
+  });
+
+  it('validates its options', () => {
+    expect(() => createAdaptiveLimiter({ algorithm: 'vegas' })).toThrow('Unknown adaptive');
+    expect(() => createAdaptiveLimiter({ initialConcurrency: 20, maxConcurrency: 10 })).toThrow('minConcurrency');
+    expect(() => createAdaptiveLimiter({ backoffRatio: 1 })).toThrow('backoffRatio');
+  });
+
+  it('recognizes overload errors', () => {
+    expect(isOverloadError({ response: { status: 429 } })).toBe(true);
+    expect(isOverloadError({ code: 'ETIMEDOUT' })).toBe(true);
+    expect(isOverloadError(new Error('Not found'))).toBe(false);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * ADAPTIVE CONCURRENCY LIMITER
+ *
+ * PURPOSE: Find how much concurrency a downstream service tolerates instead
+ * of guessing a fixed number. The limit grows while calls succeed quickly
+ * and shrinks when the service shows overload: timeouts, 429/503 responses
+ * or latency rising above its unloaded level.
+ *
+ * ALGORITHMS:
+ * - 'aimd' (additive increase, multiplicative decrease): +1 per `limit`
+ *   healthy completions, times `backoffRatio` on overload. Latency counts as
+ *   overload only above `latencyThresholdMs`, when set.
+ * - 'gradient' (Vegas-style): compares recent latency to a slow-moving
+ *   baseline; the limit follows their ratio, so rising latency lowers it
+ *   before errors appear. Overload errors still back off multiplicatively.
+ *
+ * Errors that are not overload (validation failures, 404s) neither raise
+ * nor lower the limit.
+ */
+
+type AdaptiveAlgorithm = 'aimd' | 'gradient';
+
+interface AdaptiveLimiterOptions {
+  /** Limit adjustment strategy (default: 'aimd') */
+  algorithm?: AdaptiveAlgorithm;
+  /** Starting limit (default: 10) */
+  initialConcurrency?: number;
+  /** Lowest limit (default: 1) */
+  minConcurrency?: number;
+  /** Highest limit (default: 100) */
+  maxConcurrency?: number;
+  /** Multiplier applied on overload (default: 0.5) */
+  backoffRatio?: number;
+  /** AIMD: latency above this counts as overload */
+  latencyThresholdMs?: number;
+  /** Gradient: how far above baseline latency may rise before the limit drops (default: 1.5) */
+  latencyTolerance?: number;
+  /** Decides whether a failure means the downstream is overloaded */
+  isOverloadError?: (error: unknown) => boolean;
+}
+
+interface LimiterSample {
+  /** Duration of one call in milliseconds */
+  latencyMs: number;
+  /** Error the call failed with, if any */
+  error?: unknown;
+}
+
+/**
+ * Default overload detection: timeouts, 429 and 503 responses
+ */
+function isOverloadError(error: unknown): boolean {
+  const candidate = error as any;
+  const status = candidate?.status ?? candidate?.statusCode ?? candidate?.response?.status;
+  if (status === 429 || status === 503) {
+    return true;
+  }
+  return candidate?.code === 'ETIMEDOUT' || candidate?.code === 'ECONNABORTED' || /timeout|timed out/i.test(String(candidate?.message ?? ''));
+}
+
+/**
+ * Creates a concurrency gate whose limit adapts to observed latency and errors.
+ *
+ * @param options - Algorithm, bounds and overload detection
+ * @returns Limiter with acquire, record and getLimit methods
+ *
+ * @example
+ * const limiter = createAdaptiveLimiter({ algorithm: 'gradient', maxConcurrency: 50 });
+ * const release = await limiter.acquire();
+ * const startedAt = Date.now();
+ * try {
+ *   await callApi();
+ *   limiter.record({ latencyMs: Date.now() - startedAt });
+ * } catch (error) {
+ *   limiter.record({ latencyMs: Date.now() - startedAt, error });
+ *   throw error;
+ * } finally {
+ *   release();
+ * }
+ */
+function createAdaptiveLimiter(options: AdaptiveLimiterOptions = {}) {
+  const {
+    algorithm = 'aimd',
+    minConcurrency = 1,
+    maxConcurrency = 100,
+    backoffRatio = 0.5,
+    latencyThresholdMs,
+    latencyTolerance = 1.5,
+    isOverloadError: isOverload = isOverloadError
+  } = options;
+  const { initialConcurrency = Math.min(10, maxConcurrency) } = options;
+
+  // INPUT VALIDATION: Bounds must hold the starting limit
+  if (algorithm !== 'aimd' && algorithm !== 'gradient') {
+    throw new Error(`Unknown adaptive concurrency algorithm: ${algorithm}`);
+  }
+  if (!(minConcurrency >= 1) || !(maxConcurrency >= minConcurrency) || !(initialConcurrency >= minConcurrency && initialConcurrency <= maxConcurrency)) {
+    throw new Error('Adaptive concurrency requires 1 <= minConcurrency <= initialConcurrency <= maxConcurrency');
+  }
+  if (!(backoffRatio > 0 && backoffRatio < 1)) {
+    throw new Error('backoffRatio must be between 0 and 1');
+  }
+
+  // LIMITER STATE: Fractional limit; callers see its floor
+  let limit = initialConcurrency;
+  let inFlight = 0;
+  const waiters: Array<() => void> = [];
+  let shortLatency = 0; // gradient: recent latency (fast EWMA)
+  let longLatency = 0;  // gradient: baseline latency (slow EWMA)
+
+  const clamp = (value: number) => Math.min(maxConcurrency, Math.max(minConcurrency, value));
+
+  function getLimit(): number {
+    return Math.floor(limit);
+  }
+
+  /**
+   * Wakes waiters while the (possibly raised) limit has room
+   */
+  function dispatch(): void {
+    while (waiters.length > 0 && inFlight < getLimit()) {
+      inFlight++;
+      waiters.shift()!();
+    }
+  }
+
+  /**
+   * Waits for a slot under the current limit.
+   *
+   * @returns Promise<() => void> - Release function; call once when the work finishes
+   */
+  function acquire(): Promise<() => void> {
+    return new Promise(resolve => {
+      const grant = () => {
+        let released = false;
+        resolve(() => {
+          if (!released) {
+            released = true;
+            inFlight--;
+            dispatch();
+          }
+        });
+      };
+
+      if (waiters.length === 0 && inFlight < getLimit()) {
+        inFlight++;
+        grant();
+      } else {
+        waiters.push(grant);
+      }
+    });
+  }
+
+  /**
+   * Feeds one completed call into the limit.
+   *
+   * @param sample - Call latency and the error it failed with, if any
+   */
+  function record(sample: LimiterSample): void {
+    const { latencyMs, error } = sample;
+
+    // OVERLOAD: Multiplicative decrease regardless of algorithm
+    if (error !== undefined && isOverload(error)) {
+      limit = clamp(limit * backoffRatio);
+      return;
+    }
+    if (error !== undefined) {
+      return; // unrelated failure says nothing about capacity
+    }
+
+    if (algorithm === 'aimd') {
+      if (latencyThresholdMs !== undefined && latencyMs > latencyThresholdMs) {
+        limit = clamp(limit * backoffRatio);
+      } else {
+        limit = clamp(limit + 1 / limit); // +1 per window of `limit` completions
+      }
+    } else {
+      // GRADIENT: Baseline drifts slowly, so a sustained rise lowers the limit
+      const sampleMs = Math.max(latencyMs, 1); // sub-millisecond timings would make the ratio noise
+      shortLatency = shortLatency === 0 ? sampleMs : shortLatency * 0.8 + sampleMs * 0.2;
+      longLatency = longLatency === 0 ? sampleMs : longLatency * 0.99 + sampleMs * 0.01;
+      if (longLatency > shortLatency * 2) {
+        longLatency = shortLatency * 2; // recover quickly once a latency spike has passed
+      }
+
+      const gradient = Math.max(0.5, Math.min(1, (latencyTolerance * longLatency) / shortLatency));
+      const target = limit * gradient + Math.sqrt(limit); // headroom lets the limit probe upwards
+      limit = clamp(limit * 0.8 + target * 0.2);
+    }
+
+    dispatch();
+  }
+
+  return {
+    acquire,
+    record,
+    getLimit,
+    /** Calls currently holding a slot */
+    getInFlight: () => inFlight
+  };
+}
+
+export { isOverloadError };
+export type { AdaptiveAlgorithm, AdaptiveLimiterOptions, LimiterSample };
+export default createAdaptiveLimiter;
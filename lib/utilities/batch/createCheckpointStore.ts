@@ -0,0 +1,75 @@
+/**
+ * Batch checkpoint store contract
+ *
+ * processBatch records finished items in a store with this shape, so a job
+ * interrupted halfway can resume with `resumeFrom` instead of starting over:
+ * - createCheckpointStore: in-process memory (tests, retrying within one process)
+ * - createFileCheckpointStore: JSON lines file that survives restarts
+ *
+ * processBatch clears the store when a run starts without `resumeFrom`, then
+ * saves once per batch. Results must be JSON-serializable for stores that
+ * write them out. Methods may answer synchronously or with a promise.
+ */
+
+/**
+ * Outcome of one finished item
+ */
+export interface CheckpointEntry<R = unknown> {
+  /** Item key from processBatch's `itemKey` option (default: the index) */
+  key: string;
+  index: number;
+  success: boolean;
+  /** Failed with an error classifyError marked `skip` */
+  skipped?: boolean;
+  retries: number;
+  result?: R;
+  error?: { name: string; message: string };
+}
+
+/**
+ * Running totals of a checkpointed run
+ */
+export interface CheckpointAggregates {
+  successCount: number;
+  failureCount: number;
+  skipCount?: number;
+  /** Processing time of every run so far in milliseconds */
+  duration: number;
+}
+
+export interface BatchCheckpoint<R = unknown> extends CheckpointAggregates {
+  entries: CheckpointEntry<R>[];
+}
+
+export interface BatchCheckpointStore<R = unknown> {
+  /** Everything saved since the last clear, or null when nothing was */
+  load(): BatchCheckpoint<R> | null | Promise<BatchCheckpoint<R> | null>;
+  /** Record the items finished in one batch along with the new totals */
+  save(entries: CheckpointEntry<R>[], aggregates: CheckpointAggregates): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+/**
+ * In-Memory Checkpoint Store
+ *
+ * @returns {BatchCheckpointStore} Store with load, save and clear methods
+ */
+function createCheckpointStore<R = unknown>(): BatchCheckpointStore<R> {
+  let checkpoint: BatchCheckpoint<R> | null = null;
+
+  return {
+    load() {
+      return checkpoint ? { ...checkpoint, entries: [...checkpoint.entries] } : null;
+    },
+
+    save(entries: CheckpointEntry<R>[], aggregates: CheckpointAggregates) {
+      checkpoint = { ...aggregates, entries: [...(checkpoint?.entries || []), ...entries] };
+    },
+
+    clear() {
+      checkpoint = null;
+    }
+  };
+}
+
+export default createCheckpointStore;
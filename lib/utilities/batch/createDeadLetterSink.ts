@@ -0,0 +1,69 @@
+/**
+ * Dead-letter sink contract
+ *
+ * processBatch hands items it gave up on to a sink with this shape, so they
+ * can be inspected and later fed back with replayDeadLetters:
+ * - createDeadLetterSink: in-process memory
+ * - createFileDeadLetterSink: NDJSON file, one letter per line
+ * - a plain function: called with each letter (processBatch wraps it)
+ *
+ * Sinks that can `read` and `replace` their letters can be replayed in place.
+ * Methods may answer synchronously or with a promise.
+ */
+
+/**
+ * An item processBatch gave up on
+ */
+export interface DeadLetter<T = unknown> {
+  item: T;
+  /** Index of the item in the list it was processed from */
+  index: number;
+  /** `exhausted`: retryable error outlived its retries; `fatal`: classified as not worth retrying */
+  reason: 'exhausted' | 'fatal';
+  error: { name: string; message: string; stack?: string };
+  attempts: number;
+  /** Epoch milliseconds of the first attempt */
+  firstAttemptAt: number;
+  /** Epoch milliseconds of the final failure */
+  failedAt: number;
+  /** Time spent on the item across attempts and retry delays */
+  durationMs: number;
+}
+
+export interface DeadLetterSink<T = unknown> {
+  write(letter: DeadLetter<T>): void | Promise<void>;
+  /** Every letter written since the last clear */
+  read?(): DeadLetter<T>[] | Promise<DeadLetter<T>[]>;
+  clear?(): void | Promise<void>;
+  /** Swap the stored letters for these in one step, keeping the old ones if it fails */
+  replace?(letters: DeadLetter<T>[]): void | Promise<void>;
+}
+
+/**
+ * In-Memory Dead-Letter Sink
+ *
+ * @returns {DeadLetterSink} Sink with write, read, clear and replace methods
+ */
+function createDeadLetterSink<T = unknown>(): Required<DeadLetterSink<T>> {
+  let letters: DeadLetter<T>[] = [];
+
+  return {
+    write(letter: DeadLetter<T>) {
+      letters.push(letter);
+    },
+
+    read() {
+      return [...letters];
+    },
+
+    clear() {
+      letters = [];
+    },
+
+    replace(next: DeadLetter<T>[]) {
+      letters = [...next];
+    }
+  };
+}
+
+export default createDeadLetterSink;
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { default: createDistributedSemaphore } = require('./createDistributedSemaphore');
+const { default: createLeaseStore } = require('./createLeaseStore');
+const { default: createFileLeaseStore } = require('./createFileLeaseStore');
+const { SemaphoreTimeoutError } = require('./createSemaphore');
+
+describe('createDistributedSemaphore', () => {
+  let semaphores;
+
+  beforeEach(() => {
+    semaphores = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(semaphores.map(semaphore => semaphore.destroy()));
+  });
+
+  const create = (options) => {
+    const semaphore = createDistributedSemaphore({ name: 'jobs', retryIntervalMs: 10, ...options });
+    semaphores.push(semaphore);
+    return semaphore;
+  };
+
+  it('shares permits between semaphores using the same store', async () => {
+    const store = createLeaseStore();
+    const first = create({ permits: 1, store });
+    const second = create({ permits: 1, store });
+
+    const release = await first.acquire();
+    await expect(second.acquire({ timeoutMs: 30 })).rejects.toBeInstanceOf(SemaphoreTimeoutError);
+
+    const waiting = second.acquire({ timeoutMs: 1000 });
+    await release();
+    const next = await waiting;
+    expect(next.token).toBeGreaterThan(release.token);
+    expect(await second.getStatus()).toMatchObject({ availablePermits: 0, totalPermits: 1, heldLeases: 1 });
+  });
+
+  it('keeps leases alive with heartbeats', async () => {
+    const store = createLeaseStore();
+    const semaphore = create({ permits: 1, store, leaseTtlMs: 60, heartbeatIntervalMs: 15 });
+
+    const release = await semaphore.acquire();
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    expect(release.signal.aborted).toBe(false);
+    expect(await store.count('jobs')).toBe(1);
+    await release();
+    expect(await store.count('jobs')).toBe(0);
+  });
+
+  it('frees the permit of a holder that stops renewing', async () => {
+    const store = createLeaseStore();
+    await store.acquire('jobs', 'crashed-holder', 1, 40); // never renewed
+    const semaphore = create({ permits: 1, store });
+
+    const release = await semaphore.acquire({ timeoutMs: 1000 });
+    expect(release.token).toBe(2);
+  });
+
+  it('aborts the lease signal when a renewal finds the lease gone', async () => {
+    const store = createLeaseStore();
+    const semaphore = create({ permits: 1, store, leaseTtlMs: 300, heartbeatIntervalMs: 20 });
+
+    const release = await semaphore.acquire();
+    await store.release('jobs', release.leaseId); // e.g. expired during a long pause
+    await new Promise(resolve => release.signal.addEventListener('abort', resolve));
+
+    expect(release.signal.reason.message).toMatch('expired');
+    expect((await semaphore.getStatus()).heldLeases).toBe(0);
+  });
+
+  it('stops waiting when aborted', async () => {
+    const semaphore = create({ permits: 1 });
+    await semaphore.acquire();
+    const controller = new AbortController();
+
+    const waiting = semaphore.acquire({ signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toThrow('Semaphore acquire operation aborted');
+    expect((await semaphore.getStatus()).queueLength).toBe(0);
+  });
+
+  it('validates its options', () => {
+    expect(() => createDistributedSemaphore({ permits: 1 })).toThrow('requires a name');
+    expect(() => createDistributedSemaphore({ name: 'jobs', permits: 0 })).toThrow('positive integer');
+    expect(() => createDistributedSemaphore({ name: 'jobs', permits: 1, leaseTtlMs: 100, heartbeatIntervalMs: 100 })).toThrow('shorter than leaseTtlMs');
+  });
+});
+
+describe('createFileLeaseStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qgenutils-leases-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('limits holders across store instances and issues increasing tokens', async () => {
+    const first = createFileLeaseStore({ directory });
+    const second = createFileLeaseStore({ directory });
+
+    const tokens = await Promise.all([
+      first.acquire('jobs', 'a', 2, 10000),
+      second.acquire('jobs', 'b', 2, 10000),
+      second.acquire('jobs', 'c', 2, 10000)
+    ]);
+
+    expect(tokens.filter(token => token === null)).toHaveLength(1);
+    expect(tokens.filter(Boolean).sort()).toEqual([1, 2]);
+    expect(await first.count('jobs')).toBe(2);
+
+    await first.release('jobs', tokens[0] ? 'a' : 'b');
+    expect(await second.acquire('jobs', 'd', 2, 10000)).toBe(3);
+  });
+
+  it('renews only live leases', async () => {
+    const store = createFileLeaseStore({ directory });
+    await store.acquire('jobs', 'a', 1, 30);
+
+    expect(await store.renew('jobs', 'a', 30)).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await store.renew('jobs', 'a', 30)).toBe(false);
+    expect(await store.count('jobs')).toBe(0);
+  });
+
+  it('releases leases held by processes that have exited', async () => {
+    const store = createFileLeaseStore({ directory });
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(path.join(directory, 'jobs.json'), JSON.stringify({
+      fence: 7,
+      leases: { gone: { expiresAt: Date.now() + 60000, pid: deadPid, host: os.hostname() } }
+    }));
+
+    expect(await store.acquire('jobs', 'a', 1, 10000)).toBe(8);
+  });
+
+  const leaveLock = (owner, ageMs) => {
+    const lockPath = path.join(directory, 'jobs.json.lock');
+    fs.mkdirSync(lockPath);
+    fs.writeFileSync(path.join(lockPath, 'owner'), owner);
+    const then = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockPath, then, then);
+    return lockPath;
+  };
+
+  it('breaks a lock left behind by a crashed process', async () => {
+    const store = createFileLeaseStore({ directory, staleLockMs: 20 });
+    leaveLock('crashed', 1000);
+
+    expect(await store.acquire('jobs', 'a', 1, 10000)).toBe(1);
+    expect(fs.readdirSync(directory)).toEqual(['jobs.json']);
+  });
+
+  it('lets only one of several waiters break a stale lock', async () => {
+    leaveLock('crashed', 1000);
+    const stores = Array.from({ length: 5 }, () => createFileLeaseStore({ directory, staleLockMs: 200 }));
+
+    const tokens = await Promise.all(stores.map((store, index) => store.acquire('jobs', `holder-${index}`, 1, 10000)));
+
+    expect(tokens.filter(token => token !== null)).toEqual([1]);
+    expect(await stores[0].count('jobs')).toBe(1);
+  });
+
+  it('does not remove the lock of whoever broke a slow holder\'s lock', async () => {
+    const lockPath = path.join(directory, 'jobs.json.lock');
+    const slow = createFileLeaseStore({ directory, staleLockMs: 50 });
+    const other = createFileLeaseStore({ directory, staleLockMs: 50 });
+    const readFile = fs.promises.readFile;
+    const delays = [200, 400];
+    const readSpy = jest.spyOn(fs.promises, 'readFile').mockImplementation(async (file, ...rest) => {
+      if (String(file).endsWith('jobs.json') && delays.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, delays.shift()));
+      }
+      return readFile(file, ...rest);
+    });
+
+    try {
+      const slowAcquire = slow.acquire('jobs', 'slow', 2, 10000);
+      await new Promise(resolve => setTimeout(resolve, 100)); // slow's lock is stale by now
+      const otherAcquire = other.acquire('jobs', 'other', 2, 10000);
+
+      await slowAcquire;
+      expect(fs.existsSync(lockPath)).toBe(true); // still held by other
+      await otherAcquire;
+      expect(fs.existsSync(lockPath)).toBe(false);
+    } finally {
+      readSpy.mockRestore();
+    }
+  });
+});
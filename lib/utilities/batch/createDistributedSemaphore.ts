@@ -0,0 +1,286 @@
+/**
+ * DISTRIBUTED SEMAPHORE
+ *
+ * PURPOSE: Limit concurrency across processes and hosts the way
+ * createSemaphore limits it within one process. Permits are leases in a
+ * shared LeaseStore (Redis, lock files, or memory for a single process).
+ *
+ * LEASE LIFECYCLE:
+ * - acquire() polls the store until a lease is granted, the wait times out
+ *   (SemaphoreTimeoutError) or the AbortSignal fires
+ * - While held, a heartbeat renews the lease every `heartbeatIntervalMs`
+ * - A holder that dies stops renewing, so its lease expires after
+ *   `leaseTtlMs` and the permit returns to the pool
+ * - If a renewal finds the lease gone (expired while the holder was paused,
+ *   or the store lost it), the release function's `signal` is aborted so
+ *   the work can stop
+ *
+ * FENCING: Every grant carries a `token` that increases with each grant of
+ * the same semaphore name. Pass it to the guarded resource so it can refuse
+ * writes from a holder whose lease has already been handed to someone else.
+ */
+
+import { randomUUID } from 'crypto';
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import { SemaphoreTimeoutError } from './createSemaphore.js';
+import createLeaseStore from './createLeaseStore.js';
+import type { LeaseStore } from './createLeaseStore.js';
+
+interface DistributedSemaphoreOptions {
+  /** Semaphore name; every process using the same name and store shares its permits */
+  name: string;
+  /** Maximum concurrent holders across all processes */
+  permits: number;
+  /** Lease storage (default: in-memory, shared only within this process) */
+  store?: LeaseStore;
+  /** Lease lifetime without renewal in milliseconds (default: 30000) */
+  leaseTtlMs?: number;
+  /** Renewal interval in milliseconds (default: a third of leaseTtlMs) */
+  heartbeatIntervalMs?: number;
+  /** Average delay between attempts while waiting for a permit (default: 100) */
+  retryIntervalMs?: number;
+}
+
+interface DistributedAcquireOptions {
+  /** Optional AbortSignal for cancellation support */
+  signal?: AbortSignal;
+  /** Reject with SemaphoreTimeoutError after waiting this long */
+  timeoutMs?: number;
+}
+
+/**
+ * Releases the lease; also carries the lease's identity
+ */
+interface DistributedRelease {
+  (): Promise<void>;
+  leaseId: string;
+  /** Fencing token for this grant */
+  token: number;
+  /** Aborted when the lease is lost before release */
+  signal: AbortSignal;
+}
+
+interface DistributedSemaphoreStatus {
+  /** Permits not held by any process */
+  availablePermits: number;
+  /** acquire() calls from this process still waiting */
+  queueLength: number;
+  totalPermits: number;
+  /** Leases held by this process */
+  heldLeases: number;
+}
+
+/**
+ * Creates a semaphore whose permits are shared through a lease store.
+ *
+ * @param options - Name, permit count, store and lease timings
+ * @returns Semaphore with acquire, release, getStatus and destroy methods
+ *
+ * @example
+ * const semaphore = createDistributedSemaphore({
+ *   name: 'report-exports',
+ *   permits: 3,
+ *   store: createRedisLeaseStore({ client: redis })
+ * });
+ *
+ * const release = await semaphore.acquire({ timeoutMs: 60000 });
+ * try {
+ *   await exportReport({ fencingToken: release.token, signal: release.signal });
+ * } finally {
+ *   await release();
+ * }
+ */
+function createDistributedSemaphore(options: DistributedSemaphoreOptions) {
+  const {
+    name,
+    permits,
+    leaseTtlMs = 30000,
+    heartbeatIntervalMs = Math.floor((options?.leaseTtlMs ?? 30000) / 3),
+    retryIntervalMs = 100
+  } = options || ({} as DistributedSemaphoreOptions);
+
+  // INPUT VALIDATION: Same permit rules as createSemaphore, plus lease timings
+  if (!name || typeof name !== 'string') {
+    throw new Error('Distributed semaphore requires a name');
+  }
+  if (!Number.isInteger(permits) || permits < 1) {
+    throw new Error('Semaphore permits must be a positive integer');
+  }
+  if (!(leaseTtlMs > 0) || !(heartbeatIntervalMs > 0) || heartbeatIntervalMs >= leaseTtlMs) {
+    throw new Error('heartbeatIntervalMs must be positive and shorter than leaseTtlMs');
+  }
+
+  const ownsStore = !options.store;
+  const store: LeaseStore = options.store || createLeaseStore();
+  const held = new Map<string, DistributedRelease>(); // leaseId -> release, in grant order
+  let waiting = 0;
+  let destroyed = false;
+
+  /**
+   * Sleeps about `ms` (jittered so waiting processes spread out), waking
+   * early on abort
+   */
+  function pause(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      }
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Tracks a granted lease and keeps it alive until released or lost
+   */
+  function hold(leaseId: string, token: number, grantedAt: number): DistributedRelease {
+    const controller = new AbortController();
+    let expiresAt = grantedAt + leaseTtlMs; // measured from before the request, so never late
+    let renewing = false;
+
+    // LOST LEASE: Stop renewing and tell the holder its work is no longer protected
+    const lose = (reason: string) => {
+      if (held.delete(leaseId)) {
+        clearInterval(heartbeat);
+        controller.abort(new Error(reason));
+      }
+    };
+
+    // HEARTBEAT: Renew well before expiry; tolerate store errors until the lease runs out
+    const heartbeat = setInterval(async () => {
+      if (renewing) {
+        return;
+      }
+      renewing = true;
+      const startedAt = Date.now();
+      try {
+        if (await store.renew(name, leaseId, leaseTtlMs)) {
+          expiresAt = startedAt + leaseTtlMs;
+        } else {
+          lose(`Lease on semaphore "${name}" expired before it was renewed`);
+        }
+      } catch (error) {
+        qerrors(error instanceof Error ? error : new Error(String(error)), 'createDistributedSemaphore', { message: 'Lease renewal failed', name, leaseId });
+        if (Date.now() >= expiresAt) {
+          lose(`Lease on semaphore "${name}" could not be renewed before it expired`);
+        }
+      } finally {
+        renewing = false;
+      }
+    }, heartbeatIntervalMs);
+    if (heartbeat.unref) {
+      heartbeat.unref();
+    } // don't block process exit
+
+    const release = async () => {
+      if (!held.delete(leaseId)) {
+        return; // already released or lost
+      }
+      clearInterval(heartbeat);
+      await store.release(name, leaseId);
+    };
+
+    const handle = Object.assign(release, { leaseId, token, signal: controller.signal });
+    held.set(leaseId, handle);
+    return handle;
+  }
+
+  /**
+   * Acquires a lease, waiting while every permit is held.
+   *
+   * @param options - signal and timeoutMs
+   * @returns Promise<DistributedRelease> - Call (and await) when done; carries `token` and `signal`
+   *
+   * @throws {Error} - If operation is aborted via AbortSignal
+   * @throws {SemaphoreTimeoutError} - If no permit frees up within timeoutMs
+   */
+  async function acquire(acquireOptions: DistributedAcquireOptions = {}): Promise<DistributedRelease> {
+    const { signal, timeoutMs } = acquireOptions;
+    const deadline = timeoutMs !== undefined ? Date.now() + timeoutMs : Infinity;
+    const leaseId = randomUUID();
+
+    waiting++;
+    try {
+      for (;;) {
+        if (destroyed) {
+          throw new Error('Distributed semaphore has been destroyed');
+        }
+        if (signal?.aborted) {
+          throw new Error('Semaphore acquire operation aborted');
+        }
+
+        const requestedAt = Date.now();
+        const token = await store.acquire(name, leaseId, permits, leaseTtlMs);
+        if (token !== null) {
+          if (destroyed || signal?.aborted) { // gave up while the request was in flight
+            await store.release(name, leaseId);
+            continue;
+          }
+          return hold(leaseId, token, requestedAt);
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw new SemaphoreTimeoutError(timeoutMs!);
+        }
+        await pause(Math.min(remaining, retryIntervalMs * (0.5 + Math.random())), signal);
+      }
+    } finally {
+      waiting--;
+    }
+  }
+
+  /**
+   * Releases the oldest lease held by this process.
+   *
+   * Prefer the release function returned by acquire(); this mirrors
+   * createSemaphore's release() for callers that release through the
+   * semaphore.
+   */
+  async function release(): Promise<void> {
+    const oldest = held.values().next().value;
+    if (oldest) {
+      await oldest();
+    }
+  }
+
+  /**
+   * Gets permits in use across all processes and this process's share.
+   *
+   * @returns Promise<DistributedSemaphoreStatus>
+   */
+  async function getStatus(): Promise<DistributedSemaphoreStatus> {
+    const holders = await store.count(name);
+    return {
+      availablePermits: Math.max(0, permits - holders),
+      queueLength: waiting,
+      totalPermits: permits,
+      heldLeases: held.size
+    };
+  }
+
+  /**
+   * Releases every lease held by this process and rejects pending acquires.
+   * Stores passed in are left to their owner.
+   */
+  async function destroy(): Promise<void> {
+    destroyed = true;
+    await Promise.all([...held.values()].map(handle => handle()));
+    if (ownsStore) {
+      await store.destroy?.();
+    }
+  }
+
+  return {
+    acquire,
+    release,
+    getStatus,
+    destroy
+  };
+}
+
+export type { DistributedSemaphoreOptions, DistributedAcquireOptions, DistributedRelease, DistributedSemaphoreStatus };
+export default createDistributedSemaphore;
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import type { BatchCheckpoint, BatchCheckpointStore, CheckpointAggregates, CheckpointEntry } from './createCheckpointStore.js';
+
+/**
+ * File Checkpoint Store
+ *
+ * Checkpoint store appending one JSON line per saved batch, so each save
+ * costs the size of the batch rather than of the whole job. Loading replays
+ * the lines; a line cut short by a crash mid-write is truncated away, and
+ * those items run again on resume.
+ *
+ * @param {object} options - Store options
+ * @param {string} options.filePath - JSON lines file holding the checkpoint
+ * @returns {BatchCheckpointStore} Store with load, save and clear methods
+ * @example
+ * const checkpoint = createFileCheckpointStore({ filePath: './migrate-users.checkpoint.jsonl' });
+ * await processBatch(users, migrateUser, { checkpoint, itemKey: user => user.id, resumeFrom: true });
+ */
+function createFileCheckpointStore<R = unknown>(options: { filePath: string }): BatchCheckpointStore<R> {
+  const { filePath } = options || ({} as any);
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('createFileCheckpointStore requires a filePath');
+  }
+
+  return {
+    async load(): Promise<BatchCheckpoint<R> | null> {
+      let contents: Buffer;
+      try {
+        contents = await fs.promises.readFile(filePath);
+      } catch (error: any) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+      // Cut a torn last line off the file, so the next save does not land
+      // on the end of it and get dropped with it on a later load
+      const complete = contents.lastIndexOf(0x0a) + 1;
+      if (complete < contents.length) {
+        await fs.promises.truncate(filePath, complete);
+      }
+      const raw = contents.subarray(0, complete).toString('utf8');
+
+      let aggregates: CheckpointAggregates | null = null;
+      const entries: CheckpointEntry<R>[] = [];
+      const lines = raw.split('\n').filter(line => line.trim());
+      lines.forEach((line, lineIndex) => {
+        let record: CheckpointAggregates & { entries: CheckpointEntry<R>[] };
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          qerrors(error instanceof Error ? error : new Error(String(error)), 'createFileCheckpointStore', { message: 'Skipping corrupt checkpoint line', filePath, line: lineIndex + 1 });
+          return;
+        }
+        aggregates = { successCount: record.successCount, failureCount: record.failureCount, skipCount: record.skipCount, duration: record.duration };
+        for (const entry of record.entries || []) {
+          entries.push(entry);
+        }
+      });
+      return aggregates ? { ...(aggregates as CheckpointAggregates), entries } : null;
+    },
+
+    async save(entries: CheckpointEntry<R>[], aggregates: CheckpointAggregates): Promise<void> {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify({ ...aggregates, entries })}\n`, 'utf8');
+    },
+
+    async clear(): Promise<void> {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+}
+
+export default createFileCheckpointStore;
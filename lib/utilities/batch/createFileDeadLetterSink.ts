@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import type { DeadLetter, DeadLetterSink } from './createDeadLetterSink.js';
+
+/**
+ * File Dead-Letter Sink
+ *
+ * Appends each dead letter to an NDJSON file, one JSON object per line, so
+ * the file can also be tailed or loaded by other tools. Items must be
+ * JSON-serializable. Reading skips lines that do not parse (reported via
+ * qerrors). `replace` writes the new letters to a temporary file and renames
+ * it over the old one, so a crash leaves either the old or the new set.
+ *
+ * @param {object} options - Sink options
+ * @param {string} options.filePath - NDJSON file receiving the letters
+ * @returns {DeadLetterSink} Sink with write, read, clear and replace methods
+ * @example
+ * const deadLetter = createFileDeadLetterSink({ filePath: './failed-emails.ndjson' });
+ * await processBatch(emails, sendEmail, { deadLetter });
+ * // later, once the mail server is fixed
+ * await replayDeadLetters(deadLetter, sendEmail);
+ */
+function createFileDeadLetterSink<T = unknown>(options: { filePath: string }): Required<DeadLetterSink<T>> {
+  const { filePath } = options || ({} as any);
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('createFileDeadLetterSink requires a filePath');
+  }
+
+  // Appends are chained so concurrent writes from one process never interleave
+  let pending: Promise<void> = Promise.resolve();
+
+  return {
+    write(letter: DeadLetter<T>): Promise<void> {
+      const line = `${JSON.stringify(letter)}\n`;
+      pending = pending.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, line, 'utf8');
+      });
+      return pending;
+    },
+
+    async read(): Promise<DeadLetter<T>[]> {
+      await pending.catch(() => {});
+      let raw: string;
+      try {
+        raw = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error: any) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      const letters: DeadLetter<T>[] = [];
+      raw.split('\n').forEach((line, lineIndex) => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          letters.push(JSON.parse(line));
+        } catch (error) {
+          qerrors(error instanceof Error ? error : new Error(String(error)), 'createFileDeadLetterSink', { message: 'Skipping unreadable dead letter', filePath, line: lineIndex + 1 });
+        }
+      });
+      return letters;
+    },
+
+    async clear(): Promise<void> {
+      await pending.catch(() => {});
+      await fs.promises.rm(filePath, { force: true });
+    },
+
+    replace(letters: DeadLetter<T>[]): Promise<void> {
+      const contents = letters.map(letter => `${JSON.stringify(letter)}\n`).join('');
+      pending = pending.catch(() => {}).then(async () => {
+        const tempPath = `${filePath}.${randomUUID()}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        try {
+          await fs.promises.writeFile(tempPath, contents, 'utf8');
+          await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+          await fs.promises.rm(tempPath, { force: true });
+          throw error;
+        }
+      });
+      return pending;
+    }
+  };
+}
+
+export default createFileDeadLetterSink;
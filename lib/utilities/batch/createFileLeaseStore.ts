@@ -0,0 +1,220 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import type { LeaseStore } from './createLeaseStore.js';
+
+interface LeaseFileState {
+  fence: number;
+  leases: Record<string, { expiresAt: number; pid: number; host: string }>;
+}
+
+/**
+ * Whether a process on this host is still running
+ */
+function isProcessAlive(pid: number): boolean {
+  if (pid === process.pid) {
+    return true;
+  }
+  try {
+    process.kill(pid, 0); // signal 0 only checks existence
+    return true;
+  } catch (error: any) {
+    return error.code === 'EPERM'; // exists but belongs to another user
+  }
+}
+
+/**
+ * File Lease Store
+ *
+ * Lease store for processes sharing one host (or one network filesystem
+ * with atomic rename). Each semaphore is a JSON file guarded by a lock
+ * directory holding its owner's token; changes are written atomically via a
+ * temp file and rename. Besides expiring on their TTL, leases held by
+ * processes on this host that are no longer running are released on the
+ * next operation.
+ *
+ * A lock is only ever removed by moving it aside and checking its token, so
+ * two waiters cannot both break the same stale lock, and a holder that
+ * outlived staleLockMs cannot remove the lock of whoever broke its own.
+ *
+ * @param {object} options - Store options
+ * @param {string} options.directory - Directory holding the lease files
+ * @param {number} [options.lockTimeoutMs=5000] - How long to wait for a semaphore's file lock
+ * @param {number} [options.staleLockMs=10000] - Age after which a lock left by a crashed process is broken
+ * @returns {LeaseStore} Store with acquire, renew, release and count methods
+ * @example
+ * const store = createFileLeaseStore({ directory: '/var/lock/app' });
+ * const semaphore = createDistributedSemaphore({ name: 'ffmpeg', permits: 2, store });
+ */
+function createFileLeaseStore(options: { directory: string; lockTimeoutMs?: number; staleLockMs?: number }): LeaseStore {
+  const { directory, lockTimeoutMs = 5000, staleLockMs = 10000 } = options || ({} as any);
+  if (!directory || typeof directory !== 'string') {
+    throw new Error('createFileLeaseStore requires a directory');
+  }
+  fs.mkdirSync(directory, { recursive: true });
+
+  const host = os.hostname();
+  const filePath = (name: string) => path.join(directory, `${encodeURIComponent(name)}.json`);
+
+  const readOwner = (lockDir: string) => fs.promises.readFile(path.join(lockDir, 'owner'), 'utf8');
+
+  /**
+   * Remove a lock only if it still belongs to `owner`. The lock is renamed
+   * aside first (atomic, so one caller wins) and put back if another owner
+   * took it over in the meantime.
+   */
+  async function removeLock(lockPath: string, owner: string): Promise<void> {
+    if (await readOwner(lockPath).catch(() => null) !== owner) {
+      return;
+    }
+    const removedPath = `${lockPath}.${randomUUID()}.removed`;
+    try {
+      await fs.promises.rename(lockPath, removedPath);
+    } catch {
+      return; // already removed
+    }
+    if (await readOwner(removedPath).catch(() => null) !== owner) {
+      await fs.promises.rename(removedPath, lockPath).catch(() => {});
+    }
+    await fs.promises.rm(removedPath, { recursive: true, force: true }); // unless put back
+  }
+
+  async function lock(name: string): Promise<{ lockPath: string; owner: string }> {
+    const lockPath = `${filePath(name)}.lock`;
+    const deadline = Date.now() + lockTimeoutMs;
+
+    // The lock is built aside with its owner token, then renamed into place:
+    // rename fails while another (non-empty) lock directory is there
+    const owner = randomUUID();
+    const stagingPath = `${lockPath}.${owner}`;
+    await fs.promises.mkdir(stagingPath);
+    try {
+      await fs.promises.writeFile(path.join(stagingPath, 'owner'), owner);
+
+      for (;;) {
+        try {
+          const now = new Date();
+          await fs.promises.utimes(stagingPath, now, now); // age counts from acquisition
+          await fs.promises.rename(stagingPath, lockPath);
+          return { lockPath, owner };
+        } catch (error: any) {
+          if (error.code !== 'EEXIST' && error.code !== 'ENOTEMPTY') {
+            throw error;
+          }
+        }
+
+        // Owner before age: a lock replaced in between looks fresh, not stale
+        const holder = await readOwner(lockPath).catch(() => null);
+        const stats = await fs.promises.stat(lockPath).catch(() => null);
+        if (!stats) {
+          continue; // released in the meantime
+        }
+        if (holder !== null && Date.now() - stats.mtimeMs > staleLockMs) { // holder crashed mid-operation
+          await removeLock(lockPath, holder);
+          continue;
+        }
+
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for lease lock ${lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5 + Math.random() * 20));
+      }
+    } finally {
+      await fs.promises.rm(stagingPath, { recursive: true, force: true });
+    }
+  }
+
+  async function read(name: string): Promise<LeaseFileState> {
+    let raw: string;
+    try {
+      raw = await fs.promises.readFile(filePath(name), 'utf8');
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return { fence: 0, leases: {} };
+    }
+
+    try {
+      const state = JSON.parse(raw);
+      return { fence: Number(state.fence) || 0, leases: state.leases || {} };
+    } catch (error) {
+      qerrors(error instanceof Error ? error : new Error(String(error)), 'createFileLeaseStore', { message: 'Corrupt lease file; starting empty', filePath: filePath(name) });
+      return { fence: 0, leases: {} };
+    }
+  }
+
+  async function write(name: string, state: LeaseFileState): Promise<void> {
+    const tempPath = `${filePath(name)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(state));
+    await fs.promises.rename(tempPath, filePath(name)); // readers never see a half-written file
+  }
+
+  /**
+   * Run `update` on the semaphore's live leases under its file lock,
+   * writing the state back when `update` reports a change
+   */
+  async function withState<T>(name: string, update: (state: LeaseFileState) => { result: T; changed: boolean }): Promise<T> {
+    const { lockPath, owner } = await lock(name);
+    try {
+      const state = await read(name);
+      const now = Date.now();
+      let pruned = false;
+      for (const [leaseId, lease] of Object.entries(state.leases)) {
+        if (lease.expiresAt <= now || (lease.host === host && !isProcessAlive(lease.pid))) {
+          delete state.leases[leaseId];
+          pruned = true;
+        }
+      }
+
+      const { result, changed } = update(state);
+      if (changed || pruned) {
+        await write(name, state);
+      }
+      return result;
+    } finally {
+      await removeLock(lockPath, owner).catch(() => {});
+    }
+  }
+
+  return {
+    acquire(name: string, leaseId: string, permits: number, ttlMs: number) {
+      return withState<number | null>(name, (state) => {
+        if (Object.keys(state.leases).length >= permits) {
+          return { result: null, changed: false };
+        }
+        state.leases[leaseId] = { expiresAt: Date.now() + ttlMs, pid: process.pid, host };
+        state.fence += 1;
+        return { result: state.fence, changed: true };
+      });
+    },
+
+    renew(name: string, leaseId: string, ttlMs: number) {
+      return withState(name, (state) => {
+        const lease = state.leases[leaseId];
+        if (!lease) {
+          return { result: false, changed: false };
+        }
+        lease.expiresAt = Date.now() + ttlMs;
+        return { result: true, changed: true };
+      });
+    },
+
+    release(name: string, leaseId: string) {
+      return withState(name, (state) => {
+        const held = leaseId in state.leases;
+        delete state.leases[leaseId];
+        return { result: undefined, changed: held };
+      });
+    },
+
+    count(name: string) {
+      return withState(name, state => ({ result: Object.keys(state.leases).length, changed: false }));
+    }
+  };
+}
+
+export default createFileLeaseStore;
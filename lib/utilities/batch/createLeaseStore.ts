@@ -0,0 +1,87 @@
+/**
+ * Lease store contract
+ *
+ * createDistributedSemaphore keeps its permits in a store with this shape,
+ * so processes on one or many hosts can share a semaphore:
+ * - createLeaseStore: in-process memory (default; single process only)
+ * - createRedisLeaseStore: shared by every instance through Redis
+ * - createFileLeaseStore: lock files shared by processes on one host
+ *
+ * A lease holds one of a semaphore's permits until it is released or its TTL
+ * runs out without renewal, so permits of crashed holders come back on their
+ * own. Each grant carries a fencing token that only ever increases for a
+ * semaphore name; resources guarded by the semaphore can reject writes
+ * carrying a token lower than one they have already seen. Methods may answer
+ * synchronously or with a promise.
+ */
+export interface LeaseStore {
+  /** Take one of `permits` leases on `name`; resolves to the fencing token, or null when all are held */
+  acquire(name: string, leaseId: string, permits: number, ttlMs: number): number | null | Promise<number | null>;
+  /** Extend a live lease; false when it already expired or was released */
+  renew(name: string, leaseId: string, ttlMs: number): boolean | Promise<boolean>;
+  release(name: string, leaseId: string): void | Promise<void>;
+  /** Number of live leases on `name` */
+  count(name: string): number | Promise<number>;
+  destroy?(): void | Promise<void>;
+}
+
+/**
+ * In-Memory Lease Store
+ *
+ * Keeps leases in a Map. Only processes sharing this object see the same
+ * permits, which makes it the default for tests and single-process use.
+ *
+ * @returns {LeaseStore} Store with acquire, renew, release, count and destroy methods
+ */
+function createLeaseStore(): LeaseStore & { destroy(): void } {
+  const semaphores = new Map<string, { fence: number; leases: Map<string, number> }>(); // name -> fence counter, leaseId -> expiresAt
+
+  function live(name: string) {
+    let entry = semaphores.get(name);
+    if (!entry) {
+      entry = { fence: 0, leases: new Map() };
+      semaphores.set(name, entry);
+    }
+    const now = Date.now();
+    for (const [leaseId, expiresAt] of entry.leases) {
+      if (expiresAt <= now) { // holder stopped renewing
+        entry.leases.delete(leaseId);
+      }
+    }
+    return entry;
+  }
+
+  return {
+    acquire(name: string, leaseId: string, permits: number, ttlMs: number) {
+      const entry = live(name);
+      if (entry.leases.size >= permits) {
+        return null;
+      }
+      entry.leases.set(leaseId, Date.now() + ttlMs);
+      return ++entry.fence;
+    },
+
+    renew(name: string, leaseId: string, ttlMs: number) {
+      const entry = live(name);
+      if (!entry.leases.has(leaseId)) {
+        return false;
+      }
+      entry.leases.set(leaseId, Date.now() + ttlMs);
+      return true;
+    },
+
+    release(name: string, leaseId: string) {
+      semaphores.get(name)?.leases.delete(leaseId);
+    },
+
+    count(name: string) {
+      return live(name).leases.size;
+    },
+
+    destroy() {
+      semaphores.clear();
+    }
+  };
+}
+
+export default createLeaseStore;
@@ -0,0 +1,106 @@
+const { default: createRedisLeaseStore } = require('./createRedisLeaseStore');
+const { createLuaRedis } = require('../../../tests/helpers/createLuaRedis');
+
+describe('createRedisLeaseStore', () => {
+  const createClient = (reply) => ({
+    evalsha: jest.fn().mockResolvedValue(reply),
+    eval: jest.fn(),
+    zrem: jest.fn().mockResolvedValue(1)
+  });
+
+  it('acquires through one script call and returns the fencing token', async () => {
+    const client = createClient(5);
+    const store = createRedisLeaseStore({ client, prefix: 'test:' });
+
+    expect(await store.acquire('jobs', 'lease-1', 3, 30000)).toBe(5);
+    expect(client.evalsha.mock.calls[0].slice(1)).toEqual([2, 'test:{jobs}:leases', 'test:{jobs}:fence', '3', '30000', 'lease-1']);
+  });
+
+  it('reports a full semaphore as null', async () => {
+    const store = createRedisLeaseStore({ client: createClient(-1) });
+
+    expect(await store.acquire('jobs', 'lease-1', 3, 30000)).toBeNull();
+  });
+
+  it('renews, counts and releases leases', async () => {
+    const client = createClient(1);
+    const store = createRedisLeaseStore({ client });
+
+    expect(await store.renew('jobs', 'lease-1', 30000)).toBe(true);
+    expect(await store.count('jobs')).toBe(1);
+    await store.release('jobs', 'lease-1');
+
+    expect(client.zrem).toHaveBeenCalledWith('semaphore:{jobs}:leases', 'lease-1');
+  });
+
+  describe('running its scripts', () => {
+    let redis;
+    let store;
+
+    beforeEach(() => {
+      redis = createLuaRedis();
+      store = createRedisLeaseStore({ client: redis });
+    });
+
+    it('grants up to the permit count with increasing fencing tokens', async () => {
+      expect(await store.acquire('jobs', 'lease-1', 2, 30000)).toBe(1);
+      expect(await store.acquire('jobs', 'lease-2', 2, 30000)).toBe(2);
+      expect(await store.acquire('jobs', 'lease-3', 2, 30000)).toBeNull();
+
+      expect(await store.count('jobs')).toBe(2);
+      expect(await redis.zscore('semaphore:{jobs}:leases', 'lease-2')).toBe(String(redis.now() + 30000));
+      expect(await redis.pttl('semaphore:{jobs}:leases')).toBe(30000);
+      expect(await redis.pttl('semaphore:{jobs}:fence')).toBe(-1);
+    });
+
+    it('frees expired leases without reusing fencing tokens', async () => {
+      await store.acquire('jobs', 'lease-1', 1, 1000);
+      redis.advance(999);
+      expect(await store.acquire('jobs', 'lease-2', 1, 1000)).toBeNull();
+
+      redis.advance(1);
+      expect(await store.count('jobs')).toBe(0);
+      expect(await store.acquire('jobs', 'lease-2', 1, 1000)).toBe(2);
+    });
+
+    it('extends live leases and the key expiry on renew', async () => {
+      await store.acquire('jobs', 'lease-1', 1, 1000);
+      redis.advance(600);
+
+      expect(await store.renew('jobs', 'lease-1', 1000)).toBe(true);
+      expect(await redis.pttl('semaphore:{jobs}:leases')).toBe(1000);
+      redis.advance(600);
+      expect(await store.count('jobs')).toBe(1);
+    });
+
+    it('refuses to renew unknown or expired leases', async () => {
+      expect(await store.renew('jobs', 'lease-1', 1000)).toBe(false);
+
+      await store.acquire('jobs', 'lease-1', 2, 1000);
+      await store.acquire('jobs', 'lease-2', 2, 5000);
+      redis.advance(1000);
+
+      expect(await store.renew('jobs', 'lease-1', 1000)).toBe(false);
+      expect(await store.renew('jobs', 'lease-2', 1000)).toBe(true);
+    });
+
+    it('keeps the longer key expiry when a shorter lease is added', async () => {
+      await store.acquire('jobs', 'lease-1', 2, 5000);
+      await store.acquire('jobs', 'lease-2', 2, 1000);
+
+      expect(await redis.pttl('semaphore:{jobs}:leases')).toBe(5000);
+    });
+
+    it('frees the permit on release', async () => {
+      await store.acquire('jobs', 'lease-1', 1, 30000);
+      await store.release('jobs', 'lease-1');
+
+      expect(await store.count('jobs')).toBe(0);
+      expect(await store.acquire('jobs', 'lease-2', 1, 30000)).toBe(2);
+    });
+  });
+
+  it('requires a Redis client', () => {
+    expect(() => createRedisLeaseStore({ client: {} })).toThrow('ioredis or node-redis');
+  });
+});
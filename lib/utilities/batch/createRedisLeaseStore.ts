@@ -0,0 +1,95 @@
+import evalRedisScript, { isRedisScriptClient } from '../rateLimiting/evalRedisScript.js';
+import type { LeaseStore } from './createLeaseStore.js';
+
+// Leases live in a sorted set scored by expiry (Redis clock); the fencing
+// counter has no expiry so tokens never go backwards.
+// KEYS[1] = leases, KEYS[2] = fence; ARGV[1] = permits, ARGV[2] = ttl ms, ARGV[3] = lease id
+const ACQUIRE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local ttl = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[1]) then
+  return -1
+end
+redis.call('ZADD', KEYS[1], now + ttl, ARGV[3])
+if redis.call('PTTL', KEYS[1]) < ttl then
+  redis.call('PEXPIRE', KEYS[1], ttl)
+end
+return redis.call('INCR', KEYS[2])
+`;
+
+// KEYS[1] = leases; ARGV[1] = ttl ms, ARGV[2] = lease id; returns 1 when renewed
+const RENEW_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local ttl = tonumber(ARGV[1])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+if not redis.call('ZSCORE', KEYS[1], ARGV[2]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], now + ttl, ARGV[2])
+if redis.call('PTTL', KEYS[1]) < ttl then
+  redis.call('PEXPIRE', KEYS[1], ttl)
+end
+return 1
+`;
+
+// KEYS[1] = leases; returns the number of live leases
+const COUNT_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+return redis.call('ZCARD', KEYS[1])
+`;
+
+/**
+ * Redis Lease Store
+ *
+ * Lease store keeping semaphore permits in Redis, so processes on every
+ * host share them. Each operation is one Lua script timed by the Redis
+ * clock, so concurrent acquirers cannot race and host clock skew does not
+ * shorten or stretch leases. A semaphore's keys share a hash tag, keeping
+ * them on one Redis Cluster slot. Works with ioredis and node-redis v4
+ * clients and any server speaking the Redis protocol with Lua support.
+ *
+ * @param {object} options - Store options
+ * @param {object} options.client - Connected ioredis or node-redis v4 client
+ * @param {string} [options.prefix='semaphore:'] - Prefix for Redis keys
+ * @returns {LeaseStore} Store with acquire, renew, release and count methods
+ * @example
+ * const store = createRedisLeaseStore({ client: new Redis(process.env.REDIS_URL) });
+ * const semaphore = createDistributedSemaphore({ name: 'exports', permits: 3, store });
+ */
+function createRedisLeaseStore(options: { client: any; prefix?: string }): LeaseStore {
+  const { client, prefix = 'semaphore:' } = options || ({} as any);
+
+  if (!isRedisScriptClient(client)) {
+    throw new Error('createRedisLeaseStore requires an ioredis or node-redis client');
+  }
+
+  const leasesKey = (name: string) => `${prefix}{${name}}:leases`;
+  const fenceKey = (name: string) => `${prefix}{${name}}:fence`;
+
+  return {
+    async acquire(name: string, leaseId: string, permits: number, ttlMs: number): Promise<number | null> {
+      const reply = Number(await evalRedisScript(client, ACQUIRE_SCRIPT, [leasesKey(name), fenceKey(name)], [String(permits), String(ttlMs), leaseId]));
+      return reply > 0 ? reply : null;
+    },
+
+    async renew(name: string, leaseId: string, ttlMs: number): Promise<boolean> {
+      return Number(await evalRedisScript(client, RENEW_SCRIPT, [leasesKey(name)], [String(ttlMs), leaseId])) === 1;
+    },
+
+    async release(name: string, leaseId: string): Promise<void> {
+      // ioredis names the command zrem, node-redis v4 zRem
+      await (typeof client.zrem === 'function' ? client.zrem(leasesKey(name), leaseId) : client.zRem(leasesKey(name), leaseId));
+    },
+
+    async count(name: string): Promise<number> {
+      return Number(await evalRedisScript(client, COUNT_SCRIPT, [leasesKey(name)], []));
+    }
+  };
+}
+
+export default createRedisLeaseStore;
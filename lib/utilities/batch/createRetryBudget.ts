@@ -0,0 +1,86 @@
+/**
+ * RETRY BUDGET
+ *
+ * PURPOSE: Cap how many retries many callers may make together. When a
+ * dependency struggles, every client retrying every failure multiplies its
+ * load; a shared budget lets a few retries through to ride out blips and
+ * turns the rest into fast failures.
+ *
+ * The budget is a token bucket: it holds up to `maxRetries` tokens, refills
+ * them evenly over `windowMs`, and each retry takes one. Share one budget
+ * object between every retryWithBackoff call that targets the same
+ * dependency. To share a budget across processes, implement RetryBudget on
+ * top of a shared store (tryAcquire may return a promise).
+ */
+
+interface RetryBudget {
+  /** Take one retry token; false when the budget is spent */
+  tryAcquire(): boolean | Promise<boolean>;
+}
+
+interface RetryBudgetOptions {
+  /** Retries allowed per window, and the most that can be saved up (default: 100) */
+  maxRetries?: number;
+  /** Window over which maxRetries tokens refill in milliseconds (default: 60000) */
+  windowMs?: number;
+}
+
+/**
+ * Creates an in-process retry budget.
+ *
+ * @param options - Retries per window and window length
+ * @returns Budget with tryAcquire, getAvailable and reset methods
+ *
+ * @example
+ * const paymentsBudget = createRetryBudget({ maxRetries: 20, windowMs: 10000 });
+ * await retryWithBackoff(() => chargeCard(order), { budget: paymentsBudget });
+ */
+function createRetryBudget(options: RetryBudgetOptions = {}) {
+  const { maxRetries = 100, windowMs = 60000 } = options;
+
+  // INPUT VALIDATION: A budget needs capacity and a refill window
+  if (!(maxRetries > 0) || !(windowMs > 0)) {
+    throw new Error('Retry budget requires positive maxRetries and windowMs');
+  }
+
+  // BUCKET STATE: Fractional tokens refilled lazily on each call
+  const refillPerMs = maxRetries / windowMs;
+  let tokens = maxRetries;
+  let refilledAt = Date.now();
+
+  function refill(): void {
+    const now = Date.now();
+    tokens = Math.min(maxRetries, tokens + (now - refilledAt) * refillPerMs);
+    refilledAt = now;
+  }
+
+  return {
+    tryAcquire(): boolean {
+      refill();
+      if (tokens < 1) {
+        return false;
+      }
+      tokens -= 1;
+      return true;
+    },
+
+    /**
+     * Whole retries currently available
+     */
+    getAvailable(): number {
+      refill();
+      return Math.floor(tokens);
+    },
+
+    /**
+     * Refill the budget completely
+     */
+    reset(): void {
+      tokens = maxRetries;
+      refilledAt = Date.now();
+    }
+  };
+}
+
+export type { RetryBudget, RetryBudgetOptions };
+export default createRetryBudget;
@@ -0,0 +1,153 @@
+const { default: createSemaphore, SemaphoreTimeoutError } = require('./createSemaphore');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createSemaphore', () => {
+  it('grants permits immediately while available and queues the rest', async () => {
+    const semaphore = createSemaphore(2);
+    const first = await semaphore.acquire();
+    await semaphore.acquire();
+    expect(semaphore.getAvailablePermits()).toBe(0);
+
+    let granted = false;
+    const waiting = semaphore.acquire().then(release => {
+      granted = true;
+      return release;
+    });
+    await flush();
+    expect(granted).toBe(false);
+    expect(semaphore.getQueueLength()).toBe(1);
+
+    first();
+    (await waiting)();
+    expect(semaphore.getAvailablePermits()).toBe(1);
+  });
+
+  it('serves higher priorities first and FIFO within a priority', async () => {
+    const semaphore = createSemaphore(1);
+    const release = await semaphore.acquire();
+    const order = [];
+    const queued = [
+      semaphore.acquire({ priority: 0 }).then(r => { order.push('low-1'); r(); }),
+      semaphore.acquire({ priority: 5 }).then(r => { order.push('high'); r(); }),
+      semaphore.acquire({ priority: 0 }).then(r => { order.push('low-2'); r(); })
+    ];
+
+    release();
+    await Promise.all(queued);
+    expect(order).toEqual(['high', 'low-1', 'low-2']);
+  });
+
+  it('holds weighted permits until the acquisition releases', async () => {
+    const semaphore = createSemaphore(3);
+    const heavy = await semaphore.acquire({ weight: 2 });
+    expect(semaphore.getAvailablePermits()).toBe(1);
+
+    heavy();
+    heavy(); // repeated release is ignored
+    expect(semaphore.getAvailablePermits()).toBe(3);
+  });
+
+  it('does not let light waiters overtake a heavy waiter at the head', async () => {
+    const semaphore = createSemaphore(2);
+    const first = await semaphore.acquire();
+    const order = [];
+    const heavy = semaphore.acquire({ weight: 2 }).then(r => { order.push('heavy'); r(); });
+    const light = semaphore.acquire().then(r => { order.push('light'); r(); });
+    await flush();
+    expect(order).toEqual([]);
+
+    first();
+    await Promise.all([heavy, light]);
+    expect(order).toEqual(['heavy', 'light']);
+  });
+
+  it('rejects weights outside 1..permits', async () => {
+    const semaphore = createSemaphore(2);
+    await expect(semaphore.acquire({ weight: 3 })).rejects.toThrow(RangeError);
+    await expect(semaphore.acquire({ weight: 0 })).rejects.toThrow(RangeError);
+  });
+
+  it('rejects waiters with SemaphoreTimeoutError after timeoutMs', async () => {
+    const semaphore = createSemaphore(1);
+    const release = await semaphore.acquire();
+
+    const error = await semaphore.acquire({ timeoutMs: 20 }).catch(err => err);
+    expect(error).toBeInstanceOf(SemaphoreTimeoutError);
+    expect(error.code).toBe('SEMAPHORE_TIMEOUT');
+    expect(error.timeoutMs).toBe(20);
+    expect(semaphore.getQueueLength()).toBe(0);
+
+    release();
+    expect(semaphore.getAvailablePermits()).toBe(1);
+  });
+
+  it('unblocks waiters behind a heavy waiter that times out', async () => {
+    const semaphore = createSemaphore(2);
+    const held = await semaphore.acquire();
+    const heavy = semaphore.acquire({ weight: 2, timeoutMs: 20 }).catch(err => err);
+    const light = semaphore.acquire();
+
+    expect(await heavy).toBeInstanceOf(SemaphoreTimeoutError);
+    (await light)();
+    held();
+    expect(semaphore.getAvailablePermits()).toBe(2);
+  });
+
+  it('removes aborted waiters from the queue', async () => {
+    const semaphore = createSemaphore(1);
+    const release = await semaphore.acquire();
+    const controller = new AbortController();
+    const waiting = semaphore.acquire({ signal: controller.signal });
+
+    controller.abort();
+    await expect(waiting).rejects.toThrow('Semaphore acquire operation aborted');
+    expect(semaphore.getQueueLength()).toBe(0);
+    release();
+  });
+
+  it('round-robins between tenants in fair-share mode', async () => {
+    const semaphore = createSemaphore(1, { fairShare: true });
+    const release = await semaphore.acquire({ tenant: 'noisy' });
+    const order = [];
+    const queued = [];
+    for (let i = 0; i < 3; i++) {
+      queued.push(semaphore.acquire({ tenant: 'noisy' }).then(r => { order.push('noisy'); r(); }));
+    }
+    queued.push(semaphore.acquire({ tenant: 'quiet' }).then(r => { order.push('quiet'); r(); }));
+    queued.push(semaphore.acquire({ tenant: 'other' }).then(r => { order.push('other'); r(); }));
+    expect(semaphore.getStatus().queuedByTenant).toEqual({ noisy: 3, quiet: 1, other: 1 });
+
+    release();
+    await Promise.all(queued);
+    expect(order).toEqual(['noisy', 'quiet', 'other', 'noisy', 'noisy']);
+  });
+
+  it('serves tenants arriving later in their own turn', async () => {
+    const semaphore = createSemaphore(1, { fairShare: true });
+    const release = await semaphore.acquire({ tenant: 'a' });
+    const order = [];
+    const queued = [];
+    for (let i = 0; i < 3; i++) {
+      queued.push(semaphore.acquire({ tenant: 'a' }).then(r => { order.push('a'); r(); }));
+    }
+    release();
+    queued.push(semaphore.acquire({ tenant: 'b' }).then(r => { order.push('b'); r(); }));
+    await Promise.all(queued);
+    expect(order).toEqual(['a', 'b', 'a', 'a']);
+  });
+
+  it('still honours priority across tenants in fair-share mode', async () => {
+    const semaphore = createSemaphore(1, { fairShare: true });
+    const release = await semaphore.acquire();
+    const order = [];
+    const queued = [
+      semaphore.acquire({ tenant: 'a' }).then(r => { order.push('a'); r(); }),
+      semaphore.acquire({ tenant: 'b', priority: 1 }).then(r => { order.push('b'); r(); })
+    ];
+
+    release();
+    await Promise.all(queued);
+    expect(order).toEqual(['b', 'a']);
+  });
+});
@@ -26,11 +26,20 @@
  *
  * IMPLEMENTATION FEATURES:
  * - Promise-based API for async/await compatibility
- * - FIFO (First In, First Out) queue for fair waiting
+ * - Priority queue: higher `priority` waiters are served first, FIFO within
+ *   a priority
+ * - Weighted acquisitions holding several permits at once
+ * - Per-waiter timeouts rejecting with SemaphoreTimeoutError
+ * - Fair-share mode rotating between tenants of equal priority, so one busy
+ *   tenant cannot starve the others
  * - Cancellation support via AbortSignal
  * - Status monitoring methods
  * - Timeout protection with exponential backoff
  * - Error handling and recovery
+ *
+ * QUEUE ORDER: The waiter at the head of the queue is served as soon as
+ * enough permits are free; waiters behind it are not let past a heavy head,
+ * so large acquisitions cannot be starved by a stream of small ones.
  */
 
 /**
@@ -41,6 +50,22 @@ interface SemaphoreOptions {
   signal?: AbortSignal;
 }
 
+interface AcquireOptions extends SemaphoreOptions {
+  /** Higher values are served first (default 0) */
+  priority?: number;
+  /** Permits to hold (default 1) */
+  weight?: number;
+  /** Reject with SemaphoreTimeoutError after waiting this long */
+  timeoutMs?: number;
+  /** Tenant the acquisition is scheduled for in fair-share mode */
+  tenant?: string;
+}
+
+interface SemaphoreConfig {
+  /** Round-robin between tenants instead of serving one queue in arrival order */
+  fairShare?: boolean;
+}
+
 interface SemaphoreStatus {
   /** Current number of available permits */
   availablePermits: number;
@@ -48,6 +73,32 @@ interface SemaphoreStatus {
   queueLength: number;
   /** Total permits configured for semaphore */
   totalPermits: number;
+  /** Waiting operations per tenant (fair-share mode) */
+  queuedByTenant: Record<string, number>;
+}
+
+/**
+ * Rejection for acquisitions that waited longer than their `timeoutMs`
+ */
+class SemaphoreTimeoutError extends Error {
+  code: string;
+  timeoutMs: number;
+
+  constructor(timeoutMs: number) {
+    super(`Semaphore acquire timed out after ${timeoutMs}ms`);
+    this.name = 'SemaphoreTimeoutError';
+    this.code = 'SEMAPHORE_TIMEOUT';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+interface Waiter {
+  weight: number;
+  priority: number;
+  tenant: string;
+  sequence: number;
+  grant: (release: ReleaseFunction) => void;
+  cancel: () => void;
 }
 
 /**
@@ -59,11 +110,14 @@ type ReleaseFunction = () => void;
  * Creates a semaphore with configurable concurrency limits.
  *
  * This function returns a semaphore object that can limit concurrent operations
- * to prevent resource exhaustion. It uses a Promise-based API with FIFO queue
- * ordering and supports cancellation via AbortSignal.
+ * to prevent resource exhaustion. It uses a Promise-based API with a
+ * priority queue (FIFO within a priority) and supports weighted
+ * acquisitions, timeouts and cancellation via AbortSignal.
  *
  * @param permits - Maximum number of concurrent operations allowed.
  *                  Must be a positive integer greater than 0.
+ * @param config - `fairShare: true` serves tenants of equal priority in
+ *                 rotation rather than in arrival order.
  *
  * @returns Semaphore - Object with methods for acquiring, releasing permits
  *                      and monitoring semaphore status.
@@ -97,6 +151,13 @@ type ReleaseFunction = () => void;
  *   }
  * }
  *
+ * // Urgent work first, heavy work holding two permits, bounded waiting
+ * const release = await semaphore.acquire({ priority: 10, weight: 2, timeoutMs: 5000 });
+ *
+ * // Fair sharing between tenants
+ * const shared = createSemaphore(4, { fairShare: true });
+ * const tenantRelease = await shared.acquire({ tenant: req.tenantId });
+ *
  * // Wait for all operations to complete
  * await semaphore.waitForAll();
  * console.log('All operations finished');
@@ -107,111 +168,198 @@ type ReleaseFunction = () => void;
  * ```
  *
  * @warning Always call release() in a finally block to prevent deadlocks
- * @note The semaphore uses FIFO ordering for fair resource allocation
+ * @note Waiters of equal priority are served in FIFO order (per tenant in fair-share mode)
  * @see Producer-consumer pattern for usage scenarios
  */
-function createSemaphore(permits: number) {
+function createSemaphore(permits: number, config: SemaphoreConfig = {}) {
   // INPUT VALIDATION: Ensure permits is a positive integer
   // This prevents invalid configurations that could cause undefined behavior
   if (!Number.isInteger(permits) || permits < 1) {
     throw new Error('Semaphore permits must be a positive integer');
   }
 
-  // SEMAPHORE STATE: Initialize available permits and waiting queue
+  // SEMAPHORE STATE: Initialize available permits and waiting queues
+  // Each tenant has its own queue ordered by priority, then arrival; without
+  // fair sharing every waiter goes into the same queue
   let availablePermits = permits;                 // Current available permits
-  const waitQueue: Array<(release: ReleaseFunction) => void> = []; // FIFO waiting queue
-  const abortedSet: Set<Function> = new Set(); // Track aborted requests to prevent race conditions
+  const queues = new Map<string, Waiter[]>();     // tenant -> waiting queue
+  let rotation: string[] = [];                    // tenants in round-robin order
+  let lastServed: string | null = null;           // tenant granted most recently
+  let waiting = 0;
+  let sequence = 0;
+
+  /**
+   * Picks the waiter to serve next: the highest priority head of any tenant
+   * queue, taking tenants in rotation when several heads share that priority
+   */
+  function nextWaiter(): Waiter | undefined {
+    let best: Waiter | undefined;
+    for (const tenant of rotation) {
+      const head = queues.get(tenant)![0];
+      if (!best || head.priority > best.priority) {
+        best = head;
+      }
+    }
+    return best;
+  }
+
+  function removeWaiter(waiter: Waiter): boolean {
+    const queue = queues.get(waiter.tenant);
+    const index = queue ? queue.indexOf(waiter) : -1;
+    if (index === -1) {
+      return false; // already granted or cancelled
+    }
+
+    queue!.splice(index, 1);
+    waiting--;
+    if (queue!.length === 0) {
+      queues.delete(waiter.tenant);
+      rotation = rotation.filter(tenant => tenant !== waiter.tenant);
+    }
+    return true;
+  }
+
+  /**
+   * Hands out free permits to waiters in queue order
+   */
+  function dispatch(): void {
+    while (waiting > 0) {
+      const waiter = nextWaiter()!;
+      if (waiter.weight > availablePermits) {
+        return; // head waits for enough permits; nobody overtakes it
+      }
+
+      removeWaiter(waiter);
+      lastServed = waiter.tenant;
+      if (config.fairShare && queues.has(waiter.tenant)) {
+        // Served tenant goes to the back of the rotation
+        rotation = [...rotation.filter(tenant => tenant !== waiter.tenant), waiter.tenant];
+      }
+      availablePermits -= waiter.weight;
+      waiter.grant(createRelease(waiter.weight));
+    }
+  }
+
+  /**
+   * Release function for one grant; repeated calls are ignored
+   */
+  function createRelease(weight: number): ReleaseFunction {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      availablePermits = Math.min(permits, availablePermits + weight);
+      dispatch();
+    };
+  }
 
   /**
-   * Acquires a permit, blocking if none are available.
+   * Acquires permits, blocking if not enough are available.
    *
-   * Returns a Promise that resolves to a release function when a permit
-   * becomes available. If permits are immediately available, resolves instantly.
-   * Otherwise, adds the request to the FIFO queue.
+   * Returns a Promise that resolves to a release function when the permits
+   * are granted. If they are free and nobody is waiting, resolves instantly.
+   * Otherwise, adds the request to the queue by priority (and tenant in
+   * fair-share mode).
    *
-   * @param signal - Optional AbortSignal for cancellation support
-   * @returns Promise<ReleaseFunction> - Function to call when done with permit
+   * @param options - signal, priority, weight, timeoutMs and tenant
+   * @returns Promise<ReleaseFunction> - Function to call when done with the permits
    *
    * @throws {Error} - If operation is aborted via AbortSignal
+   * @throws {SemaphoreTimeoutError} - If the permits are not granted within timeoutMs
+   * @throws {RangeError} - If weight is not an integer between 1 and the permit count
    */
-  function acquire(options?: SemaphoreOptions): Promise<ReleaseFunction> {
+  function acquire(options: AcquireOptions = {}): Promise<ReleaseFunction> {
+    const { signal, priority = 0, weight = 1, timeoutMs, tenant = 'default' } = options;
+
     return new Promise((resolve, reject) => {
+      if (!Number.isInteger(weight) || weight < 1 || weight > permits) {
+        reject(new RangeError(`Semaphore acquire weight must be an integer between 1 and ${permits}`));
+        return;
+      }
+
       // CANCELLATION CHECK: Support operation cancellation via AbortSignal
-      if (options?.signal?.aborted) {
+      if (signal?.aborted) {
         reject(new Error('Semaphore acquire operation aborted'));
         return;
       }
 
-      // IMMEDIATE AVAILABILITY: If permits are available, grant one immediately
-      if (availablePermits > 0) {
-        availablePermits--; // Decrease available permits
-        resolve(release);  // Return release function
-      } else {
-        // QUEUE WAITING: Add request to FIFO queue when no permits available
-        waitQueue.push(resolve);
-
-        // CANCELLATION HANDLER: Remove from queue if aborted while waiting
-        if (options?.signal) {
-          const handleAbort = () => {
-            // Check if already resolved first
-            const index = waitQueue.indexOf(resolve);
-            if (index === -1) {
-              // Already resolved/removed, no action needed
-              return;
-            }
-
-            // Mark as aborted and remove atomically
-            abortedSet.add(resolve);
-            waitQueue.splice(index, 1);
-            reject(new Error('Semaphore acquire operation aborted'));
-          };
-
-          options.signal.addEventListener('abort', handleAbort, { once: true });
+      // IMMEDIATE AVAILABILITY: Grant right away when free and nobody is ahead
+      if (waiting === 0 && availablePermits >= weight) {
+        availablePermits -= weight;
+        resolve(createRelease(weight));
+        return;
+      }
+
+      // QUEUE WAITING: Insert after waiters of the same or higher priority
+      let timer: ReturnType<typeof setTimeout> | null = null;
+      const handleAbort = () => {
+        if (removeWaiter(waiter)) {
+          waiter.cancel();
+          reject(new Error('Semaphore acquire operation aborted'));
+          dispatch(); // a heavy waiter leaving may unblock lighter ones
+        }
+      };
+
+      const waiter: Waiter = {
+        weight,
+        priority,
+        tenant: config.fairShare ? String(tenant) : '',
+        sequence: sequence++,
+        grant: (release) => {
+          waiter.cancel();
+          resolve(release);
+        },
+        cancel: () => {
+          if (timer) {
+            clearTimeout(timer);
+          }
+          signal?.removeEventListener('abort', handleAbort);
         }
+      };
+
+      let queue = queues.get(waiter.tenant);
+      if (!queue) {
+        queue = [];
+        queues.set(waiter.tenant, queue);
+        // A new tenant waits behind the others, but ahead of the one just served
+        const insertAt = rotation[rotation.length - 1] === lastServed ? rotation.length - 1 : rotation.length;
+        rotation.splice(insertAt, 0, waiter.tenant);
       }
+      const index = queue.findIndex(queued => queued.priority < priority);
+      queue.splice(index === -1 ? queue.length : index, 0, waiter);
+      waiting++;
+
+      // TIMEOUT: Give up after timeoutMs with a typed error
+      if (timeoutMs !== undefined) {
+        timer = setTimeout(() => {
+          if (removeWaiter(waiter)) {
+            waiter.cancel();
+            reject(new SemaphoreTimeoutError(timeoutMs));
+            dispatch();
+          }
+        }, timeoutMs);
+      }
+
+      // CANCELLATION HANDLER: Remove from queue if aborted while waiting
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      dispatch(); // a higher-priority newcomer may fit where the old head did not
     });
   }
 
   /**
-   * Releases a previously acquired permit.
+   * Releases a single permit.
    *
-   * Makes the permit available to waiting operations. If operations are
-   * queued, the next one in line receives the permit. Otherwise, increases
-   * the available permit count.
-   *
-   * This function is safe to call multiple times and handles edge cases
-   * where more releases than acquisitions might occur.
+   * Prefer the release function returned by acquire(), which returns exactly
+   * the permits that acquisition took. This function is kept for callers
+   * that release through the semaphore; it never raises the available count
+   * above the configured maximum.
    */
   function release(): void {
-    // QUEUE PRIORITY: Grant permit to next waiting operation if any
-    if (waitQueue.length > 0) {
-      const nextResolve = waitQueue.shift(); // FIFO - get first in queue
-      if (nextResolve) {
-        // Check if this resolve was aborted
-        if (abortedSet.has(nextResolve)) {
-          abortedSet.delete(nextResolve);
-          // This was aborted, so don't grant the permit
-          // The permit is already accounted for, no need to adjust availablePermits
-          return;
-        }
-
-        try {
-          nextResolve(release); // Grant permit to waiting operation
-        } catch (error) {
-          // Handle case where resolve was already called (race condition)
-          // Put the permit back if we couldn't grant it
-          if (availablePermits < permits) {
-            availablePermits++;
-          }
-        }
-      }
-    } else {
-      // INCREMENT PERMITS: Increase available permits if no queue
-      // Safety check prevents exceeding configured maximum
-      if (availablePermits < permits) {
-        availablePermits++;
-      }
-    }
+    availablePermits = Math.min(permits, availablePermits + 1);
+    dispatch();
   }
 
   /**
@@ -228,7 +376,7 @@ function createSemaphore(permits: number) {
    */
   async function waitForAll(options?: SemaphoreOptions): Promise<void> {
     // IMMEDIATE COMPLETION: Return immediately if already idle
-    if (availablePermits === permits && waitQueue.length === 0) {
+    if (availablePermits === permits && waiting === 0) {
       return;
     }
 
@@ -250,7 +398,7 @@ function createSemaphore(permits: number) {
         }
 
         // IDLE CHECK: All permits available and no operations waiting
-        if (availablePermits === permits && waitQueue.length === 0) {
+        if (availablePermits === permits && waiting === 0) {
           resolve(); // Semaphore is idle
           return;
         }
@@ -261,7 +409,7 @@ function createSemaphore(permits: number) {
         if (iterations >= maxIterations) {
           reject(new Error(
             `Semaphore waitForAll timeout after ${maxIterations} iterations. ` +
-            `Permits: ${availablePermits}/${permits}, Queue: ${waitQueue.length}`
+            `Permits: ${availablePermits}/${permits}, Queue: ${waiting}`
           ));
           return;
         }
@@ -291,7 +439,20 @@ function createSemaphore(permits: number) {
    * @returns number - Number of operations waiting for permits
    */
   function getQueueLength(): number {
-    return waitQueue.length;
+    return waiting;
+  }
+
+  /**
+   * Gets a snapshot of permits and waiting operations.
+   *
+   * @returns SemaphoreStatus - Permit counts and queue lengths
+   */
+  function getStatus(): SemaphoreStatus {
+    const queuedByTenant: Record<string, number> = {};
+    for (const [tenant, queue] of queues) {
+      queuedByTenant[tenant || 'default'] = queue.length;
+    }
+    return { availablePermits, queueLength: waiting, totalPermits: permits, queuedByTenant };
   }
 
   // RETURN SEMAPHORE API: Public interface for concurrency control
@@ -300,8 +461,11 @@ function createSemaphore(permits: number) {
     release,
     waitForAll,
     getAvailablePermits,
-    getQueueLength
+    getQueueLength,
+    getStatus
   };
 }
 
+export { SemaphoreTimeoutError };
+export type { AcquireOptions, SemaphoreConfig, SemaphoreStatus };
 export default createSemaphore;
@@ -1,11 +1,59 @@
-import createSemaphore from './createSemaphore.js';
-import retryWithBackoff from './retryWithBackoff.js';
+import createSemaphore, { SemaphoreTimeoutError } from './createSemaphore.js';
+import createDistributedSemaphore from './createDistributedSemaphore.js';
+import createLeaseStore from './createLeaseStore.js';
+import createRedisLeaseStore from './createRedisLeaseStore.js';
+import createFileLeaseStore from './createFileLeaseStore.js';
+import retryWithBackoff, { getRetryAfterMs } from './retryWithBackoff.js';
+import createRetryBudget from './createRetryBudget.js';
 import processBatch from './processBatch.js';
+import createAdaptiveLimiter from './createAdaptiveLimiter.js';
+import createCheckpointStore from './createCheckpointStore.js';
+import createFileCheckpointStore from './createFileCheckpointStore.js';
+import createDeadLetterSink from './createDeadLetterSink.js';
+import createFileDeadLetterSink from './createFileDeadLetterSink.js';
+import replayDeadLetters from './replayDeadLetters.js';
 
-export { createSemaphore, retryWithBackoff, processBatch };
+export type { JitterStrategy, RetryOptions, RetryResult, RetryStopReason } from './retryWithBackoff.js';
+export type { RetryBudget, RetryBudgetOptions } from './createRetryBudget.js';
+export type { AdaptiveLimiterOptions } from './createAdaptiveLimiter.js';
+export type { LeaseStore } from './createLeaseStore.js';
+export type { BatchResult, ErrorClassification, ProcessBatchOptions, ProgressInfo } from './processBatch.js';
+export type { DeadLetter, DeadLetterSink } from './createDeadLetterSink.js';
+export type { BatchCheckpoint, BatchCheckpointStore, CheckpointEntry } from './createCheckpointStore.js';
+export {
+  createSemaphore,
+  SemaphoreTimeoutError,
+  createDistributedSemaphore,
+  createLeaseStore,
+  createRedisLeaseStore,
+  createFileLeaseStore,
+  retryWithBackoff,
+  getRetryAfterMs,
+  createRetryBudget,
+  processBatch,
+  createAdaptiveLimiter,
+  createCheckpointStore,
+  createFileCheckpointStore,
+  createDeadLetterSink,
+  createFileDeadLetterSink,
+  replayDeadLetters
+};
 
 export default {
   createSemaphore,
+  SemaphoreTimeoutError,
+  createDistributedSemaphore,
+  createLeaseStore,
+  createRedisLeaseStore,
+  createFileLeaseStore,
   retryWithBackoff,
-  processBatch
+  getRetryAfterMs,
+  createRetryBudget,
+  processBatch,
+  createAdaptiveLimiter,
+  createCheckpointStore,
+  createFileCheckpointStore,
+  createDeadLetterSink,
+  createFileDeadLetterSink,
+  replayDeadLetters
 };
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: processBatch } = require('./processBatch');
+const { default: createCheckpointStore } = require('./createCheckpointStore');
+const { default: createFileCheckpointStore } = require('./createFileCheckpointStore');
+const { default: createDeadLetterSink } = require('./createDeadLetterSink');
+
+const range = count => Array.from({ length: count }, (_, index) => index);
+
+describe('processBatch checkpointing', () => {
+  const items = Array.from({ length: 10 }, (_, index) => ({ id: `item-${index}`, value: index }));
+  const options = { batchSize: 3, retries: 0, retryDelay: 1 };
+
+  it('skips finished items on resume and merges both runs', async () => {
+    const checkpoint = createCheckpointStore();
+    await processBatch(items.slice(0, 4), async item => item.value * 2, { ...options, checkpoint });
+
+    const seen = [];
+    const result = await processBatch(items, async (item, index) => {
+      seen.push(index);
+      return item.value * 2;
+    }, { ...options, checkpoint, resumeFrom: true });
+
+    expect(seen).toEqual([4, 5, 6, 7, 8, 9]);
+    expect(result.successCount).toBe(10);
+    expect(result.successful.map(entry => entry.result)).toEqual(items.map(item => item.value * 2));
+    expect(result.successful[0].item).toBe(items[0]);
+  });
+
+  it('matches items by itemKey when the list changed between runs', async () => {
+    const checkpoint = createCheckpointStore();
+    const itemKey = item => item.id;
+    await processBatch(items.slice(5), async item => item.value, { ...options, checkpoint, itemKey });
+
+    const seen = [];
+    const result = await processBatch(items, async item => {
+      seen.push(item.id);
+      return item.value;
+    }, { ...options, checkpoint, itemKey, resumeFrom: true });
+
+    expect(seen).toEqual(['item-0', 'item-1', 'item-2', 'item-3', 'item-4']);
+    expect(result.successful.map(entry => entry.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('restores failures with their errors', async () => {
+    const checkpoint = createCheckpointStore();
+    await processBatch(items.slice(0, 3), async (item) => {
+      if (item.value === 1) {
+        throw new TypeError('bad item');
+      }
+      return item.value;
+    }, { ...options, checkpoint });
+
+    const result = await processBatch(items, async item => item.value, { ...options, checkpoint, resumeFrom: true });
+
+    expect(result.failureCount).toBe(1);
+    expect(result.failed[0]).toMatchObject({ index: 1, item: items[1] });
+    expect(result.failed[0].error.message).toBe('bad item');
+    expect(result.failed[0].error.name).toBe('TypeError');
+  });
+
+  it('starts a fresh checkpoint when not resuming', async () => {
+    const checkpoint = createCheckpointStore();
+    await processBatch(items, async item => item.value, { ...options, checkpoint });
+    await processBatch(items.slice(0, 2), async item => item.value, { ...options, checkpoint });
+
+    const saved = checkpoint.load();
+    expect(saved.entries.map(entry => entry.key)).toEqual(['0', '1']);
+    expect(saved.successCount).toBe(2);
+  });
+
+  it('accepts a loaded checkpoint as resumeFrom', async () => {
+    const seen = [];
+    const result = await processBatch(items.slice(0, 3), async (item, index) => {
+      seen.push(index);
+      return item.value;
+    }, {
+      ...options,
+      resumeFrom: {
+        successCount: 1,
+        failureCount: 0,
+        duration: 500,
+        entries: [{ key: '1', index: 1, success: true, retries: 0, result: 'from earlier run' }]
+      }
+    });
+
+    expect(seen).toEqual([0, 2]);
+    expect(result.successful[1].result).toBe('from earlier run');
+    expect(result.duration).toBeGreaterThanOrEqual(500);
+  });
+
+  it('requires a store to resume from', async () => {
+    await expect(processBatch(items, async item => item, { resumeFrom: true })).rejects.toThrow('requires a checkpoint store');
+  });
+});
+
+describe('processBatch adaptive concurrency', () => {
+  it('reports the fixed limit in progress updates', async () => {
+    const reported = [];
+    await processBatch(range(4), async item => item, { concurrency: 3, batchSize: 2, onProgress: progress => reported.push(progress.concurrency) });
+    expect(reported).toEqual([3, 3]);
+  });
+
+  it('raises the limit while the processor keeps up and reports it', async () => {
+    const reported = [];
+    let active = 0;
+    let peak = 0;
+    await processBatch(range(60), async (item) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return item;
+    }, { concurrency: 2, batchSize: 20, adaptiveConcurrency: true, onProgress: progress => reported.push(progress.concurrency) });
+
+    expect(reported[reported.length - 1]).toBeGreaterThan(2);
+    expect(peak).toBeGreaterThan(2);
+  });
+
+  it('backs off when the processor is throttled', async () => {
+    const reported = [];
+    const throttled = Object.assign(new Error('Too Many Requests'), { status: 429 });
+    await processBatch(range(8), async () => {
+      throw throttled;
+    }, { concurrency: 8, batchSize: 8, retries: 0, adaptiveConcurrency: true, onProgress: progress => reported.push(progress.concurrency) });
+
+    expect(reported[0]).toBe(1);
+  });
+});
+
+describe('processBatch error classification', () => {
+  const options = { batchSize: 10, retries: 2, retryDelay: 1 };
+
+  it('retries only retryable errors and skips without counting failures', async () => {
+    const calls = {};
+    const result = await processBatch(range(3), async (item) => {
+      calls[item] = (calls[item] || 0) + 1;
+      throw Object.assign(new Error(`item ${item}`), { kind: ['flaky', 'invalid', 'gone'][item] });
+    }, {
+      ...options,
+      classifyError: error => ({ flaky: 'retryable', invalid: 'fatal', gone: 'skip' })[error.kind]
+    });
+
+    expect(calls).toEqual({ 0: 3, 1: 1, 2: 1 });
+    expect(result.failed.map(entry => entry.index)).toEqual([0, 1]);
+    expect(result.skipped).toEqual([expect.objectContaining({ index: 2, item: 2 })]);
+    expect(result.skipCount).toBe(1);
+    expect(result.failureCount).toBe(2);
+  });
+
+  it('passes the attempt number to classifyError', async () => {
+    const attempts = [];
+    await processBatch([1], async () => {
+      throw new Error('busy');
+    }, {
+      ...options,
+      classifyError: (error, item, index, attempt) => {
+        attempts.push(attempt);
+        return attempt < 2 ? 'retryable' : 'fatal';
+      }
+    });
+
+    expect(attempts).toEqual([1, 2]);
+  });
+
+  it('dead-letters failed items with reason, attempts and timing', async () => {
+    const deadLetter = createDeadLetterSink();
+    await processBatch(range(3), async (item) => {
+      if (item === 1) {
+        return item;
+      }
+      throw Object.assign(new Error(`item ${item}`), { fatal: item === 2 });
+    }, { ...options, deadLetter, classifyError: error => (error.fatal ? 'fatal' : 'retryable') });
+
+    const letters = deadLetter.read().sort((a, b) => a.index - b.index);
+    expect(letters).toEqual([
+      expect.objectContaining({ item: 0, index: 0, reason: 'exhausted', attempts: 3 }),
+      expect.objectContaining({ item: 2, index: 2, reason: 'fatal', attempts: 1 })
+    ]);
+    const exhausted = letters[0];
+    expect(exhausted.error.message).toBe('item 0');
+    expect(exhausted.failedAt - exhausted.firstAttemptAt).toBe(exhausted.durationMs);
+  });
+
+  it('accepts a callback as dead-letter sink and survives its failures', async () => {
+    const received = [];
+    const result = await processBatch([1, 2], async () => {
+      throw new Error('down');
+    }, {
+      ...options,
+      retries: 0,
+      deadLetter: (letter) => {
+        received.push(letter.item);
+        if (letter.item === 2) {
+          throw new Error('sink unavailable');
+        }
+      }
+    });
+
+    expect(received.sort()).toEqual([1, 2]);
+    expect(result.failureCount).toBe(2);
+  });
+});
+
+describe('createFileCheckpointStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qgenutils-checkpoint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('survives a restart and drops a line cut short by a crash', async () => {
+    const filePath = path.join(directory, 'job.jsonl');
+    await processBatch(range(6), async item => item * 10, { batchSize: 2, retries: 0, checkpoint: createFileCheckpointStore({ filePath }) });
+    fs.appendFileSync(filePath, '{"successCount":7,"entries":[{"key":"6"');
+
+    const seen = [];
+    const result = await processBatch(range(8), async (item) => {
+      seen.push(item);
+      return item * 10;
+    }, { batchSize: 2, retries: 0, checkpoint: createFileCheckpointStore({ filePath }), resumeFrom: true });
+
+    expect(seen).toEqual([6, 7]);
+    expect(result.successful.map(entry => entry.result)).toEqual([0, 10, 20, 30, 40, 50, 60, 70]);
+  });
+
+  it('keeps later saves after a torn line across two resumes', async () => {
+    const filePath = path.join(directory, 'job.jsonl');
+    const checkpoint = () => createFileCheckpointStore({ filePath });
+    await processBatch(range(2), async item => item * 10, { batchSize: 2, retries: 0, checkpoint: checkpoint() });
+    fs.appendFileSync(filePath, '{"successCount":3,"entries":[{"key":"2"');
+
+    await processBatch(range(4), async item => item * 10, { batchSize: 2, retries: 0, checkpoint: checkpoint(), resumeFrom: true });
+    const seen = [];
+    const result = await processBatch(range(6), async (item) => {
+      seen.push(item);
+      return item * 10;
+    }, { batchSize: 2, retries: 0, checkpoint: checkpoint(), resumeFrom: true });
+
+    expect(seen).toEqual([4, 5]);
+    expect(result.successCount).toBe(6);
+  });
+
+  it('loads nothing when the file does not exist and clears it', async () => {
+    const store = createFileCheckpointStore({ filePath: path.join(directory, 'missing.jsonl') });
+    expect(await store.load()).toBeNull();
+    await store.save([{ key: 'a', index: 0, success: true, retries: 0, result: 1 }], { successCount: 1, failureCount: 0, duration: 5 });
+    expect((await store.load()).entries).toHaveLength(1);
+    await store.clear();
+    expect(await store.load()).toBeNull();
+  });
+});
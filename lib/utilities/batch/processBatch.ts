@@ -15,12 +15,16 @@
  *
  * CONCURRENCY AND PERFORMANCE:
  * - Configurable concurrent operation limits prevent resource exhaustion
+ * - Optional adaptive limit that grows while the downstream keeps up and
+ *   backs off on timeouts, 429s and rising latency
  * - Batch size optimization for memory vs. throughput balance
  * - Promise.allSettled ensures all operations complete or fail gracefully
  * - Resource cleanup prevents memory leaks and connection issues
  *
  * ERROR HANDLING AND RELIABILITY:
  * - Individual item retry with configurable attempts and delays
+ * - Per-error classification: retry, fail at once (fatal) or skip the item
+ * - Dead-letter sink receives items given up on, for replayDeadLetters
  * - Timeout protection prevents hanging operations
  * - Comprehensive error reporting with context and retry counts
  * - Optional early termination on critical errors
@@ -31,19 +35,38 @@
  * - ETA calculation based on current processing rate
  * - Throughput metrics and performance statistics
  * - Detailed success/failure reporting with item-level results
+ *
+ * CHECKPOINTING AND RESUME:
+ * - Optional checkpoint store records each finished item after every batch
+ * - `resumeFrom` skips items a previous run finished (matched by `itemKey`)
+ *   and merges their outcomes into the final result
  */
 
 import qerrorsMod from '@bijikyu/qerrors';
 const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod; // Centralized error handling system
 import createSemaphore from './createSemaphore.js'; // Concurrency control
+import createAdaptiveLimiter from './createAdaptiveLimiter.js'; // Adaptive concurrency control
+import type { AdaptiveLimiterOptions } from './createAdaptiveLimiter.js';
 import retryWithBackoff from './retryWithBackoff.js'; // Retry logic with backoff
+import type { BatchCheckpoint, BatchCheckpointStore, CheckpointEntry } from './createCheckpointStore.js';
+import type { DeadLetter, DeadLetterSink } from './createDeadLetterSink.js';
+
+/**
+ * How processBatch treats a failed attempt:
+ * - `retryable`: retry until `retries` run out, then fail and dead-letter the item
+ * - `fatal`: fail and dead-letter the item without retrying
+ * - `skip`: drop the item without counting it as a failure
+ */
+type ErrorClassification = 'retryable' | 'fatal' | 'skip';
 
 /**
  * Configuration options for batch processing behavior.
  */
 interface ProcessBatchOptions<T, R> {
-  /** Maximum number of concurrent operations (default: 10) */
+  /** Maximum number of concurrent operations (default: 10); starting limit in adaptive mode */
   concurrency?: number;
+  /** Adjust concurrency to downstream health; `true` uses AIMD up to batchSize */
+  adaptiveConcurrency?: boolean | Omit<AdaptiveLimiterOptions, 'initialConcurrency'>;
   /** Number of items to process in each batch (default: 100) */
   batchSize?: number;
   /** Maximum retry attempts per item (default: 3) */
@@ -58,6 +81,16 @@ interface ProcessBatchOptions<T, R> {
   onProgress?: (progress: ProgressInfo) => void;
   /** Error callback function (error: Error, item: T, index: number) => void */
   onError?: (error: Error, item: T, index: number) => void;
+  /** Store recording finished items after each batch (see createFileCheckpointStore) */
+  checkpoint?: BatchCheckpointStore<R>;
+  /** Stable key identifying an item across runs (default: its index) */
+  itemKey?: (item: T, index: number) => string;
+  /** Skip items finished by an earlier run: `true` loads them from `checkpoint` */
+  resumeFrom?: BatchCheckpoint<R> | true;
+  /** Decide per failed attempt whether to retry, fail or skip (default: always retry) */
+  classifyError?: (error: Error, item: T, index: number, attempt: number) => ErrorClassification;
+  /** Receives failed items with error, attempts and timing (sink or callback) */
+  deadLetter?: DeadLetterSink<T> | ((letter: DeadLetter<T>) => void | Promise<void>);
 }
 
 /**
@@ -72,12 +105,16 @@ interface ProgressInfo {
   successful: number;
   /** Number of failed items */
   failed: number;
+  /** Number of skipped items */
+  skipped: number;
   /** Percentage of completion (0-100) */
   percentage: number;
   /** Processing start timestamp */
   startTime: number;
   /** Estimated time remaining in milliseconds */
   eta: number;
+  /** Concurrency limit in effect (changes over time in adaptive mode) */
+  concurrency: number;
 }
 
 /**
@@ -90,6 +127,8 @@ interface ItemResult<T, R> {
   retries: number;
   result?: R;
   error?: Error;
+  /** Failed with an error classified as `skip` */
+  skipped?: boolean;
 }
 
 /**
@@ -100,12 +139,16 @@ interface BatchResult<T, R> {
   successful: Array<{ item: T; result: R; index: number }>;
   /** Array of failed items with error details */
   failed: Array<{ item: T; error: Error; index: number; retries: number }>;
+  /** Array of items dropped by classifyError */
+  skipped: Array<{ item: T; error: Error; index: number }>;
   /** Total number of items processed */
   total: number;
   /** Number of successful operations */
   successCount: number;
   /** Number of failed operations */
   failureCount: number;
+  /** Number of skipped items */
+  skipCount: number;
   /** Total processing duration in milliseconds */
   duration: number;
   /** Items processed per second */
@@ -164,11 +207,27 @@ interface BatchResult<T, R> {
  *     stopOnError: false
  *   }
  * );
+ *
+ * // Resumable run: rerunning after a crash skips users already migrated
+ * const checkpoint = createFileCheckpointStore({ filePath: './migrate.checkpoint.jsonl' });
+ * const migration = await processBatch(users, migrateUser, {
+ *   checkpoint,
+ *   itemKey: (user) => user.id,
+ *   resumeFrom: true
+ * });
+ *
+ * // Adaptive concurrency for a throttling API
+ * await processBatch(requests, makeApiCall, {
+ *   concurrency: 4,
+ *   adaptiveConcurrency: { algorithm: 'gradient', maxConcurrency: 64 },
+ *   onProgress: (progress) => console.log(`concurrency now ${progress.concurrency}`)
+ * });
  * ```
  *
  * @warning Ensure the processor function handles errors appropriately and doesn't leave resources open
  * @note Memory usage scales with batch size - adjust based on available memory and item size
  * @see createSemaphore for concurrency control details
+ * @see createAdaptiveLimiter for adaptive concurrency
  * @see retryWithBackoff for retry strategy implementation
  */
 async function processBatch<T, R>(
@@ -179,79 +238,182 @@ async function processBatch<T, R>(
   // OPTIONS CONFIGURATION: Merge defaults with provided options
   const {
     concurrency = 10,    // Concurrent operations limit
+    adaptiveConcurrency = false, // Adaptive limit settings
     batchSize = 100,     // Items per batch for memory management
     retries = 3,         // Retry attempts per item
     retryDelay = 1000,   // Base delay between retries
     timeout = 30000,     // Per-item timeout
     stopOnError = false, // Stop on first error flag
     onProgress = () => {}, // Progress callback (no-op default)
-    onError = () => {}      // Error callback (no-op default)
+    onError = () => {},     // Error callback (no-op default)
+    checkpoint,             // Optional checkpoint store
+    itemKey = (_item: T, index: number) => String(index),
+    resumeFrom,
+    classifyError = () => 'retryable' as ErrorClassification,
+    deadLetter
   } = options;
+  const deadLetterSink: DeadLetterSink<T> | null = typeof deadLetter === 'function' ? { write: deadLetter } : deadLetter || null;
 
   // TIMING INITIALIZATION: Start timing for metrics calculation
   const startTime = Date.now();
 
+  // RESUME STATE: Load the earlier run's outcomes, or start the checkpoint afresh
+  let previous: BatchCheckpoint<R> | null = null;
+  if (resumeFrom === true) {
+    if (!checkpoint) {
+      throw new Error('processBatch resumeFrom: true requires a checkpoint store');
+    }
+    previous = await checkpoint.load();
+  } else if (resumeFrom) {
+    previous = resumeFrom;
+  } else if (checkpoint) {
+    await checkpoint.clear();
+  }
+  const tracksKeys = !!(checkpoint || previous);
+  const keys = tracksKeys ? items.map((item, index) => itemKey(item, index)) : [];
+
   // MEMORY OPTIMIZATION: Use typed arrays for better memory efficiency
   const successful: Array<{ item: T; result: R; index: number }> = [];
   const failed: Array<{ item: T; error: Error; index: number; retries: number }> = [];
+  const skipped: Array<{ item: T; error: Error; index: number }> = [];
 
   // RESULT INITIALIZATION: Prepare result object for comprehensive reporting
   const result: BatchResult<T, R> = {
     successful, // Direct reference to avoid copying
     failed,     // Direct reference to avoid copying
+    skipped,
     total: items.length,
     successCount: 0,
     failureCount: 0,
+    skipCount: 0,
     duration: 0,
     throughput: 0
   };
 
+  // RESULT MERGE: Restore outcomes of items the earlier run finished
+  // Entries are matched by key, so items may have moved since that run
+  let pending: number[] | null = null; // indices still to process (null: all)
+  const priorDuration = previous?.duration ?? 0;
+  if (previous) {
+    const indexByKey = new Map<string, number>();
+    keys.forEach((key, index) => {
+      if (!indexByKey.has(key)) {
+        indexByKey.set(key, index);
+      }
+    });
+
+    const done = new Set<number>();
+    for (const entry of previous.entries) {
+      const index = indexByKey.get(entry.key);
+      if (index === undefined || done.has(index)) {
+        continue; // item no longer in the list
+      }
+      done.add(index);
+      if (entry.success) {
+        successful.push({ item: items[index], result: entry.result as R, index });
+        result.successCount++;
+      } else {
+        const error = new Error(entry.error?.message);
+        error.name = entry.error?.name || 'Error';
+        if (entry.skipped) {
+          skipped.push({ item: items[index], error, index });
+          result.skipCount++;
+        } else {
+          failed.push({ item: items[index], error, index, retries: entry.retries });
+          result.failureCount++;
+        }
+      }
+    }
+    pending = items.map((_item, index) => index).filter(index => !done.has(index));
+  }
+  const pendingCount = pending ? pending.length : items.length;
+
+  // ADAPTIVE CONCURRENCY: One limiter for the whole run, so what it learns carries across batches
+  const limiter = adaptiveConcurrency
+    ? createAdaptiveLimiter({
+      maxConcurrency: Math.max(concurrency, batchSize),
+      ...(adaptiveConcurrency === true ? {} : adaptiveConcurrency),
+      initialConcurrency: concurrency
+    })
+    : null;
+
   // PROGRESS TRACKING: Initialize progress monitoring
   const progress: ProgressInfo = {
     total: items.length,
-    processed: 0,
-    successful: 0,
-    failed: 0,
+    processed: items.length - pendingCount,
+    successful: result.successCount,
+    failed: result.failureCount,
+    skipped: result.skipCount,
     percentage: 0,
     startTime,
-    eta: 0
+    eta: 0,
+    concurrency: limiter ? limiter.getLimit() : concurrency
   };
 
   // BATCH PROCESSING LOOP: Process items in configurable batch sizes
   // This approach balances memory usage with throughput efficiency
-  for (let i = 0; i < items.length; i += batchSize) {
+  for (let i = 0; i < pendingCount; i += batchSize) {
     // EARLY TERMINATION: Check if we should stop due to errors
     if (stopOnError && result.failureCount > 0) {
       break; // Exit processing loop on first error if configured
     }
 
-    // BATCH PREPARATION: Extract current batch from items array
-    const batch = items.slice(i, i + batchSize);
+    // BATCH PREPARATION: Extract current batch and its dataset indices
+    const batchIndices = pending
+      ? pending.slice(i, i + batchSize)
+      : Array.from({ length: Math.min(batchSize, pendingCount - i) }, (_value, offset) => i + offset);
+    const batch = batchIndices.map(index => items[index]);
+    const finished: CheckpointEntry<R>[] = [];
 
     // CONCURRENCY CONTROL: Create semaphore for this batch's operations
-    const semaphore = createSemaphore(concurrency);
+    const semaphore = limiter ? null : createSemaphore(concurrency);
 
     // CONCURRENT PROCESSING: Map items to concurrent processing promises
     const promises = batch.map(async (item, batchIndex): Promise<ItemResult<T, R>> => {
-      const globalIndex = i + batchIndex; // Global index in entire dataset
-      const release = await semaphore.acquire(); // Acquire concurrency permit
+      const globalIndex = batchIndices[batchIndex]; // Global index in entire dataset
+      const release = limiter ? await limiter.acquire() : await semaphore!.acquire(); // Acquire concurrency permit
       let timeoutHandle: NodeJS.Timeout | undefined = undefined;
+      const firstAttemptAt = Date.now();
+      let attempt = 0;
+      let classification = 'retryable' as ErrorClassification; // set by shouldRetry on each failed attempt
 
       try {
         // TIMEOUT PROTECTION: Wrap processor with timeout to prevent hanging
         const wrappedProcessor = async (): Promise<R> => {
-          return Promise.race([
-            processor(item, globalIndex),
-            new Promise<never>((_, reject) =>
-              timeoutHandle = setTimeout(() => reject(new Error('Operation timeout')), timeout)
-            )
-          ]);
+          attempt++;
+          const attemptStart = Date.now();
+          try {
+            const value = await Promise.race([
+              processor(item, globalIndex),
+              new Promise<never>((_, reject) =>
+                timeoutHandle = setTimeout(() => reject(new Error('Operation timeout')), timeout)
+              )
+            ]);
+            limiter?.record({ latencyMs: Date.now() - attemptStart });
+            return value;
+          } catch (attemptError) {
+            // ADAPTIVE FEEDBACK: Every attempt counts, so retried timeouts back off too
+            limiter?.record({ latencyMs: Date.now() - attemptStart, error: attemptError });
+            throw attemptError;
+          } finally {
+            // Each attempt arms its own timer; clear it before the next one replaces it
+            if (timeoutHandle) {
+              clearTimeout(timeoutHandle);
+              timeoutHandle = undefined;
+            }
+          }
         };
 
         // RETRY LOGIC: Process item with exponential backoff retry
+        // ERROR CLASSIFICATION: Only retryable errors earn another attempt
         const retryResult = await retryWithBackoff(wrappedProcessor, {
           maxRetries: retries,
-          baseDelay: retryDelay
+          baseDelay: retryDelay,
+          shouldRetry: (attemptError) => {
+            const error = attemptError instanceof Error ? attemptError : new Error(String(attemptError));
+            classification = classifyError(error, item, globalIndex, attempt);
+            return classification === 'retryable';
+          }
         });
 
         // TIMEOUT CLEANUP: Clear timeout if operation completed successfully
@@ -269,9 +431,41 @@ async function processBatch<T, R>(
             index: globalIndex,
             retries: retryResult.attempts - 1
           };
+        } else if (classification === 'skip') {
+          // SKIP: Drop the item; neither a failure nor dead-lettered
+          return {
+            success: false,
+            skipped: true,
+            item,
+            error: retryResult.error as Error,
+            index: globalIndex,
+            retries: retryResult.attempts - 1
+          };
         } else {
           // RETRY EXHAUSTION: Handle retry failure with error callback
           onError(retryResult.error as Error, item, globalIndex);
+
+          // DEAD LETTER: Keep the item for inspection and replay
+          // A sink failure must not fail the run, so it is only reported
+          if (deadLetterSink) {
+            const failedAt = Date.now();
+            const error = retryResult.error as Error;
+            try {
+              await deadLetterSink.write({
+                item,
+                index: globalIndex,
+                reason: classification === 'fatal' ? 'fatal' : 'exhausted',
+                error: { name: error.name, message: error.message, stack: error.stack },
+                attempts: retryResult.attempts,
+                firstAttemptAt,
+                failedAt,
+                durationMs: failedAt - firstAttemptAt
+              });
+            } catch (sinkError) {
+              qerrors(sinkError instanceof Error ? sinkError : new Error(String(sinkError)), 'processBatch', { message: `Dead-letter write failed for index: ${globalIndex}` });
+            }
+          }
+
           return {
             success: false,
             item,
@@ -321,6 +515,20 @@ async function processBatch<T, R>(
             index: itemResult.index
           });
           result.successCount++;
+          if (tracksKeys) {
+            finished.push({ key: keys[itemResult.index], index: itemResult.index, success: true, retries: itemResult.retries, result: itemResult.result });
+          }
+        } else if (itemResult.skipped) {
+          // ADD SKIP: Store skipped item apart from failures
+          result.skipped.push({
+            item: itemResult.item,
+            error: itemResult.error!,
+            index: itemResult.index
+          });
+          result.skipCount++;
+          if (tracksKeys) {
+            finished.push({ key: keys[itemResult.index], index: itemResult.index, success: false, skipped: true, retries: itemResult.retries, error: serializeError(itemResult.error!) });
+          }
         } else {
           // ADD FAILURE: Store failed result with error details
           result.failed.push({
@@ -330,30 +538,53 @@ async function processBatch<T, R>(
             retries: itemResult.retries
           });
           result.failureCount++;
+          if (tracksKeys) {
+            finished.push({ key: keys[itemResult.index], index: itemResult.index, success: false, retries: itemResult.retries, error: serializeError(itemResult.error!) });
+          }
         }
       } else {
         // FAILED PROMISE: Handle promise rejection
         result.failed.push({
           item: batch[idx],
           error: settled.reason instanceof Error ? settled.reason : new Error(String(settled.reason)),
-          index: i + idx,
+          index: batchIndices[idx],
           retries: 0
         });
         result.failureCount++;
+        if (tracksKeys) {
+          finished.push({ key: keys[batchIndices[idx]], index: batchIndices[idx], success: false, retries: 0, error: serializeError(result.failed[result.failed.length - 1].error) });
+        }
       }
     });
 
+    // CHECKPOINT: Record this batch so a restart can skip it
+    // A failed save only costs redoing these items on resume, so processing continues
+    if (checkpoint) {
+      try {
+        await checkpoint.save(finished, {
+          successCount: result.successCount,
+          failureCount: result.failureCount,
+          skipCount: result.skipCount,
+          duration: priorDuration + (Date.now() - startTime)
+        });
+      } catch (checkpointError) {
+        qerrors(checkpointError instanceof Error ? checkpointError : new Error(String(checkpointError)), 'processBatch', { message: 'Saving batch checkpoint failed' });
+      }
+    }
+
     // PROGRESS UPDATE: Calculate and report progress for this batch
     progress.processed += batch.length;
     progress.successful = result.successCount;
     progress.failed = result.failureCount;
+    progress.skipped = result.skipCount;
     progress.percentage = (progress.processed / progress.total) * 100;
+    progress.concurrency = limiter ? limiter.getLimit() : concurrency;
 
     // ETA CALCULATION: Estimate remaining time based on current processing rate
     if (progress.processed > 0) {
       const elapsed = Date.now() - startTime;
       if (elapsed > 0) {
-        const rate = progress.processed / elapsed; // Items per millisecond
+        const rate = (i + batch.length) / elapsed; // Items per millisecond, this run only
         progress.eta = rate > 0 ? (progress.total - progress.processed) / rate : 0;
       } else {
         progress.eta = 0; // Avoid division by zero when elapsed time is zero
@@ -364,13 +595,28 @@ async function processBatch<T, R>(
     onProgress({ ...progress });
   }
 
-  // FINAL METRICS: Calculate processing duration and throughput
-  result.duration = Date.now() - startTime;
+  // MERGED ORDER: Restored and new outcomes interleave by dataset index
+  if (previous) {
+    successful.sort((a, b) => a.index - b.index);
+    failed.sort((a, b) => a.index - b.index);
+    skipped.sort((a, b) => a.index - b.index);
+  }
+
+  // FINAL METRICS: Calculate processing duration and throughput (across resumed runs)
+  result.duration = priorDuration + (Date.now() - startTime);
   result.throughput = result.duration > 0
-    ? (result.successCount + result.failureCount) / (result.duration / 1000)
+    ? (result.successCount + result.failureCount + result.skipCount) / (result.duration / 1000)
     : 0;
 
   return result;
 }
 
+/**
+ * Plain-object form of an error for checkpoint stores
+ */
+function serializeError(error: Error): { name: string; message: string } {
+  return { name: error.name, message: error.message };
+}
+
+export type { ProcessBatchOptions, ProgressInfo, BatchResult, ErrorClassification };
 export default processBatch;
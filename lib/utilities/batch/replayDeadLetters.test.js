@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: processBatch } = require('./processBatch');
+const { default: replayDeadLetters } = require('./replayDeadLetters');
+const { default: createDeadLetterSink } = require('./createDeadLetterSink');
+const { default: createFileDeadLetterSink } = require('./createFileDeadLetterSink');
+
+describe('replayDeadLetters', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qgenutils-dead-letters-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays a file sink and keeps only items that fail again', async () => {
+    const deadLetter = createFileDeadLetterSink({ filePath: path.join(directory, 'failed.ndjson') });
+    let serviceUp = false;
+    const processor = async (item, index) => {
+      if (!serviceUp || item.id === 'c') {
+        throw new Error('service unavailable');
+      }
+      return `${item.id}@${index}`;
+    };
+
+    const items = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    await processBatch(items, processor, { retries: 0, deadLetter });
+    expect(await deadLetter.read()).toHaveLength(3);
+
+    serviceUp = true;
+    const replay = await replayDeadLetters(deadLetter, processor, { retries: 0 });
+
+    expect(replay.successful.map(entry => entry.result).sort()).toEqual(['a@0', 'b@1']);
+    expect(replay.failed).toEqual([expect.objectContaining({ index: 2, item: { id: 'c' } })]);
+    const remaining = await deadLetter.read();
+    expect(remaining).toEqual([expect.objectContaining({ index: 2, item: { id: 'c' }, reason: 'exhausted' })]);
+  });
+
+  it('keeps letters the replay never reached when it stops early', async () => {
+    const deadLetter = createDeadLetterSink();
+    await processBatch(['item0', 'item1', 'item2', 'item3'], async () => {
+      throw new Error('service unavailable');
+    }, { retries: 0, deadLetter });
+
+    const replay = await replayDeadLetters(deadLetter, async (item) => {
+      if (item === 'item1') {
+        throw new Error('still unavailable');
+      }
+      return item;
+    }, { retries: 0, batchSize: 1, stopOnError: true });
+
+    expect(replay.successful.map(entry => entry.item)).toEqual(['item0']);
+    const remaining = deadLetter.read();
+    expect(remaining.map(letter => [letter.item, letter.index])).toEqual([['item1', 1], ['item2', 2], ['item3', 3]]);
+    expect(remaining[0].error.message).toBe('still unavailable');
+    expect(remaining[1].error.message).toBe('service unavailable');
+  });
+
+  it('leaves the file sink untouched when rewriting it fails', async () => {
+    const deadLetter = createFileDeadLetterSink({ filePath: path.join(directory, 'failed.ndjson') });
+    await processBatch(['a', 'b'], async () => {
+      throw new Error('service unavailable');
+    }, { retries: 0, deadLetter });
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(Object.assign(new Error('disk full'), { code: 'ENOSPC' }));
+
+    await expect(replayDeadLetters(deadLetter, async item => item, { retries: 0 })).rejects.toThrow('disk full');
+
+    expect((await deadLetter.read()).map(letter => letter.item)).toEqual(['a', 'b']);
+    expect(fs.readdirSync(directory)).toEqual(['failed.ndjson']);
+  });
+
+  it('replays loaded letters into another sink', async () => {
+    const letters = [{ item: 'x', index: 7, reason: 'fatal', error: { name: 'Error', message: 'bad' }, attempts: 1, firstAttemptAt: 0, failedAt: 0, durationMs: 0 }];
+    const stillFailing = createDeadLetterSink();
+    const seenIndices = [];
+
+    const replay = await replayDeadLetters(letters, async (item, index) => {
+      seenIndices.push(index);
+      throw new Error('still bad');
+    }, { retries: 0, deadLetter: stillFailing });
+
+    expect(seenIndices).toEqual([7]);
+    expect(replay.failed[0].index).toBe(7);
+    expect(stillFailing.read()).toEqual([expect.objectContaining({ item: 'x', index: 7 })]);
+  });
+
+  it('requires letters or a readable sink', async () => {
+    await expect(replayDeadLetters({ write() {} }, async () => {})).rejects.toThrow('sink that can read');
+  });
+});
@@ -0,0 +1,77 @@
+import processBatch from './processBatch.js';
+import type { BatchResult, ProcessBatchOptions } from './processBatch.js';
+import type { DeadLetter, DeadLetterSink } from './createDeadLetterSink.js';
+
+/**
+ * Feeds dead letters back through a processor.
+ *
+ * Runs the letters' items through processBatch with the given options; the
+ * processor and callbacks see each item's original index. When replaying a
+ * sink that can read and replace its letters (and no other `deadLetter` is
+ * given), the sink's letters are replaced afterwards, in one step, by the
+ * items that failed again plus any the replay never reached (after
+ * `stopOnError`), so replay can be repeated until it drains. If the replay
+ * is interrupted the sink is left untouched and its items run again next
+ * time.
+ *
+ * @param source - Sink with `read`, or letters already loaded
+ * @param processor - Same processor the original run used: (item, originalIndex) => Promise<R>
+ * @param options - processBatch options for the replay
+ * @returns Promise<BatchResult<T, R>> - Replay outcome, indexed by original index
+ *
+ * @example
+ * const deadLetter = createFileDeadLetterSink({ filePath: './failed-emails.ndjson' });
+ * const replay = await replayDeadLetters(deadLetter, sendEmail, { concurrency: 2 });
+ * console.log(`${replay.successCount} recovered, ${replay.failureCount} still failing`);
+ */
+async function replayDeadLetters<T, R>(
+  source: DeadLetterSink<T> | DeadLetter<T>[],
+  processor: (item: T, index: number) => Promise<R>,
+  options: ProcessBatchOptions<T, R> = {}
+): Promise<BatchResult<T, R>> {
+  let letters: DeadLetter<T>[];
+  if (Array.isArray(source)) {
+    letters = source;
+  } else if (typeof source?.read === 'function') {
+    letters = await source.read();
+  } else {
+    throw new Error('replayDeadLetters needs dead letters or a sink that can read them');
+  }
+
+  const originalIndex = (replayIndex: number) => letters[replayIndex].index;
+  const { onError, classifyError, deadLetter } = options;
+
+  // FAILURES AGAIN: Collect them by replay index to rewrite the source, unless the caller sends them elsewhere
+  const rewritesSource = !deadLetter && !Array.isArray(source) && typeof source.replace === 'function';
+  const failedAgain = rewritesSource ? new Map<number, DeadLetter<T>>() : null;
+  const target: DeadLetterSink<T> | null = typeof deadLetter === 'function' ? { write: deadLetter } : deadLetter || null;
+
+  const result = await processBatch(letters.map(letter => letter.item), (item, replayIndex) => processor(item, originalIndex(replayIndex)), {
+    ...options,
+    onError: onError && ((error, item, replayIndex) => onError(error, item, originalIndex(replayIndex))),
+    classifyError: classifyError && ((error, item, replayIndex, attempt) => classifyError(error, item, originalIndex(replayIndex), attempt)),
+    deadLetter: target || failedAgain ? {
+      write: letter => {
+        const restored = { ...letter, index: originalIndex(letter.index) };
+        return failedAgain ? void failedAgain.set(letter.index, restored) : target!.write(restored);
+      }
+    } : undefined
+  });
+
+  if (failedAgain) {
+    // Succeeded and skipped letters are done; the rest fail again or were never reached
+    const done = new Set([...result.successful, ...result.skipped].map(entry => entry.index));
+    const survivors = letters
+      .map((letter, replayIndex) => (done.has(replayIndex) ? null : failedAgain.get(replayIndex) || letter))
+      .filter((letter): letter is DeadLetter<T> => letter !== null);
+    await (source as DeadLetterSink<T>).replace!(survivors);
+  }
+
+  // ORIGINAL INDICES: Report items where they sat in the original run
+  for (const entry of [...result.successful, ...result.failed, ...result.skipped]) {
+    entry.index = originalIndex(entry.index);
+  }
+  return result;
+}
+
+export default replayDeadLetters;
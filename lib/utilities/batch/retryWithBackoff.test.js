@@ -0,0 +1,120 @@
+const { default: retryWithBackoff, getRetryAfterMs } = require('./retryWithBackoff');
+const { default: createRetryBudget } = require('./createRetryBudget');
+
+describe('retryWithBackoff', () => {
+  const failing = (error = new Error('boom')) => jest.fn().mockRejectedValue(error);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports attempts, elapsed time and why it stopped', async () => {
+    const result = await retryWithBackoff(failing(), { maxRetries: 2, baseDelay: 1 });
+
+    expect(result).toMatchObject({ ok: false, attempts: 3, stopReason: 'retries' });
+    expect(result.elapsedMs).toBeGreaterThanOrEqual(0);
+
+    const declined = await retryWithBackoff(failing(), { shouldRetry: () => false });
+    expect(declined).toMatchObject({ attempts: 1, stopReason: 'not-retryable' });
+  });
+
+  it.each([
+    ['none', [100, 200, 400]],
+    ['full', [50, 100, 200]],
+    ['equal', [75, 150, 300]],
+    ['decorrelated', [200, 350, 575]]
+  ])('applies %s jitter', async (jitter, expected) => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const delays = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+      delays.push(delay);
+      callback();
+      return 0;
+    });
+
+    await retryWithBackoff(failing(), { maxRetries: 3, baseDelay: 100, jitter });
+
+    expect(delays).toEqual(expected);
+  });
+
+  it('waits at least as long as the server asks', async () => {
+    const delays = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+      delays.push(delay);
+      callback();
+      return 0;
+    });
+
+    const throttled = Object.assign(new Error('429'), { response: { headers: { 'retry-after': '2' } } });
+    await retryWithBackoff(failing(throttled), { maxRetries: 1, baseDelay: 10 });
+    expect(delays).toEqual([2000]);
+
+    const hinted = Object.assign(new Error('busy'), { retryAfterMs: 50 });
+    await retryWithBackoff(failing(hinted), { maxRetries: 1, baseDelay: 10, respectRetryAfter: false });
+    expect(delays).toEqual([2000, 10]);
+  });
+
+  it('caps long server hints at maxDelay unless told to give up', async () => {
+    const delays = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+      delays.push(delay);
+      callback();
+      return 0;
+    });
+    const busy = Object.assign(new Error('busy'), { retryAfterMs: 60000 });
+
+    const capped = await retryWithBackoff(failing(busy), { maxRetries: 1, baseDelay: 10, maxDelay: 1000 });
+    expect(capped).toMatchObject({ attempts: 2, stopReason: 'retries' });
+    expect(delays).toEqual([1000]);
+
+    const result = await retryWithBackoff(failing(busy), { maxDelay: 1000, failOnLongRetryAfter: true });
+    expect(result).toMatchObject({ attempts: 1, stopReason: 'retry-after' });
+  });
+
+  it('stops before a retry would pass maxElapsedMs', async () => {
+    const result = await retryWithBackoff(failing(), { maxRetries: 10, baseDelay: 20, maxElapsedMs: 50 });
+    expect(result.stopReason).toBe('deadline');
+    expect(result.attempts).toBe(2); // waits 20ms, then the 40ms wait would overrun
+  });
+
+  it('stops retrying when the shared budget runs out', async () => {
+    const budget = createRetryBudget({ maxRetries: 2, windowMs: 60000 });
+    const first = await retryWithBackoff(failing(), { maxRetries: 5, baseDelay: 1, budget });
+    const second = await retryWithBackoff(failing(), { maxRetries: 5, baseDelay: 1, budget });
+
+    expect(first).toMatchObject({ attempts: 3, stopReason: 'budget' });
+    expect(second).toMatchObject({ attempts: 1, stopReason: 'budget' });
+  });
+});
+
+describe('getRetryAfterMs', () => {
+  it('reads retryAfterMs, header seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(getRetryAfterMs({ retryAfterMs: 1500 })).toBe(1500);
+    expect(getRetryAfterMs({ headers: { 'retry-after': '3' } })).toBe(3000);
+    expect(getRetryAfterMs({ response: { headers: new Headers({ 'Retry-After': 'Thu, 01 Jan 2026 00:00:10 GMT' }) } }, now)).toBe(10000);
+    expect(getRetryAfterMs(new Error('no hint'))).toBeNull();
+    expect(getRetryAfterMs({ headers: { 'retry-after': 'soon' } })).toBeNull();
+  });
+});
+
+describe('createRetryBudget', () => {
+  it('refills over its window', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const budget = createRetryBudget({ maxRetries: 2, windowMs: 1000 });
+
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(false);
+
+    now.mockReturnValue(500);
+    expect(budget.getAvailable()).toBe(1);
+    now.mockReturnValue(5000);
+    expect(budget.getAvailable()).toBe(2);
+    now.mockRestore();
+  });
+
+  it('validates its options', () => {
+    expect(() => createRetryBudget({ maxRetries: 0 })).toThrow('positive');
+  });
+});
@@ -22,8 +22,10 @@
  * - Configurable maximum delay to prevent excessive waiting
  *
  * RETRY LOGIC FEATURES:
- * - Configurable maximum retry attempts
- * - Customizable delay parameters and jitter
+ * - Configurable maximum retry attempts and overall deadline
+ * - Customizable delay parameters and jitter (full, equal, decorrelated)
+ * - Server hints: Retry-After headers and `retryAfterMs` on errors
+ * - Shared retry budget to cap retries across many callers
  * - Selective retry based on error types
  * - Comprehensive attempt tracking and reporting
  * - Immediate retry termination for non-retryable errors
@@ -35,6 +37,27 @@
  * - Provides detailed success/failure reporting
  */
 
+import type { RetryBudget } from './createRetryBudget.js';
+
+/**
+ * Built-in jitter strategies:
+ * - `none`: exact exponential delay
+ * - `full`: random delay between 0 and the exponential delay
+ * - `equal`: half the exponential delay plus a random half
+ * - `decorrelated`: random delay between baseDelay and three times the previous delay
+ */
+type JitterStrategy = 'none' | 'full' | 'equal' | 'decorrelated';
+
+/**
+ * Why a failed retry loop stopped:
+ * - `retries`: maxRetries used up
+ * - `not-retryable`: shouldRetry declined the error
+ * - `deadline`: the next attempt would start after maxElapsedMs
+ * - `retry-after`: the server asked for a wait longer than maxDelay (with failOnLongRetryAfter)
+ * - `budget`: the shared retry budget was empty
+ */
+type RetryStopReason = 'retries' | 'not-retryable' | 'deadline' | 'retry-after' | 'budget';
+
 /**
  * Configuration options for retry behavior.
  */
@@ -47,8 +70,16 @@ interface RetryOptions<T> {
   maxDelay?: number;
   /** Function to determine if an error should be retried (default: retry all) */
   shouldRetry?: (error: unknown) => boolean;
-  /** Optional jitter function to add randomness to delays */
-  jitter?: (delay: number) => number;
+  /** Jitter strategy, or a function adding randomness to delays (default: none) */
+  jitter?: JitterStrategy | ((delay: number) => number);
+  /** Give up when the next attempt would start this long after the first one */
+  maxElapsedMs?: number;
+  /** Wait as long as Retry-After / retryAfterMs hints ask, up to maxDelay (default: true) */
+  respectRetryAfter?: boolean;
+  /** Stop instead of waiting maxDelay when a hint asks for longer (default: false) */
+  failOnLongRetryAfter?: boolean;
+  /** Shared budget each retry draws from (see createRetryBudget) */
+  budget?: RetryBudget;
 }
 
 /**
@@ -63,6 +94,43 @@ interface RetryResult<T> {
   error?: Error;
   /** Total number of attempts made (including initial attempt) */
   attempts: number;
+  /** Time from the first attempt to the outcome in milliseconds */
+  elapsedMs: number;
+  /** Why retrying stopped (only if ok: false) */
+  stopReason?: RetryStopReason;
+}
+
+/**
+ * Reads a server's retry hint from an error.
+ *
+ * Looks for a numeric `retryAfterMs` property, then a Retry-After header
+ * (seconds or HTTP date) on `error.headers` or `error.response.headers`,
+ * as plain objects or fetch Headers.
+ *
+ * @param error - Error thrown by the operation
+ * @param now - Current time, for HTTP date values
+ * @returns Milliseconds to wait, or null when the error carries no hint
+ */
+function getRetryAfterMs(error: unknown, now = Date.now()): number | null {
+  const candidate = error as any;
+  if (typeof candidate?.retryAfterMs === 'number' && Number.isFinite(candidate.retryAfterMs)) {
+    return Math.max(0, candidate.retryAfterMs);
+  }
+
+  const headers = candidate?.headers ?? candidate?.response?.headers;
+  const raw = typeof headers?.get === 'function'
+    ? headers.get('retry-after')
+    : headers?.['retry-after'] ?? headers?.['Retry-After'];
+  if (raw === null || raw === undefined || String(raw).trim() === '') {
+    return null;
+  }
+
+  const value = String(raw).trim();
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
 }
 
 /**
@@ -111,6 +179,14 @@ interface RetryResult<T> {
  *   }
  * );
  *
+ * // Fleet-friendly retries: jittered, bounded in time, sharing one budget
+ * const budget = createRetryBudget({ maxRetries: 50, windowMs: 60000 });
+ * const quoteResult = await retryWithBackoff(() => fetchQuote(symbol), {
+ *   jitter: 'full',
+ *   maxElapsedMs: 10000,
+ *   budget
+ * });
+ *
  * // Database operation with timeout and retry
  * const dbResult = await retryWithBackoff(
  *   async () => {
@@ -125,7 +201,7 @@ interface RetryResult<T> {
  * ```
  *
  * @warning Be careful with shouldRetry logic - some errors should never be retried (authentication, validation)
- * @note Exponential backoff: delay = min(baseDelay * 2^attempt, maxDelay)
+ * @note Exponential backoff: delay = min(baseDelay * 2^attempt, maxDelay), before jitter and server hints
  * @see Circuit breaker pattern for complementary failure handling
  */
 async function retryWithBackoff<T>(
@@ -138,11 +214,25 @@ async function retryWithBackoff<T>(
     baseDelay = 1000,         // Starting delay in milliseconds
     maxDelay = 30000,         // Maximum delay cap
     shouldRetry = () => true, // Default: retry all errors
-    jitter = (delay) => delay  // Default: no jitter
+    jitter = 'none',          // Default: no jitter
+    maxElapsedMs,             // Optional overall deadline
+    respectRetryAfter = true, // Honor server retry hints
+    failOnLongRetryAfter = false, // Default: cap long hints at maxDelay
+    budget                    // Optional shared retry budget
   } = options;
 
   let lastError: unknown;      // Store last encountered error
   let attempts = 0;           // Track total attempts made
+  let previousDelay = baseDelay; // Decorrelated jitter grows from the last delay
+  const startedAt = Date.now();
+
+  const failure = (error: unknown, stopReason: RetryStopReason): RetryResult<T> => ({
+    ok: false,
+    error: error instanceof Error ? error : new Error(String(error)),
+    attempts,
+    elapsedMs: Date.now() - startedAt,
+    stopReason
+  });
 
   // RETRY LOOP: Execute function with retry logic
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -153,7 +243,7 @@ async function retryWithBackoff<T>(
       const result = await fn();
 
       // SUCCESS: Return successful result immediately
-      return { ok: true, value: result, attempts };
+      return { ok: true, value: result, attempts, elapsedMs: Date.now() - startedAt };
 
     } catch (error) {
       // ERROR HANDLING: Store error and determine retry strategy
@@ -163,13 +253,13 @@ async function retryWithBackoff<T>(
       const isRetryable = shouldRetry(error);
       const isLastAttempt = attempt === maxRetries;
 
-      if (isLastAttempt || !isRetryable) {
-        // TERMINATION: No more retries or non-retryable error
-        return {
-          ok: false,
-          error: error instanceof Error ? error : new Error(String(error)),
-          attempts
-        };
+      if (!isRetryable) {
+        // TERMINATION: Non-retryable error
+        return failure(error, 'not-retryable');
+      }
+      if (isLastAttempt) {
+        // TERMINATION: No more retries
+        return failure(error, 'retries');
       }
 
       // EXPONENTIAL BACKOFF: Calculate delay for next attempt
@@ -178,7 +268,39 @@ async function retryWithBackoff<T>(
 
       // JITTER APPLICATION: Add randomness to prevent thundering herd
       // This helps distribute retry attempts when multiple clients retry simultaneously
-      const actualDelay = jitter(exponentialDelay);
+      let actualDelay: number;
+      if (typeof jitter === 'function') {
+        actualDelay = jitter(exponentialDelay);
+      } else if (jitter === 'full') {
+        actualDelay = Math.random() * exponentialDelay;
+      } else if (jitter === 'equal') {
+        actualDelay = exponentialDelay / 2 + Math.random() * (exponentialDelay / 2);
+      } else if (jitter === 'decorrelated') {
+        actualDelay = Math.min(maxDelay, baseDelay + Math.random() * (previousDelay * 3 - baseDelay));
+      } else {
+        actualDelay = exponentialDelay;
+      }
+
+      // SERVER HINT: Never retry sooner than the server asked, within
+      // maxDelay; past it, wait maxDelay or stop if the caller prefers
+      const retryAfterMs = respectRetryAfter ? getRetryAfterMs(error) : null;
+      if (retryAfterMs !== null) {
+        if (retryAfterMs > maxDelay && failOnLongRetryAfter) {
+          return failure(error, 'retry-after');
+        }
+        actualDelay = Math.max(actualDelay, Math.min(retryAfterMs, maxDelay));
+      }
+      previousDelay = actualDelay;
+
+      // DEADLINE: Skip a retry that would start after maxElapsedMs
+      if (maxElapsedMs !== undefined && Date.now() - startedAt + actualDelay > maxElapsedMs) {
+        return failure(error, 'deadline');
+      }
+
+      // RETRY BUDGET: Shared across callers, so a failing dependency is not retry-stormed
+      if (budget && !(await budget.tryAcquire())) {
+        return failure(error, 'budget');
+      }
 
       // WAIT BEFORE RETRY: Pause for calculated delay
       await new Promise(resolve => setTimeout(resolve, actualDelay));
@@ -186,11 +308,9 @@ async function retryWithBackoff<T>(
   }
 
   // SAFETY FALLBACK: This should never be reached but ensures type safety
-  return {
-    ok: false,
-    error: lastError instanceof Error ? lastError : new Error(String(lastError)),
-    attempts
-  };
+  return failure(lastError, 'retries');
 }
 
+export { getRetryAfterMs };
+export type { JitterStrategy, RetryOptions, RetryResult, RetryStopReason };
 export default retryWithBackoff;
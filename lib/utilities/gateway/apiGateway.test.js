@@ -0,0 +1,760 @@
+const http = require('http');
+const crypto = require('crypto');
+const { APIGateway } = require('./apiGateway');
+
+// Adds the Express-style helpers the gateway expects to a raw Node response
+const expressify = (res) => {
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (data) => { res.setHeader('Content-Type', 'application/json'); res.end(JSON.stringify(data)); return res; };
+  res.send = (data) => { res.end(data); return res; };
+  return res;
+};
+
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+const request = (port, options = {}, body) => new Promise((resolve, reject) => {
+  const req = http.request({ host: '127.0.0.1', port, agent: false, ...options }, (res) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+describe('APIGateway', () => {
+  let upstream;
+  let front;
+  let gateway;
+  let lastUpstreamRequest;
+  let upstreamStatus;
+  let upstreamHeaders;
+  let upstreamCalls;
+
+  const startGateway = async (config, route) => {
+    gateway = new APIGateway({ enableLogging: false, ...config });
+    gateway.addRoute({
+      id: 'users',
+      path: '/api/users',
+      method: ['GET', 'POST'],
+      enabled: true,
+      target: { service: 'users', endpoint: '/internal/users', protocol: 'http', host: '127.0.0.1', port: upstream.address().port },
+      ...route
+    });
+    front = await listen((req, res) => gateway.handleRequest(req, expressify(res)));
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    lastUpstreamRequest = null;
+    upstreamStatus = 201;
+    upstreamHeaders = {};
+    upstreamCalls = 0;
+    upstream = await listen((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        upstreamCalls++;
+        lastUpstreamRequest = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() };
+        if (upstreamHeaders.ETag && req.headers['if-none-match'] === upstreamHeaders.ETag) {
+          res.writeHead(304, upstreamHeaders);
+          res.end();
+          return;
+        }
+        res.writeHead(upstreamStatus, { 'Content-Type': 'text/plain', 'X-Upstream': 'yes', 'Keep-Alive': 'timeout=5', ...upstreamHeaders });
+        res.end('created');
+      });
+    });
+  });
+
+  afterEach(async () => {
+    if (front) await close(front);
+    if (gateway) gateway.destroy();
+    await close(upstream);
+    front = null;
+    gateway = null;
+  });
+
+  it('should forward method, query, headers and body and stream the response back', async () => {
+    await startGateway({ enableCircuitBreaker: false });
+
+    const res = await request(front.address().port, {
+      method: 'POST',
+      path: '/api/users?page=2',
+      headers: { 'Content-Type': 'text/plain', 'X-Custom': 'abc', 'Proxy-Authorization': 'secret' }
+    }, 'hello');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toBe('created');
+    expect(res.headers['x-upstream']).toBe('yes');
+    expect(lastUpstreamRequest.method).toBe('POST');
+    expect(lastUpstreamRequest.url).toBe('/internal/users?page=2');
+    expect(lastUpstreamRequest.body).toBe('hello');
+    expect(lastUpstreamRequest.headers['x-custom']).toBe('abc');
+    expect(lastUpstreamRequest.headers['proxy-authorization']).toBeUndefined();
+    expect(lastUpstreamRequest.headers['x-forwarded-for']).toBe('127.0.0.1');
+    expect(lastUpstreamRequest.headers['x-forwarded-proto']).toBe('http');
+    expect(lastUpstreamRequest.headers['x-forwarded-host']).toBe(`127.0.0.1:${front.address().port}`);
+  });
+
+  it('should forward parsed form bodies form-encoded and refuse bodies it cannot re-encode', async () => {
+    await startGateway({ enableCircuitBreaker: false });
+    await close(front);
+    // Stand-in for express.urlencoded / express.xml consuming the stream first
+    front = await listen((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString();
+        req.body = req.headers['content-type'] === 'application/x-www-form-urlencoded'
+          ? { name: 'Ada Lovelace', tags: ['a', 'b'] }
+          : { note: raw };
+        gateway.handleRequest(req, expressify(res));
+      });
+    });
+    const post = (contentType, body) => request(front.address().port, { method: 'POST', path: '/api/users', headers: { 'Content-Type': contentType } }, body);
+
+    const form = await post('application/x-www-form-urlencoded', 'name=Ada+Lovelace&tags=a&tags=b');
+    expect(form.status).toBe(201);
+    expect(lastUpstreamRequest.headers['content-type']).toBe('application/x-www-form-urlencoded');
+    expect(lastUpstreamRequest.body).toBe('name=Ada+Lovelace&tags=a&tags=b');
+    expect(lastUpstreamRequest.headers['content-length']).toBe(String(lastUpstreamRequest.body.length));
+
+    lastUpstreamRequest = null;
+    const xml = await post('application/xml', '<note/>');
+    expect(xml.status).toBe(500);
+    expect(lastUpstreamRequest).toBeNull();
+  });
+
+  it('should return 404 for unknown routes', async () => {
+    await startGateway({});
+    const res = await request(front.address().port, { path: '/api/unknown' });
+    expect(res.status).toBe(404);
+  });
+
+  it('should answer 502 after retries when the upstream is unreachable', async () => {
+    const deadPort = upstream.address().port;
+    await close(upstream);
+    upstream = await listen(() => {});
+    await startGateway({ enableCircuitBreaker: false }, {
+      retries: 2,
+      target: { service: 'users', endpoint: '/internal/users', protocol: 'http', host: '127.0.0.1', port: deadPort }
+    });
+
+    const res = await request(front.address().port, { path: '/api/users' });
+    expect(res.status).toBe(502);
+  });
+
+  it('should answer 504 when the upstream exceeds the route timeout', async () => {
+    await close(upstream);
+    upstream = await listen(() => {}); // never responds
+    await startGateway({ enableCircuitBreaker: false }, { timeout: 100, retries: 0 });
+
+    const res = await request(front.address().port, { path: '/api/users' });
+    expect(res.status).toBe(504);
+  });
+
+  it('should close the upstream response and settle when the client disconnects mid-stream', async () => {
+    let upstreamClosed;
+    const closed = new Promise((resolve) => { upstreamClosed = resolve; });
+    await close(upstream);
+    upstream = await listen((req, res) => {
+      res.on('close', upstreamClosed);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('first chunk'); // never ends
+    });
+    await startGateway({ enableCircuitBreaker: false });
+
+    await new Promise((resolve) => {
+      const clientReq = http.request({ host: '127.0.0.1', port: front.address().port, path: '/api/users', agent: false }, (res) => {
+        res.once('data', () => { clientReq.destroy(); resolve(); });
+      });
+      clientReq.on('error', () => {});
+      clientReq.end();
+    });
+    await closed;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const stats = gateway.getStats();
+    expect(stats.activeConnections).toBe(0);
+    expect(stats.upstreams.users[0]).toEqual(expect.objectContaining({ activeConnections: 0, totalFailures: 0 }));
+  });
+
+  it('should release the upstream instance once when a buffered response is interrupted', async () => {
+    await close(upstream);
+    upstream = await listen((req, res) => {
+      res.writeHead(200, { 'Content-Length': '100' });
+      res.write('partial');
+      setTimeout(() => res.destroy(), 10);
+    });
+    await startGateway({ enableCircuitBreaker: false });
+    const release = jest.spyOn(gateway.upstreamPools.get('users'), 'release');
+    // A response object without write() or headersSent is buffered
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json: jest.fn(),
+      send: jest.fn(),
+      setHeader: jest.fn(),
+      writeHead: jest.fn(),
+      end: jest.fn()
+    };
+
+    await gateway.handleRequest({ method: 'GET', url: '/api/users', path: '/api/users', headers: {}, ip: '127.0.0.1' }, res);
+
+    expect(res.statusCode).toBe(502);
+    expect(release).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledWith(expect.anything(), false);
+    expect(gateway.getStats().upstreams.users[0]).toEqual(expect.objectContaining({ activeConnections: 0, totalFailures: 1 }));
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after the failure threshold and fail fast with 503', async () => {
+      upstreamStatus = 500;
+      await startGateway({ circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } }, { retries: 0 });
+      const opened = jest.fn();
+      gateway.on('circuitBreakerOpen', opened);
+      const port = front.address().port;
+
+      expect((await request(port, { path: '/api/users' })).status).toBe(500);
+      expect((await request(port, { path: '/api/users' })).status).toBe(500);
+      lastUpstreamRequest = null;
+
+      const rejected = await request(port, { path: '/api/users' });
+      expect(rejected.status).toBe(503);
+      expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+      expect(lastUpstreamRequest).toBeNull();
+      expect(opened).toHaveBeenCalledWith(expect.objectContaining({ routeId: 'users', from: 'CLOSED', to: 'OPEN' }));
+      expect(gateway.getStats().circuitBreakers.users.state).toBe('OPEN');
+      expect(gateway.healthCheck()).toEqual(expect.objectContaining({ status: 'degraded', openCircuits: ['users'] }));
+    });
+
+    it('should close again after successful half-open trials', async () => {
+      upstreamStatus = 503;
+      await startGateway({ circuitBreaker: { failureThreshold: 1, resetTimeout: 50, successThreshold: 2 } }, { retries: 0 });
+      const events = [];
+      gateway.on('circuitBreakerHalfOpen', () => events.push('halfOpen'));
+      gateway.on('circuitBreakerClose', () => events.push('close'));
+      const port = front.address().port;
+
+      await request(port, { path: '/api/users' });
+      expect(gateway.getStats().circuitBreakers.users.state).toBe('OPEN');
+
+      upstreamStatus = 200;
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      expect((await request(port, { path: '/api/users' })).status).toBe(200);
+      expect(gateway.getStats().circuitBreakers.users.state).toBe('HALF_OPEN');
+      expect((await request(port, { path: '/api/users' })).status).toBe(200);
+
+      expect(events).toEqual(['halfOpen', 'close']);
+      expect(gateway.healthCheck().status).toBe('healthy');
+    });
+  });
+
+  describe('route matching', () => {
+    const addRoute = (id, path, endpoint) => gateway.addRoute({
+      id,
+      path,
+      method: 'GET',
+      enabled: true,
+      target: { service: id, endpoint, protocol: 'http', host: '127.0.0.1', port: upstream.address().port }
+    });
+
+    it('should extract params and rewrite them into the target endpoint', async () => {
+      await startGateway({});
+      addRoute('user-by-id', '/v2/users/:id', '/internal/user/:id');
+      const params = [];
+      gateway.use((req, res, next) => { next(); params.push(req.params); });
+
+      const res = await request(front.address().port, { path: '/v2/users/a%20b?full=1' });
+      expect(res.status).toBe(201);
+      expect(lastUpstreamRequest.url).toBe('/internal/user/a%20b?full=1');
+      expect(params[0]).toEqual({ id: 'a b' });
+    });
+
+    it('should support optional segments and wildcards', async () => {
+      await startGateway({});
+      addRoute('orders', '/orders/:id?', '/svc/orders/:id?');
+      addRoute('files', '/files/*', '/storage/*');
+      const port = front.address().port;
+
+      await request(port, { path: '/orders' });
+      expect(lastUpstreamRequest.url).toBe('/svc/orders');
+      await request(port, { path: '/orders/7' });
+      expect(lastUpstreamRequest.url).toBe('/svc/orders/7');
+      await request(port, { path: '/files/a/b.txt' });
+      expect(lastUpstreamRequest.url).toBe('/storage/a/b.txt');
+    });
+
+    it('should not forward encoded slashes or dot segments as path traversal', async () => {
+      await startGateway({});
+      addRoute('files', '/files/*', '/static/*');
+      addRoute('user-by-id', '/v2/users/:id', '/internal/user/:id');
+      const port = front.address().port;
+
+      for (const path of ['/files/..%2F..%2Fadmin%2Fsecrets', '/files/a/%2E%2E/%2E%2E/admin', '/files/a%5C..%5Cadmin', '/v2/users/%2E%2E']) {
+        const res = await request(port, { path });
+        expect(res.status).toBe(404);
+      }
+      expect(upstreamCalls).toBe(0);
+
+      await request(port, { path: '/files/a%20b/c.txt' });
+      expect(lastUpstreamRequest.url).toBe('/static/a%20b/c.txt');
+    });
+
+    it('should prefer exact, then static-prefixed, then wildcard routes', async () => {
+      await startGateway({});
+      addRoute('catch-all', '/api/*', '/wildcard');
+      addRoute('param', '/api/:resource', '/param/:resource');
+      addRoute('me', '/api/me', '/exact');
+      const port = front.address().port;
+
+      await request(port, { path: '/api/me' });
+      expect(lastUpstreamRequest.url).toBe('/exact');
+      await request(port, { path: '/api/orders' });
+      expect(lastUpstreamRequest.url).toBe('/param/orders');
+      await request(port, { path: '/api/orders/1' });
+      expect(lastUpstreamRequest.url).toBe('/wildcard');
+    });
+
+    it('should reject wildcards that are not the last segment', () => {
+      gateway = new APIGateway({});
+      expect(() => addRoute('bad', '/a/*/b', '/x')).toThrow('Wildcard must be the last segment');
+    });
+  });
+
+  describe('load balancing', () => {
+    let replicas;
+
+    const startReplicas = async (statuses) => {
+      replicas = await Promise.all(statuses.map((status, index) => listen((req, res) => {
+        res.writeHead(status);
+        res.end(`replica-${index}`);
+      })));
+      return replicas.map((server) => ({
+        service: 'users', endpoint: '/', protocol: 'http', host: '127.0.0.1', port: server.address().port
+      }));
+    };
+
+    afterEach(async () => {
+      if (front) await close(front);
+      front = null;
+      if (gateway) gateway.destroy();
+      await Promise.all((replicas || []).map(close));
+      replicas = null;
+    });
+
+    const hit = async (times, headers) => {
+      const bodies = [];
+      for (let i = 0; i < times; i++) {
+        bodies.push((await request(front.address().port, { path: '/api/users', headers })).body);
+      }
+      return bodies;
+    };
+
+    it('should spread requests by weight with smooth round-robin', async () => {
+      const [a, b] = await startReplicas([200, 200]);
+      await startGateway({}, { targets: [{ ...a, weight: 3 }, { ...b, weight: 1 }] });
+
+      const bodies = await hit(8);
+      expect(bodies.filter((body) => body === 'replica-0')).toHaveLength(6);
+      expect(bodies.filter((body) => body === 'replica-1')).toHaveLength(2);
+    });
+
+    it('should keep a client on one instance with consistent hashing', async () => {
+      const targets = await startReplicas([200, 200, 200]);
+      await startGateway({}, { targets, loadBalancing: { strategy: 'consistent-hash', hashHeader: 'X-Tenant' } });
+
+      const bodies = await hit(5, { 'X-Tenant': 'acme' });
+      expect(new Set(bodies).size).toBe(1);
+    });
+
+    it('should eject failing instances until the cooldown passes', async () => {
+      const targets = await startReplicas([500, 200]);
+      await startGateway({ enableCircuitBreaker: false }, {
+        targets,
+        retries: 0,
+        loadBalancing: { maxFailures: 1, cooldown: 60000 }
+      });
+
+      const bodies = await hit(4);
+      expect(bodies.filter((body) => body === 'replica-0')).toHaveLength(1);
+      const [failing, healthy] = gateway.getStats().upstreams.users;
+      expect(failing.healthy).toBe(false);
+      expect(failing.ejectedUntil).toBeGreaterThan(Date.now());
+      expect(healthy.healthy).toBe(true);
+    });
+
+    it('should route around targets failing active health checks', async () => {
+      const targets = await startReplicas([503, 200]);
+      const unhealthy = new Promise((resolve) => {
+        gateway = new APIGateway({ enableLogging: false });
+        gateway.on('targetUnhealthy', resolve);
+      });
+      gateway.addRoute({
+        id: 'users',
+        path: '/api/users',
+        method: 'GET',
+        enabled: true,
+        targets,
+        healthCheck: { enabled: true, path: '/ping', interval: 20, timeout: 500, unhealthyThreshold: 2 }
+      });
+      front = await listen((req, res) => gateway.handleRequest(req, expressify(res)));
+
+      const event = await unhealthy;
+      expect(event).toEqual(expect.objectContaining({ routeId: 'users', target: `http://127.0.0.1:${targets[0].port}` }));
+      expect(event.state.lastStatus).toBe(503);
+      expect(await hit(3)).toEqual(['replica-1', 'replica-1', 'replica-1']);
+
+      const report = gateway.healthCheck();
+      expect(report.status).toBe('degraded');
+      expect(report.targets.users[0]).toEqual(expect.objectContaining({ healthy: false, activeHealthy: false }));
+      expect(report.targets.users[1].activeCheck).toEqual(expect.objectContaining({ healthy: true, lastStatus: 200 }));
+    });
+
+    it('should retry on a different instance', async () => {
+      const targets = await startReplicas([503, 200]);
+      await startGateway({ enableCircuitBreaker: false }, { targets, retries: 1 });
+
+      const bodies = await hit(2);
+      expect(bodies).toEqual(['replica-1', 'replica-1']);
+    });
+  });
+
+  describe('authentication', () => {
+    const secret = 'gateway-secret';
+    const jwt = (payload) => {
+      const input = `${Buffer.from(JSON.stringify({ alg: 'HS256' })).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+      return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+    };
+    const security = (overrides) => ({
+      enableApiKeyAuth: true,
+      enableJwtAuth: true,
+      enableOauth: false,
+      apiKeys: { 'billing-service': 'key-123' },
+      jwtSecret: secret,
+      jwtAudience: 'public-api',
+      oauthProvider: '',
+      ...overrides
+    });
+
+    it('should reject unauthenticated requests with 401', async () => {
+      await startGateway({ enableAuthentication: true, security: security() });
+      const res = await request(front.address().port, { path: '/api/users' });
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toContain('Bearer');
+      expect(lastUpstreamRequest).toBeNull();
+    });
+
+    it('should accept API keys and forward the principal as trusted headers', async () => {
+      await startGateway({ enableAuthentication: true, security: security() });
+      const res = await request(front.address().port, {
+        path: '/api/users',
+        headers: { 'X-Api-Key': 'key-123', 'X-Authenticated-Principal': 'spoofed-admin' }
+      });
+      expect(res.status).toBe(201);
+      expect(lastUpstreamRequest.headers['x-authenticated-principal']).toBe('billing-service');
+      expect(lastUpstreamRequest.headers['x-authenticated-method']).toBe('apiKey');
+
+      const wrongKey = await request(front.address().port, { path: '/api/users', headers: { 'X-Api-Key': 'nope' } });
+      expect(wrongKey.status).toBe(401);
+    });
+
+    it('should verify JWT claims', async () => {
+      await startGateway({ enableAuthentication: true, security: security() });
+      const exp = Math.floor(Date.now() / 1000) + 60;
+      const port = front.address().port;
+
+      const ok = await request(port, { path: '/api/users', headers: { Authorization: `Bearer ${jwt({ sub: 'u1', aud: 'public-api', exp, scope: 'read write' })}` } });
+      expect(ok.status).toBe(201);
+      expect(lastUpstreamRequest.headers['x-authenticated-principal']).toBe('u1');
+      expect(lastUpstreamRequest.headers['x-authenticated-scopes']).toBe('read write');
+
+      const wrongAudience = await request(port, { path: '/api/users', headers: { Authorization: `Bearer ${jwt({ sub: 'u1', aud: 'other', exp })}` } });
+      expect(wrongAudience.status).toBe(401);
+      const expired = await request(port, { path: '/api/users', headers: { Authorization: `Bearer ${jwt({ sub: 'u1', aud: 'public-api', exp: 1 })}` } });
+      expect(expired.status).toBe(401);
+    });
+
+    it('should introspect opaque OAuth tokens through the pluggable hook', async () => {
+      const introspectToken = jest.fn(async (token) => ({ active: token === 'opaque-good', sub: 'client-9', scope: 'orders' }));
+      await startGateway({ enableAuthentication: true, security: security({ enableOauth: true, introspectToken }) });
+      const port = front.address().port;
+
+      expect((await request(port, { path: '/api/users', headers: { Authorization: 'Bearer opaque-good' } })).status).toBe(201);
+      expect(lastUpstreamRequest.headers['x-authenticated-method']).toBe('oauth');
+      expect((await request(port, { path: '/api/users', headers: { Authorization: 'Bearer opaque-bad' } })).status).toBe(401);
+      expect(introspectToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require an introspection hook when OAuth is enabled', () => {
+      expect(() => new APIGateway({ enableAuthentication: true, security: security({ enableOauth: true }) }))
+        .toThrow('introspectToken');
+    });
+
+    it('should let anonymous routes through while still stripping principal headers', async () => {
+      await startGateway({ enableAuthentication: true, security: security() }, { auth: { anonymous: true } });
+      const res = await request(front.address().port, { path: '/api/users', headers: { 'X-Authenticated-Principal': 'spoofed' } });
+      expect(res.status).toBe(201);
+      expect(lastUpstreamRequest.headers['x-authenticated-principal']).toBeUndefined();
+    });
+
+    it('should restrict routes to the listed auth methods', async () => {
+      await startGateway({ enableAuthentication: true, security: security() }, { auth: { methods: ['jwt'] } });
+      const res = await request(front.address().port, { path: '/api/users', headers: { 'X-Api-Key': 'key-123' } });
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('versioning', () => {
+    const addVersion = (version, extra) => gateway.addRoute({
+      id: `orders-v${version}`,
+      path: '/orders/:id',
+      method: 'GET',
+      enabled: true,
+      version,
+      target: { service: 'orders', endpoint: `/v${version}/orders/:id`, protocol: 'http', host: '127.0.0.1', port: upstream.address().port },
+      ...extra
+    });
+
+    it('should select versions by prefix, header and media-type parameter', async () => {
+      await startGateway({});
+      addVersion('1');
+      addVersion('2.0');
+      addVersion('2.1');
+      const port = front.address().port;
+
+      await request(port, { path: '/v1/orders/7' });
+      expect(lastUpstreamRequest.url).toBe('/v1/orders/7');
+      await request(port, { path: '/orders/7', headers: { 'Accept-Version': 'v2' } });
+      expect(lastUpstreamRequest.url).toBe('/v2.1/orders/7');
+      await request(port, { path: '/orders/7', headers: { Accept: 'application/json; version=2.0' } });
+      expect(lastUpstreamRequest.url).toBe('/v2.0/orders/7');
+
+      const missing = await request(port, { path: '/v3/orders/7' });
+      expect(missing.status).toBe(404);
+      expect(JSON.parse(missing.body).availableVersions).toEqual(['1', '2.0', '2.1']);
+    });
+
+    it('should fall back to the latest non-deprecated version', async () => {
+      await startGateway({});
+      addVersion('1');
+      addVersion('2');
+      addVersion('3', { deprecated: true });
+
+      await request(front.address().port, { path: '/orders/7' });
+      expect(lastUpstreamRequest.url).toBe('/v2/orders/7');
+    });
+
+    it('should announce deprecated routes with headers and an event', async () => {
+      await startGateway({});
+      addVersion('1', {
+        deprecated: true,
+        deprecatedAt: '2024-01-01T00:00:00Z',
+        sunset: '2025-06-30T00:00:00Z',
+        deprecationLink: 'https://docs.example.com/migrate'
+      });
+      addVersion('2');
+      const hits = [];
+      gateway.on('deprecatedRouteHit', (hit) => hits.push(hit));
+      const port = front.address().port;
+
+      const res = await request(port, { path: '/v1/orders/7', headers: { 'User-Agent': 'legacy-app' } });
+      expect(res.status).toBe(201);
+      expect(res.headers.deprecation).toBe('@1704067200');
+      expect(res.headers.sunset).toBe('Mon, 30 Jun 2025 00:00:00 GMT');
+      expect(res.headers.link).toBe('<https://docs.example.com/migrate>; rel="deprecation"');
+      expect(hits).toEqual([expect.objectContaining({ routeId: 'orders-v1', version: '1', userAgent: 'legacy-app' })]);
+
+      const current = await request(port, { path: '/v2/orders/7' });
+      expect(current.headers.deprecation).toBeUndefined();
+      expect(hits).toHaveLength(1);
+    });
+
+    it('should serve unversioned routes whatever version is requested', async () => {
+      await startGateway({});
+      const res = await request(front.address().port, { path: '/api/users', headers: { 'Accept-Version': '9' } });
+      expect(res.status).toBe(201);
+    });
+  });
+
+  describe('response caching', () => {
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+      upstreamStatus = 200;
+    });
+
+    it('should serve fresh responses from the cache and count hits and misses', async () => {
+      upstreamHeaders = { 'Cache-Control': 'max-age=60' };
+      await startGateway({});
+      const port = front.address().port;
+
+      const first = await request(port, { path: '/api/users?page=1' });
+      const second = await request(port, { path: '/api/users?page=1' });
+      await request(port, { path: '/api/users?page=2' });
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body).toBe('created');
+      expect(second.headers['x-upstream']).toBe('yes');
+      expect(upstreamCalls).toBe(2);
+      expect(gateway.getStats().cache).toEqual(expect.objectContaining({ hits: 1, misses: 2, entries: 2 }));
+    });
+
+    it('should not store no-store or private responses and should respect Vary', async () => {
+      upstreamHeaders = { 'Cache-Control': 'private, max-age=60' };
+      await startGateway({});
+      const port = front.address().port;
+      await request(port, { path: '/api/users' });
+      await request(port, { path: '/api/users' });
+      expect(upstreamCalls).toBe(2);
+
+      upstreamHeaders = { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' };
+      await request(port, { path: '/api/users?v', headers: { 'Accept-Language': 'en' } });
+      await request(port, { path: '/api/users?v', headers: { 'Accept-Language': 'de' } });
+      const hit = await request(port, { path: '/api/users?v', headers: { 'Accept-Language': 'en' } });
+      expect(hit.headers['x-cache']).toBe('HIT');
+      expect(upstreamCalls).toBe(4);
+    });
+
+    it('should revalidate expired entries with their ETag', async () => {
+      upstreamHeaders = { 'Cache-Control': 'max-age=0', ETag: '"v1"' };
+      await startGateway({});
+      const port = front.address().port;
+
+      await request(port, { path: '/api/users' });
+      const revalidated = await request(port, { path: '/api/users' });
+      expect(lastUpstreamRequest.headers['if-none-match']).toBe('"v1"');
+      expect(revalidated.status).toBe(200);
+      expect(revalidated.headers['x-cache']).toBe('REVALIDATED');
+      expect(revalidated.body).toBe('created');
+
+      const notModified = await request(port, { path: '/api/users', headers: { 'If-None-Match': '"v1"' } });
+      expect(notModified.status).toBe(304);
+      expect(gateway.getStats().cache.revalidations).toBe(2);
+    });
+
+    it('should serve stale entries while revalidating in the background', async () => {
+      await startGateway({}, { cache: { ttl: 200, staleWhileRevalidate: 10000 } });
+      const port = front.address().port;
+
+      await request(port, { path: '/api/users' });
+      await wait(250);
+      const stale = await request(port, { path: '/api/users' });
+      expect(stale.headers['x-cache']).toBe('STALE');
+
+      await wait(30);
+      expect(upstreamCalls).toBe(2);
+      const refreshed = await request(port, { path: '/api/users' });
+      expect(refreshed.headers['x-cache']).toBe('HIT');
+      expect(upstreamCalls).toBe(2);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should send RateLimit headers and reject requests over the limit with 429', async () => {
+      await startGateway({}, { rateLimit: { maxRequests: 2, windowMs: 60000 } });
+      const exceeded = jest.fn();
+      gateway.on('rateLimitExceeded', exceeded);
+      const port = front.address().port;
+
+      const first = await request(port, { path: '/api/users' });
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+      await request(port, { path: '/api/users' });
+
+      const limited = await request(port, { path: '/api/users' });
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+      expect(exceeded).toHaveBeenCalledWith(expect.objectContaining({ routeId: 'users', consumer: expect.objectContaining({ source: 'ip' }) }));
+    });
+
+    it('should count each API key separately and tier limits by plan', async () => {
+      const planLookup = jest.fn((consumer, req) => (req.headers['x-api-key'] === 'gold-key' ? 'gold' : null));
+      await startGateway({
+        enableAuthentication: true,
+        security: { enableApiKeyAuth: true, apiKeys: { basic: 'basic-key', gold: 'gold-key' } },
+        rateLimiting: { keyBy: ['apiKey', 'ip'], planLookup, tiers: { gold: { maxRequests: 3 } } }
+      }, { rateLimit: { maxRequests: 1 } });
+      const port = front.address().port;
+      const hit = (key) => request(port, { path: '/api/users', headers: { 'X-Api-Key': key } });
+
+      expect((await hit('basic-key')).status).toBe(201);
+      expect((await hit('basic-key')).status).toBe(429);
+      expect((await hit('gold-key')).headers['ratelimit-limit']).toBe('3');
+      expect((await hit('gold-key')).status).toBe(201);
+      expect((await hit('gold-key')).status).toBe(201);
+      expect((await hit('gold-key')).status).toBe(429);
+      expect(planLookup).toHaveBeenCalledWith(expect.objectContaining({ source: 'apiKey' }), expect.anything());
+    });
+
+    it('should count unauthenticated API keys against the client address', async () => {
+      await startGateway({ rateLimiting: { keyBy: ['apiKey', 'ip'] } }, { rateLimit: { maxRequests: 1 } });
+      const exceeded = jest.fn();
+      gateway.on('rateLimitExceeded', exceeded);
+      const hit = (key) => request(front.address().port, { path: '/api/users', headers: { 'X-Api-Key': key } });
+
+      expect((await hit('made-up-1')).status).toBe(201);
+      expect((await hit('made-up-2')).status).toBe(429);
+      expect(exceeded).toHaveBeenCalledWith(expect.objectContaining({ consumer: expect.objectContaining({ source: 'ip' }) }));
+    });
+
+    it('should do nothing when rate limiting is disabled', async () => {
+      await startGateway({ enableRateLimiting: false }, { rateLimit: { maxRequests: 1 } });
+      const port = front.address().port;
+      await request(port, { path: '/api/users' });
+      const res = await request(port, { path: '/api/users' });
+      expect(res.status).toBe(201);
+      expect(res.headers['ratelimit-limit']).toBeUndefined();
+    });
+  });
+
+  describe('metrics', () => {
+    const scrape = async (accept) => {
+      const server = await listen(gateway.metricsHandler());
+      const res = await request(server.address().port, { path: '/metrics', headers: accept ? { Accept: accept } : {} });
+      await close(server);
+      return res;
+    };
+
+    it('should expose request counters and latency histograms in the Prometheus text format', async () => {
+      await startGateway({ metrics: { buckets: [0.5, 0.1] } });
+      const port = front.address().port;
+      await request(port, { path: '/api/users' });
+      await request(port, { method: 'POST', path: '/api/users' });
+      await request(port, { path: '/nope' });
+
+      const res = await scrape();
+      expect(res.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+      expect(res.body).toContain('# TYPE gateway_requests_total counter');
+      expect(res.body).toContain('gateway_requests_total{route="users",method="GET",status="201"} 1');
+      expect(res.body).toContain('gateway_requests_total{route="unmatched",method="GET",status="404"} 1');
+      expect(res.body).toContain('gateway_request_duration_seconds_bucket{route="users",method="POST",le="0.1"} 1');
+      expect(res.body).toContain('gateway_request_duration_seconds_bucket{route="users",method="POST",le="+Inf"} 1');
+      expect(res.body).toContain('gateway_request_duration_seconds_count{route="users",method="GET"} 1');
+      expect(res.body).toContain('gateway_requests_in_flight 0');
+      expect(res.body).toContain('gateway_circuit_breaker_state{route="users"} 0');
+    });
+
+    it('should count upstream errors and answer OpenMetrics scrapers', async () => {
+      upstreamStatus = 503;
+      await startGateway({ enableCircuitBreaker: false }, { retries: 1 });
+      await request(front.address().port, { path: '/api/users' });
+
+      const res = await scrape('application/openmetrics-text; version=1.0.0');
+      const target = `http://127.0.0.1:${upstream.address().port}`;
+      expect(res.headers['content-type']).toContain('application/openmetrics-text');
+      expect(res.body).toContain('# TYPE gateway_upstream_errors counter');
+      expect(res.body).toContain(`gateway_upstream_errors_total{route="users",target="${target}",code="HTTP_503"} 2`);
+      expect(res.body.endsWith('# EOF\n')).toBe(true);
+    });
+  });
+});
@@ -14,6 +14,12 @@ interface Request {
   body?: any;
   query?: Record<string, string>;
   params?: Record<string, string>;
+  principal?: AuthPrincipal;
+  ip?: string;
+  protocol?: string;
+  socket?: { remoteAddress?: string; encrypted?: boolean };
+  readableEnded?: boolean;
+  pipe?(destination: NodeJS.WritableStream): NodeJS.WritableStream;
 }
 
 interface Response {
@@ -21,9 +27,13 @@ interface Response {
   json(data: any): Response;
   send(data: any): Response;
   setHeader(name: string, value: string): Response;
-  writeHead(statusCode: number, headers?: Record<string, string>): void;
+  writeHead(statusCode: number, headers?: Record<string, string | string[]>): void;
+  write?(chunk: any): boolean;
+  on?(event: string, listener: (...args: any[]) => void): any;
   end(data?: any): void;
+  destroy?(error?: Error): void;
   statusCode?: number;
+  headersSent?: boolean;
 }
 
 interface NextFunction {
@@ -34,46 +44,52 @@ interface Route {
   id: string;
   path: string;
   method: string | string[];
-  target: {
-    service: string;
-    endpoint: string;
-    protocol: 'http' | 'https';
-    host: string;
-    port: number;
-  };
+  target?: UpstreamTarget;
+  targets?: UpstreamTarget[];
+  loadBalancing?: LoadBalancingOptions;
+  healthCheck?: HealthCheckOptions;
+  auth?: RouteAuthOptions;
   weight?: number;
   enabled: boolean;
   version?: string;
   deprecated?: boolean;
+  deprecatedAt?: string | Date;
+  sunset?: string | Date;
+  deprecationLink?: string;
   middleware?: Array<(req: Request, res: Response, next: NextFunction) => void>;
   timeout?: number;
   retries?: number;
+  circuitBreaker?: CircuitBreakerOptions;
+  cache?: RouteCacheOptions;
+  rateLimit?: RouteRateLimitOptions;
 }
 
 interface GatewayConfig {
   enableTracing?: boolean;
   enableMetrics?: boolean;
+  metrics?: GatewayMetricsOptions;
   enableLogging?: boolean;
   defaultTimeout?: number;
   defaultRetries?: number;
   enableCircuitBreaker?: boolean;
+  circuitBreaker?: CircuitBreakerOptions;
+  loadBalancing?: LoadBalancingOptions;
+  healthCheck?: HealthCheckOptions;
   enableRateLimiting?: boolean;
+  rateLimiting?: GatewayRateLimitConfig;
   enableAuthentication?: boolean;
   enableCompression?: boolean;
+  trustProxy?: boolean;
+  maxSockets?: number;
+  versioning?: VersioningOptions;
+  cache?: ResponseCacheOptions;
   cors?: {
     enabled: boolean;
     origins: string[];
     methods: string[];
     headers: string[];
   };
-  security?: {
-    enableApiKeyAuth: boolean;
-    enableJwtAuth: boolean;
-    enableOauth: boolean;
-    apiKeys: Record<string, string>;
-    jwtSecret: string;
-    oauthProvider: string;
-  };
+  security?: GatewaySecurityConfig;
 }
 
 interface GatewayMetrics {
@@ -84,8 +100,115 @@ interface GatewayMetrics {
   activeConnections: number;
 }
 
+interface GatewayStats extends GatewayMetrics {
+  circuitBreakers: Record<string, CircuitBreakerStats>;
+  upstreams: Record<string, UpstreamInstanceStats[]>;
+  cache: ResponseCacheStats;
+}
+
+interface PatternRouteEntry {
+  route: Route;
+  methods: Set<string>;
+  matcher: CompiledRoutePath;
+}
+
+interface TargetHealthReport extends UpstreamInstanceStats {
+  activeCheck: TargetHealthState | null;
+}
+
+interface RouteMatch {
+  route: Route;
+  params: Record<string, string>;
+}
+
+interface ForwardHooks {
+  /** Header overrides for the upstream request; undefined removes a header */
+  headers?: Record<string, string | undefined>;
+  /** Replaces streaming the upstream response straight to the client */
+  handleResponse?(upstreamRes: http.IncomingMessage): Promise<void>;
+}
+
+interface ForwardResult {
+  status: number;
+  attempts: number;
+  target: string;
+}
+
 import { EventEmitter } from 'events';
-import { BoundedLRUCache } from '../performance/boundedCache.js';
+import * as http from 'http';
+import * as https from 'https';
+import { URL, URLSearchParams } from 'url';
+import { stripHopByHopHeaders, buildForwardedHeaders } from './proxyHeaders.js';
+import { GatewayError } from './gatewayError.js';
+import {
+  authenticateRequest,
+  resolveAuthMethods,
+  stripPrincipalHeaders,
+  applyPrincipalHeaders,
+  AuthPrincipal,
+  GatewaySecurityConfig,
+  RouteAuthOptions
+} from './gatewayAuth.js';
+import { compileRoutePath, matchRoutePath, compareRouteSpecificity, normalizePath, rewritePath, CompiledRoutePath } from './routeMatcher.js';
+import { UpstreamPool, UpstreamTarget, UpstreamInstanceStats, LoadBalancingOptions } from './loadBalancer.js';
+import { ActiveHealthChecker, HealthCheckOptions, TargetHealthState, TargetHealthChange } from './healthChecker.js';
+import { CircuitBreaker, CircuitBreakerOptions, CircuitBreakerStats, CircuitStateChange } from './circuitBreaker.js';
+import {
+  parseVersionPrefix,
+  getRequestedVersion,
+  selectRouteVersion,
+  buildDeprecationHeaders,
+  resolveVersioningOptions,
+  VersioningOptions
+} from './versioning.js';
+import {
+  GatewayResponseCache,
+  parseCacheControl,
+  etagMatches,
+  CachedResponse,
+  ResponseCacheOptions,
+  ResponseCacheStats,
+  RouteCacheOptions
+} from './responseCache.js';
+import {
+  evaluateRateLimit,
+  resolveRouteRateLimit,
+  buildRateLimitHeaders,
+  GatewayRateLimitConfig,
+  RouteRateLimitOptions,
+  RateLimitStore
+} from './gatewayRateLimit.js';
+import createRateLimitStore from '../security/createRateLimitStore.js';
+import {
+  GatewayMetricsRegistry,
+  GatewayMetricsOptions,
+  MetricsFormat,
+  CONTENT_TYPES,
+  DEFAULT_LATENCY_BUCKETS,
+  negotiateMetricsFormat
+} from './gatewayMetrics.js';
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const RETRYABLE_STATUS_CODES = new Set([502, 503, 504]);
+// Errors raised before the request reached the upstream, so any method may be retried
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN']);
+
+/**
+ * Re-encode a body parsed by express.urlencoded; null when it holds nested
+ * objects (the extended parser's `a[b]=c`), whose original form is lost
+ */
+function encodeFormBody(body: Record<string, unknown>): string | null {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(body)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item !== null && typeof item === 'object') {
+        return null;
+      }
+      params.append(name, String(item));
+    }
+  }
+  return params.toString();
+}
 
 /**
  * Enterprise API Gateway Implementation
@@ -110,23 +233,61 @@ import { BoundedLRUCache } from '../performance/boundedCache.js';
  *
  * The gateway uses a hierarchical routing approach:
  * 1. **Path Matching**: Exact path matches first, then pattern matching
+ *    (`/users/:id`, optional `/:id?` segments and trailing `*` wildcards,
+ *    most specific pattern first; params are placed on `req.params`)
  * 2. **Method Filtering**: HTTP method filtering (GET, POST, etc.)
  * 3. **Header Routing**: Optional routing based on request headers
- * 4. **Load Balancing**: Weighted round-robin across healthy instances
+ * 4. **Load Balancing**: Weighted round-robin, least-connections or
+ *    consistent-hash across the route's `targets`, skipping instances that
+ *    were ejected after repeated failures until their cooldown passes
  * 5. **Circuit Breaking**: Service health monitoring and failover
  *
+ * ## API Versioning
+ *
+ * Routes sharing a method and path may declare different `version`s. A
+ * request selects one with a `/v2/...` path prefix, an `Accept-Version`
+ * header or an `Accept: ...; version=2` parameter (`config.versioning`
+ * renames or disables each); otherwise the newest non-deprecated version
+ * answers. An unknown version gets a 404 unless an unversioned route exists.
+ * Deprecated routes add `Deprecation`, `Sunset` and `Link` response headers
+ * and emit `deprecatedRouteHit` for each call that passes authentication
+ * and rate limiting.
+ *
+ * ## Response Caching
+ *
+ * GET/HEAD responses are cached per route and URL when the upstream allows
+ * it (`max-age`/`s-maxage`/`Expires`, never `no-store` or `private`),
+ * keyed further by the headers named in `Vary`. `route.cache.ttl` overrides
+ * the upstream freshness, `staleWhileRevalidate` serves stale entries while
+ * refreshing them in the background, and expired entries with an ETag are
+ * revalidated with `If-None-Match`. Responses carry `X-Cache: HIT`, `STALE`,
+ * `REVALIDATED` or `MISS`; counts appear under `getStats().cache`.
+ *
+ * ## Rate Limiting
+ *
+ * With `enableRateLimiting`, routes declaring `rateLimit.maxRequests` (or
+ * inheriting it from `config.rateLimiting`) count requests per consumer:
+ * the authenticated principal, the API key or the client IP (`keyBy`).
+ * `config.rateLimiting.planLookup` names a consumer's plan and
+ * `tiers[plan]` sets its limits. Every counted response carries
+ * `RateLimit-Limit`, `-Remaining`, `-Reset` and `-Policy`; requests over the
+ * limit get 429 with Retry-After and emit `rateLimitExceeded`.
+ *
  * ## Circuit Breaker Implementation
  *
- * Each route gets its own circuit breaker with configurable thresholds:
+ * Each route gets its own circuit breaker with configurable thresholds
+ * (`config.circuitBreaker`, overridable per route via `route.circuitBreaker`):
  * - **Failure Threshold**: Number of failures before opening circuit
- * - **Recovery Timeout**: Time before attempting recovery
+ * - **Recovery Timeout**: Time before attempting recovery (`resetTimeout`)
  * - **Success Threshold**: Number of successes before closing circuit
  *
  * States:
  * - **CLOSED**: Normal operation, requests pass through
- * - **OPEN**: All requests fail immediately
+ * - **OPEN**: All requests fail immediately with 503 and Retry-After
  * - **HALF_OPEN**: Limited requests test service health
  *
+ * Upstream errors, timeouts and 5xx responses count as failures.
+ *
  * ## Performance Metrics
  *
  * The gateway tracks comprehensive metrics:
@@ -134,9 +295,15 @@ import { BoundedLRUCache } from '../performance/boundedCache.js';
  * - Response time percentiles (p50, p95, p99)
  * - Error rates and types
  * - Active connections
- * - Cache hit/miss ratios
+ * - Cache hit/miss ratios (`getStats().cache`)
  * - Circuit breaker state changes
  *
+ * With `enableMetrics`, per-route/method/status request counters, latency
+ * histograms (`config.metrics.buckets`, in seconds), upstream error
+ * counters and in-flight gauges are exposed for Prometheus through
+ * `metricsHandler()` (text format 0.0.4, or OpenMetrics when the scraper
+ * asks for it).
+ *
  * @example
  * // Basic gateway setup
  * const gateway = new APIGateway({
@@ -169,43 +336,57 @@ import { BoundedLRUCache } from '../performance/boundedCache.js';
  * });
  *
  * @example
- * // With middleware and authentication
+ * // With gateway-level authentication
  * const gateway = new APIGateway({
  *   enableAuthentication: true,
  *   security: {
+ *     enableApiKeyAuth: true,
  *     enableJwtAuth: true,
- *     jwtSecret: process.env.JWT_SECRET
+ *     enableOauth: false,
+ *     apiKeys: { 'billing-service': process.env.BILLING_API_KEY },
+ *     jwtSecret: process.env.JWT_SECRET,
+ *     jwtAudience: 'public-api',
+ *     oauthProvider: ''
  *   }
  * });
  *
- * // Add authentication middleware
- * gateway.use(async (req, res, next) => {
- *   const token = req.headers.authorization?.replace('Bearer ', '');
- *   if (!token) {
- *     return res.status(401).json({ error: 'Unauthorized' });
- *   }
- *   // Verify token and attach user to request
- *   next();
- * });
+ * // The verified principal is available as req.principal and reaches the
+ * // upstream as X-Authenticated-Principal / -Method / -Scopes headers.
+ * // Routes opt out with `auth: { anonymous: true }`.
+ *
+ * @example
+ * // Prometheus scrape endpoint
+ * app.get('/metrics', gateway.metricsHandler());
  *
  * @extends EventEmitter
  * @emits 'routeAdded' - When a new route is added
  * @emits 'circuitBreakerOpen' - When a circuit breaker opens
+ * @emits 'circuitBreakerHalfOpen' - When an open circuit starts trial requests
  * @emits 'circuitBreakerClose' - When a circuit breaker closes
+ * @emits 'targetHealthy' - When an active health check marks an instance healthy
+ * @emits 'targetUnhealthy' - When an active health check marks an instance unhealthy
+ * @emits 'deprecatedRouteHit' - When a request is served by a deprecated route
+ * @emits 'rateLimitExceeded' - When a consumer exceeds a route's rate limit
  * @emits 'requestProcessed' - After each request is processed
  * @emits 'error' - When an unhandled error occurs
  */
 class APIGateway extends EventEmitter {
   private config: Required<GatewayConfig>;
-  private circuitBreakers: BoundedLRUCache<string, any>;
+  private circuitBreakers = new Map<string, CircuitBreaker>();
+  private routes = new Map<string, Route[]>();
+  private patternRoutes: PatternRouteEntry[] = [];
+  private upstreamPools = new Map<string, UpstreamPool>();
+  private healthCheckers = new Map<string, ActiveHealthChecker>();
+  private httpAgent: http.Agent;
+  private httpsAgent: https.Agent;
   private middleware: Array<(req: Request, res: Response, next: NextFunction) => void> = [];
   private metrics: GatewayMetrics;
-  private maxCacheSize = 1000;
-  private responseCache: BoundedLRUCache<string, {
-    data: any;
-    timestamp: number;
-    ttl: number;
-  }>;
+  private responseCache: GatewayResponseCache;
+  private revalidating = new Set<string>();
+  private rateLimitStore: RateLimitStore;
+  private ownsRateLimitStore: boolean;
+  private gatewayMetrics: GatewayMetricsRegistry;
+  private requestRouteIds = new WeakMap<Request, string>();
 
   constructor(config: GatewayConfig) {
     super();
@@ -213,13 +394,52 @@ class APIGateway extends EventEmitter {
     this.config = {
       enableTracing: false,
       enableMetrics: true,
+      metrics: {
+        prefix: 'gateway_',
+        buckets: DEFAULT_LATENCY_BUCKETS
+      },
       enableLogging: true,
       defaultTimeout: 30000,
       defaultRetries: 3,
       enableCircuitBreaker: true,
+      circuitBreaker: {
+        failureThreshold: 5,
+        resetTimeout: 30000,
+        successThreshold: 2
+      },
+      loadBalancing: {
+        strategy: 'weighted-round-robin',
+        maxFailures: 3,
+        cooldown: 30000
+      },
+      healthCheck: {
+        enabled: false,
+        path: '/health',
+        interval: 10000,
+        timeout: 2000,
+        healthyThreshold: 2,
+        unhealthyThreshold: 3
+      },
       enableRateLimiting: true,
+      rateLimiting: {
+        keyBy: ['principal', 'apiKey', 'ip'],
+        windowMs: 60000
+      },
       enableAuthentication: false,
       enableCompression: true,
+      trustProxy: false,
+      maxSockets: 100,
+      versioning: {
+        prefix: true,
+        header: 'accept-version',
+        mediaTypeParameter: 'version'
+      },
+      cache: {
+        enabled: true,
+        maxEntries: 1000,
+        maxBodySize: 1024 * 1024,
+        staleWhileRevalidate: 0
+      },
       cors: {
         enabled: true,
         origins: ['*'],
@@ -237,8 +457,19 @@ class APIGateway extends EventEmitter {
       ...config
     };
 
-    this.circuitBreakers = new BoundedLRUCache(1000);
-    this.responseCache = new BoundedLRUCache(1000);
+    if (this.config.enableAuthentication && this.config.security?.enableOauth &&
+        typeof this.config.security.introspectToken !== 'function') {
+      throw new Error('security.introspectToken is required when OAuth authentication is enabled');
+    }
+
+    this.responseCache = new GatewayResponseCache(this.config.cache);
+    this.ownsRateLimitStore = !this.config.rateLimiting.store;
+    this.rateLimitStore = this.config.rateLimiting.store || createRateLimitStore();
+    this.gatewayMetrics = new GatewayMetricsRegistry(this.config.metrics);
+
+    // Keep-alive agents pool upstream connections across requests
+    this.httpAgent = new http.Agent({ keepAlive: true, maxSockets: this.config.maxSockets });
+    this.httpsAgent = new https.Agent({ keepAlive: true, maxSockets: this.config.maxSockets });
 
     this.metrics = {
       totalRequests: 0,
@@ -247,8 +478,6 @@ class APIGateway extends EventEmitter {
       averageResponseTime: 0,
       activeConnections: 0
     };
-
-    this.startCleanupInterval();
   }
 
   /**
@@ -267,13 +496,30 @@ class APIGateway extends EventEmitter {
  *
  * @param {Route} route - The route configuration object
  * @param {string} route.id - Unique identifier for the route
- * @param {string} route.path - URL path pattern (supports wildcards)
+ * @param {string} route.path - URL path pattern (supports `:param`, `:param?` and trailing `*`)
  * @param {string|string[]} route.method - HTTP method(s) to match
- * @param {object} route.target - Target service configuration
- * @param {number} [route.weight=1] - Load balancing weight
+ * @param {object} [route.target] - Target service configuration; `target.endpoint`
+ * may reference path params (e.g. `/internal/user/:id`) and the `*` wildcard
+ * @param {object[]} [route.targets] - Pool of upstream instances (each may set `weight`);
+ * used instead of `route.target`
+ * @param {object} [route.loadBalancing] - Strategy (`weighted-round-robin`,
+ * `least-connections`, `consistent-hash`), `hashHeader`, `maxFailures` and `cooldown`
+ * @param {object} [route.healthCheck] - Active probing (`enabled`, `path`, `interval`,
+ * `timeout`, `healthyThreshold`, `unhealthyThreshold`); overrides `config.healthCheck`
+ * @param {object} [route.auth] - `{ anonymous: true }` to skip authentication, or
+ * `{ methods: ['jwt'] }` to accept only some of the globally enabled modes
+ * @param {number} [route.weight=1] - Default weight for targets without their own
  * @param {boolean} [route.enabled=true] - Whether route is active
- * @param {string} [route.version] - API version for the route
+ * @param {string} [route.version] - API version for the route (`2`, `2.1`); routes
+ * with the same method and path but different versions coexist
  * @param {boolean} [route.deprecated=false] - Whether route is deprecated
+ * @param {string|Date} [route.deprecatedAt] - When the route was deprecated (`Deprecation` header)
+ * @param {string|Date} [route.sunset] - When the route will stop working (`Sunset` header)
+ * @param {string} [route.deprecationLink] - Migration guide URL (`Link: rel="deprecation"`)
+ * @param {object} [route.cache] - `{ enabled, ttl, staleWhileRevalidate }` (milliseconds);
+ * `ttl` overrides the freshness the upstream declares
+ * @param {object} [route.rateLimit] - `{ maxRequests, windowMs, keyBy, tiers, enabled }`;
+ * merged over `config.rateLimiting`
  * @param {Function[]} [route.middleware] - Route-specific middleware
  * @param {number} [route.timeout] - Request timeout in milliseconds
  * @param {number} [route.retries] - Number of retry attempts
@@ -324,18 +570,61 @@ class APIGateway extends EventEmitter {
  * @emits 'routeAdded' - With the route object as payload
  */
   addRoute(route: Route): void {
-    const routeId = `${route.method}:${route.path}`;
+    const methods = (Array.isArray(route.method) ? route.method : [route.method]).map(m => m.toUpperCase());
+    const matcher = compileRoutePath(route.path);
+    const routeId = `${methods.join(',')}:${matcher.path}`;
+    const targets = route.targets && route.targets.length > 0
+      ? route.targets
+      : route.target ? [route.target] : [];
+
+    if (targets.length === 0) {
+      throw new Error(`Route ${route.id} must declare a target or targets`);
+    }
+
+    const pool = new UpstreamPool(
+      targets,
+      { ...this.config.loadBalancing, ...route.loadBalancing },
+      route.weight ?? 1
+    );
+    this.upstreamPools.set(route.id, pool);
+
+    // Start active probing if enabled (replacing any checker for a re-added route)
+    this.healthCheckers.get(route.id)?.stop();
+    this.healthCheckers.delete(route.id);
+    const healthCheck = { ...this.config.healthCheck, ...route.healthCheck };
+    if (healthCheck.enabled) {
+      const checker = new ActiveHealthChecker(
+        pool.getInstances(),
+        healthCheck,
+        { http: this.httpAgent, https: this.httpsAgent },
+        (change) => this.handleTargetHealthChange(route, pool, change)
+      );
+      this.healthCheckers.set(route.id, checker);
+      checker.start();
+    }
 
     // Create circuit breaker if enabled
     if (this.config.enableCircuitBreaker) {
-      const circuitBreaker = {
-        name: `${routeId}-circuit-breaker`,
-        execute: async (data: any) => {
-          return this.forwardRequest(route, data);
-        }
-      };
+      const circuitBreaker = new CircuitBreaker(
+        `${routeId}-circuit-breaker`,
+        { ...this.config.circuitBreaker, ...route.circuitBreaker },
+        (change) => this.handleCircuitStateChange(route, change)
+      );
+
+      this.circuitBreakers.set(route.id, circuitBreaker);
+    }
 
-      this.circuitBreakers.set(routeId, circuitBreaker);
+    if (matcher.isStatic) {
+      for (const method of methods) {
+        // Re-adding a version replaces it; other versions of the path remain
+        const key = `${method}:${matcher.path}`;
+        const variants = (this.routes.get(key) || []).filter(existing => existing.version !== route.version);
+        this.routes.set(key, [...variants, route]);
+      }
+    } else {
+      this.patternRoutes.push({ route, methods: new Set(methods), matcher });
+      // Array sort is stable, so equally specific patterns keep registration order
+      this.patternRoutes.sort((a, b) => compareRouteSpecificity(a.matcher, b.matcher));
     }
 
     this.emit('routeAdded', route);
@@ -384,8 +673,12 @@ class APIGateway extends EventEmitter {
  */
   async handleRequest(req: Request, res: Response): Promise<void> {
     const startTime = Date.now();
+    const startedAt = process.hrtime.bigint();
     this.metrics.totalRequests++;
     this.metrics.activeConnections++;
+    if (this.config.enableMetrics) {
+      this.gatewayMetrics.requestsInFlight.inc();
+    }
 
     try {
       // Apply CORS headers
@@ -415,6 +708,16 @@ class APIGateway extends EventEmitter {
       this.metrics.activeConnections--;
       const responseTime = Date.now() - startTime;
       this.updateAverageResponseTime(responseTime);
+
+      if (this.config.enableMetrics) {
+        this.gatewayMetrics.requestsInFlight.dec();
+        this.gatewayMetrics.observeRequest(
+          this.requestRouteIds.get(req) || 'unmatched',
+          req.method,
+          res.statusCode || 200,
+          Number(process.hrtime.bigint() - startedAt) / 1e9
+        );
+      }
     }
   }
 
@@ -426,75 +729,712 @@ class APIGateway extends EventEmitter {
     req.path = new URL(req.url!, 'http://localhost').pathname;
 
     // Route to handler
-    const routeId = `${req.method}:${req.path}`;
-    const circuitBreaker = this.circuitBreakers.get(routeId);
+    const matched = this.matchRoute(req.method.toUpperCase(), req.path, req);
 
-    if (circuitBreaker) {
-      const result = await circuitBreaker.execute(req);
-      this.sendResponse(res, result);
-    } else {
+    if (!matched) {
       res.status(404).json({ error: 'Route not found' });
+      return;
+    }
+
+    if ('requestedVersion' in matched) {
+      res.status(404).json({
+        error: 'API version not found',
+        version: matched.requestedVersion,
+        availableVersions: matched.availableVersions
+      });
+      return;
+    }
+
+    const { route, params } = matched;
+    req.params = { ...req.params, ...params };
+    this.requestRouteIds.set(req, route.id);
+
+    const deprecationHeaders = buildDeprecationHeaders(route);
+    for (const [name, value] of Object.entries(deprecationHeaders)) {
+      res.setHeader(name, value);
+    }
+
+    await this.authenticate(route, req);
+    await this.applyRateLimit(route, req, res);
+
+    if (route.deprecated) {
+      this.emit('deprecatedRouteHit', {
+        routeId: route.id,
+        version: route.version ?? null,
+        method: req.method.toUpperCase(),
+        path: req.path,
+        sunset: deprecationHeaders.Sunset ?? null,
+        principal: req.principal?.id ?? null,
+        clientIp: req.ip || req.socket?.remoteAddress || null,
+        userAgent: req.headers['user-agent'] ?? null
+      });
+    }
+
+    const circuitBreaker = this.circuitBreakers.get(route.id);
+    const forward = (hooks?: ForwardHooks) => circuitBreaker
+      ? this.forwardThroughCircuitBreaker(circuitBreaker, route, req, res, hooks)
+      : this.forwardRequest(route, req, res, hooks);
+
+    const method = req.method.toUpperCase();
+    if ((method === 'GET' || method === 'HEAD') && this.config.cache.enabled !== false && route.cache?.enabled !== false) {
+      await this.forwardWithCache(route, req, res, forward);
+    } else {
+      await forward();
+    }
+  }
+
+  /**
+   * Answer from the response cache, or forward and cache the upstream answer
+   *
+   * Fresh entries are served as they are. Entries inside their
+   * stale-while-revalidate window are served and refreshed in the
+   * background. Expired entries with an ETag are revalidated with
+   * If-None-Match; a 304 refreshes and serves the stored response.
+   * Request `Cache-Control: no-cache` skips the lookup, `no-store` also
+   * skips storing.
+   */
+  private async forwardWithCache(
+    route: Route,
+    req: Request,
+    res: Response,
+    forward: (hooks?: ForwardHooks) => Promise<ForwardResult>
+  ): Promise<void> {
+    const key = `${route.id}|${req.url}`;
+    const requestCacheControl = parseCacheControl(req.headers['cache-control']);
+    const bypass = requestCacheControl.noStore || requestCacheControl.noCache || requestCacheControl.maxAge === 0;
+    const cached = bypass ? undefined : this.responseCache.lookup(key, req.headers);
+
+    if (cached) {
+      const freshness = this.responseCache.freshness(cached);
+      if (freshness !== 'expired') {
+        this.responseCache.recordHit(freshness === 'stale');
+        this.sendCachedResponse(cached, req, res, freshness === 'fresh' ? 'HIT' : 'STALE');
+        if (freshness === 'stale') {
+          this.revalidateInBackground(route, req, key, cached);
+        }
+        return;
+      }
+    }
+
+    this.responseCache.recordMiss();
+    const validator = cached?.etag ? cached : undefined;
+    await forward({
+      headers: validator ? { 'if-none-match': validator.etag! } : undefined,
+      handleResponse: async (upstreamRes) => {
+        const status = upstreamRes.statusCode || 502;
+        const headers = stripHopByHopHeaders(upstreamRes.headers);
+
+        if (status === 304 && validator) {
+          upstreamRes.resume(); // no body; drain so the socket returns to the pool
+          this.responseCache.recordRevalidation();
+          this.responseCache.refresh(key, validator, headers, route.cache);
+          this.sendCachedResponse(validator, req, res, 'REVALIDATED');
+          return;
+        }
+
+        let chunks: Buffer[] | null = !requestCacheControl.noStore && req.method.toUpperCase() === 'GET' ? [] : null;
+        let size = 0;
+        res.setHeader('X-Cache', 'MISS');
+        await this.pipeUpstreamResponse(upstreamRes, res, (chunk) => {
+          size += chunk.length;
+          if (chunks && size <= this.responseCache.maxBodySize) {
+            chunks.push(chunk);
+          } else {
+            chunks = null; // too large to cache; stop buffering
+          }
+        });
+
+        if (chunks) {
+          const authenticated = Boolean(req.headers['authorization'] || req.principal);
+          const entry = this.responseCache.createEntry(status, headers, Buffer.concat(chunks), req.headers, authenticated, route.cache);
+          if (entry) {
+            this.responseCache.set(key, entry);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Refresh a stale entry without holding up the client
+   *
+   * One refresh per cache key runs at a time, and none while the route's
+   * circuit is open. Failures leave the stale entry in place until its
+   * window ends.
+   */
+  private revalidateInBackground(route: Route, req: Request, key: string, cached: CachedResponse): void {
+    if (this.revalidating.has(key) || this.circuitBreakers.get(route.id)?.getState() === 'OPEN') {
+      return;
+    }
+
+    this.revalidating.add(key);
+    const pool = this.upstreamPools.get(route.id)!;
+    const instance = pool.pick(req);
+    let success = false;
+    pool.acquire(instance);
+
+    this.sendUpstreamRequest(instance.target, req, null, route.timeout ?? this.config.defaultTimeout, {
+      method: 'GET',
+      headers: { 'if-none-match': cached.etag || undefined, 'if-modified-since': undefined }
+    })
+      .then(async (upstreamRes) => {
+        const status = upstreamRes.statusCode || 502;
+        const headers = stripHopByHopHeaders(upstreamRes.headers);
+        const body = await this.readUpstreamBody(upstreamRes);
+        success = status < 500;
+
+        if (status === 304 && cached.etag) {
+          this.responseCache.recordRevalidation();
+          this.responseCache.refresh(key, cached, headers, route.cache);
+          return;
+        }
+
+        const authenticated = Boolean(req.headers['authorization'] || req.principal);
+        const entry = success ? this.responseCache.createEntry(status, headers, body, req.headers, authenticated, route.cache) : null;
+        if (entry) {
+          this.responseCache.set(key, entry);
+        } else if (success) {
+          this.responseCache.remove(key, cached);
+        }
+      })
+      .catch(() => {
+        // The stale response was already served; the next request tries again
+      })
+      .finally(() => {
+        pool.release(instance, success);
+        this.revalidating.delete(key);
+      });
+  }
+
+  /**
+   * Write a cached response, or 304 when the client's ETag still matches
+   */
+  private sendCachedResponse(entry: CachedResponse, req: Request, res: Response, cacheStatus: string): void {
+    const upstreamAge = parseInt(String(entry.headers['age'] || 0), 10) || 0;
+    const age = String(upstreamAge + Math.floor((Date.now() - entry.storedAt) / 1000));
+
+    if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+      const headers: Record<string, string | string[]> = { age, 'x-cache': cacheStatus };
+      for (const name of ['etag', 'cache-control', 'expires', 'vary', 'date', 'last-modified']) {
+        if (entry.headers[name] !== undefined) {
+          headers[name] = entry.headers[name];
+        }
+      }
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    res.writeHead(entry.status, {
+      ...entry.headers,
+      'content-length': String(entry.body.length),
+      age,
+      'x-cache': cacheStatus
+    });
+    res.end(req.method.toUpperCase() === 'HEAD' ? undefined : entry.body);
+  }
+
+  /**
+   * Authenticate the request for a route and attach the principal
+   *
+   * Skipped when gateway authentication is off or the route is anonymous.
+   * A route that narrows `auth.methods` to modes none of which are enabled
+   * rejects every request (fail closed).
+   */
+  private async authenticate(route: Route, req: Request): Promise<void> {
+    delete req.principal;
+    if (!this.config.enableAuthentication || route.auth?.anonymous) {
+      return;
+    }
+
+    const security = this.config.security || ({} as GatewaySecurityConfig);
+    const methods = resolveAuthMethods(security, route.auth);
+    req.principal = await authenticateRequest(req, security, methods);
+  }
+
+  /**
+   * Count the request against its consumer's limit for the route
+   *
+   * @throws {GatewayError} 429 with Retry-After when the limit is exceeded
+   */
+  private async applyRateLimit(route: Route, req: Request, res: Response): Promise<void> {
+    const options = this.config.enableRateLimiting
+      ? resolveRouteRateLimit(this.config.rateLimiting, route.rateLimit)
+      : null;
+    if (!options) {
+      return;
+    }
+
+    const decision = await evaluateRateLimit(req, route.id, options, this.rateLimitStore, this.config.rateLimiting.planLookup);
+    if (!decision) {
+      return;
+    }
+
+    for (const [name, value] of Object.entries(buildRateLimitHeaders(decision))) {
+      res.setHeader(name, value);
+    }
+
+    if (!decision.allowed) {
+      this.emit('rateLimitExceeded', {
+        routeId: route.id,
+        consumer: decision.consumer,
+        plan: decision.plan,
+        maxRequests: decision.maxRequests,
+        windowMs: decision.windowMs
+      });
+      throw new GatewayError('Rate limit exceeded', 429, 'RATE_LIMITED', decision.retryAfter);
+    }
+  }
+
+  /**
+   * Find the route and version for a request
+   *
+   * A `/v{n}` prefix is tried first, against versioned routes of the
+   * remaining path; when none exist the full path is matched as usual, so
+   * routes that spell the prefix out in their own path keep working.
+   *
+   * @returns The match, a description of the missing version when the path
+   *   exists but not in the requested version, or null when nothing matches
+   */
+  private matchRoute(
+    method: string,
+    pathname: string,
+    req: Request
+  ): RouteMatch | { requestedVersion: string; availableVersions: string[] } | null {
+    const versioning = resolveVersioningOptions(this.config.versioning);
+    const prefixed = versioning.prefix ? parseVersionPrefix(pathname) : null;
+
+    if (prefixed) {
+      const candidates = this.findRouteCandidates(method, prefixed.path);
+      if (candidates && candidates.routes.some(route => route.version)) {
+        return this.selectVersion(candidates, prefixed.version);
+      }
+    }
+
+    const candidates = this.findRouteCandidates(method, pathname);
+    if (!candidates) {
+      return null;
+    }
+
+    const requested = getRequestedVersion(req.headers, versioning);
+    return this.selectVersion(candidates, requested ? requested.version : null);
+  }
+
+  private selectVersion(
+    candidates: { routes: Route[]; params: Record<string, string> },
+    requested: string | null
+  ): RouteMatch | { requestedVersion: string; availableVersions: string[] } {
+    const route = selectRouteVersion(candidates.routes, requested);
+    if (!route) {
+      return {
+        requestedVersion: requested!,
+        availableVersions: candidates.routes.map(candidate => candidate.version!)
+      };
+    }
+    return { route, params: candidates.params };
+  }
+
+  /**
+   * Enabled routes (every version) registered for a method and path
+   *
+   * Exact (static) paths are looked up first; otherwise pattern routes are
+   * tried in precedence order and the versions of the first matching
+   * pattern are returned. Disabled routes are skipped.
+   */
+  private findRouteCandidates(method: string, pathname: string): { routes: Route[]; params: Record<string, string> } | null {
+    const exact = (this.routes.get(`${method}:${normalizePath(pathname)}`) || []).filter(route => route.enabled !== false);
+    if (exact.length > 0) {
+      return { routes: exact, params: {} };
+    }
+
+    for (const entry of this.patternRoutes) {
+      if (!entry.methods.has(method) || entry.route.enabled === false) {
+        continue;
+      }
+      const params = matchRoutePath(entry.matcher, pathname);
+      if (params) {
+        const routes = this.patternRoutes
+          .filter(other => other.matcher.path === entry.matcher.path && other.methods.has(method) && other.route.enabled !== false)
+          .map(other => other.route);
+        return { routes, params };
+      }
     }
+
+    return null;
+  }
+
+  /**
+   * Forward a request while recording the outcome on the route's breaker
+   *
+   * Open circuits fail fast with 503 and a Retry-After hint. Thrown upstream
+   * errors and 5xx upstream statuses are recorded as failures.
+   */
+  private async forwardThroughCircuitBreaker(
+    circuitBreaker: CircuitBreaker,
+    route: Route,
+    req: Request,
+    res: Response,
+    hooks?: ForwardHooks
+  ): Promise<ForwardResult> {
+    if (!circuitBreaker.allowRequest()) {
+      throw new GatewayError(
+        `Service ${this.getServiceName(route)} is unavailable (circuit open)`,
+        503,
+        'CIRCUIT_OPEN',
+        Math.max(1, Math.ceil(circuitBreaker.getRetryAfter() / 1000))
+      );
+    }
+
+    let result: ForwardResult;
+    try {
+      result = await this.forwardRequest(route, req, res, hooks);
+    } catch (error) {
+      circuitBreaker.recordFailure();
+      throw error;
+    }
+
+    if (result.status >= 500) {
+      circuitBreaker.recordFailure();
+    } else {
+      circuitBreaker.recordSuccess();
+    }
+    return result;
+  }
+
+  /**
+   * Translate breaker transitions into gateway events
+   */
+  private handleCircuitStateChange(route: Route, change: CircuitStateChange): void {
+    const eventNames = {
+      OPEN: 'circuitBreakerOpen',
+      HALF_OPEN: 'circuitBreakerHalfOpen',
+      CLOSED: 'circuitBreakerClose'
+    };
+
+    this.emit(eventNames[change.to], { routeId: route.id, service: this.getServiceName(route), ...change });
+  }
+
+  /**
+   * Apply an active health verdict to routing and announce it
+   */
+  private handleTargetHealthChange(route: Route, pool: UpstreamPool, change: TargetHealthChange): void {
+    pool.setActiveHealth(change.target, change.healthy);
+    this.emit(change.healthy ? 'targetHealthy' : 'targetUnhealthy', {
+      routeId: route.id,
+      target: change.target,
+      state: change.state
+    });
+  }
+
+  private recordUpstreamError(route: Route, target: string, code: string): void {
+    if (this.config.enableMetrics) {
+      this.gatewayMetrics.upstreamErrors.inc({ route: route.id, target, code });
+    }
+  }
+
+  private getServiceName(route: Route): string {
+    return (route.targets && route.targets[0] || route.target)?.service || route.id;
   }
 
   /**
  * Forward request to target microservice
  *
- * This method handles the actual HTTP request forwarding to the
- * target service. It manages connection pooling, request transformation,
- * and response handling.
+ * This method proxies the incoming request to an instance picked from the
+ * route's upstream pool and streams the upstream response straight back to
+ * the client. Upstream connections are drawn from keep-alive agents shared
+ * by all routes.
  *
  * Forwarding Process:
- * 1. Build target URL from route configuration
- * 2. Transform request headers and body
- * 3. Establish HTTP connection (with connection pooling)
- * 4. Send request with timeout and retry logic
- * 5. Process response headers and status
- * 6. Return standardized response object
+ * 1. Pick an instance and build its URL from endpoint and original query
+ * 2. Strip hop-by-hop headers and add X-Forwarded-* headers
+ * 3. Send method, headers and body over a pooled connection
+ * 4. Retry connection failures, timeouts and 502/503/504 responses
+ * 5. Stream upstream status, headers and body back to the client
+ *
+ * Retry Rules:
+ * - Failures before the upstream accepted the connection are always retried
+ * - Timeouts, resets and 502/503/504 are retried for idempotent methods only
+ * - Bodies still being streamed from the client cannot be replayed, so
+ *   those requests get a single attempt
+ * - Each retry prefers an instance that has not been tried yet
+ *
+ * Every attempt's outcome feeds passive health: errors and 5xx responses
+ * count as failures against the instance that served them.
  *
  * @param {Route} route - The route configuration for forwarding
  * @param {Request} req - The original request object
- * @returns {Promise<any>} Promise resolving to the service response
- *
- * @example
- * // Forwarded request structure
- * const response = await forwardRequest(route, request);
- * // Returns: { status: 200, data: {...}, headers: {...} }
+ * @param {Response} res - The client response to stream into
+ * @param {ForwardHooks} [hooks] - Upstream header overrides and a custom
+ * response handler (used by the response cache)
+ * @returns {Promise<ForwardResult>} Upstream status and attempts used
  *
- * @note This is a simplified implementation. In production,
- * this would use a proper HTTP client like axios or fetch with
- * connection pooling, retries, and proper error handling.
+ * @throws {GatewayError} 502 when the upstream is unreachable, 504 on timeout
  *
  * @private
  */
-  private async forwardRequest(route: Route, req: Request): Promise<any> {
-    const targetUrl = `${route.target.protocol}://${route.target.host}:${route.target.port}${route.target.endpoint}`;
+  private async forwardRequest(route: Route, req: Request, res: Response, hooks: ForwardHooks = {}): Promise<ForwardResult> {
+    const method = req.method.toUpperCase();
+    const timeout = route.timeout ?? this.config.defaultTimeout;
+    const retries = route.retries ?? this.config.defaultRetries;
+    const body = this.getReplayableBody(req);
+    const maxAttempts = body === undefined ? 1 : Math.max(1, retries + 1);
 
-    // In a real implementation, this would make HTTP request
-    return {
-      status: 200,
-      data: {
-        message: 'Request forwarded successfully',
-        target: targetUrl,
-        originalRequest: {
-          method: req.method,
-          path: req.path,
-          headers: req.headers
+    const pool = this.upstreamPools.get(route.id)!;
+    const tried = new Set<string>();
+
+    let lastError: any;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const instance = pool.pick(req, tried);
+      tried.add(instance.id);
+      pool.acquire(instance);
+      let released = false;
+      const release = (success: boolean) => {
+        if (!released) {
+          released = true;
+          pool.release(instance, success);
+        }
+      };
+
+      try {
+        const upstreamRes = await this.sendUpstreamRequest(instance.target, req, body, timeout, { headers: hooks.headers });
+        const status = upstreamRes.statusCode || 502;
+
+        if (status >= 500) {
+          this.recordUpstreamError(route, instance.id, `HTTP_${status}`);
+        }
+
+        if (attempt < maxAttempts && RETRYABLE_STATUS_CODES.has(status) && IDEMPOTENT_METHODS.has(method)) {
+          upstreamRes.resume(); // drain so the socket returns to the pool
+          release(false);
+          continue;
+        }
+
+        try {
+          await (hooks.handleResponse ? hooks.handleResponse(upstreamRes) : this.pipeUpstreamResponse(upstreamRes, res));
+        } catch (error: any) {
+          // The upstream answered; only the client went away
+          if (error.code !== 'CLIENT_DISCONNECTED') {
+            throw error;
+          }
+        }
+        release(status < 500);
+        return { status, attempts: attempt, target: instance.id };
+      } catch (error: any) {
+        release(false);
+        lastError = error;
+        this.recordUpstreamError(route, instance.id, error.code || 'UNKNOWN');
+        const retryable = CONNECT_ERROR_CODES.has(error.cause?.code) ||
+          (IDEMPOTENT_METHODS.has(method) && error.code !== 'UPSTREAM_STREAM_FAILED');
+        if (!retryable || res.headersSent) {
+          break;
         }
       }
-    };
+    }
+
+    throw lastError;
   }
 
   /**
-   * Handle route processing
+   * Open a pooled connection to an upstream instance and resolve with the
+   * upstream response once its headers arrive
+   *
+   * `overrides` replaces the method or individual headers of the client
+   * request; an undefined header value removes that header.
    */
-  private async handleRoute(route: Route, req: Request, res: Response, next: NextFunction): Promise<void> {
-    try {
-      const result = await this.forwardRequest(route, req);
-      this.sendResponse(res, result);
-    } catch (error) {
-      next(error);
+  private sendUpstreamRequest(
+    target: UpstreamTarget,
+    req: Request,
+    body: Buffer | null | undefined,
+    timeout: number,
+    overrides: { method?: string; headers?: Record<string, string | undefined> } = {}
+  ): Promise<http.IncomingMessage> {
+    const isHttps = target.protocol === 'https';
+    const headers = buildForwardedHeaders(req, stripPrincipalHeaders(stripHopByHopHeaders(req.headers)), this.config.trustProxy);
+    if (req.principal) {
+      applyPrincipalHeaders(headers, req.principal);
+    }
+    for (const [name, value] of Object.entries(overrides.headers || {})) {
+      if (value === undefined) {
+        delete headers[name];
+      } else {
+        headers[name] = value;
+      }
+    }
+    headers['host'] = `${target.host}:${target.port}`;
+    if (body) {
+      headers['content-length'] = String(body.length);
     }
+
+    return new Promise((resolve, reject) => {
+      const upstreamReq = (isHttps ? https : http).request({
+        protocol: isHttps ? 'https:' : 'http:',
+        host: target.host,
+        port: target.port,
+        method: overrides.method || req.method.toUpperCase(),
+        path: this.buildUpstreamPath(target, req),
+        headers,
+        agent: isHttps ? this.httpsAgent : this.httpAgent
+      });
+
+      upstreamReq.setTimeout(timeout, () => {
+        upstreamReq.destroy(new GatewayError(
+          `Upstream ${target.service} timed out after ${timeout}ms`,
+          504,
+          'UPSTREAM_TIMEOUT'
+        ));
+      });
+
+      upstreamReq.once('response', resolve);
+      upstreamReq.once('error', (error: any) => {
+        if (error instanceof GatewayError) {
+          reject(error);
+          return;
+        }
+        const gatewayError = new GatewayError(
+          `Upstream ${target.service} unavailable: ${error.message}`,
+          502,
+          'UPSTREAM_UNAVAILABLE'
+        );
+        (gatewayError as any).cause = error;
+        reject(gatewayError);
+      });
+
+      if (body === undefined && typeof req.pipe === 'function') {
+        req.pipe(upstreamReq);
+      } else {
+        upstreamReq.end(body || undefined);
+      }
+    });
+  }
+
+  /**
+   * Stream the upstream status, headers and body to the client
+   *
+   * `onChunk` sees every body chunk as it passes through (used to fill the
+   * response cache). When the client goes away first, the upstream response
+   * is destroyed and the promise rejects with CLIENT_DISCONNECTED.
+   */
+  private pipeUpstreamResponse(
+    upstreamRes: http.IncomingMessage,
+    res: Response,
+    onChunk?: (chunk: Buffer) => void
+  ): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const fail = (error?: Error) => {
+        const gatewayError = new GatewayError(
+          `Upstream response interrupted${error ? `: ${error.message}` : ''}`,
+          502,
+          'UPSTREAM_STREAM_FAILED'
+        );
+        reject(gatewayError);
+      };
+
+      upstreamRes.once('error', fail);
+      upstreamRes.once('aborted', () => fail());
+
+      res.writeHead(upstreamRes.statusCode || 502, stripHopByHopHeaders(upstreamRes.headers));
+      if (onChunk) {
+        upstreamRes.on('data', onChunk);
+      }
+
+      if (typeof res.write === 'function' && typeof res.on === 'function') {
+        // Writable responses get backpressure-aware streaming; pipe() ends res
+        upstreamRes.once('end', () => resolve());
+        const clientGone = () => {
+          if ((res as any).writableFinished) {
+            return;
+          }
+          // Settle first: destroying the upstream response emits 'aborted'
+          reject(new GatewayError('Client closed the connection', 499, 'CLIENT_DISCONNECTED'));
+          upstreamRes.unpipe(res as unknown as NodeJS.WritableStream);
+          upstreamRes.destroy(); // closes the upstream connection too
+        };
+        res.on('close', clientGone);
+        res.on('error', clientGone);
+        upstreamRes.pipe(res as unknown as NodeJS.WritableStream);
+      } else {
+        // Minimal response objects without write(): buffer and send once
+        const chunks: Buffer[] = [];
+        upstreamRes.on('data', (chunk: Buffer) => chunks.push(chunk));
+        upstreamRes.once('end', () => {
+          res.end(Buffer.concat(chunks));
+          resolve();
+        });
+      }
+    });
+  }
+
+  /**
+   * Buffer a whole upstream response body
+   */
+  private readUpstreamBody(upstreamRes: http.IncomingMessage): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      const chunks: Buffer[] = [];
+      upstreamRes.on('data', (chunk: Buffer) => chunks.push(chunk));
+      upstreamRes.once('end', () => resolve(Buffer.concat(chunks)));
+      upstreamRes.once('error', reject);
+      upstreamRes.once('aborted', () => reject(new Error('Upstream response aborted')));
+    });
+  }
+
+  /**
+   * Build the upstream path from the route endpoint and the original query
+   *
+   * Placeholders in the endpoint (`:id`, `*`) are filled from req.params.
+   */
+  private buildUpstreamPath(target: UpstreamTarget, req: Request): string {
+    const url = new URL(req.url || '/', 'http://localhost');
+    let search = url.search;
+
+    if (!search && req.query && Object.keys(req.query).length > 0) {
+      search = `?${new URLSearchParams(req.query).toString()}`;
+    }
+
+    return `${rewritePath(target.endpoint || '/', req.params)}${search}`;
+  }
+
+  /**
+   * Resolve the request body in a form that can be sent more than once
+   *
+   * @returns Buffer for parsed bodies, null when there is no body, and
+   * undefined when the body must be streamed from the client
+   * @throws {GatewayError} 500 when a parsed body cannot be re-encoded as
+   * its Content-Type (anything but JSON and flat urlencoded forms)
+   */
+  private getReplayableBody(req: Request): Buffer | null | undefined {
+    const contentLength = req.headers['content-length'];
+    const hasBody = Boolean(req.headers['transfer-encoding']) ||
+      (contentLength !== undefined && contentLength !== '0');
+
+    if (!hasBody) {
+      return null;
+    }
+
+    if (req.body !== undefined && req.body !== null) {
+      if (Buffer.isBuffer(req.body)) {
+        return req.body;
+      }
+      if (typeof req.body === 'string') {
+        return Buffer.from(req.body);
+      }
+      // Body was parsed by an upstream body parser; re-encode it in the
+      // format its Content-Type announces
+      const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!contentType || contentType === 'application/json' || contentType.endsWith('+json')) {
+        return Buffer.from(JSON.stringify(req.body));
+      }
+      const form = contentType === 'application/x-www-form-urlencoded' ? encodeFormBody(req.body) : null;
+      if (form === null) {
+        throw new GatewayError(`Parsed ${contentType} request body cannot be forwarded; keep the raw body for proxied routes`, 500, 'BODY_NOT_REPLAYABLE');
+      }
+      return Buffer.from(form);
+    }
+
+    if (typeof req.pipe === 'function' && !req.readableEnded) {
+      return undefined;
+    }
+
+    return null;
   }
 
   /**
@@ -597,7 +1537,25 @@ class APIGateway extends EventEmitter {
   private handleError(error: any, req: Request, res: Response): void {
     console.error('Gateway error:', error);
 
+    // Response already streaming from upstream; the status cannot change
+    if (res.headersSent) {
+      if (typeof res.destroy === 'function') {
+        res.destroy(error);
+      } else {
+        res.end();
+      }
+      return;
+    }
+
     const statusCode = error.statusCode || 500;
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    if (error instanceof GatewayError && error.headers) {
+      for (const [name, value] of Object.entries(error.headers)) {
+        res.setHeader(name, value);
+      }
+    }
     const message = this.config.enableLogging ? error.message : 'Internal Server Error';
 
     res.status(statusCode).json({
@@ -615,36 +1573,6 @@ class APIGateway extends EventEmitter {
     this.metrics.averageResponseTime = (totalTime + responseTime) / this.metrics.totalRequests;
   }
 
-  /**
-   * Start cleanup interval
-   */
-  private startCleanupInterval(): void {
-    setInterval(() => {
-      this.cleanupExpiredData();
-    }, 60000); // Every minute
-  }
-
-  /**
-   * Cleanup expired data
-   */
-  private cleanupExpiredData(): void {
-    const now = Date.now();
-
-    // Clean expired response cache
-    for (const [key, cached] of this.responseCache.entries()) {
-      if (cached && (now - cached.timestamp) > cached.ttl) {
-        this.responseCache.delete(key);
-      }
-    }
-
-    // Limit response cache size
-    if (this.responseCache.size > this.maxCacheSize) {
-      const entries = Array.from(this.responseCache.entries());
-      const toDelete = entries.slice(0, entries.length - this.maxCacheSize);
-      toDelete.forEach(([key]) => this.responseCache.delete(key));
-    }
-  }
-
   /**
  * Add middleware to the gateway middleware chain
  *
@@ -716,29 +1644,143 @@ class APIGateway extends EventEmitter {
   }
 
   /**
-   * Get gateway statistics
+   * Get gateway statistics, including circuit breaker state and upstream
+   * instance health per route id, and response cache counters
+   */
+  getStats(): GatewayStats {
+    const circuitBreakers: Record<string, CircuitBreakerStats> = {};
+    for (const [routeId, circuitBreaker] of this.circuitBreakers) {
+      circuitBreakers[routeId] = circuitBreaker.getStats();
+    }
+
+    const upstreams: Record<string, UpstreamInstanceStats[]> = {};
+    for (const [routeId, pool] of this.upstreamPools) {
+      upstreams[routeId] = pool.getStats();
+    }
+
+    return { ...this.metrics, circuitBreakers, upstreams, cache: this.responseCache.getStats() };
+  }
+
+  /**
+   * Render the gateway metrics for a Prometheus scrape
+   *
+   * Upstream connection and circuit state gauges are sampled at call time.
+   *
+   * @param format - `prometheus` (text format 0.0.4) or `openmetrics`
+   */
+  getMetricsText(format: MetricsFormat = 'prometheus'): string {
+    const circuitStates = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+    this.gatewayMetrics.upstreamActiveConnections.reset();
+    for (const [routeId, pool] of this.upstreamPools) {
+      for (const stats of pool.getStats()) {
+        this.gatewayMetrics.upstreamActiveConnections.set({ route: routeId, target: stats.id }, stats.activeConnections);
+      }
+    }
+
+    this.gatewayMetrics.circuitBreakerState.reset();
+    for (const [routeId, circuitBreaker] of this.circuitBreakers) {
+      this.gatewayMetrics.circuitBreakerState.set({ route: routeId }, circuitStates[circuitBreaker.getState()]);
+    }
+
+    return this.gatewayMetrics.render(format);
+  }
+
+  /**
+   * Request handler serving the metrics endpoint
+   *
+   * Answers in OpenMetrics when the scraper's Accept header asks for it,
+   * otherwise in the Prometheus text format.
+   *
+   * @example
+   * app.get('/metrics', gateway.metricsHandler());
    */
-  getStats(): GatewayMetrics {
-    return { ...this.metrics };
+  metricsHandler(): (req: { headers: Record<string, any> }, res: Response) => void {
+    return (req, res) => {
+      const format = negotiateMetricsFormat(req.headers?.accept);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[format] });
+      res.end(this.getMetricsText(format));
+    };
   }
 
   /**
    * Health check
+   *
+   * Reports per-target health for every route, including the latest active
+   * probe result when health checks are enabled. Status is 'degraded' while
+   * any route's circuit is not CLOSED or any target is out of rotation.
    */
-  healthCheck(): { status: string; uptime: number; metrics: GatewayMetrics } {
+  healthCheck(): {
+    status: string;
+    uptime: number;
+    metrics: GatewayStats;
+    openCircuits: string[];
+    targets: Record<string, TargetHealthReport[]>;
+    } {
+    const openCircuits = Array.from(this.circuitBreakers.entries())
+      .filter(([, circuitBreaker]) => circuitBreaker.getState() !== 'CLOSED')
+      .map(([routeId]) => routeId);
+
+    const targets: Record<string, TargetHealthReport[]> = {};
+    let unhealthyTargets = 0;
+    for (const [routeId, pool] of this.upstreamPools) {
+      const probeStates = this.healthCheckers.get(routeId)?.getStates() || {};
+      targets[routeId] = pool.getStats().map(stats => {
+        if (!stats.healthy) {
+          unhealthyTargets++;
+        }
+        return { ...stats, activeCheck: probeStates[stats.id] || null };
+      });
+    }
+
     return {
-      status: 'healthy',
+      status: openCircuits.length > 0 || unhealthyTargets > 0 ? 'degraded' : 'healthy',
       uptime: process.uptime(),
-      metrics: this.getStats()
+      metrics: this.getStats(),
+      openCircuits,
+      targets
     };
   }
 
   /**
-   * Set route cache (placeholder for compatibility)
+   * Stop background timers and close pooled upstream connections
+   *
+   * Call during graceful shutdown or test teardown.
+   */
+  destroy(): void {
+    for (const checker of this.healthCheckers.values()) {
+      checker.stop();
+    }
+    this.healthCheckers.clear();
+
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+    this.circuitBreakers.clear();
+    this.responseCache.destroy();
+    if (this.ownsRateLimitStore) {
+      this.rateLimitStore.destroy?.();
+    }
+  }
+
+  /**
+   * Change the cache policy of a route at runtime
+   *
+   * Merges `options` into `route.cache` of every route (and version) with
+   * the id and drops the responses already cached for it.
    */
-  setRouteCache(cache: any): void {
-    // Implementation would set up caching
+  setRouteCache(routeId: string, options: RouteCacheOptions): void {
+    const routes = new Set<Route>(this.patternRoutes.map(entry => entry.route));
+    for (const variants of this.routes.values()) {
+      variants.forEach(route => routes.add(route));
+    }
+
+    for (const route of routes) {
+      if (route.id === routeId) {
+        route.cache = { ...route.cache, ...options };
+      }
+    }
+    this.responseCache.purge(`${routeId}|`);
   }
 }
 
-export { APIGateway, GatewayConfig, Route, GatewayMetrics };
+export { APIGateway, GatewayError, GatewayConfig, Route, UpstreamTarget, GatewayMetrics, GatewayStats };
@@ -0,0 +1,185 @@
+/**
+ * Route Circuit Breaker
+ *
+ * PURPOSE: Tracks upstream failures for a single gateway route and stops
+ * sending traffic to a service that keeps failing, giving it time to recover.
+ *
+ * STATE MACHINE:
+ * - CLOSED: Requests pass through; consecutive failures are counted
+ * - OPEN: Requests fail fast until `resetTimeout` has elapsed
+ * - HALF_OPEN: A limited number of trial requests probe the upstream;
+ *   `successThreshold` successes close the circuit, any failure reopens it
+ *
+ * The OPEN → HALF_OPEN transition happens lazily on the next request after
+ * the reset timeout, so no timers are kept per breaker.
+ */
+
+export type CircuitState = 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures in CLOSED state before the circuit opens */
+  failureThreshold?: number;
+  /** Milliseconds the circuit stays OPEN before allowing trial requests */
+  resetTimeout?: number;
+  /** Successful trial requests needed in HALF_OPEN before closing */
+  successThreshold?: number;
+  /** Trial requests allowed in flight at once while HALF_OPEN */
+  halfOpenMaxRequests?: number;
+}
+
+export interface CircuitStateChange {
+  name: string;
+  from: CircuitState;
+  to: CircuitState;
+  failures: number;
+  timestamp: number;
+}
+
+export interface CircuitBreakerStats {
+  state: CircuitState;
+  failures: number;
+  successes: number;
+  totalFailures: number;
+  totalSuccesses: number;
+  rejected: number;
+  openedAt: number | null;
+  nextAttemptAt: number | null;
+}
+
+const DEFAULT_OPTIONS: Required<CircuitBreakerOptions> = {
+  failureThreshold: 5,
+  resetTimeout: 30000,
+  successThreshold: 2,
+  halfOpenMaxRequests: 1
+};
+
+class CircuitBreaker {
+  readonly name: string;
+  private options: Required<CircuitBreakerOptions>;
+  private onStateChange?: (change: CircuitStateChange) => void;
+  private state: CircuitState = 'CLOSED';
+  private failures = 0;
+  private successes = 0;
+  private halfOpenInFlight = 0;
+  private openedAt: number | null = null;
+  private totals = { failures: 0, successes: 0, rejected: 0 };
+
+  constructor(
+    name: string,
+    options: CircuitBreakerOptions = {},
+    onStateChange?: (change: CircuitStateChange) => void
+  ) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.onStateChange = onStateChange;
+  }
+
+  /**
+   * Decide whether a request may proceed, reserving a trial slot when
+   * HALF_OPEN. Every `true` answer must be followed by exactly one call to
+   * recordSuccess() or recordFailure().
+   */
+  allowRequest(now: number = Date.now()): boolean {
+    if (this.state === 'OPEN') {
+      if (now - (this.openedAt || 0) < this.options.resetTimeout) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.transition('HALF_OPEN', now);
+    }
+
+    if (this.state === 'HALF_OPEN') {
+      if (this.halfOpenInFlight >= this.options.halfOpenMaxRequests) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    return true;
+  }
+
+  recordSuccess(now: number = Date.now()): void {
+    this.totals.successes++;
+
+    if (this.state === 'HALF_OPEN') {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.successes++;
+      if (this.successes >= this.options.successThreshold) {
+        this.transition('CLOSED', now);
+      }
+      return;
+    }
+
+    this.failures = 0;
+  }
+
+  recordFailure(now: number = Date.now()): void {
+    this.totals.failures++;
+
+    if (this.state === 'HALF_OPEN') {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.failures++;
+      this.transition('OPEN', now);
+      return;
+    }
+
+    this.failures++;
+    if (this.state === 'CLOSED' && this.failures >= this.options.failureThreshold) {
+      this.transition('OPEN', now);
+    }
+  }
+
+  /**
+   * Milliseconds until an OPEN circuit will accept a trial request
+   */
+  getRetryAfter(now: number = Date.now()): number {
+    if (this.state !== 'OPEN' || this.openedAt === null) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.options.resetTimeout - now);
+  }
+
+  getState(): CircuitState {
+    return this.state;
+  }
+
+  getStats(): CircuitBreakerStats {
+    return {
+      state: this.state,
+      failures: this.failures,
+      successes: this.successes,
+      totalFailures: this.totals.failures,
+      totalSuccesses: this.totals.successes,
+      rejected: this.totals.rejected,
+      openedAt: this.openedAt,
+      nextAttemptAt: this.state === 'OPEN' && this.openedAt !== null
+        ? this.openedAt + this.options.resetTimeout
+        : null
+    };
+  }
+
+  private transition(to: CircuitState, now: number): void {
+    const from = this.state;
+    if (from === to) {
+      return;
+    }
+
+    this.state = to;
+    this.successes = 0;
+    this.halfOpenInFlight = 0;
+
+    if (to === 'OPEN') {
+      this.openedAt = now;
+    } else if (to === 'CLOSED') {
+      this.failures = 0;
+      this.openedAt = null;
+    }
+
+    if (this.onStateChange) {
+      this.onStateChange({ name: this.name, from, to, failures: this.failures, timestamp: now });
+    }
+  }
+}
+
+export { CircuitBreaker };
@@ -0,0 +1,225 @@
+/**
+ * Gateway Authentication
+ *
+ * PURPOSE: Authenticates requests at the gateway edge using the modes
+ * enabled in `GatewayConfig.security`, and describes the authenticated
+ * principal to upstream services through trusted headers.
+ *
+ * MODES:
+ * - API keys: read with extractApiKey (x-api-key / api-key headers,
+ *   `Authorization: ApiKey <key>`, or the api_key query parameter) and
+ *   compared against `security.apiKeys` with timingSafeCompare
+ * - JWT: `Authorization: Bearer <jwt>` verified with HS256 (`jwtSecret`) or
+ *   RS256 (`jwtPublicKey`), checking exp/nbf and optionally aud/iss
+ * - OAuth: bearer tokens passed to the pluggable `introspectToken` hook
+ *   (RFC 7662 style result); used for opaque tokens, or for JWTs that fail
+ *   local verification when both modes are enabled
+ *
+ * TRUSTED HEADERS: Clients can never set the principal headers themselves;
+ * stripPrincipalHeaders() removes them from every incoming request before
+ * applyPrincipalHeaders() adds the gateway's own values.
+ */
+
+import extractApiKey from '../security/extractApiKey.js';
+import timingSafeCompare from '../security/timingSafeCompare.js';
+import verifyJwt, { JwtAlgorithm } from '../security/verifyJwt.js';
+import { GatewayError } from './gatewayError.js';
+
+export type AuthMethod = 'apiKey' | 'jwt' | 'oauth';
+
+export interface TokenIntrospectionResult {
+  active: boolean;
+  sub?: string;
+  client_id?: string;
+  scope?: string;
+  [claim: string]: unknown;
+}
+
+export interface GatewaySecurityConfig {
+  enableApiKeyAuth: boolean;
+  enableJwtAuth: boolean;
+  enableOauth: boolean;
+  /** Consumer id → API key */
+  apiKeys: Record<string, string>;
+  jwtSecret: string;
+  oauthProvider: string;
+  /** PEM public key for RS256 tokens */
+  jwtPublicKey?: string;
+  jwtAlgorithms?: JwtAlgorithm[];
+  jwtAudience?: string | string[];
+  jwtIssuer?: string | string[];
+  /** Seconds of leeway when checking exp/nbf */
+  jwtClockTolerance?: number;
+  /** Resolves an OAuth access token to its introspection result */
+  introspectToken?: (token: string) => Promise<TokenIntrospectionResult>;
+}
+
+export interface RouteAuthOptions {
+  /** Skip authentication for this route */
+  anonymous?: boolean;
+  /** Accept only these modes on this route (must also be enabled globally) */
+  methods?: AuthMethod[];
+}
+
+export interface AuthPrincipal {
+  id: string;
+  method: AuthMethod;
+  scopes: string[];
+  claims: Record<string, unknown>;
+}
+
+export interface AuthenticatableRequest {
+  headers: Record<string, any>;
+  query?: Record<string, any>;
+}
+
+export const PRINCIPAL_HEADERS = {
+  id: 'x-authenticated-principal',
+  method: 'x-authenticated-method',
+  scopes: 'x-authenticated-scopes'
+};
+
+const PRINCIPAL_HEADER_PREFIX = 'x-authenticated-';
+
+/**
+ * Modes enabled in the security config, narrowed by the route's options
+ */
+export function resolveAuthMethods(security: Partial<GatewaySecurityConfig>, routeAuth?: RouteAuthOptions): AuthMethod[] {
+  const enabled: AuthMethod[] = [];
+  if (security.enableApiKeyAuth) enabled.push('apiKey');
+  if (security.enableJwtAuth) enabled.push('jwt');
+  if (security.enableOauth) enabled.push('oauth');
+
+  return routeAuth?.methods ? enabled.filter(method => routeAuth.methods!.includes(method)) : enabled;
+}
+
+function unauthorized(message: string, methods: AuthMethod[]): GatewayError {
+  const challenge = methods.some(method => method !== 'apiKey') ? 'Bearer realm="gateway"' : 'ApiKey realm="gateway"';
+  return new GatewayError(message, 401, 'UNAUTHORIZED', undefined, { 'WWW-Authenticate': challenge });
+}
+
+function parseScopes(value: unknown): string[] {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? value.split(' ').filter(Boolean) : [];
+}
+
+function getBearerToken(headers: Record<string, any>): string | null {
+  const header = headers.authorization || headers.Authorization;
+  if (typeof header !== 'string' || !/^bearer\s+/i.test(header)) {
+    return null;
+  }
+  return header.replace(/^bearer\s+/i, '').trim() || null;
+}
+
+async function introspect(token: string, security: Partial<GatewaySecurityConfig>, methods: AuthMethod[]): Promise<AuthPrincipal> {
+  let result: TokenIntrospectionResult;
+  try {
+    result = await security.introspectToken!(token);
+  } catch (error: any) {
+    throw new GatewayError(`Token introspection failed: ${error.message}`, 503, 'INTROSPECTION_FAILED');
+  }
+
+  if (!result || result.active !== true) {
+    throw unauthorized('Access token is not active', methods);
+  }
+
+  return {
+    id: String(result.sub || result.client_id || 'unknown'),
+    method: 'oauth',
+    scopes: parseScopes(result.scope),
+    claims: { ...result }
+  };
+}
+
+/**
+ * Authenticate a request with the given modes
+ *
+ * @returns The authenticated principal
+ * @throws {GatewayError} 401 when no mode accepts the request, 503 when
+ *   token introspection itself fails
+ */
+export async function authenticateRequest(
+  req: AuthenticatableRequest,
+  security: Partial<GatewaySecurityConfig>,
+  methods: AuthMethod[]
+): Promise<AuthPrincipal> {
+  const bearer = getBearerToken(req.headers || {});
+
+  if (bearer && (methods.includes('jwt') || methods.includes('oauth'))) {
+    const looksLikeJwt = bearer.split('.').length === 3;
+
+    if (methods.includes('jwt') && looksLikeJwt) {
+      try {
+        const claims = verifyJwt(bearer, {
+          secret: security.jwtSecret || undefined,
+          publicKey: security.jwtPublicKey,
+          algorithms: security.jwtAlgorithms,
+          audience: security.jwtAudience,
+          issuer: security.jwtIssuer,
+          clockTolerance: security.jwtClockTolerance
+        });
+        return {
+          id: String(claims.sub || 'unknown'),
+          method: 'jwt',
+          scopes: parseScopes(claims.scope ?? claims.scp),
+          claims
+        };
+      } catch (error: any) {
+        if (!methods.includes('oauth')) {
+          throw unauthorized(`Invalid token: ${error.message}`, methods);
+        }
+      }
+    }
+
+    if (methods.includes('oauth')) {
+      return introspect(bearer, security, methods);
+    }
+
+    throw unauthorized('Invalid token', methods);
+  }
+
+  if (methods.includes('apiKey')) {
+    const providedKey = extractApiKey(req, { authPrefix: 'ApiKey ' });
+    if (providedKey) {
+      let consumer: string | null = null;
+      // Compare against every key so timing does not reveal which one matched
+      for (const [consumerId, apiKey] of Object.entries(security.apiKeys || {})) {
+        if (timingSafeCompare(apiKey, providedKey) && consumer === null) {
+          consumer = consumerId;
+        }
+      }
+      if (consumer !== null) {
+        return { id: consumer, method: 'apiKey', scopes: [], claims: {} };
+      }
+      throw unauthorized('Invalid API key', methods);
+    }
+  }
+
+  throw unauthorized('Authentication required', methods);
+}
+
+/**
+ * Remove client-supplied principal headers so they cannot be spoofed
+ */
+export function stripPrincipalHeaders(headers: Record<string, string | string[]>): Record<string, string | string[]> {
+  for (const name of Object.keys(headers)) {
+    if (name.toLowerCase().startsWith(PRINCIPAL_HEADER_PREFIX)) {
+      delete headers[name];
+    }
+  }
+  return headers;
+}
+
+/**
+ * Describe the authenticated principal to the upstream service
+ */
+export function applyPrincipalHeaders(headers: Record<string, string | string[]>, principal: AuthPrincipal): Record<string, string | string[]> {
+  headers[PRINCIPAL_HEADERS.id] = principal.id;
+  headers[PRINCIPAL_HEADERS.method] = principal.method;
+  if (principal.scopes.length > 0) {
+    headers[PRINCIPAL_HEADERS.scopes] = principal.scopes.join(' ');
+  }
+  return headers;
+}
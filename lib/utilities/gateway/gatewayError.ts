@@ -0,0 +1,21 @@
+/**
+ * Error carrying the HTTP status (and any response headers) the gateway
+ * should answer with when a request cannot be proxied.
+ */
+class GatewayError extends Error {
+  statusCode: number;
+  code: string;
+  retryAfter?: number;
+  headers?: Record<string, string>;
+
+  constructor(message: string, statusCode: number, code: string, retryAfter?: number, headers?: Record<string, string>) {
+    super(message);
+    this.name = 'GatewayError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.headers = headers;
+  }
+}
+
+export { GatewayError };
@@ -0,0 +1,240 @@
+/**
+ * Gateway Metrics Exposition
+ *
+ * PURPOSE: Keeps labelled counters, gauges and histograms for the API
+ * gateway and renders them in the Prometheus text format (0.0.4) or
+ * OpenMetrics 1.0, so standard scrapers can collect them.
+ *
+ * METRICS (default `gateway_` prefix):
+ * - requests_total{route,method,status}: finished requests
+ * - request_duration_seconds{route,method}: latency histogram with
+ *   configurable buckets, so tail latency stays visible
+ * - upstream_errors_total{route,target,code}: upstream failures, by error
+ *   code (UPSTREAM_TIMEOUT, ...) or `HTTP_<status>` for 5xx answers
+ * - requests_in_flight: requests currently inside the gateway
+ * - upstream_active_connections{route,target}: requests in flight per
+ *   upstream instance
+ * - circuit_breaker_state{route}: 0 closed, 1 half-open, 2 open
+ *
+ * Label values are escaped; unknown HTTP methods are reported as OTHER so
+ * clients cannot inflate series cardinality.
+ */
+
+export type MetricsFormat = 'prometheus' | 'openmetrics';
+
+export interface GatewayMetricsOptions {
+  /** Metric name prefix */
+  prefix?: string;
+  /** Latency histogram bucket upper bounds in seconds */
+  buckets?: number[];
+}
+
+type Labels = Record<string, string>;
+
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const CONTENT_TYPES: Record<MetricsFormat, string> = {
+  prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+  openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+};
+
+const KNOWN_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']);
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(String(value))}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function seriesKey(labels: Labels): string {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+abstract class Metric {
+  constructor(readonly name: string, readonly help: string) {}
+
+  abstract render(format: MetricsFormat): string[];
+
+  protected header(type: string, familyName = this.name): string[] {
+    return [`# HELP ${familyName} ${this.help}`, `# TYPE ${familyName} ${type}`];
+  }
+}
+
+/**
+ * Monotonically increasing count; `name` is given without the `_total` suffix
+ */
+class Counter extends Metric {
+  private series = new Map<string, { labels: Labels; value: number }>();
+
+  inc(labels: Labels = {}, value = 1): void {
+    const key = seriesKey(labels);
+    const current = this.series.get(key);
+    if (current) {
+      current.value += value;
+    } else {
+      this.series.set(key, { labels, value });
+    }
+  }
+
+  get(labels: Labels = {}): number {
+    return this.series.get(seriesKey(labels))?.value ?? 0;
+  }
+
+  render(format: MetricsFormat): string[] {
+    // OpenMetrics names the family without _total; the 0.0.4 format names it with
+    const family = format === 'openmetrics' ? this.name : `${this.name}_total`;
+    const lines = this.header('counter', family);
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}_total${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  private series = new Map<string, { labels: Labels; value: number }>();
+
+  set(labels: Labels, value: number): void {
+    this.series.set(seriesKey(labels), { labels, value });
+  }
+
+  inc(labels: Labels = {}, value = 1): void {
+    this.set(labels, this.get(labels) + value);
+  }
+
+  dec(labels: Labels = {}, value = 1): void {
+    this.set(labels, this.get(labels) - value);
+  }
+
+  get(labels: Labels = {}): number {
+    return this.series.get(seriesKey(labels))?.value ?? 0;
+  }
+
+  reset(): void {
+    this.series.clear();
+  }
+
+  render(): string[] {
+    const lines = this.header('gauge');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  private series = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+  readonly buckets: number[];
+
+  constructor(name: string, help: string, buckets: number[]) {
+    super(name, help);
+    this.buckets = [...new Set(buckets)].filter(bound => Number.isFinite(bound)).sort((a, b) => a - b);
+    if (this.buckets.length === 0) {
+      throw new Error(`Histogram ${name} needs at least one finite bucket`);
+    }
+  }
+
+  observe(labels: Labels, value: number): void {
+    const key = seriesKey(labels);
+    let current = this.series.get(key);
+    if (!current) {
+      current = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, current);
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      current.counts[index]++;
+    }
+    current.sum += value;
+    current.count++;
+  }
+
+  render(): string[] {
+    const lines = this.header('histogram');
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class GatewayMetricsRegistry {
+  readonly requests: Counter;
+  readonly requestDuration: Histogram;
+  readonly upstreamErrors: Counter;
+  readonly requestsInFlight: Gauge;
+  readonly upstreamActiveConnections: Gauge;
+  readonly circuitBreakerState: Gauge;
+
+  constructor(options: GatewayMetricsOptions = {}) {
+    const prefix = options.prefix ?? 'gateway_';
+
+    this.requests = new Counter(`${prefix}requests`, 'Requests handled by the gateway');
+    this.requestDuration = new Histogram(
+      `${prefix}request_duration_seconds`,
+      'Time from receiving a request to finishing its response',
+      options.buckets || DEFAULT_LATENCY_BUCKETS
+    );
+    this.upstreamErrors = new Counter(`${prefix}upstream_errors`, 'Failed upstream attempts by error code');
+    this.requestsInFlight = new Gauge(`${prefix}requests_in_flight`, 'Requests currently being handled');
+    this.upstreamActiveConnections = new Gauge(`${prefix}upstream_active_connections`, 'Requests in flight per upstream instance');
+    this.circuitBreakerState = new Gauge(`${prefix}circuit_breaker_state`, 'Circuit state per route: 0 closed, 1 half-open, 2 open');
+    this.requestsInFlight.set({}, 0);
+  }
+
+  /**
+   * Record a finished request
+   */
+  observeRequest(route: string, method: string, status: number, seconds: number): void {
+    const normalizedMethod = KNOWN_METHODS.has(method.toUpperCase()) ? method.toUpperCase() : 'OTHER';
+    this.requests.inc({ route, method: normalizedMethod, status: String(status) });
+    this.requestDuration.observe({ route, method: normalizedMethod }, seconds);
+  }
+
+  /**
+   * Render every metric in the requested exposition format
+   */
+  render(format: MetricsFormat = 'prometheus'): string {
+    const metrics: Metric[] = [
+      this.requests,
+      this.requestDuration,
+      this.upstreamErrors,
+      this.requestsInFlight,
+      this.upstreamActiveConnections,
+      this.circuitBreakerState
+    ];
+    const lines = metrics.flatMap(metric => metric.render(format));
+    if (format === 'openmetrics') {
+      lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Pick the exposition format from a scraper's Accept header
+ */
+export function negotiateMetricsFormat(accept: string | string[] | undefined): MetricsFormat {
+  const value = Array.isArray(accept) ? accept.join(',') : accept || '';
+  return value.includes('application/openmetrics-text') ? 'openmetrics' : 'prometheus';
+}
+
+export { GatewayMetricsRegistry, Counter, Gauge, Histogram };
@@ -0,0 +1,182 @@
+/**
+ * Gateway Rate Limiting
+ *
+ * PURPOSE: Enforces per-route request limits for each consumer of the
+ * gateway, with limits tiered by the consumer's plan.
+ *
+ * CONSUMER KEYS: `keyBy` lists the identities to try in order; the first one
+ * the request has is used:
+ * - `principal`: the id authenticated by the gateway (req.principal)
+ * - `apiKey`: the API key the gateway authenticated the request with, hashed
+ *   by buildRateLimitKey; keys that were not authenticated are ignored, or
+ *   clients could pick a fresh counter with every request
+ * - `ip`: the client address
+ *
+ * PLANS: `planLookup(consumer, req)` names the consumer's plan and
+ * `tiers[plan]` replaces the route's `maxRequests`/`windowMs`. Unknown plans
+ * and lookup failures fall back to the route limits.
+ *
+ * Counters live in a rate limit store adapter (createRateLimitStore,
+ * createRedisRateLimitStore, createFileRateLimitStore), keyed by route id
+ * and consumer. Store failures fail open: the request is allowed
+ * and the error is reported through qerrors.
+ */
+
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import buildRateLimitKey from '../security/buildRateLimitKey.js';
+import extractApiKey from '../security/extractApiKey.js';
+import type { RateLimitConsumeResult, RateLimitStoreAdapter } from '../security/createRateLimitStore.js';
+
+export type { RateLimitConsumeResult };
+
+export type RateLimitKeySource = 'principal' | 'apiKey' | 'ip';
+
+export interface RateLimitTier {
+  maxRequests: number;
+  windowMs: number;
+}
+
+export interface RouteRateLimitOptions {
+  enabled?: boolean;
+  maxRequests?: number;
+  windowMs?: number;
+  /** Consumer identities to try, in order */
+  keyBy?: RateLimitKeySource[];
+  /** Plan name → limits replacing maxRequests/windowMs */
+  tiers?: Record<string, Partial<RateLimitTier>>;
+}
+
+export interface RateLimitConsumer {
+  source: RateLimitKeySource;
+  key: string;
+}
+
+/** The gateway only counts, so any adapter (or object with consume) works */
+export type RateLimitStore = Pick<RateLimitStoreAdapter, 'consume' | 'destroy'>;
+
+export interface GatewayRateLimitConfig extends RouteRateLimitOptions {
+  /** Counter store (default: createRateLimitStore()) */
+  store?: RateLimitStore;
+  /** Resolves the plan of a consumer */
+  planLookup?: (consumer: RateLimitConsumer, req: any) => string | null | undefined | Promise<string | null | undefined>;
+}
+
+export interface RateLimitDecision extends RateLimitTier {
+  allowed: boolean;
+  consumer: RateLimitConsumer;
+  plan: string | null;
+  remaining: number;
+  resetTime: number;
+  /** Seconds until the window resets */
+  retryAfter: number;
+}
+
+const DEFAULT_KEY_BY: RateLimitKeySource[] = ['principal', 'apiKey', 'ip'];
+const DEFAULT_WINDOW_MS = 60000;
+
+/**
+ * Identify the consumer a request is counted against
+ */
+export function resolveRateLimitConsumer(req: any, keyBy: RateLimitKeySource[] = DEFAULT_KEY_BY): RateLimitConsumer {
+  for (const source of keyBy) {
+    if (source === 'principal' && req.principal?.id) {
+      return { source, key: buildRateLimitKey(req, { strategy: 'user', prefix: 'principal', userIdPath: 'principal.id' }) };
+    }
+    if (source === 'apiKey' && req.principal?.method === 'apiKey') {
+      const apiKey = extractApiKey(req, { authPrefix: 'ApiKey ' });
+      if (apiKey) {
+        return { source, key: buildRateLimitKey({ apiKey }, { strategy: 'apiKey', prefix: 'apiKey', apiKeyPath: 'apiKey' }) };
+      }
+    }
+    if (source === 'ip') {
+      break;
+    }
+  }
+
+  return { source: 'ip', key: buildRateLimitKey({ ip: req.ip || req.socket?.remoteAddress }, { strategy: 'ip', prefix: 'ip' }) };
+}
+
+/**
+ * Merge route options over the gateway defaults
+ *
+ * @returns Null when the route has no limit configured or opts out
+ */
+export function resolveRouteRateLimit(
+  defaults: GatewayRateLimitConfig = {},
+  route: RouteRateLimitOptions = {}
+): RouteRateLimitOptions | null {
+  if (route.enabled === false) {
+    return null;
+  }
+
+  const options: RouteRateLimitOptions = {
+    ...defaults,
+    ...route,
+    tiers: { ...defaults.tiers, ...route.tiers }
+  };
+  const hasLimit = options.maxRequests !== undefined || Object.keys(options.tiers!).length > 0;
+  return options.enabled !== false && hasLimit ? options : null;
+}
+
+/**
+ * Count a request and decide whether it is within its consumer's limit
+ *
+ * @returns The decision, or null when the store failed (fail open)
+ */
+export async function evaluateRateLimit(
+  req: any,
+  routeId: string,
+  options: RouteRateLimitOptions,
+  store: RateLimitStore,
+  planLookup?: GatewayRateLimitConfig['planLookup']
+): Promise<RateLimitDecision | null> {
+  const consumer = resolveRateLimitConsumer(req, options.keyBy);
+
+  let plan: string | null = null;
+  if (planLookup) {
+    try {
+      plan = (await planLookup(consumer, req)) || null;
+    } catch (error) {
+      qerrors(error instanceof Error ? error : new Error(String(error)), 'evaluateRateLimit', { message: 'Plan lookup failed; using route limits', routeId });
+    }
+  }
+
+  const tier = plan ? options.tiers?.[plan] : undefined;
+  const maxRequests = tier?.maxRequests ?? options.maxRequests;
+  const windowMs = tier?.windowMs ?? options.windowMs ?? DEFAULT_WINDOW_MS;
+  if (maxRequests === undefined) {
+    return null; // only some plans are limited
+  }
+
+  let result: RateLimitConsumeResult;
+  try {
+    result = await store.consume(`gateway:${routeId}:${consumer.key}`, maxRequests, windowMs);
+  } catch (error) {
+    qerrors(error instanceof Error ? error : new Error(String(error)), 'evaluateRateLimit', { message: 'Rate limit store failed; allowing request', routeId });
+    return null;
+  }
+
+  return {
+    allowed: !result.exceeded,
+    consumer,
+    plan,
+    maxRequests,
+    windowMs,
+    remaining: result.remaining,
+    resetTime: result.resetTime,
+    retryAfter: Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000))
+  };
+}
+
+/**
+ * RateLimit-* response headers (IETF draft-ietf-httpapi-ratelimit-headers)
+ */
+export function buildRateLimitHeaders(decision: RateLimitDecision): Record<string, string> {
+  return {
+    'RateLimit-Limit': String(decision.maxRequests),
+    'RateLimit-Remaining': String(decision.remaining),
+    'RateLimit-Reset': String(decision.retryAfter),
+    'RateLimit-Policy': `${decision.maxRequests};w=${Math.ceil(decision.windowMs / 1000)}`
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Active Upstream Health Checking
+ *
+ * PURPOSE: Periodically probes every instance of a gateway route's upstream
+ * pool and reports healthy/unhealthy transitions, so traffic stops flowing
+ * to a dead instance before real requests fail against it.
+ *
+ * PROBE RULES:
+ * - A probe is an HTTP GET to `path` on the instance, bounded by `timeout`
+ * - 2xx and 3xx responses are successes; anything else, including
+ *   connection errors and timeouts, is a failure
+ * - `unhealthyThreshold` consecutive failures mark an instance unhealthy,
+ *   `healthyThreshold` consecutive successes mark it healthy again
+ * - Instances start out healthy so routes work before the first probe
+ * - A probe is skipped while the previous probe of the same instance is
+ *   still in flight
+ */
+
+import * as http from 'http';
+import * as https from 'https';
+import { UpstreamInstance } from './loadBalancer.js';
+
+export interface HealthCheckOptions {
+  enabled?: boolean;
+  /** Path requested on each instance */
+  path?: string;
+  /** Milliseconds between probes */
+  interval?: number;
+  /** Milliseconds before a probe counts as failed */
+  timeout?: number;
+  /** Consecutive successes needed to mark an instance healthy */
+  healthyThreshold?: number;
+  /** Consecutive failures needed to mark an instance unhealthy */
+  unhealthyThreshold?: number;
+}
+
+export interface TargetHealthState {
+  healthy: boolean;
+  consecutiveSuccesses: number;
+  consecutiveFailures: number;
+  lastCheckedAt: number | null;
+  lastStatus: number | null;
+  lastError: string | null;
+}
+
+export interface TargetHealthChange {
+  target: string;
+  healthy: boolean;
+  state: TargetHealthState;
+}
+
+const DEFAULT_OPTIONS: Required<HealthCheckOptions> = {
+  enabled: false,
+  path: '/health',
+  interval: 10000,
+  timeout: 2000,
+  healthyThreshold: 2,
+  unhealthyThreshold: 3
+};
+
+class ActiveHealthChecker {
+  private options: Required<HealthCheckOptions>;
+  private instances: UpstreamInstance[];
+  private agents: { http: http.Agent; https: https.Agent };
+  private onChange: (change: TargetHealthChange) => void;
+  private states = new Map<string, TargetHealthState>();
+  private inFlight = new Set<string>();
+  private timer: NodeJS.Timeout | null = null;
+
+  constructor(
+    instances: UpstreamInstance[],
+    options: HealthCheckOptions,
+    agents: { http: http.Agent; https: https.Agent },
+    onChange: (change: TargetHealthChange) => void
+  ) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.instances = instances;
+    this.agents = agents;
+    this.onChange = onChange;
+
+    for (const instance of instances) {
+      this.states.set(instance.id, {
+        healthy: true,
+        consecutiveSuccesses: 0,
+        consecutiveFailures: 0,
+        lastCheckedAt: null,
+        lastStatus: null,
+        lastError: null
+      });
+    }
+  }
+
+  /**
+   * Probe immediately, then on every interval
+   */
+  start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), this.options.interval);
+    this.timer.unref(); // probing alone must not keep the process alive
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Probe every instance once
+   *
+   * @returns Promise resolving when all probes have completed
+   */
+  checkAll(): Promise<void> {
+    return Promise.all(this.instances.map(instance => this.check(instance))).then(() => undefined);
+  }
+
+  getStates(): Record<string, TargetHealthState> {
+    const result: Record<string, TargetHealthState> = {};
+    for (const [id, state] of this.states) {
+      result[id] = { ...state };
+    }
+    return result;
+  }
+
+  private async check(instance: UpstreamInstance): Promise<void> {
+    if (this.inFlight.has(instance.id)) {
+      return;
+    }
+
+    this.inFlight.add(instance.id);
+    try {
+      const status = await this.probe(instance);
+      this.record(instance, status >= 200 && status < 400, status, null);
+    } catch (error: any) {
+      this.record(instance, false, null, error.message);
+    } finally {
+      this.inFlight.delete(instance.id);
+    }
+  }
+
+  private probe(instance: UpstreamInstance): Promise<number> {
+    const { target } = instance;
+    const isHttps = target.protocol === 'https';
+
+    return new Promise((resolve, reject) => {
+      const probeReq = (isHttps ? https : http).request({
+        protocol: isHttps ? 'https:' : 'http:',
+        host: target.host,
+        port: target.port,
+        method: 'GET',
+        path: this.options.path,
+        headers: { 'user-agent': 'qgenutils-gateway-health-check' },
+        agent: isHttps ? this.agents.https : this.agents.http
+      }, (probeRes) => {
+        probeRes.resume(); // body is irrelevant; drain to free the socket
+        probeRes.once('end', () => resolve(probeRes.statusCode || 0));
+        probeRes.once('error', reject);
+      });
+
+      probeReq.setTimeout(this.options.timeout, () => {
+        probeReq.destroy(new Error(`Health check timed out after ${this.options.timeout}ms`));
+      });
+      probeReq.once('error', reject);
+      probeReq.end();
+    });
+  }
+
+  private record(instance: UpstreamInstance, success: boolean, status: number | null, errorMessage: string | null): void {
+    const state = this.states.get(instance.id)!;
+    state.lastCheckedAt = Date.now();
+    state.lastStatus = status;
+    state.lastError = errorMessage;
+
+    if (success) {
+      state.consecutiveSuccesses++;
+      state.consecutiveFailures = 0;
+    } else {
+      state.consecutiveFailures++;
+      state.consecutiveSuccesses = 0;
+    }
+
+    const becameHealthy = !state.healthy && state.consecutiveSuccesses >= this.options.healthyThreshold;
+    const becameUnhealthy = state.healthy && state.consecutiveFailures >= this.options.unhealthyThreshold;
+
+    if (becameHealthy || becameUnhealthy) {
+      state.healthy = becameHealthy;
+      this.onChange({ target: instance.id, healthy: state.healthy, state: { ...state } });
+    }
+  }
+}
+
+export { ActiveHealthChecker };
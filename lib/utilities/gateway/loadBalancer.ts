@@ -0,0 +1,275 @@
+/**
+ * Upstream Pool Load Balancing
+ *
+ * PURPOSE: Spreads a gateway route's traffic across several upstream
+ * instances and keeps failing instances out of rotation.
+ *
+ * STRATEGIES:
+ * - weighted-round-robin: Smooth weighted round-robin (as used by nginx), so
+ *   a weight-3 instance gets 3 of every 4 requests without bursts
+ * - least-connections: Fewest in-flight requests relative to weight
+ * - consistent-hash: Hash of a request header (falling back to client IP)
+ *   onto a ring of virtual nodes, so the same client sticks to one instance
+ *
+ * PASSIVE HEALTH: Consecutive failures eject an instance for a cooldown
+ * period, after which it rejoins the rotation. When every instance is
+ * ejected the pool falls back to using all of them (panic mode) rather than
+ * refusing traffic outright.
+ *
+ * ACTIVE HEALTH: An external prober (see healthChecker.ts) can mark an
+ * instance unhealthy via setActiveHealth(); such instances are skipped just
+ * like ejected ones until a probe marks them healthy again.
+ */
+
+import { createHash } from 'crypto';
+
+export type LoadBalancingStrategy = 'weighted-round-robin' | 'least-connections' | 'consistent-hash';
+
+export interface UpstreamTarget {
+  service: string;
+  endpoint: string;
+  protocol: 'http' | 'https';
+  host: string;
+  port: number;
+  weight?: number;
+}
+
+export interface LoadBalancingOptions {
+  strategy?: LoadBalancingStrategy;
+  /** Header hashed by the consistent-hash strategy */
+  hashHeader?: string;
+  /** Consecutive failures before an instance is ejected */
+  maxFailures?: number;
+  /** Milliseconds an ejected instance stays out of rotation */
+  cooldown?: number;
+}
+
+export interface UpstreamInstance {
+  id: string;
+  target: UpstreamTarget;
+  weight: number;
+  activeConnections: number;
+  consecutiveFailures: number;
+  ejectedUntil: number;
+  activeHealthy: boolean;
+  currentWeight: number;
+  totalRequests: number;
+  totalFailures: number;
+}
+
+export interface UpstreamInstanceStats {
+  id: string;
+  weight: number;
+  healthy: boolean;
+  activeHealthy: boolean;
+  activeConnections: number;
+  consecutiveFailures: number;
+  ejectedUntil: number | null;
+  totalRequests: number;
+  totalFailures: number;
+}
+
+export interface BalancerRequest {
+  headers: Record<string, any>;
+  ip?: string;
+  socket?: { remoteAddress?: string };
+}
+
+const VIRTUAL_NODES_PER_WEIGHT = 100;
+
+const DEFAULT_OPTIONS: Required<LoadBalancingOptions> = {
+  strategy: 'weighted-round-robin',
+  hashHeader: 'x-client-id',
+  maxFailures: 3,
+  cooldown: 30000
+};
+
+function hash32(value: string): number {
+  return createHash('md5').update(value).digest().readUInt32BE(0);
+}
+
+class UpstreamPool {
+  private options: Required<LoadBalancingOptions>;
+  private instances: UpstreamInstance[];
+  private ring: Array<{ point: number; instance: UpstreamInstance }> = [];
+
+  constructor(targets: UpstreamTarget[], options: LoadBalancingOptions = {}, defaultWeight = 1) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('Upstream pool requires at least one target');
+    }
+
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.options.hashHeader = this.options.hashHeader.toLowerCase();
+    this.instances = targets.map(target => ({
+      id: `${target.protocol}://${target.host}:${target.port}`,
+      target,
+      weight: Math.max(1, Math.floor(target.weight ?? defaultWeight)),
+      activeConnections: 0,
+      consecutiveFailures: 0,
+      ejectedUntil: 0,
+      activeHealthy: true,
+      currentWeight: 0,
+      totalRequests: 0,
+      totalFailures: 0
+    }));
+
+    if (this.options.strategy === 'consistent-hash') {
+      this.buildRing();
+    }
+  }
+
+  /**
+   * Choose an instance for a request
+   *
+   * @param req - Request used for hashing (consistent-hash only)
+   * @param exclude - Instance ids already tried for this request
+   */
+  pick(req: BalancerRequest, exclude: Set<string> = new Set()): UpstreamInstance {
+    const now = Date.now();
+    let candidates = this.instances.filter(instance => this.isAvailable(instance, now) && !exclude.has(instance.id));
+
+    if (candidates.length === 0) {
+      // Panic mode: prefer untried instances, then anything at all
+      const untried = this.instances.filter(instance => !exclude.has(instance.id));
+      candidates = untried.length > 0 ? untried : this.instances;
+    }
+
+    switch (this.options.strategy) {
+    case 'least-connections':
+      return this.pickLeastConnections(candidates);
+    case 'consistent-hash':
+      return this.pickConsistentHash(req, candidates);
+    default:
+      return this.pickWeightedRoundRobin(candidates);
+    }
+  }
+
+  /**
+   * Mark the start of a request on an instance
+   */
+  acquire(instance: UpstreamInstance): void {
+    instance.activeConnections++;
+    instance.totalRequests++;
+  }
+
+  /**
+   * Mark the end of a request and update passive health
+   */
+  release(instance: UpstreamInstance, success: boolean): void {
+    instance.activeConnections = Math.max(0, instance.activeConnections - 1);
+
+    if (success) {
+      instance.consecutiveFailures = 0;
+      return;
+    }
+
+    instance.totalFailures++;
+    instance.consecutiveFailures++;
+    if (instance.consecutiveFailures >= this.options.maxFailures) {
+      instance.ejectedUntil = Date.now() + this.options.cooldown;
+      instance.consecutiveFailures = 0;
+    }
+  }
+
+  /**
+   * Record the verdict of an active health probe for an instance
+   */
+  setActiveHealth(instanceId: string, healthy: boolean): void {
+    const instance = this.instances.find(candidate => candidate.id === instanceId);
+    if (instance) {
+      instance.activeHealthy = healthy;
+    }
+  }
+
+  getInstances(): UpstreamInstance[] {
+    return this.instances;
+  }
+
+  getStats(): UpstreamInstanceStats[] {
+    const now = Date.now();
+    return this.instances.map(instance => ({
+      id: instance.id,
+      weight: instance.weight,
+      healthy: this.isAvailable(instance, now),
+      activeHealthy: instance.activeHealthy,
+      activeConnections: instance.activeConnections,
+      consecutiveFailures: instance.consecutiveFailures,
+      ejectedUntil: instance.ejectedUntil > now ? instance.ejectedUntil : null,
+      totalRequests: instance.totalRequests,
+      totalFailures: instance.totalFailures
+    }));
+  }
+
+  private isAvailable(instance: UpstreamInstance, now: number): boolean {
+    return instance.activeHealthy && instance.ejectedUntil <= now;
+  }
+
+  private pickWeightedRoundRobin(candidates: UpstreamInstance[]): UpstreamInstance {
+    let totalWeight = 0;
+    let best = candidates[0];
+
+    for (const instance of candidates) {
+      instance.currentWeight += instance.weight;
+      totalWeight += instance.weight;
+      if (instance.currentWeight > best.currentWeight) {
+        best = instance;
+      }
+    }
+
+    best.currentWeight -= totalWeight;
+    return best;
+  }
+
+  private pickLeastConnections(candidates: UpstreamInstance[]): UpstreamInstance {
+    let best = candidates[0];
+    for (const instance of candidates) {
+      if (instance.activeConnections / instance.weight < best.activeConnections / best.weight) {
+        best = instance;
+      }
+    }
+    return best;
+  }
+
+  private pickConsistentHash(req: BalancerRequest, candidates: UpstreamInstance[]): UpstreamInstance {
+    const headerValue = req.headers?.[this.options.hashHeader];
+    const key = (Array.isArray(headerValue) ? headerValue[0] : headerValue) ||
+      req.ip || req.socket?.remoteAddress || '';
+    const allowed = new Set(candidates);
+    const point = hash32(String(key));
+
+    // Binary search for the first virtual node at or after the key's point
+    let low = 0;
+    let high = this.ring.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.ring[mid].point < point) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    // Walk clockwise past instances that are not candidates
+    for (let i = 0; i < this.ring.length; i++) {
+      const node = this.ring[(low + i) % this.ring.length];
+      if (allowed.has(node.instance)) {
+        return node.instance;
+      }
+    }
+
+    return candidates[0];
+  }
+
+  private buildRing(): void {
+    this.ring = [];
+    for (const instance of this.instances) {
+      const nodes = instance.weight * VIRTUAL_NODES_PER_WEIGHT;
+      for (let i = 0; i < nodes; i++) {
+        this.ring.push({ point: hash32(`${instance.id}#${i}`), instance });
+      }
+    }
+    this.ring.sort((a, b) => a.point - b.point);
+  }
+}
+
+export { UpstreamPool };
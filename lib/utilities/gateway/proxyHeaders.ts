@@ -0,0 +1,105 @@
+/**
+ * Proxy Header Utilities
+ *
+ * PURPOSE: Prepares headers for a request/response that crosses the gateway.
+ * Hop-by-hop headers describe a single transport connection (RFC 7230 §6.1)
+ * and must never be forwarded, while X-Forwarded-* headers let upstream
+ * services see the original client and scheme.
+ */
+
+type HeaderValue = string | string[] | number | undefined;
+export type HeaderMap = Record<string, HeaderValue>;
+
+/**
+ * Headers that apply to a single connection and are never proxied.
+ */
+export const HOP_BY_HOP_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+]);
+
+/**
+ * Returns a copy of the headers with names lowercased and every hop-by-hop
+ * header removed, including any extra headers listed in `Connection`.
+ *
+ * @param headers - Incoming request or upstream response headers
+ * @returns New header object safe to forward to the next hop
+ */
+export function stripHopByHopHeaders(headers: HeaderMap = {}): Record<string, string | string[]> {
+  const connectionHeader = Object.keys(headers).find(name => name.toLowerCase() === 'connection');
+  const connectionValue = connectionHeader ? headers[connectionHeader] : undefined;
+  const listed = new Set(
+    String(Array.isArray(connectionValue) ? connectionValue.join(',') : connectionValue || '')
+      .split(',')
+      .map(token => token.trim().toLowerCase())
+      .filter(Boolean)
+  );
+
+  const result: Record<string, string | string[]> = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lowerName = name.toLowerCase();
+    if (value === undefined || HOP_BY_HOP_HEADERS.has(lowerName) || listed.has(lowerName)) {
+      continue;
+    }
+    result[lowerName] = typeof value === 'number' ? String(value) : value;
+  }
+  return result;
+}
+
+export interface ForwardedRequestInfo {
+  headers: HeaderMap;
+  ip?: string;
+  protocol?: string;
+  socket?: { remoteAddress?: string; encrypted?: boolean };
+  connection?: { remoteAddress?: string };
+}
+
+/**
+ * Adds X-Forwarded-For, X-Forwarded-Proto and X-Forwarded-Host headers
+ * describing the client connection to an already-stripped header object.
+ *
+ * The client address always ends X-Forwarded-For. Hops already listed, and
+ * proto and host values sent by the client, are only kept when `trustProxy`
+ * is set; otherwise they are replaced, since an untrusted client could
+ * spoof them.
+ *
+ * @param req - Original client request
+ * @param headers - Headers that will be sent upstream (mutated and returned)
+ * @param trustProxy - Whether the gateway sits behind a trusted proxy
+ * @returns The same header object with forwarding headers applied
+ */
+export function buildForwardedHeaders(
+  req: ForwardedRequestInfo,
+  headers: Record<string, string | string[]>,
+  trustProxy = false
+): Record<string, string | string[]> {
+  const clientIp = req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress;
+  const existingFor = headers['x-forwarded-for'];
+  const priorHops = trustProxy && existingFor
+    ? (Array.isArray(existingFor) ? existingFor.join(', ') : existingFor)
+    : '';
+
+  if (clientIp) {
+    headers['x-forwarded-for'] = priorHops ? `${priorHops}, ${clientIp}` : clientIp;
+  } else if (!trustProxy) {
+    delete headers['x-forwarded-for'];
+  }
+
+  if (!trustProxy || !headers['x-forwarded-proto']) {
+    headers['x-forwarded-proto'] = req.protocol || (req.socket?.encrypted ? 'https' : 'http');
+  }
+
+  const originalHost = headers['host'];
+  if ((!trustProxy || !headers['x-forwarded-host']) && originalHost) {
+    headers['x-forwarded-host'] = Array.isArray(originalHost) ? originalHost[0] : originalHost;
+  }
+
+  return headers;
+}
@@ -0,0 +1,336 @@
+/**
+ * Gateway Response Caching
+ *
+ * PURPOSE: Stores cacheable upstream GET responses in a BoundedLRUCache so
+ * repeated requests are answered at the gateway, following the shared-cache
+ * rules of HTTP caching (RFC 9111) closely enough for API traffic.
+ *
+ * STORAGE RULES:
+ * - Only GET responses with status 200, 203, 204, 300, 301, 308, 404 or 410
+ * - Never when the response says `no-store`, `private` or `no-cache`, sets a
+ *   cookie, or varies on `*`
+ * - Responses to authenticated requests only when marked `public`,
+ *   `s-maxage` or `must-revalidate`
+ * - Freshness comes from the route TTL override, else `s-maxage`, `max-age`
+ *   or `Expires` (minus any upstream `Age`); responses without one are only
+ *   stored when they carry an ETag, and are then revalidated on every use
+ *
+ * SERVING RULES:
+ * - `Vary` request headers must match the stored variant
+ * - Fresh entries are served directly; a matching `If-None-Match` gets 304
+ * - Stale entries inside the stale-while-revalidate window are served while
+ *   the gateway refreshes them in the background
+ * - Older entries with an ETag are revalidated with `If-None-Match` before
+ *   being served again
+ */
+
+import { BoundedLRUCache } from '../performance/boundedCache.js';
+
+export interface ResponseCacheOptions {
+  enabled?: boolean;
+  /** Maximum number of cached URLs */
+  maxEntries?: number;
+  /** Responses with larger bodies are passed through uncached */
+  maxBodySize?: number;
+  /** Milliseconds of freshness overriding upstream Cache-Control */
+  ttl?: number;
+  /** Milliseconds a stale entry may be served while it is refreshed */
+  staleWhileRevalidate?: number;
+}
+
+export interface RouteCacheOptions {
+  enabled?: boolean;
+  ttl?: number;
+  staleWhileRevalidate?: number;
+}
+
+export interface CacheControl {
+  noStore: boolean;
+  noCache: boolean;
+  private: boolean;
+  public: boolean;
+  mustRevalidate: boolean;
+  maxAge?: number;
+  sMaxAge?: number;
+  staleWhileRevalidate?: number;
+}
+
+export interface CachedResponse {
+  status: number;
+  headers: Record<string, string | string[]>;
+  body: Buffer;
+  etag: string | null;
+  vary: string[];
+  varyKey: string;
+  storedAt: number;
+  freshUntil: number;
+  staleUntil: number;
+}
+
+export type CacheFreshness = 'fresh' | 'stale' | 'expired';
+
+export interface ResponseCacheStats {
+  hits: number;
+  misses: number;
+  staleHits: number;
+  revalidations: number;
+  entries: number;
+  evictions: number;
+  hitRate: number;
+}
+
+const CACHEABLE_STATUS_CODES = new Set([200, 203, 204, 300, 301, 308, 404, 410]);
+// Entries with an ETag outlive their stale window so they can be revalidated cheaply
+const ETAG_RETENTION_MS = 5 * 60 * 1000;
+const MAX_VARIANTS_PER_URL = 10;
+
+type ResolvedCacheOptions = Required<Omit<ResponseCacheOptions, 'ttl'>> & Pick<ResponseCacheOptions, 'ttl'>;
+
+const DEFAULT_OPTIONS: ResolvedCacheOptions = {
+  enabled: true,
+  maxEntries: 1000,
+  maxBodySize: 1024 * 1024,
+  staleWhileRevalidate: 0
+};
+
+function headerValue(value: string | string[] | number | undefined): string {
+  return Array.isArray(value) ? value.join(', ') : value === undefined ? '' : String(value);
+}
+
+/**
+ * Parse a Cache-Control header into the directives the gateway honours
+ */
+export function parseCacheControl(header: string | string[] | undefined): CacheControl {
+  const result: CacheControl = { noStore: false, noCache: false, private: false, public: false, mustRevalidate: false };
+
+  for (const directive of headerValue(header).split(',')) {
+    const [rawName, rawValue] = directive.split('=');
+    const name = rawName.trim().toLowerCase();
+    const seconds = rawValue !== undefined ? parseInt(rawValue.trim().replace(/"/g, ''), 10) : NaN;
+
+    switch (name) {
+    case 'no-store': result.noStore = true; break;
+    case 'no-cache': result.noCache = true; break;
+    case 'private': result.private = true; break;
+    case 'public': result.public = true; break;
+    case 'must-revalidate': result.mustRevalidate = true; break;
+    case 'max-age': if (!isNaN(seconds)) result.maxAge = seconds; break;
+    case 's-maxage': if (!isNaN(seconds)) result.sMaxAge = seconds; break;
+    case 'stale-while-revalidate': if (!isNaN(seconds)) result.staleWhileRevalidate = seconds; break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Whether an If-None-Match header matches an entity tag (weak comparison)
+ */
+export function etagMatches(ifNoneMatch: string | string[] | undefined, etag: string | null): boolean {
+  if (!etag || !ifNoneMatch) {
+    return false;
+  }
+  const strip = (tag: string) => tag.trim().replace(/^W\//, '');
+  return headerValue(ifNoneMatch).split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+}
+
+function parseVary(header: string | string[] | undefined): string[] {
+  return headerValue(header).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+function buildVaryKey(vary: string[], requestHeaders: Record<string, any>): string {
+  return vary.map(name => `${name}=${headerValue(requestHeaders[name])}`).join('\n');
+}
+
+class GatewayResponseCache {
+  private options: ResolvedCacheOptions;
+  private store: BoundedLRUCache<string, CachedResponse[]>;
+  private stats = { hits: 0, misses: 0, staleHits: 0, revalidations: 0 };
+
+  constructor(options: ResponseCacheOptions = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.store = new BoundedLRUCache(this.options.maxEntries);
+  }
+
+  get maxBodySize(): number {
+    return this.options.maxBodySize;
+  }
+
+  /**
+   * Find the stored variant matching the request's Vary headers
+   */
+  lookup(key: string, requestHeaders: Record<string, any>): CachedResponse | undefined {
+    const variants = this.store.get(key);
+    return variants?.find(entry => entry.varyKey === buildVaryKey(entry.vary, requestHeaders));
+  }
+
+  freshness(entry: CachedResponse, now = Date.now()): CacheFreshness {
+    if (now < entry.freshUntil) {
+      return 'fresh';
+    }
+    return now < entry.staleUntil ? 'stale' : 'expired';
+  }
+
+  /**
+   * Build a cache entry from an upstream response
+   *
+   * @param authenticated - Whether the request carried credentials
+   * @returns The entry, or null when the response must not be stored
+   */
+  createEntry(
+    status: number,
+    headers: Record<string, string | string[]>,
+    body: Buffer,
+    requestHeaders: Record<string, any>,
+    authenticated: boolean,
+    route: RouteCacheOptions = {}
+  ): CachedResponse | null {
+    const cacheControl = parseCacheControl(headers['cache-control']);
+    const vary = parseVary(headers['vary']);
+
+    if (!CACHEABLE_STATUS_CODES.has(status) || cacheControl.noStore || cacheControl.private ||
+        cacheControl.noCache || headers['set-cookie'] || vary.includes('*') ||
+        body.length > this.options.maxBodySize) {
+      return null;
+    }
+    if (authenticated && !cacheControl.public && !cacheControl.mustRevalidate && cacheControl.sMaxAge === undefined) {
+      return null;
+    }
+
+    const entry: CachedResponse = {
+      status,
+      headers: { ...headers },
+      body,
+      etag: headerValue(headers['etag']) || null,
+      vary,
+      varyKey: buildVaryKey(vary, requestHeaders),
+      storedAt: Date.now(),
+      freshUntil: 0,
+      staleUntil: 0
+    };
+
+    return this.applyFreshness(entry, route) ? entry : null;
+  }
+
+  /**
+   * Store an entry, replacing the variant with the same Vary values
+   */
+  set(key: string, entry: CachedResponse): void {
+    const variants = (this.store.get(key) || [])
+      .filter(existing => existing.varyKey !== entry.varyKey)
+      .slice(-(MAX_VARIANTS_PER_URL - 1));
+    variants.push(entry);
+
+    const retainUntil = Math.max(...variants.map(variant => variant.staleUntil + (variant.etag ? ETAG_RETENTION_MS : 0)));
+    this.store.set(key, variants, Math.max(1, retainUntil - Date.now()));
+  }
+
+  /**
+   * Apply the headers of a 304 response to a stored entry and extend its freshness
+   *
+   * @returns False when the refreshed headers no longer allow caching
+   */
+  refresh(key: string, entry: CachedResponse, headers: Record<string, string | string[]>, route: RouteCacheOptions = {}): boolean {
+    for (const name of ['cache-control', 'expires', 'etag', 'date', 'age', 'vary', 'last-modified']) {
+      if (headers[name] !== undefined) {
+        entry.headers[name] = headers[name];
+      }
+    }
+    entry.etag = headerValue(entry.headers['etag']) || null;
+    entry.storedAt = Date.now();
+
+    const cacheControl = parseCacheControl(entry.headers['cache-control']);
+    if (cacheControl.noStore || cacheControl.private || cacheControl.noCache || !this.applyFreshness(entry, route)) {
+      this.remove(key, entry);
+      return false;
+    }
+
+    this.set(key, entry);
+    return true;
+  }
+
+  remove(key: string, entry: CachedResponse): void {
+    const variants = (this.store.get(key) || []).filter(existing => existing !== entry);
+    if (variants.length > 0) {
+      this.store.set(key, variants);
+    } else {
+      this.store.delete(key);
+    }
+  }
+
+  /**
+   * Drop every entry whose key starts with the prefix
+   */
+  purge(prefix: string): void {
+    for (const key of this.store.keys()) {
+      if (String(key).startsWith(prefix)) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  recordHit(stale: boolean): void {
+    this.stats.hits++;
+    if (stale) {
+      this.stats.staleHits++;
+    }
+  }
+
+  recordMiss(): void {
+    this.stats.misses++;
+  }
+
+  recordRevalidation(): void {
+    this.stats.revalidations++;
+  }
+
+  getStats(): ResponseCacheStats {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.store.size,
+      evictions: this.store.getStats().evictions,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  clear(): void {
+    this.store.clear();
+  }
+
+  destroy(): void {
+    this.store.destroy();
+  }
+
+  private applyFreshness(entry: CachedResponse, route: RouteCacheOptions): boolean {
+    const cacheControl = parseCacheControl(entry.headers['cache-control']);
+    let lifetime = route.ttl ?? this.options.ttl;
+
+    if (lifetime === undefined) {
+      const maxAge = cacheControl.sMaxAge ?? cacheControl.maxAge;
+      if (maxAge !== undefined) {
+        lifetime = maxAge * 1000;
+      } else if (entry.headers['expires']) {
+        const expires = Date.parse(headerValue(entry.headers['expires']));
+        const date = Date.parse(headerValue(entry.headers['date'])) || entry.storedAt;
+        lifetime = isNaN(expires) ? 0 : expires - date;
+      } else {
+        lifetime = 0;
+      }
+      lifetime -= (parseInt(headerValue(entry.headers['age']), 10) || 0) * 1000;
+    }
+
+    if (lifetime <= 0 && !entry.etag) {
+      return false;
+    }
+
+    const staleWhileRevalidate = route.staleWhileRevalidate ??
+      (cacheControl.staleWhileRevalidate !== undefined ? cacheControl.staleWhileRevalidate * 1000 : this.options.staleWhileRevalidate);
+
+    entry.freshUntil = entry.storedAt + Math.max(0, lifetime);
+    entry.staleUntil = entry.freshUntil + (cacheControl.mustRevalidate ? 0 : staleWhileRevalidate);
+    return true;
+  }
+}
+
+export { GatewayResponseCache };
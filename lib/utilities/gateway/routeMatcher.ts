@@ -0,0 +1,196 @@
+/**
+ * Gateway Route Path Matching
+ *
+ * PURPOSE: Compiles gateway route paths into matchers that understand
+ * path parameters, optional segments and trailing wildcards, and orders
+ * them so the most specific route wins.
+ *
+ * PATTERN SYNTAX:
+ * - `/users`        static segment, matched literally
+ * - `/users/:id`    named parameter, one segment, exposed as params.id
+ * - `/users/:id?`   optional parameter, the segment may be omitted
+ * - `/files/*`      wildcard, matches the remaining path (params['*'])
+ *
+ * PRECEDENCE: Segments are compared left to right where
+ * static > parameter > optional parameter > wildcard. When one pattern is a
+ * prefix of the other, the longer pattern wins. Ties keep registration order.
+ */
+
+type SegmentKind = 'static' | 'param' | 'optional' | 'wildcard';
+
+interface PathSegment {
+  kind: SegmentKind;
+  value: string;
+}
+
+export interface CompiledRoutePath {
+  path: string;
+  isStatic: boolean;
+  keys: string[];
+  segments: PathSegment[];
+  regex: RegExp;
+}
+
+const SEGMENT_RANK: Record<SegmentKind, number> = {
+  static: 3,
+  param: 2,
+  optional: 1,
+  wildcard: 0
+};
+
+/**
+ * Strip trailing slashes so `/users/` and `/users` match the same route
+ */
+export function normalizePath(path: string): string {
+  const normalized = `/${String(path || '').replace(/^\/+/, '')}`.replace(/\/+$/, '');
+  return normalized || '/';
+}
+
+function escapeRegex(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a route path pattern into a matcher
+ *
+ * @param path - Route path pattern
+ * @returns Compiled pattern with its regex and parameter names
+ * @throws {Error} When a wildcard is not the final segment or a parameter is unnamed
+ */
+export function compileRoutePath(path: string): CompiledRoutePath {
+  const normalized = normalizePath(path);
+  const rawSegments = normalized === '/' ? [] : normalized.slice(1).split('/');
+  const segments: PathSegment[] = [];
+  const keys: string[] = [];
+  let source = '^';
+
+  rawSegments.forEach((raw, index) => {
+    if (raw === '*') {
+      if (index !== rawSegments.length - 1) {
+        throw new Error(`Wildcard must be the last segment in route path: ${path}`);
+      }
+      segments.push({ kind: 'wildcard', value: '*' });
+      keys.push('*');
+      source += '(?:/(.*))?';
+      return;
+    }
+
+    if (raw.startsWith(':')) {
+      const optional = raw.endsWith('?');
+      const name = raw.slice(1, optional ? -1 : undefined);
+      if (!name) {
+        throw new Error(`Route parameter must be named in route path: ${path}`);
+      }
+      segments.push({ kind: optional ? 'optional' : 'param', value: name });
+      keys.push(name);
+      source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+      return;
+    }
+
+    segments.push({ kind: 'static', value: raw });
+    source += `/${escapeRegex(raw)}`;
+  });
+
+  source += '/?$';
+
+  return {
+    path: normalized,
+    isStatic: segments.every(segment => segment.kind === 'static'),
+    keys,
+    segments,
+    regex: new RegExp(source)
+  };
+}
+
+/**
+ * Match a request pathname against a compiled pattern
+ *
+ * Params that decode to a dot segment (`.` or `..`), and wildcard segments
+ * hiding an encoded `/` or `\`, never match, so they cannot reach the
+ * upstream as path traversal.
+ *
+ * @returns Extracted (URI-decoded) params, or null when the path does not match
+ */
+export function matchRoutePath(compiled: CompiledRoutePath, pathname: string): Record<string, string> | null {
+  const match = compiled.regex.exec(pathname);
+  if (!match) {
+    return null;
+  }
+
+  const params: Record<string, string> = {};
+  try {
+    for (let index = 0; index < compiled.keys.length; index++) {
+      const value = match[index + 1];
+      if (value === undefined) {
+        continue;
+      }
+      const key = compiled.keys[index];
+      if (key !== '*') {
+        const decoded = decodeURIComponent(value);
+        if (isDotSegment(decoded)) {
+          return null;
+        }
+        params[key] = decoded;
+        continue;
+      }
+      // rewritePath keeps the wildcard's slashes, so a decoded `/` or a dot
+      // segment would let the upstream path climb out of its prefix
+      const segments = value.split('/').map(decodeURIComponent);
+      if (segments.some(segment => isDotSegment(segment) || /[/\\]/.test(segment))) {
+        return null;
+      }
+      params[key] = segments.join('/');
+    }
+  } catch {
+    return null; // malformed percent-encoding never matches
+  }
+
+  return params;
+}
+
+function isDotSegment(segment: string): boolean {
+  return segment === '.' || segment === '..';
+}
+
+/**
+ * Sort comparator placing more specific patterns first
+ */
+export function compareRouteSpecificity(a: CompiledRoutePath, b: CompiledRoutePath): number {
+  const length = Math.min(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i++) {
+    const diff = SEGMENT_RANK[b.segments[i].kind] - SEGMENT_RANK[a.segments[i].kind];
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return b.segments.length - a.segments.length;
+}
+
+/**
+ * Substitute `:name`, `:name?` and `*` placeholders in a rewrite template
+ *
+ * Parameter values are URI-encoded; the wildcard keeps its slashes. A
+ * placeholder without a value drops its whole segment.
+ *
+ * @example
+ * rewritePath('/internal/user/:id', { id: '42' }); // '/internal/user/42'
+ */
+export function rewritePath(template: string, params: Record<string, string> = {}): string {
+  const rewritten = template.split('/').map(segment => {
+    if (segment === '*') {
+      const rest = params['*'];
+      return rest ? rest.split('/').map(encodeURIComponent).join('/') : null;
+    }
+
+    if (segment.startsWith(':')) {
+      const name = segment.slice(1).replace(/\?$/, '');
+      const value = params[name];
+      return value !== undefined ? encodeURIComponent(value) : null;
+    }
+
+    return segment;
+  });
+
+  const path = rewritten.filter((segment, index) => segment !== null && (segment !== '' || index === 0)).join('/');
+  return path.startsWith('/') ? path : `/${path}`;
+}
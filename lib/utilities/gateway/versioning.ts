@@ -0,0 +1,187 @@
+/**
+ * Gateway API Versioning
+ *
+ * PURPOSE: Lets several versions of a route share one path and picks the
+ * version a request asked for, and describes deprecated versions to clients
+ * with standard response headers.
+ *
+ * VERSION SELECTION (first match wins):
+ * - URL prefix: `/v2/users` selects version 2 of the `/users` route
+ * - Header: `Accept-Version: 2`
+ * - Media-type parameter: `Accept: application/json; version=2`
+ *
+ * A requested version matches a route version with the same leading
+ * components, so `2` selects the newest `2.x` route. Without a requested
+ * version the newest non-deprecated version is used. Routes declared without
+ * a `version` act as the fallback for requests no versioned route satisfies.
+ *
+ * DEPRECATION: Deprecated routes answer with `Deprecation` (RFC 9745),
+ * `Sunset` (RFC 8594) and, when configured, a `Link` to the migration docs.
+ */
+
+export interface VersioningOptions {
+  /** Recognise `/v{version}/...` path prefixes */
+  prefix?: boolean;
+  /** Request header carrying the version; empty string disables it */
+  header?: string;
+  /** Accept media-type parameter carrying the version; empty string disables it */
+  mediaTypeParameter?: string;
+}
+
+export interface VersionedRoute {
+  version?: string;
+  deprecated?: boolean;
+  deprecatedAt?: string | Date;
+  sunset?: string | Date;
+  deprecationLink?: string;
+}
+
+export interface RequestedVersion {
+  version: string;
+  source: 'header' | 'media-type';
+}
+
+const DEFAULT_OPTIONS: Required<VersioningOptions> = {
+  prefix: true,
+  header: 'accept-version',
+  mediaTypeParameter: 'version'
+};
+
+const VERSION_PREFIX = /^\/v(\d+(?:\.\d+)*)(?=\/|$)/i;
+
+export function resolveVersioningOptions(options: VersioningOptions = {}): Required<VersioningOptions> {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  resolved.header = resolved.header.toLowerCase();
+  return resolved;
+}
+
+/**
+ * Strip a leading `v` so `v2` and `2` name the same version
+ */
+export function normalizeVersion(version: string): string {
+  return String(version).trim().replace(/^v/i, '');
+}
+
+function versionParts(version: string): number[] {
+  return normalizeVersion(version).split('.').map(part => parseInt(part, 10) || 0);
+}
+
+/**
+ * Sort comparator ordering versions oldest first (`1` < `1.1` < `2`)
+ */
+export function compareVersions(a: string, b: string): number {
+  const left = versionParts(a);
+  const right = versionParts(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] ?? 0) - (right[i] ?? 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Split a `/v{version}` prefix off a request path
+ *
+ * @returns The version and remaining path, or null when there is no prefix
+ */
+export function parseVersionPrefix(pathname: string): { version: string; path: string } | null {
+  const match = VERSION_PREFIX.exec(pathname);
+  if (!match) {
+    return null;
+  }
+  return { version: match[1], path: pathname.slice(match[0].length) || '/' };
+}
+
+/**
+ * Read the requested version from the version header or Accept parameter
+ */
+export function getRequestedVersion(headers: Record<string, any>, options: VersioningOptions = {}): RequestedVersion | null {
+  const { header, mediaTypeParameter } = resolveVersioningOptions(options);
+
+  if (header) {
+    const value = headers?.[header];
+    const version = String(Array.isArray(value) ? value[0] : value ?? '').trim();
+    if (version) {
+      return { version: normalizeVersion(version), source: 'header' };
+    }
+  }
+
+  if (mediaTypeParameter) {
+    const accept = headers?.accept;
+    const ranges = String(Array.isArray(accept) ? accept.join(',') : accept ?? '').split(',');
+    for (const range of ranges) {
+      for (const param of range.split(';').slice(1)) {
+        const [name, value] = param.split('=').map(part => part.trim());
+        if (name.toLowerCase() === mediaTypeParameter.toLowerCase() && value) {
+          return { version: normalizeVersion(value.replace(/^"|"$/g, '')), source: 'media-type' };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function satisfies(routeVersion: string, requested: string): boolean {
+  const routeParts = versionParts(routeVersion);
+  return versionParts(requested).every((part, index) => routeParts[index] === part);
+}
+
+function newest<T extends VersionedRoute>(routes: T[]): T | null {
+  return routes.reduce<T | null>(
+    (best, route) => (!best || compareVersions(route.version!, best.version!) > 0 ? route : best),
+    null
+  );
+}
+
+/**
+ * Choose the route version serving a request
+ *
+ * @param routes - Enabled routes registered for the same method and path
+ * @param requested - Version the client asked for, if any
+ * @returns The selected route, or null when the requested version does not exist
+ */
+export function selectRouteVersion<T extends VersionedRoute>(routes: T[], requested: string | null): T | null {
+  const versioned = routes.filter(route => route.version !== undefined && route.version !== '');
+  const fallback = routes.find(route => !versioned.includes(route)) || null;
+
+  if (requested !== null) {
+    return newest(versioned.filter(route => satisfies(route.version!, requested))) || fallback;
+  }
+
+  return newest(versioned.filter(route => !route.deprecated)) || fallback || newest(versioned);
+}
+
+function toDate(value: string | Date): Date | null {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Response headers announcing a deprecated route
+ *
+ * @returns Empty object for routes that are not deprecated
+ */
+export function buildDeprecationHeaders(route: VersionedRoute): Record<string, string> {
+  if (!route.deprecated) {
+    return {};
+  }
+
+  const deprecatedAt = route.deprecatedAt ? toDate(route.deprecatedAt) : null;
+  const headers: Record<string, string> = {
+    // RFC 9745 wants a structured date; `true` is the pre-RFC form for unknown dates
+    Deprecation: deprecatedAt ? `@${Math.floor(deprecatedAt.getTime() / 1000)}` : 'true'
+  };
+
+  const sunset = route.sunset ? toDate(route.sunset) : null;
+  if (sunset) {
+    headers.Sunset = sunset.toUTCString();
+  }
+  if (route.deprecationLink) {
+    headers.Link = `<${route.deprecationLink}>; rel="deprecation"`;
+  }
+
+  return headers;
+}
@@ -0,0 +1,355 @@
+const http = require('http');
+const { default: createFetchClient, HttpClientError, isRetryableHttpError } = require('./createFetchClient');
+const {
+  authMiddleware,
+  cachingMiddleware,
+  loggingMiddleware,
+  retryMiddleware,
+  timeoutMiddleware,
+  tracingMiddleware
+} = require('./fetchClientMiddleware');
+const { default: advancedHttpClient } = require('./createAdvancedHttpClient');
+const { createHttpClient } = require('../api/commonApiClientPatterns');
+
+describe('createFetchClient', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let handler;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        handler(req, res, body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    };
+  });
+
+  const failTimes = (count, status) => {
+    let failures = 0;
+    return (req, res) => {
+      if (failures++ < count) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'unavailable' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    };
+  };
+
+  it('sends JSON bodies and query params and parses JSON responses', async () => {
+    handler = (req, res, body) => {
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(body);
+    };
+    const client = createFetchClient({ baseURL });
+
+    const response = await client.post('/items', { name: 'widget' }, { params: { page: 2, skip: undefined } });
+
+    expect(response.status).toBe(201);
+    expect(response.data).toEqual({ name: 'widget' });
+    expect(requests[0].url).toBe('/items?page=2');
+    expect(requests[0].headers['content-type']).toBe('application/json');
+  });
+
+  it('form-encodes bodies when the content type asks for it', async () => {
+    const client = createFetchClient({ baseURL, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+
+    await client.post('/form', { a: '1', b: 'two words' });
+
+    expect(requests[0].body).toBe('a=1&b=two+words');
+  });
+
+  it('runs middleware outermost first', async () => {
+    const order = [];
+    const trace = name => async (request, next) => {
+      order.push(`${name}:before`);
+      const response = await next(request);
+      order.push(`${name}:after`);
+      return response;
+    };
+    const client = createFetchClient({ baseURL, middleware: [trace('outer'), trace('inner')] });
+
+    await client.get('/');
+
+    expect(order).toEqual(['outer:before', 'inner:before', 'inner:after', 'outer:after']);
+  });
+
+  it('rejects non-2xx responses with HttpClientError', async () => {
+    handler = (req, res) => {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'missing' }));
+    };
+    const client = createFetchClient({ baseURL });
+
+    const error = await client.get('/missing').catch(err => err);
+
+    expect(error).toBeInstanceOf(HttpClientError);
+    expect(error.status).toBe(404);
+    expect(error.response.data).toEqual({ error: 'missing' });
+    expect(error.isApiError).toBe(true);
+    expect(error.isClientError).toBe(true);
+    expect(isRetryableHttpError(error)).toBe(false);
+  });
+
+  it('reports connection failures as network errors', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const error = await createFetchClient().get(`http://127.0.0.1:${port}/`).catch(err => err);
+
+    expect(error).toBeInstanceOf(HttpClientError);
+    expect(error.code).toBe('ECONNREFUSED');
+    expect(error.isNetworkError).toBe(true);
+    expect(isRetryableHttpError(error)).toBe(true);
+  });
+
+  it('retries retryable statuses and calls onRetry', async () => {
+    handler = failTimes(2, 503);
+    const onRetry = jest.fn();
+    const client = createFetchClient({ baseURL, middleware: [retryMiddleware({ retries: 3, retryDelay: 1, onRetry })] });
+
+    const response = await client.get('/flaky');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(requests).toHaveLength(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][0]).toBe(0);
+    expect(onRetry.mock.calls[0][1].status).toBe(503);
+  });
+
+  it('does not retry client errors and honors per-request retries', async () => {
+    handler = failTimes(5, 400);
+    const client = createFetchClient({ baseURL, middleware: [retryMiddleware({ retries: 3, retryDelay: 1 })] });
+    await expect(client.get('/bad')).rejects.toMatchObject({ status: 400 });
+    expect(requests).toHaveLength(1);
+
+    requests = [];
+    handler = failTimes(5, 500);
+    await expect(client.get('/down', { retries: 1 })).rejects.toMatchObject({ status: 500 });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('times out slow requests with a timeout error', async () => {
+    let pending;
+    handler = (req, res) => { pending = res; };
+    const onTimeout = jest.fn();
+    const client = createFetchClient({ baseURL, middleware: [timeoutMiddleware({ timeout: 50, onTimeout })] });
+
+    const error = await client.get('/slow').catch(err => err);
+    pending.end();
+
+    expect(error).toBeInstanceOf(HttpClientError);
+    expect(error.code).toBe('ECONNABORTED');
+    expect(error.isTimeoutError).toBe(true);
+    expect(onTimeout).toHaveBeenCalledWith(error);
+  });
+
+  it('adds auth without overriding an explicit Authorization header', async () => {
+    const client = createFetchClient({ baseURL, middleware: [authMiddleware({ getToken: async () => 'rotating' })] });
+
+    await client.get('/');
+    await client.get('/', { headers: { Authorization: 'Bearer explicit' } });
+
+    expect(requests[0].headers.authorization).toBe('Bearer rotating');
+    expect(requests[1].headers.authorization).toBe('Bearer explicit');
+  });
+
+  it('caches GET responses per credentials and can be bypassed', async () => {
+    const caching = cachingMiddleware({ ttl: 60000 });
+    const client = createFetchClient({ baseURL, middleware: [caching] });
+
+    const first = await client.get('/cached');
+    const second = await client.get('/cached');
+    await client.get('/cached', { headers: { Authorization: 'Bearer other-user' } });
+    await client.get('/cached', { cache: false });
+    await client.post('/cached', {});
+
+    expect(first.fromCache).toBeUndefined();
+    expect(second.fromCache).toBe(true);
+    expect(second.data).toEqual({ ok: true });
+    expect(requests).toHaveLength(4);
+    client.destroy();
+  });
+
+  it('tags requests with a request ID header', async () => {
+    let seenId;
+    const client = createFetchClient({
+      baseURL,
+      middleware: [
+        tracingMiddleware({ traceparent: true }),
+        (request, next) => { seenId = request.context.requestId; return next(request); }
+      ]
+    });
+
+    await client.get('/');
+    await client.get('/', { headers: { 'X-Request-ID': 'caller-id' } });
+
+    expect(requests[0].headers['x-request-id']).toMatch(/^req_\d+_[a-f0-9]{16}$/);
+    expect(requests[0].headers.traceparent).toMatch(/^00-[a-f0-9]{32}-[a-f0-9]{16}-01$/);
+    expect(requests[1].headers['x-request-id']).toBe('caller-id');
+    expect(seenId).toBe('caller-id');
+  });
+
+  describe('loggingMiddleware', () => {
+    const createLogger = () => ({ debug: jest.fn(), warn: jest.fn() });
+
+    it('logs redacted request and response events under the request ID', async () => {
+      handler = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': 'sid=abc' });
+        res.end(JSON.stringify({ id: 7, accessToken: 'issued-token' }));
+      };
+      const logger = createLogger();
+      const client = createFetchClient({
+        baseURL,
+        middleware: [tracingMiddleware(), loggingMiddleware({ logger, enabled: true })]
+      });
+
+      await client.post('/login?api_key=k1&page=1', { user: 'ann', password: 'hunter2', profile: { apiKey: 'k2' } }, {
+        headers: { Authorization: 'Bearer secret-token', 'Content-Type': 'application/json' }
+      });
+
+      const [[requestMessage, requestEvent], [, responseEvent]] = logger.debug.mock.calls;
+      expect(requestMessage).toBe('http.request');
+      expect(requestEvent.correlationId).toBe(requests[0].headers['x-request-id']);
+      expect(responseEvent.correlationId).toBe(requestEvent.correlationId);
+      expect(requestEvent.url).toBe('/login?page=1');
+      expect(requestEvent.headers.authorization).toBe('[REDACTED]');
+      expect(requestEvent.headers['content-type']).toBe('application/json');
+      expect(requestEvent.body).toEqual({ user: 'ann', password: '[REDACTED]', profile: { apiKey: '[REDACTED]' } });
+      expect(responseEvent).toMatchObject({ event: 'http.response', status: 200, attempts: 1, fromCache: false });
+      expect(responseEvent.headers['set-cookie']).toBe('[REDACTED]');
+      expect(responseEvent.body).toEqual({ id: 7, accessToken: '[REDACTED]' });
+      expect(JSON.stringify(logger.debug.mock.calls)).not.toMatch(/hunter2|secret-token|issued-token|k1|k2/);
+    });
+
+    it('truncates long bodies and can leave them out', async () => {
+      const logger = createLogger();
+      const client = createFetchClient({ baseURL, middleware: [loggingMiddleware({ logger, enabled: true, maxBodyLength: 20 })] });
+
+      await client.post('/', { text: 'x'.repeat(100) });
+
+      const [, requestEvent] = logger.debug.mock.calls[0];
+      expect(requestEvent.body).toMatch(/^\{"text":"x{11}\.\.\.\[truncated 91 chars\]$/);
+
+      const quiet = createLogger();
+      await createFetchClient({ baseURL, middleware: [loggingMiddleware({ logger: quiet, enabled: true, logBodies: false })] }).post('/', { a: 1 });
+      expect(quiet.debug.mock.calls[0][1].body).toBeUndefined();
+    });
+
+    it('samples successful requests but always logs failures', async () => {
+      const logger = createLogger();
+      const client = createFetchClient({ baseURL, middleware: [loggingMiddleware({ logger, enabled: true, sampleRate: 0 })] });
+
+      await client.get('/');
+      handler = failTimes(1, 500);
+      await expect(client.get('/broken')).rejects.toMatchObject({ status: 500 });
+
+      expect(logger.debug).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn.mock.calls[0][1]).toMatchObject({ event: 'http.error', method: 'GET', url: '/broken', status: 500 });
+      expect(logger.warn.mock.calls[0][1].correlationId).toMatch(/^req_/);
+    });
+
+    it('stays quiet when disabled', async () => {
+      const logger = createLogger();
+      const client = createFetchClient({ baseURL, middleware: [loggingMiddleware({ logger, enabled: false })] });
+
+      await client.get('/');
+
+      expect(logger.debug).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('compatibility wrappers', () => {
+    const logging = { logger: { debug: () => {}, warn: () => {} } };
+
+    it('createHttpClient applies auth, interceptors and retries', async () => {
+      handler = failTimes(1, 502);
+      const client = createHttpClient({
+        baseURL,
+        retryDelay: 1,
+        auth: { username: 'user', password: 'pass' },
+        interceptors: {
+          request: [config => ({ ...config, headers: { ...config.headers, 'X-Intercepted': 'yes' } })],
+          response: [response => ({ ...response, intercepted: true })]
+        }
+      });
+
+      const response = await client.get('/resource');
+
+      expect(response.intercepted).toBe(true);
+      expect(requests).toHaveLength(2);
+      expect(requests[1].headers['x-intercepted']).toBe('yes');
+      expect(requests[1].headers.authorization).toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+    });
+
+    it('createHttpClient lets request interceptors see and rewrite the auth header', async () => {
+      const seen = [];
+      const client = createHttpClient({
+        baseURL,
+        retries: 0,
+        auth: { bearer: 'original' },
+        interceptors: {
+          request: [config => {
+            seen.push(config.headers.Authorization);
+            return { ...config, headers: { ...config.headers, Authorization: 'Bearer rewritten' } };
+          }]
+        }
+      });
+
+      await client.get('/resource');
+
+      expect(seen).toEqual(['Bearer original']);
+      expect(requests[0].headers.authorization).toBe('Bearer rewritten');
+    });
+
+    it('createAdvancedHttpClient retries only through the *WithRetry methods', async () => {
+      const onRetry = jest.fn();
+      const client = advancedHttpClient.createAdvancedHttpClient({ baseURL, retryDelay: 1, maxRetries: 2, onRetry, logging });
+
+      handler = failTimes(1, 503);
+      await expect(client.get('/once')).rejects.toMatchObject({ status: 503, isServerError: true });
+      expect(requests).toHaveLength(1);
+
+      requests = [];
+      handler = failTimes(1, 503);
+      const response = await client.getWithRetry('/twice');
+      expect(response.status).toBe(200);
+      expect(requests).toHaveLength(2);
+      expect(onRetry).toHaveBeenCalledTimes(1);
+      expect(requests[1].headers['user-agent']).toBe('qgenutils-http-client/1.0.0');
+      expect(requests[1].headers['x-request-id']).toMatch(/^req_/);
+    });
+
+    it('createAdvancedHttpClient healthCheck reports status', async () => {
+      const client = advancedHttpClient.createAdvancedHttpClient({ baseURL, logging });
+
+      await expect(client.healthCheck('/health')).resolves.toMatchObject({ healthy: true, status: 200 });
+      expect(requests[0].method).toBe('HEAD');
+
+      handler = failTimes(1, 500);
+      await expect(client.healthCheck('/health')).resolves.toMatchObject({ healthy: false });
+    });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Fetch-Based HTTP Client with Middleware
+ *
+ * One HTTP client for the library, built on Node's built-in fetch (undici).
+ * Every request passes through an ordered middleware stack before reaching
+ * fetch; each middleware receives the request and a `next` function and can
+ * change the request, the response or the error, or answer without calling
+ * `next` at all (caching). The first middleware is the outermost, so a
+ * typical stack reads:
+ *
+ *   tracing -> logging -> caching -> auth -> retry -> timeout -> fetch
+ *
+ * Ready-made middleware lives in fetchClientMiddleware.ts. createHttpClient,
+ * createApiClient and createAdvancedHttpClient are built on this client, so
+ * they share one ApiResponse shape and one error type (HttpClientError).
+ */
+
+type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE' | 'PATCH' | 'HEAD' | 'OPTIONS';
+
+/**
+ * Request as seen by middleware; `url` may be relative to the client's baseURL
+ */
+interface FetchClientRequest {
+  method: HttpMethod;
+  /** Client base URL, prefixed to relative `url`s */
+  baseURL?: string;
+  url: string;
+  headers: Record<string, string>;
+  data?: any;
+  params?: Record<string, any>;
+  /** Per-request timeout for timeout middleware */
+  timeout?: number;
+  /** Per-request retry count for retry middleware */
+  retries?: number;
+  /** Set false to bypass caching middleware */
+  cache?: boolean;
+  signal?: AbortSignal;
+  /** Scratch space middleware share for one request (request ID, attempt, ...) */
+  context: Record<string, any>;
+}
+
+interface ApiResponse<T = any> {
+  data: T;
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  /** Request that produced the response */
+  config: FetchClientRequest;
+  /** Served by caching middleware */
+  fromCache?: boolean;
+}
+
+type FetchMiddleware = ((
+  request: FetchClientRequest,
+  next: (request: FetchClientRequest) => Promise<ApiResponse>
+) => Promise<ApiResponse>) & {
+  /** Release timers or caches the middleware holds */
+  destroy?: () => void;
+};
+
+interface FetchClientConfig {
+  baseURL?: string;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+  /** Ordered middleware, outermost first */
+  middleware?: FetchMiddleware[];
+  /** Statuses that count as success (default: 2xx) */
+  validateStatus?: (status: number) => boolean;
+  /** fetch implementation (default: global fetch) */
+  fetch?: typeof fetch;
+}
+
+type RequestOptions = Partial<Omit<FetchClientRequest, 'context'>> & { context?: Record<string, any> };
+
+/**
+ * Error for every failed request: network failure, timeout or rejected status
+ */
+class HttpClientError extends Error {
+  /** HTTP status, when a response arrived */
+  status?: number;
+  /** Response, when one arrived */
+  response?: ApiResponse;
+  request?: FetchClientRequest;
+  /** System error code for network failures (ECONNREFUSED, ...) or ECONNABORTED for timeouts */
+  code?: string;
+  isApiError: boolean;
+  isNetworkError: boolean;
+  isTimeoutError: boolean;
+  isServerError: boolean;
+  isClientError: boolean;
+
+  constructor(message: string, details: { status?: number; response?: ApiResponse; request?: FetchClientRequest; code?: string; cause?: unknown } = {}) {
+    super(message);
+    this.name = 'HttpClientError';
+    this.status = details.status;
+    this.response = details.response;
+    this.request = details.request;
+    this.code = details.code;
+    if (details.cause !== undefined) {
+      (this as any).cause = details.cause;
+    }
+    this.isApiError = details.status !== undefined;
+    this.isTimeoutError = details.code === 'ECONNABORTED';
+    this.isNetworkError = isNetworkError(this);
+    this.isServerError = (details.status ?? 0) >= 500;
+    this.isClientError = (details.status ?? 0) >= 400 && (details.status ?? 0) < 500;
+  }
+}
+
+/**
+ * Identify network-level connection errors (no HTTP response received)
+ *
+ * @param error - Error from a request
+ * @returns True for connection resets and refusals, connect timeouts and DNS failures
+ */
+function isNetworkError(error: any): boolean {
+  return (
+    error?.code === 'ECONNRESET' ||
+    error?.code === 'ECONNREFUSED' ||
+    error?.code === 'ETIMEDOUT' ||
+    error?.code === 'ENOTFOUND' ||
+    error?.code === 'EAI_AGAIN'
+  );
+}
+
+/**
+ * Whether a failed request is worth retrying: network errors, timeouts,
+ * 5xx, 429 (rate limited), 408 (request timeout) and 409 (conflict)
+ *
+ * @param error - Error from a request
+ * @returns True if the request may succeed on retry
+ */
+function isRetryableHttpError(error: any): boolean {
+  const status = error?.response?.status ?? error?.status;
+  if (status === undefined) {
+    return isNetworkError(error) || error?.isTimeoutError === true;
+  }
+  return status >= 500 || status === 429 || status === 408 || status === 409;
+}
+
+/**
+ * Resolve a request URL against the base URL and append query parameters
+ */
+function buildRequestUrl(baseURL: string, url: string, params?: Record<string, any>): string {
+  let finalUrl = /^https?:\/\//i.test(url) ? url : `${baseURL}${url}`;
+  if (params) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        search.append(key, String(value));
+      }
+    }
+    const queryString = search.toString();
+    if (queryString) {
+      finalUrl = `${finalUrl}${finalUrl.includes('?') ? '&' : '?'}${queryString}`;
+    }
+  }
+  return finalUrl;
+}
+
+/**
+ * Encode request data for fetch, filling in a Content-Type for objects
+ *
+ * Exported for middleware that must see the exact bytes sent (signing).
+ */
+function serializeRequestBody(data: any, headers: Record<string, string>): any {
+  if (data === undefined || data === null) {
+    return undefined;
+  }
+  if (typeof data === 'string' || data instanceof URLSearchParams || data instanceof ArrayBuffer || ArrayBuffer.isView(data) ||
+    (typeof FormData !== 'undefined' && data instanceof FormData) || (typeof Blob !== 'undefined' && data instanceof Blob)) {
+    return data;
+  }
+
+  const contentTypeKey = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+  const contentType = contentTypeKey ? headers[contentTypeKey] : '';
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return new URLSearchParams(data).toString();
+  }
+  if (!contentTypeKey) {
+    headers['Content-Type'] = 'application/json';
+  }
+  return JSON.stringify(data);
+}
+
+/**
+ * Parse a response body based on its content type
+ */
+async function parseBody(response: Response, method: HttpMethod): Promise<any> {
+  if (method === 'HEAD' || response.status === 204 || response.status === 304) {
+    return null;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('application/octet-stream') || contentType.includes('application/zip')) {
+    return response.arrayBuffer();
+  }
+
+  const text = await response.text();
+  if (contentType.includes('json') && text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text; // malformed JSON is returned as received
+    }
+  }
+  return text;
+}
+
+/**
+ * Creates an HTTP client that runs requests through a middleware stack.
+ *
+ * @param config - Base URL, default headers, middleware and status validation
+ * @returns Client with request, get, post, put, patch, delete, head, use and destroy
+ *
+ * @example
+ * const client = createFetchClient({
+ *   baseURL: 'https://api.example.com',
+ *   middleware: [
+ *     tracingMiddleware(),
+ *     loggingMiddleware(),
+ *     authMiddleware({ bearer: process.env.API_TOKEN }),
+ *     retryMiddleware({ retries: 3 }),
+ *     timeoutMiddleware({ timeout: 5000 })
+ *   ]
+ * });
+ * const { data } = await client.get('/users', { params: { page: 2 } });
+ */
+function createFetchClient(config: FetchClientConfig = {}) {
+  const {
+    baseURL = '',
+    headers: defaultHeaders = {},
+    validateStatus = (status: number) => status >= 200 && status < 300,
+    fetch: fetchImpl = globalThis.fetch
+  } = config;
+  const middleware: FetchMiddleware[] = [...(config.middleware || [])];
+
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('createFetchClient requires a fetch implementation (Node 18+ provides one)');
+  }
+
+  // TRANSPORT: Innermost step, turning the request into a fetch call
+  async function send(request: FetchClientRequest): Promise<ApiResponse> {
+    const headers = { ...request.headers };
+    const body = serializeRequestBody(request.data, headers);
+
+    let response: Response;
+    try {
+      response = await fetchImpl(buildRequestUrl(request.baseURL ?? baseURL, request.url, request.params), {
+        method: request.method,
+        headers,
+        body,
+        signal: request.signal
+      });
+    } catch (error: any) {
+      if (error instanceof HttpClientError) {
+        throw error;
+      }
+      const reason = request.signal?.aborted ? request.signal.reason : undefined;
+      if (reason instanceof HttpClientError) {
+        throw reason; // timeout middleware aborted with its own error
+      }
+      const code = error?.cause?.code ?? error?.code ?? (error?.name === 'AbortError' ? 'ERR_CANCELED' : undefined);
+      throw new HttpClientError(`Request to ${request.url} failed: ${error?.cause?.message ?? error?.message ?? error}`, { request, code, cause: error });
+    }
+
+    const responseHeaders: Record<string, string> = {};
+    response.headers.forEach((value, key) => {
+      responseHeaders[key] = value;
+    });
+
+    const apiResponse: ApiResponse = {
+      data: await parseBody(response, request.method),
+      status: response.status,
+      statusText: response.statusText,
+      headers: responseHeaders,
+      config: request
+    };
+
+    if (!validateStatus(response.status)) {
+      throw new HttpClientError(response.statusText || `Request failed with status ${response.status}`, { status: response.status, response: apiResponse, request });
+    }
+    return apiResponse;
+  }
+
+  function dispatch(index: number, request: FetchClientRequest): Promise<ApiResponse> {
+    if (index === middleware.length) {
+      return send(request);
+    }
+    return middleware[index](request, (nextRequest) => dispatch(index + 1, nextRequest));
+  }
+
+  /**
+   * Send a request through the middleware stack
+   */
+  function request<T = any>(options: RequestOptions = {}): Promise<ApiResponse<T>> {
+    const { method = 'GET', url = '', headers = {}, context = {}, ...rest } = options;
+    return dispatch(0, {
+      baseURL,
+      ...rest,
+      method: String(method).toUpperCase() as HttpMethod,
+      url,
+      headers: { ...defaultHeaders, ...headers },
+      context: { ...context }
+    });
+  }
+
+  type Options = Omit<RequestOptions, 'method' | 'url'>;
+  type BodyOptions = Omit<RequestOptions, 'method' | 'url' | 'data'>;
+
+  return {
+    request,
+    get: <T = any>(url: string, options: Options = {}) => request<T>({ ...options, method: 'GET', url }),
+    delete: <T = any>(url: string, options: Options = {}) => request<T>({ ...options, method: 'DELETE', url }),
+    head: <T = any>(url: string, options: Options = {}) => request<T>({ ...options, method: 'HEAD', url }),
+    post: <T = any>(url: string, data?: any, options: BodyOptions = {}) => request<T>({ ...options, method: 'POST', url, data }),
+    put: <T = any>(url: string, data?: any, options: BodyOptions = {}) => request<T>({ ...options, method: 'PUT', url, data }),
+    patch: <T = any>(url: string, data?: any, options: BodyOptions = {}) => request<T>({ ...options, method: 'PATCH', url, data }),
+
+    /**
+     * Append middleware (innermost, just before fetch)
+     */
+    use(extra: FetchMiddleware) {
+      middleware.push(extra);
+      return this;
+    },
+
+    /**
+     * Release resources held by middleware (cache timers)
+     */
+    destroy() {
+      for (const entry of middleware) {
+        entry.destroy?.();
+      }
+    }
+  };
+}
+
+type FetchClient = ReturnType<typeof createFetchClient>;
+
+export { buildRequestUrl, HttpClientError, isNetworkError, isRetryableHttpError, serializeRequestBody };
+export type { ApiResponse, FetchClient, FetchClientConfig, FetchClientRequest, FetchMiddleware, HttpMethod, RequestOptions };
+export default createFetchClient;
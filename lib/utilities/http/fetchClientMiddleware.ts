@@ -0,0 +1,495 @@
+/**
+ * Fetch Client Middleware
+ *
+ * Building blocks for createFetchClient's middleware stack. Each factory
+ * returns a `(request, next) => Promise<ApiResponse>` function; list them
+ * outermost first:
+ *
+ *   tracing -> logging -> caching -> auth -> retry -> timeout
+ *
+ * Order matters: retry inside caching means cached responses skip retries,
+ * and timeout inside retry gives every attempt its own deadline.
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import * as localVars from '../../../config/localVars.js';
+import getAppLogger from '../logger/getAppLogger.js';
+import createSafeLoggingContext from '../security/createSafeLoggingContext.js';
+import isSensitiveField from '../security/isSensitiveField.js';
+import sanitizeLogValue from '../security/sanitizeLogValue.js';
+import sanitizeUrl from '../security/sanitizeUrl.js';
+import retryWithBackoff from '../batch/retryWithBackoff.js';
+import type { JitterStrategy } from '../batch/retryWithBackoff.js';
+import type { RetryBudget } from '../batch/createRetryBudget.js';
+import { BoundedLRUCache } from '../performance/boundedCache.js';
+import type { AuthProvider } from '../api/createOAuth2TokenProvider.js';
+import { HttpClientError, isRetryableHttpError } from './createFetchClient.js';
+import type { ApiResponse, FetchClientRequest, FetchMiddleware, HttpMethod } from './createFetchClient.js';
+
+/**
+ * Find a header regardless of its casing
+ */
+function findHeader(headers: Record<string, string>, name: string): string | undefined {
+  const key = Object.keys(headers).find(headerName => headerName.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Generate cryptographically secure request IDs for tracing
+ *
+ * ID Format: `req_{timestamp}_{uuid_fragment}`; the timestamp keeps IDs
+ * roughly chronological and the 16-character UUID fragment keeps them unique.
+ *
+ * @returns {string} Unique request identifier
+ *
+ * @example
+ * generateRequestId(); // req_1703123456789_a1b2c3d4e5f6a7b8
+ */
+function generateRequestId(): string {
+  const timestamp = Date.now();
+  const uuid = randomUUID().replace(/-/g, '').substring(0, 16); // Remove hyphens and truncate for shorter IDs
+  return `req_${timestamp}_${uuid}`;
+}
+
+/**
+ * Sets the Authorization header unless the request already carries one.
+ *
+ * With a token provider (see createOAuth2TokenProvider), a 401 answer is
+ * retried once with a freshly issued token; concurrent 401s for the same
+ * token share one refresh.
+ *
+ * @param options - A static bearer token, basic credentials, getToken
+ *   called per request (for tokens that rotate) or a token provider
+ * @returns Auth middleware
+ */
+function authMiddleware(options: {
+  bearer?: string;
+  username?: string;
+  password?: string;
+  getToken?: (request: FetchClientRequest) => string | Promise<string>;
+  provider?: AuthProvider;
+}): FetchMiddleware {
+  const { bearer, username, password, getToken, provider } = options;
+  const basic = username && password ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` : null;
+
+  const withAuthorization = (request: FetchClientRequest, authorization: string): FetchClientRequest =>
+    ({ ...request, headers: { ...request.headers, Authorization: authorization } });
+
+  return async (request, next) => {
+    if (findHeader(request.headers, 'Authorization') !== undefined) {
+      return next(request);
+    }
+
+    if (provider) {
+      const token = await provider.getToken();
+      try {
+        return await next(withAuthorization(request, `Bearer ${token}`));
+      } catch (error: any) {
+        if (error?.status !== 401) {
+          throw error;
+        }
+        const freshToken = await provider.getToken({ forceRefresh: true, staleToken: token });
+        return next(withAuthorization(request, `Bearer ${freshToken}`));
+      }
+    }
+
+    let authorization: string | null = null;
+    if (getToken) {
+      authorization = `Bearer ${await getToken(request)}`;
+    } else if (bearer) {
+      authorization = `Bearer ${bearer}`;
+    } else if (basic) {
+      authorization = basic;
+    }
+
+    return next(authorization ? withAuthorization(request, authorization) : request);
+  };
+}
+
+/**
+ * Retries failed requests with exponential backoff (see retryWithBackoff).
+ *
+ * A request's own `retries` overrides the configured count. Retry-After
+ * hints on 429/503 responses are honored.
+ *
+ * @param options - Retry count, base delay, retry condition and backoff tuning
+ * @returns Retry middleware
+ */
+function retryMiddleware(options: {
+  /** Retries after the first attempt (default: 3) */
+  retries?: number;
+  /** Delay before the first retry in milliseconds, doubling after (default: 1000) */
+  retryDelay?: number;
+  /** Longest delay between attempts in milliseconds (default: 30000) */
+  maxDelay?: number;
+  /** Which errors to retry (default: isRetryableHttpError) */
+  shouldRetry?: (error: unknown) => boolean;
+  /** Called before each retry with the retry number (0-based) and the error */
+  onRetry?: (retryCount: number, error: unknown) => void;
+  jitter?: JitterStrategy | ((delay: number) => number);
+  budget?: RetryBudget;
+  maxElapsedMs?: number;
+} = {}): FetchMiddleware {
+  const {
+    retries = 3,
+    retryDelay = 1000,
+    maxDelay = 30000,
+    shouldRetry = isRetryableHttpError,
+    onRetry,
+    jitter,
+    budget,
+    maxElapsedMs
+  } = options;
+
+  return async (request, next) => {
+    let attempt = 0;
+    let lastError: unknown;
+
+    const result = await retryWithBackoff(async () => {
+      if (attempt > 0 && onRetry) {
+        onRetry(attempt - 1, lastError);
+      }
+      const attemptRequest = { ...request, context: Object.assign(request.context, { attempt: attempt + 1 }) };
+      attempt++;
+      try {
+        return await next(attemptRequest);
+      } catch (error) {
+        lastError = error;
+        throw error;
+      }
+    }, {
+      maxRetries: request.retries ?? retries,
+      baseDelay: retryDelay,
+      maxDelay,
+      shouldRetry: error => !request.signal?.aborted && shouldRetry(error),
+      jitter,
+      budget,
+      maxElapsedMs
+    });
+
+    if (!result.ok) {
+      throw lastError ?? result.error;
+    }
+    return result.value!;
+  };
+}
+
+/**
+ * Aborts requests that take too long.
+ *
+ * A request's own `timeout` overrides the configured one; a signal the
+ * caller passed still cancels the request. Timeouts reject with an
+ * HttpClientError whose code is ECONNABORTED and isTimeoutError is true.
+ *
+ * @param options - Timeout in milliseconds (default: 30000) and onTimeout callback
+ * @returns Timeout middleware
+ */
+function timeoutMiddleware(options: { timeout?: number; onTimeout?: (error: HttpClientError) => void } = {}): FetchMiddleware {
+  const { timeout: defaultTimeout = 30000, onTimeout } = options;
+
+  return async (request, next) => {
+    const timeout = request.timeout ?? defaultTimeout;
+    if (!(timeout > 0) || !Number.isFinite(timeout)) {
+      return next(request);
+    }
+
+    const controller = new AbortController();
+    const callerSignal = request.signal;
+    const forwardAbort = () => controller.abort(callerSignal!.reason);
+    if (callerSignal?.aborted) {
+      forwardAbort();
+    } else {
+      callerSignal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    let timeoutError: HttpClientError | null = null;
+    const timer = setTimeout(() => {
+      timeoutError = new HttpClientError(`Request to ${request.url} timed out after ${timeout}ms`, { request, code: 'ECONNABORTED' });
+      controller.abort(timeoutError);
+    }, timeout);
+
+    try {
+      return await next({ ...request, signal: controller.signal });
+    } catch (error) {
+      if (timeoutError) {
+        onTimeout?.(timeoutError);
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', forwardAbort);
+    }
+  };
+}
+
+/**
+ * Redact a request or response body for logging
+ *
+ * Fields whose names look sensitive (isSensitiveField) become [REDACTED],
+ * strings go through sanitizeLogValue, and the result is cut to
+ * maxBodyLength characters of JSON.
+ */
+function redactBody(body: any, maxBodyLength: number): any {
+  if (body === undefined || body === null || body === '') {
+    return undefined;
+  }
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return `[binary ${body.byteLength} bytes]`;
+  }
+  if (body instanceof URLSearchParams) {
+    body = Object.fromEntries(body);
+  }
+
+  const redact = (value: any, depth: number): any => {
+    if (typeof value === 'string') {
+      return sanitizeLogValue(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= 8) {
+      return '[MAX_DEPTH_EXCEEDED]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, depth + 1));
+    }
+    const redacted: Record<string, any> = {};
+    for (const [key, entry] of Object.entries(value)) {
+      redacted[key] = isSensitiveField(key) ? '[REDACTED]' : redact(entry, depth + 1);
+    }
+    return redacted;
+  };
+
+  const redacted = redact(body, 0);
+  const serialized = typeof redacted === 'string' ? redacted : JSON.stringify(redacted);
+  if (serialized.length <= maxBodyLength) {
+    return redacted;
+  }
+  return `${serialized.slice(0, maxBodyLength)}...[truncated ${serialized.length - maxBodyLength} chars]`;
+}
+
+/**
+ * Redact headers for logging
+ *
+ * Headers on createSafeLoggingContext's allow list (plus `allowedHeaders`)
+ * are kept as sent; any other header is [REDACTED] when its name looks
+ * sensitive and otherwise passed through sanitizeLogValue.
+ */
+function redactHeaders(headers: Record<string, string>, allowedHeaders: string[]): Record<string, string> {
+  const lowerHeaders: Record<string, string> = {};
+  for (const [name, value] of Object.entries(headers)) {
+    lowerHeaders[name.toLowerCase()] = value;
+  }
+
+  const safe = createSafeLoggingContext({ headers: lowerHeaders }, { allowedHeaders }).headers;
+  for (const [name, value] of Object.entries(lowerHeaders)) {
+    if (!(name in safe)) {
+      safe[name] = isSensitiveField(name) ? '[REDACTED]' : sanitizeLogValue(value);
+    }
+  }
+  return safe;
+}
+
+/**
+ * Logs each request and its outcome as structured, redacted events.
+ *
+ * Emits `http.request` and `http.response` at debug level and `http.error`
+ * at warn level through the app logger (getAppLogger). Every event carries
+ * the request's correlation ID: the request ID from tracing middleware or an
+ * X-Request-ID header, generated when neither exists. Headers and bodies
+ * are redacted (see redactHeaders / redactBody) and bodies truncated to
+ * maxBodyLength. With sampleRate below 1 only that share of requests is
+ * logged, though failures always are. Failures are also reported through
+ * qerrors whether logging is enabled or not. Off in production unless
+ * enabled explicitly.
+ *
+ * @param options - Logger, enabled flag, sample rate, body handling and extra safe headers
+ * @returns Logging middleware
+ */
+function loggingMiddleware(options: {
+  /** Logger with debug and warn methods (default: getAppLogger()) */
+  logger?: { debug: (message: string, meta?: Record<string, any>) => void; warn: (message: string, meta?: Record<string, any>) => void };
+  enabled?: boolean;
+  /** Share of requests logged, 0 to 1 (default: 1) */
+  sampleRate?: number;
+  /** Include redacted request and response bodies (default: true) */
+  logBodies?: boolean;
+  /** Longest body logged, in characters of JSON (default: 1024) */
+  maxBodyLength?: number;
+  /** Headers logged unredacted besides createSafeLoggingContext's list */
+  allowedHeaders?: string[];
+} = {}): FetchMiddleware {
+  const {
+    logger = getAppLogger(),
+    enabled = localVars.NODE_ENV !== 'production',
+    sampleRate = 1,
+    logBodies = true,
+    maxBodyLength = 1024,
+    allowedHeaders = ['x-request-id']
+  } = options;
+
+  return async (request, next) => {
+    const startedAt = Date.now();
+    const correlationId = request.context.requestId ?? findHeader(request.headers, 'X-Request-ID') ?? generateRequestId();
+    request.context.requestId = correlationId;
+    const sampled = enabled && Math.random() < sampleRate;
+    const target = { method: request.method, url: sanitizeUrl(request.url), correlationId };
+
+    if (sampled) {
+      logger.debug('http.request', {
+        event: 'http.request',
+        ...target,
+        headers: redactHeaders(request.headers, allowedHeaders),
+        body: logBodies ? redactBody(request.data, maxBodyLength) : undefined
+      });
+    }
+
+    try {
+      const response = await next(request);
+      if (sampled) {
+        logger.debug('http.response', {
+          event: 'http.response',
+          ...target,
+          status: response.status,
+          durationMs: Date.now() - startedAt,
+          attempts: request.context.attempt ?? 1,
+          fromCache: response.fromCache === true,
+          headers: redactHeaders(response.headers, allowedHeaders),
+          body: logBodies ? redactBody(response.data, maxBodyLength) : undefined
+        });
+      }
+      return response;
+    } catch (error: any) {
+      if (enabled) {
+        logger.warn('http.error', {
+          event: 'http.error',
+          ...target,
+          status: error?.status,
+          code: error?.code,
+          message: sanitizeLogValue(error?.message),
+          durationMs: Date.now() - startedAt,
+          attempts: request.context.attempt ?? 1
+        });
+      }
+      qerrors(error instanceof Error ? error : new Error(String(error)), 'fetchClient', {
+        message: `HTTP ${request.method} failed for: ${target.url}`,
+        correlationId,
+        status: error?.status
+      });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Serves repeated requests from an in-memory LRU cache.
+ *
+ * Only successful responses to the listed methods are cached; requests with
+ * `cache: false` bypass it. The key covers method, URL, query and a hash of
+ * the Authorization header, so one user's response never answers another's.
+ * Call the middleware's `destroy` (or the client's) to stop its cleanup timer.
+ *
+ * @param options - TTL in milliseconds (default: 300000), entry limit (default: 100) and cacheable methods (default: GET)
+ * @returns Caching middleware with destroy and clear
+ */
+function cachingMiddleware(options: { ttl?: number; maxSize?: number; methods?: HttpMethod[] } = {}): FetchMiddleware & { clear: () => void } {
+  const { ttl = 300000, maxSize = 100, methods = ['GET'] } = options;
+  const cache = new BoundedLRUCache<string, ApiResponse>(maxSize, ttl);
+
+  const cacheKey = (request: FetchClientRequest): string => {
+    const authorization = findHeader(request.headers, 'Authorization');
+    const authHash = authorization ? createHash('sha256').update(authorization).digest('hex').slice(0, 16) : '';
+    return `${request.method} ${request.url} ${JSON.stringify(request.params || {})} ${authHash}`;
+  };
+
+  const middleware = (async (request, next) => {
+    if (request.cache === false || !methods.includes(request.method)) {
+      return next(request);
+    }
+
+    const key = cacheKey(request);
+    const cached = cache.get(key);
+    if (cached) {
+      return { ...cached, config: request, fromCache: true };
+    }
+
+    const response = await next(request);
+    cache.set(key, response);
+    return response;
+  }) as FetchMiddleware & { clear: () => void };
+
+  middleware.clear = () => cache.clear();
+  middleware.destroy = () => cache.destroy();
+  return middleware;
+}
+
+/**
+ * Tags every request with a request ID header for cross-service tracing.
+ *
+ * Keeps an ID the caller already set, records it in `request.context.requestId`
+ * for later middleware, and optionally adds a W3C traceparent header.
+ *
+ * @param options - Header name (default: X-Request-ID), ID generator and traceparent flag
+ * @returns Tracing middleware
+ */
+function tracingMiddleware(options: {
+  header?: string;
+  generateId?: () => string;
+  traceparent?: boolean;
+} = {}): FetchMiddleware {
+  const { header = 'X-Request-ID', generateId = generateRequestId, traceparent = false } = options;
+
+  return (request, next) => {
+    const requestId = findHeader(request.headers, header) ?? generateId();
+    const headers = { ...request.headers, [header]: requestId };
+    if (traceparent && findHeader(headers, 'traceparent') === undefined) {
+      const traceId = randomUUID().replace(/-/g, '');
+      const spanId = randomUUID().replace(/-/g, '').substring(0, 16);
+      headers.traceparent = `00-${traceId}-${spanId}-01`;
+    }
+    request.context.requestId = requestId;
+    return next({ ...request, headers });
+  };
+}
+
+/**
+ * Runs axios-style interceptor chains as one middleware.
+ *
+ * Request interceptors see the request before it is sent, response
+ * interceptors the final response, and error interceptors the final error;
+ * each may return a replacement or nothing to keep the value.
+ *
+ * @param interceptors - Request, response and error interceptor chains
+ * @returns Interceptor middleware
+ */
+function interceptorMiddleware(interceptors: {
+  request?: Array<(request: any) => any>;
+  response?: Array<(response: any) => any>;
+  error?: Array<(error: any) => any>;
+}): FetchMiddleware {
+  const run = (chain: Array<(value: any) => any> = [], value: any): any =>
+    chain.reduce((current, interceptor) => interceptor(current) || current, value);
+
+  return async (request, next) => {
+    try {
+      const response = await next(run(interceptors.request, { ...request }));
+      return run(interceptors.response, response);
+    } catch (error) {
+      throw run(interceptors.error, error);
+    }
+  };
+}
+
+export {
+  authMiddleware,
+  cachingMiddleware,
+  generateRequestId,
+  interceptorMiddleware,
+  loggingMiddleware,
+  retryMiddleware,
+  timeoutMiddleware,
+  tracingMiddleware
+};
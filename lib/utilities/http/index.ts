@@ -1,21 +1,58 @@
 import contextualTimeouts from './contextualTimeouts.js';
 import createDynamicTimeout from './createDynamicTimeout.js';
+import createFetchClient, { HttpClientError, isNetworkError, isRetryableHttpError } from './createFetchClient.js';
 import createHttpConfig from './createHttpConfig.js';
 import createTimeoutConfig from './createTimeoutConfig.js';
 import getContextualTimeout from './getContextualTimeout.js';
+import {
+  authMiddleware,
+  cachingMiddleware,
+  generateRequestId,
+  interceptorMiddleware,
+  loggingMiddleware,
+  retryMiddleware,
+  timeoutMiddleware,
+  tracingMiddleware
+} from './fetchClientMiddleware.js';
+
+export type { ApiResponse, FetchClient, FetchClientConfig, FetchClientRequest, FetchMiddleware } from './createFetchClient.js';
 
 export {
   contextualTimeouts,
   createDynamicTimeout,
+  createFetchClient,
   createHttpConfig,
   createTimeoutConfig,
-  getContextualTimeout
+  getContextualTimeout,
+  HttpClientError,
+  isNetworkError,
+  isRetryableHttpError,
+  authMiddleware,
+  cachingMiddleware,
+  generateRequestId,
+  interceptorMiddleware,
+  loggingMiddleware,
+  retryMiddleware,
+  timeoutMiddleware,
+  tracingMiddleware
 };
 
 export default {
   contextualTimeouts,
   createDynamicTimeout,
+  createFetchClient,
   createHttpConfig,
   createTimeoutConfig,
-  getContextualTimeout
+  getContextualTimeout,
+  HttpClientError,
+  isNetworkError,
+  isRetryableHttpError,
+  authMiddleware,
+  cachingMiddleware,
+  generateRequestId,
+  interceptorMiddleware,
+  loggingMiddleware,
+  retryMiddleware,
+  timeoutMiddleware,
+  tracingMiddleware
 };
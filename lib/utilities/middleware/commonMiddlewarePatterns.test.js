@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { createRateLimitMiddleware } = require('./commonMiddlewarePatterns');
+const { default: createRateLimitStore } = require('../security/createRateLimitStore');
+const { default: createFileRateLimitStore } = require('../security/createFileRateLimitStore');
+const { default: createRedisRateLimitStore } = require('../security/createRedisRateLimitStore');
+const { createLuaRedis } = require('../../../tests/helpers/createLuaRedis');
+
+describe('createRateLimitMiddleware', () => {
+  let directory;
+  let server;
+  let stores;
+
+  const adapters = {
+    memory: () => createRateLimitStore({ cleanupInterval: 0 }),
+    file: () => createFileRateLimitStore({ filePath: path.join(directory, 'limits.json') }),
+    redis: () => createRedisRateLimitStore({ client: createLuaRedis() })
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qgenutils-rate-limit-middleware-'));
+    stores = [];
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    stores.forEach(store => store.destroy?.());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const listen = async (middleware) => {
+    const app = express();
+    app.use(middleware);
+    app.get('/ok', (req, res) => res.status(200).json({ ok: true }));
+    app.get('/fail', (req, res) => res.status(500).json({ ok: false }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    return (route) => new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, host: '127.0.0.1', path: route }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+      }).on('error', reject);
+    });
+  };
+
+  const createStore = (name) => {
+    const store = adapters[name]();
+    stores.push(store);
+    return store;
+  };
+
+  it.each(Object.keys(adapters))('answers 429 past the limit with the %s adapter', async (name) => {
+    const get = await listen(createRateLimitMiddleware({ windowMs: 60000, max: 2, store: createStore(name) }));
+
+    const first = await get('/ok');
+    await get('/ok');
+    const limited = await get('/ok');
+
+    expect(first.headers['x-ratelimit-remaining']).toBe('1');
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toMatchObject({ type: 'RATE_LIMIT_EXCEEDED', metadata: { limit: 2, windowMs: 60000 } });
+  });
+
+  it.each(Object.keys(adapters))('refunds skipped outcomes through the %s adapter', async (name) => {
+    const store = createStore(name);
+    const get = await listen(createRateLimitMiddleware({ windowMs: 60000, max: 2, store, skipSuccessfulRequests: true }));
+
+    const statuses = [];
+    for (const route of ['/ok', '/ok', '/ok', '/fail', '/fail', '/ok']) {
+      statuses.push((await get(route)).status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200, 500, 500, 429]);
+    expect((await store.get('127.0.0.1')).consumed).toBe(3);
+  });
+
+  it('rejects skip options with a store that cannot refund', () => {
+    const store = { consume: () => ({}), get: () => null, reset: () => {}, ttl: () => null };
+
+    expect(() => createRateLimitMiddleware({ windowMs: 1000, max: 1, store, skipFailedRequests: true })).toThrow('refund');
+  });
+});
@@ -8,6 +8,8 @@
 
 import type { Request, Response, NextFunction } from 'express';
 import { handleError } from '../error/commonErrorHandling.js';
+import createRateLimitStore from '../security/createRateLimitStore.js';
+import type { RateLimitStoreAdapter } from '../security/createRateLimitStore.js';
 
 /**
  * Middleware function type
@@ -163,6 +165,14 @@ export function createConditionalMiddleware(
 
 /**
  * Creates middleware with rate limiting
+ *
+ * Counts are kept in a rate limit store adapter (in-memory
+ * createRateLimitStore by default); pass createRedisRateLimitStore or
+ * createFileRateLimitStore to share limits or keep them across restarts.
+ * Requests are allowed when the store fails. skipSuccessfulRequests (2xx
+ * answers) and skipFailedRequests (anything else) refund the request to the
+ * store once the response is sent, so they need a store with `refund`.
+ *
  * @param options - Rate limiting options
  * @returns Rate limiting middleware
  */
@@ -173,6 +183,7 @@ export function createRateLimitMiddleware(options: {
   keyGenerator?: (req: Request) => string;
   skipSuccessfulRequests?: boolean;
   skipFailedRequests?: boolean;
+  store?: RateLimitStoreAdapter;
 }): MiddlewareFunction {
   const {
     windowMs,
@@ -180,97 +191,71 @@ export function createRateLimitMiddleware(options: {
     message = 'Too many requests',
     keyGenerator = (req) => req.ip || 'unknown',
     skipSuccessfulRequests = false,
-    skipFailedRequests = false
+    skipFailedRequests = false,
+    store = createRateLimitStore()
   } = options;
 
-  const requests = new Map<string, Array<{ timestamp: number; success?: boolean }>>();
-
-  // Cleanup interval
-  const cleanupInterval = setInterval(() => {
-    const cutoff = Date.now() - windowMs;
-
-    for (const [key, timestamps] of requests.entries()) {
-      const filtered = timestamps.filter(t => t.timestamp > cutoff);
-      if (filtered.length === 0) {
-        requests.delete(key);
-      } else {
-        requests.set(key, filtered);
-      }
-    }
-  }, Math.min(windowMs / 10, 60000)); // Cleanup at least every minute
+  if ((skipSuccessfulRequests || skipFailedRequests) && typeof store.refund !== 'function') {
+    throw new Error('skipSuccessfulRequests and skipFailedRequests need a store adapter with refund');
+  }
 
   return (req: Request, res: Response, next: NextFunction): void => {
     const key = keyGenerator(req);
-    const now = Date.now();
-    const cutoff = now - windowMs;
-
-    // Get existing requests for this key
-    let keyRequests = requests.get(key) || [];
-
-    // Filter old requests
-    keyRequests = keyRequests.filter(t => t.timestamp > cutoff);
 
-    // Check rate limit
-    if (keyRequests.length >= max) {
-      return res.status(429).json({
-        success: false,
-        error: {
-          type: 'RATE_LIMIT_EXCEEDED',
-          message,
-          metadata: {
-            limit: max,
-            windowMs,
-            retryAfter: Math.ceil(windowMs / 1000)
+    Promise.resolve(store.consume(key, max, windowMs)).then((result) => {
+      // Check rate limit
+      if (result.exceeded) {
+        res.status(429).json({
+          success: false,
+          error: {
+            type: 'RATE_LIMIT_EXCEEDED',
+            message,
+            metadata: {
+              limit: max,
+              windowMs,
+              retryAfter: Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000))
+            }
           }
-        }
-      });
-    }
-
-    // Add current request
-    keyRequests.push({ timestamp: now });
-    requests.set(key, keyRequests);
+        });
+        return;
+      }
 
-    // Store rate limit info for response headers
-    (req as any).rateLimit = {
-      limit: max,
-      current: keyRequests.length,
-      remaining: Math.max(0, max - keyRequests.length),
-      resetTime: new Date(now + windowMs)
-    };
+      // Store rate limit info for response headers
+      (req as any).rateLimit = {
+        limit: max,
+        current: result.consumed,
+        remaining: result.remaining,
+        resetTime: new Date(result.resetTime)
+      };
 
-    // Track success/failure
-    const originalSend = res.send;
-    res.send = function(this: Response, ...args: any[]) {
-      const statusCode = this.statusCode;
-      const isSuccess = statusCode >= 200 && statusCode < 300;
-
-      // Update request tracking based on result
-      if (isSuccess && skipSuccessfulRequests) {
-        const requests = (req as any).rateLimit.requests || [];
-        const lastRequest = requests[requests.length - 1];
-        if (lastRequest) {
-          lastRequest.success = true;
-        }
-      }
+      // Uncount skipped outcomes; res.json calls send again, so only once
+      const originalSend = res.send;
+      let settled = false;
+      res.send = function(this: Response, ...args: any[]) {
+        const statusCode = this.statusCode;
+        const isSuccess = statusCode >= 200 && statusCode < 300;
 
-      if (!isSuccess && skipFailedRequests) {
-        const requests = (req as any).rateLimit.requests || [];
-        const lastRequest = requests[requests.length - 1];
-        if (lastRequest) {
-          lastRequest.success = false;
+        if (!settled && (isSuccess ? skipSuccessfulRequests : skipFailedRequests)) {
+          Promise.resolve(store.refund!(key)).catch((error) => {
+            handleError(error, 'createRateLimitMiddleware', 'Rate limit refund failed');
+          });
         }
-      }
+        settled = true;
 
-      // Set rate limit headers
-      this.set('X-RateLimit-Limit', max.toString());
-      this.set('X-RateLimit-Current', keyRequests.length.toString());
-      this.set('X-RateLimit-Remaining', Math.max(0, max - keyRequests.length).toString());
-      this.set('X-RateLimit-Reset', new Date(now + windowMs).toISOString());
+        // Set rate limit headers
+        this.set('X-RateLimit-Limit', max.toString());
+        this.set('X-RateLimit-Current', result.consumed.toString());
+        this.set('X-RateLimit-Remaining', result.remaining.toString());
+        this.set('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
 
-      return originalSend.apply(this, args);
-    };
+        return originalSend.apply(this, args);
+      };
 
-    next();
+      next();
+    }, (error) => {
+      handleError(error, 'createRateLimitMiddleware', 'Rate limit store failed; allowing request');
+      next();
+    });
   };
 }
 
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { default: createRateLimiter } = require('./createRateLimiter');
+const { default: createRateLimitStore } = require('../security/createRateLimitStore');
+const { default: createFileRateLimitStore } = require('../security/createFileRateLimitStore');
+const { default: createRedisRateLimitStore } = require('../security/createRedisRateLimitStore');
+const { createLuaRedis } = require('../../../tests/helpers/createLuaRedis');
+
+describe('createRateLimiter with store adapters', () => {
+  let directory;
+  let server;
+  let stores;
+
+  const adapters = {
+    memory: () => createRateLimitStore({ cleanupInterval: 0 }),
+    file: () => createFileRateLimitStore({ filePath: path.join(directory, 'limits.json') }),
+    redis: () => createRedisRateLimitStore({ client: createLuaRedis() })
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qgenutils-rate-limiter-'));
+    stores = [];
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    stores.forEach(store => store.destroy?.());
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const listen = async (limiter) => {
+    const app = express();
+    app.use(limiter);
+    app.get('/ok', (req, res) => res.status(200).send('ok'));
+    app.get('/fail', (req, res) => res.status(500).send('fail'));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    return (route) => new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, host: '127.0.0.1', path: route }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }).on('error', reject);
+    });
+  };
+
+  const createStore = (name) => {
+    const store = adapters[name]();
+    stores.push(store);
+    return store;
+  };
+
+  it.each(Object.keys(adapters))('answers 429 past the limit with the %s adapter', async (name) => {
+    const get = await listen(createRateLimiter({ windowMs: 60000, max: 2, store: createStore(name) }));
+
+    expect([await get('/ok'), await get('/ok'), await get('/ok')]).toEqual([200, 200, 429]);
+  });
+
+  it.each(Object.keys(adapters))('refunds skipped failures through the %s adapter', async (name) => {
+    const get = await listen(createRateLimiter({ windowMs: 60000, max: 2, store: createStore(name), skipFailedRequests: true }));
+
+    expect([await get('/fail'), await get('/fail'), await get('/ok'), await get('/ok'), await get('/ok')]).toEqual([500, 500, 200, 200, 429]);
+  });
+
+  it('rejects skip options with an adapter that cannot refund', () => {
+    const store = { consume: () => ({}), get: () => null, reset: () => {}, ttl: () => null };
+
+    expect(() => createRateLimiter({ store, skipSuccessfulRequests: true })).toThrow('refund');
+  });
+});
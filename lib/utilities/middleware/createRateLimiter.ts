@@ -15,11 +15,16 @@
  * @param {Function} [config.skip] - Function to skip rate limiting for certain requests
  * @param {Function} [config.onLimitReached] - Called when limit is exceeded
  * @param {object} [config.handler] - Custom handler for rate limit exceeded
- * @param {object} [config.store] - Custom store (MemoryStore, Redis, etc.)
+ * @param {boolean} [config.skipSuccessfulRequests=false] - Uncount requests answered below 400
+ * @param {boolean} [config.skipFailedRequests=false] - Uncount requests answered 400 or above
+ * @param {object} [config.store] - express-rate-limit store, or any rate limit store adapter
+ *   (createRateLimitStore, createRedisRateLimitStore, createFileRateLimitStore)
  * @returns {Function} Express middleware function
  */
 import rateLimit from 'express-rate-limit';
+import type { Store } from 'express-rate-limit';
 import buildRateLimitKey from '../security/buildRateLimitKey.js'; // rationale: keep existing key building for compatibility
+import type { RateLimitStoreAdapter } from '../security/createRateLimitStore.js';
 
 interface RateLimiterConfig {
   windowMs?: number;
@@ -32,6 +37,8 @@ interface RateLimiterConfig {
   skip?: (req: any) => boolean;
   onLimitReached?: (req: any, res: any) => void;
   handler?: (req: any, res: any) => void;
+  skipSuccessfulRequests?: boolean;
+  skipFailedRequests?: boolean;
   store?: any;
   points?: number;
   durationMs?: number;
@@ -56,6 +63,39 @@ interface ExpressRateLimitConfig {
   prefix?: string;
 }
 
+function isStoreAdapter(store: any): store is RateLimitStoreAdapter {
+  return !!store && typeof store.consume === 'function' && typeof store.ttl === 'function';
+}
+
+/**
+ * Present a rate limit store adapter through the express-rate-limit Store interface
+ */
+function toExpressRateLimitStore(adapter: RateLimitStoreAdapter, max: number): Store {
+  let windowMs = 60000;
+
+  return {
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    async get(key) {
+      const usage = await adapter.get(key);
+      return usage ? { totalHits: usage.consumed, resetTime: new Date(usage.resetTime) } : undefined;
+    },
+    async increment(key) {
+      const result = await adapter.consume(key, max, windowMs);
+      return { totalHits: result.consumed, resetTime: new Date(result.resetTime) };
+    },
+    async decrement(key) {
+      // Used by skipSuccessfulRequests/skipFailedRequests; createRateLimiter
+      // only allows those with adapters that can refund
+      await adapter.refund?.(key);
+    },
+    async resetKey(key) {
+      await adapter.reset(key);
+    }
+  };
+}
+
 function createRateLimiter(config: RateLimiterConfig = {}) {
   const {
     windowMs = 60000,
@@ -68,6 +108,8 @@ function createRateLimiter(config: RateLimiterConfig = {}) {
     skip = null,
     onLimitReached = null,
     handler = null,
+    skipSuccessfulRequests = false,
+    skipFailedRequests = false,
     store = null,
     // Legacy options for backward compatibility
     points = null,
@@ -106,6 +148,9 @@ function createRateLimiter(config: RateLimiterConfig = {}) {
   if (typeof finalMax !== 'number' || finalMax <= 0) {
     throw new Error('Rate limiter max must be a positive number');
   }
+  if ((skipSuccessfulRequests || skipFailedRequests) && isStoreAdapter(store) && typeof store.refund !== 'function') {
+    throw new Error('skipSuccessfulRequests and skipFailedRequests need a store adapter with refund');
+  }
 
   // Build express-rate-limit configuration
   const rateLimitConfig: any = {
@@ -114,7 +159,11 @@ function createRateLimiter(config: RateLimiterConfig = {}) {
     message: typeof expressRateLimitConfig.message === 'string' ? expressRateLimitConfig.message : 'Rate limit exceeded. Please try again later.',
     standardHeaders: expressRateLimitConfig.standardHeaders,
     legacyHeaders: expressRateLimitConfig.legacyHeaders,
-    store: expressRateLimitConfig.store
+    skipSuccessfulRequests,
+    skipFailedRequests,
+    store: isStoreAdapter(expressRateLimitConfig.store)
+      ? toExpressRateLimitStore(expressRateLimitConfig.store, finalMax)
+      : expressRateLimitConfig.store
   };
 
   // Add custom key generator if provided
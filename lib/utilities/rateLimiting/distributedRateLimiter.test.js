@@ -0,0 +1,188 @@
+const { DistributedRateLimiter } = require('./distributedRateLimiter');
+const { MemoryLimiterStore, RedisLimiterStore } = require('./limiterStore');
+const { ALGORITHM_DEFINITIONS } = require('./rateLimitAlgorithms');
+const { createLuaRedis } = require('../../../tests/helpers/createLuaRedis');
+
+describe('DistributedRateLimiter', () => {
+  let limiters;
+  let stores;
+
+  const createLimiter = (config) => {
+    const limiter = new DistributedRateLimiter({ windowMs: 60000, maxRequests: 3, ...config });
+    limiters.push(limiter);
+    return limiter;
+  };
+
+  const createStore = () => {
+    const store = new MemoryLimiterStore();
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    limiters = [];
+    stores = [];
+  });
+
+  afterEach(() => {
+    limiters.forEach(limiter => limiter.destroy());
+    stores.forEach(store => store.close());
+  });
+
+  it('enforces one limit across instances sharing a store', async () => {
+    const store = createStore();
+    const first = createLimiter({ store });
+    const second = createLimiter({ store });
+    const req = { ip: '10.0.0.1' };
+
+    const results = [];
+    for (const limiter of [first, second, first, second]) {
+      results.push(await limiter.checkLimit(req, {}));
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[3].retryAfter).toBeGreaterThan(0);
+  });
+
+  it('serves recent denials from the local cache without hitting the store', async () => {
+    const store = createStore();
+    const hit = jest.spyOn(store, 'hit');
+    const limiter = createLimiter({ store, maxRequests: 1 });
+    const req = { ip: '10.0.0.2' };
+
+    await limiter.checkLimit(req, {});
+    await limiter.checkLimit(req, {});
+    const cached = await limiter.checkLimit(req, {});
+
+    expect(cached.allowed).toBe(false);
+    expect(hit).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to local limits and emits redis-error when the store fails', async () => {
+    const store = { hit: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')), reset: jest.fn() };
+    const limiter = createLimiter({ store, maxRequests: 1 });
+    const errors = [];
+    limiter.on('redis-error', error => errors.push(error));
+    const req = { ip: '10.0.0.3' };
+
+    const first = await limiter.checkLimit(req, {});
+    const second = await limiter.checkLimit(req, {});
+
+    expect(first.allowed).toBe(true);
+    expect(second.allowed).toBe(false);
+    expect(errors.map(error => error.message)).toEqual(['ECONNREFUSED']);
+    expect(store.hit).toHaveBeenCalledTimes(1); // degraded until the retry interval passes
+    expect(limiter.getStats().mode).toBe('degraded');
+  });
+
+  it('treats a slow store as unavailable', async () => {
+    const store = { hit: () => new Promise(() => {}), reset: jest.fn() };
+    const limiter = createLimiter({ store, redisTimeoutMs: 20 });
+    const errors = [];
+    limiter.on('redis-error', error => errors.push(error));
+
+    const result = await limiter.checkLimit({ ip: '10.0.0.4' }, {});
+
+    expect(result.allowed).toBe(true);
+    expect(errors[0].message).toMatch(/timed out/);
+  });
+});
+
+describe('RedisLimiterStore', () => {
+  const policy = { algorithm: 'sliding-log', limit: 5, windowMs: 60000 };
+
+  it('runs the cached script with ioredis-style arguments', async () => {
+    const client = { evalsha: jest.fn().mockResolvedValue([1, 3, 60000, 0]), eval: jest.fn(), del: jest.fn() };
+    const store = new RedisLimiterStore(client);
+
+    const result = await store.hit('rl:10.0.0.1', policy);
+
+    expect(result).toEqual({ allowed: true, remaining: 3, resetMs: 60000, retryAfterMs: 0 });
+    const [sha, numKeys, key, limit, windowMs, burst] = client.evalsha.mock.calls[0];
+    expect(sha).toMatch(/^[0-9a-f]{40}$/);
+    expect([numKeys, key, limit, windowMs, burst]).toEqual([1, 'rl:10.0.0.1', '5', '60000', '5']);
+    expect(client.eval).not.toHaveBeenCalled();
+  });
+
+  it('sends the script source when Redis has not cached it', async () => {
+    const client = {
+      evalsha: jest.fn().mockRejectedValue(new Error('NOSCRIPT No matching script')),
+      eval: jest.fn().mockResolvedValue([0, 0, 30000, 1200])
+    };
+    const store = new RedisLimiterStore(client);
+
+    const result = await store.hit('rl:key', { ...policy, algorithm: 'gcra' });
+
+    expect(result).toEqual({ allowed: false, remaining: 0, resetMs: 30000, retryAfterMs: 1200 });
+    expect(client.eval.mock.calls[0][0]).toBe(ALGORITHM_DEFINITIONS.gcra.script);
+  });
+
+  it('supports node-redis clients', async () => {
+    const client = { evalSha: jest.fn().mockResolvedValue([1, 4, 60000, 0]), eval: jest.fn() };
+    const store = new RedisLimiterStore(client);
+
+    await store.hit('rl:key', policy);
+
+    expect(client.evalSha.mock.calls[0][1]).toEqual({
+      keys: ['rl:key'],
+      arguments: ['5', '60000', '5', String(5 / 60000), expect.any(String)]
+    });
+  });
+});
+
+describe('RedisLimiterStore running its scripts', () => {
+  const policy = { algorithm: 'sliding-log', limit: 2, windowMs: 1000 };
+  let redis;
+
+  beforeEach(() => {
+    redis = createLuaRedis();
+  });
+
+  it('enforces one limit across limiters sharing a Redis client', async () => {
+    const limiters = [0, 1].map(() => new DistributedRateLimiter({ windowMs: 60000, maxRequests: 2, redisClient: redis }));
+    const req = { ip: '10.0.0.1' };
+
+    const results = [];
+    for (const limiter of [...limiters, ...limiters]) {
+      results.push(await limiter.checkLimit(req, {}));
+    }
+    limiters.forEach(limiter => limiter.destroy());
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, false, false]);
+    expect(await redis.zcard('rl:sliding-log:10.0.0.1')).toBe(2);
+  });
+
+  it('slides the window on the Redis clock and expires the key with it', async () => {
+    const store = new RedisLimiterStore(redis);
+    const hit = () => store.hit('rl:key', policy);
+
+    expect(await hit()).toEqual({ allowed: true, remaining: 1, resetMs: 1000, retryAfterMs: 0 });
+    redis.advance(400);
+    expect(await hit()).toEqual({ allowed: true, remaining: 0, resetMs: 1000, retryAfterMs: 0 });
+    expect(await redis.pttl('rl:key')).toBe(1000);
+
+    redis.advance(100);
+    expect(await hit()).toEqual({ allowed: false, remaining: 0, resetMs: 900, retryAfterMs: 500 });
+    expect(await redis.zcard('rl:key')).toBe(2); // rejected requests are not logged
+
+    redis.advance(500); // the first request leaves the window
+    expect((await hit()).allowed).toBe(true);
+    expect(await redis.zcard('rl:key')).toBe(2);
+
+    redis.advance(1000);
+    expect(await redis.pttl('rl:key')).toBe(-2);
+  });
+
+  it('loads the script once and then runs it by SHA', async () => {
+    const store = new RedisLimiterStore(redis);
+    const evalSpy = jest.spyOn(redis, 'eval');
+    const evalshaSpy = jest.spyOn(redis, 'evalsha');
+
+    await store.hit('rl:key', policy);
+    await store.hit('rl:key', policy);
+
+    expect(evalSpy).toHaveBeenCalledTimes(1);
+    expect(evalshaSpy).toHaveBeenCalledTimes(2);
+  });
+});
@@ -2,17 +2,25 @@ import { EventEmitter } from 'events';
 import qerrorsMod from '@bijikyu/qerrors';
 const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
 import { BoundedLRUCache } from '../performance/boundedCache.js';
+import { LimiterStore, MemoryLimiterStore, RedisLimiterStore } from './limiterStore.js';
+import { AlgorithmResult, RateLimitAlgorithm, RateLimitPolicy, resolvePolicy } from './rateLimitAlgorithms.js';
 
 interface RateLimitResult {
   allowed: boolean;
   remaining: number;
-  resetTime?: number;
+  resetTime: number;
   retryAfter?: number;
 }
 
 interface DistributedRateLimitConfig {
   windowMs: number;
   maxRequests: number;
+  /** Limiting algorithm (default: sliding-log) */
+  algorithm?: RateLimitAlgorithm;
+  /** Bucket capacity for token-bucket and gcra (default: maxRequests) */
+  burst?: number;
+  /** Requests regained per second for token-bucket and gcra (default: maxRequests per window) */
+  refillRate?: number;
   keyGenerator?: (req: any) => string;
   onLimitReached?: (req: any, res: any, result: RateLimitResult, config: DistributedRateLimitConfig) => void;
   skipSuccessfulRequests?: boolean;
@@ -23,23 +31,53 @@ interface DistributedRateLimitConfig {
     db?: number;
   };
   redisClient?: any;
+  /** Shared limiter store; takes precedence over redis/redisClient */
+  store?: LimiterStore;
+  /** Prefix for keys in the shared store */
+  keyPrefix?: string;
+  /** Milliseconds a denial from the shared store is served from the local cache */
+  localCacheTtlMs?: number;
+  /** Milliseconds to stay in local-only mode after the shared store fails */
+  redisRetryIntervalMs?: number;
+  /** Milliseconds before a shared store call counts as failed */
+  redisTimeoutMs?: number;
 }
 
 /**
  * Distributed Rate Limiter Implementation
  *
  * This class provides distributed rate limiting capabilities using Redis for
- * synchronization across multiple server instances. It implements a sliding
- * window algorithm with memory-efficient caching and automatic cleanup.
+ * synchronization across multiple server instances. The limiting algorithm
+ * is selectable (see rateLimitAlgorithms.ts):
+ * - `fixed-window`: counter per clock-aligned window
+ * - `sliding-log` (default): exact sliding window of request timestamps
+ * - `sliding-window`: weighted current/previous window counters
+ * - `token-bucket`: `burst` capacity refilled at `refillRate` per second
+ * - `gcra`: token-bucket limits stored as a single timestamp
+ *
+ * Every algorithm runs identically in Redis (as a Lua script) and in memory,
+ * so `remaining`, `resetTime` and `retryAfter` mean the same in both modes.
+ * A limited key is allowed again as soon as the algorithm frees capacity;
+ * there is no extra blocking period.
  *
  * ## Architecture Overview
  *
  * The distributed rate limiter uses a hybrid approach:
- * 1. **Local Caching**: BoundedLRUCache for fast local lookups
- * 2. **Redis Backend**: Optional Redis for cross-instance synchronization
- * 3. **Sliding Window**: Time-based rate limiting with configurable windows
+ * 1. **Shared Store**: With `redisClient`, `redis` or `store`, every request
+ *    is counted atomically in shared state (one Lua script per request;
+ *    see limiterStore.ts)
+ * 2. **Local Read-Through**: Denials from the shared store are cached
+ *    locally for `localCacheTtlMs` so limited clients do not hammer Redis;
+ *    allowed requests are never answered locally while Redis is up
+ * 3. **Local-Only Mode**: Without a shared store (or while it is failing)
+ *    the same algorithm runs per instance in a MemoryLimiterStore
  * 4. **Memory Management**: Bounded caches prevent memory leaks
  *
+ * `redis` connection options create an ioredis client on first use; the
+ * `ioredis` package must be installed. Pass `redisClient` to reuse an
+ * existing ioredis or node-redis v4 connection, or `store` for any other
+ * LimiterStore (e.g. MemoryLimiterStore in tests).
+ *
  * ## Redis Configuration Requirements
  *
  * When using Redis for distributed rate limiting:
@@ -65,7 +103,9 @@ interface DistributedRateLimitConfig {
  * ## Failure Scenarios and Handling
  *
  * ### Redis Connection Failure
- * - Falls back to local-only rate limiting
+ * - Falls back to local-only rate limiting for `redisRetryIntervalMs`,
+ *   then tries Redis again
+ * - Calls slower than `redisTimeoutMs` count as failures
  * - Continues operation with reduced accuracy
  * - Emits 'redis-error' events for monitoring
  *
@@ -123,40 +163,110 @@ interface DistributedRateLimitConfig {
  */
 export class DistributedRateLimiter extends EventEmitter {
   private config: DistributedRateLimitConfig;
-  private requestCounts: BoundedLRUCache<string, { count: number; windowStart: number }>;
-  private blockedKeys: BoundedLRUCache<string, number>;
+  private policy: RateLimitPolicy;
+  private localStore: MemoryLimiterStore;
+  private blockedKeys: BoundedLRUCache<string, { retryAt: number; resetAt: number }>;
   private cleanupInterval: NodeJS.Timeout | null = null;
+  private store: LimiterStore | null = null;
+  private storeLoading: Promise<LimiterStore | null> | null = null;
+  private ownedRedisClient: any = null;
+  private degradedUntil = 0;
 
   constructor(config: DistributedRateLimitConfig) {
     super();
     this.config = {
       windowMs: config.windowMs,
       maxRequests: config.maxRequests,
+      algorithm: config.algorithm || 'sliding-log',
+      burst: config.burst,
+      refillRate: config.refillRate,
       keyGenerator: config.keyGenerator || ((req: any) => req.ip || req.socket?.remoteAddress || 'unknown'),
       onLimitReached: config.onLimitReached || (() => {}),
       skipSuccessfulRequests: config.skipSuccessfulRequests || false,
-      redis: config.redis || { host: 'localhost', port: 6379 },
-      redisClient: config.redisClient
+      redis: config.redis,
+      redisClient: config.redisClient,
+      store: config.store,
+      keyPrefix: config.keyPrefix ?? 'rl:',
+      localCacheTtlMs: config.localCacheTtlMs ?? 1000,
+      redisRetryIntervalMs: config.redisRetryIntervalMs ?? 5000,
+      redisTimeoutMs: config.redisTimeoutMs ?? 500
     };
 
+    this.policy = resolvePolicy({
+      algorithm: this.config.algorithm!,
+      limit: config.maxRequests,
+      windowMs: config.windowMs,
+      burst: config.burst,
+      refillRate: config.refillRate
+    });
+
+    if (config.store) {
+      this.store = config.store;
+    } else if (config.redisClient) {
+      this.store = new RedisLimiterStore(config.redisClient);
+    }
+
     // Initialize bounded caches to prevent memory leaks in distributed environments
-    // Memory management strategy: Use bounded LRU caches with TTL to prevent
-    // unbounded memory growth while maintaining performance
-    this.requestCounts = new BoundedLRUCache<string, { count: number; windowStart: number }>(
-      10000, // Maximum 10K keys tracked - balances memory usage with accuracy
-      config.windowMs // TTL matches window duration - ensures stale data auto-expires
-    );
-
-    // Separate cache for blocked keys to optimize memory usage
-    // Blocked keys typically have longer retention but lower volume
-    this.blockedKeys = new BoundedLRUCache<string, number>(
-      5000, // Maximum 5K blocked keys - smaller pool since fewer IPs get blocked
-      config.windowMs * 2 // Block for 2x window duration - provides cooling-off period
-    );
+    // Local-only state: Maximum 10K keys tracked - balances memory usage with accuracy,
+    // each entry expires once its state matches a fresh key
+    this.localStore = new MemoryLimiterStore(10000);
+
+    // Short-lived read-through cache of shared-store denials, so limited
+    // clients do not cost a Redis round trip per request
+    this.blockedKeys = new BoundedLRUCache<string, { retryAt: number; resetAt: number }>(5000, this.config.localCacheTtlMs);
 
     this.startCleanupInterval();
   }
 
+  /**
+   * Resolve the shared store, creating an ioredis client from `redis`
+   * options on first use
+   *
+   * @returns Null when running local-only
+   */
+  private async getStore(): Promise<LimiterStore | null> {
+    if (this.store || !this.config.redis) {
+      return this.store;
+    }
+
+    if (!this.storeLoading) {
+      this.storeLoading = this.createRedisStore();
+    }
+    return this.storeLoading;
+  }
+
+  private async createRedisStore(): Promise<LimiterStore | null> {
+    try {
+      const moduleName = 'ioredis'; // optional peer dependency, resolved at runtime
+      const imported: any = await import(moduleName);
+      const Redis = imported.default || imported;
+      const client = new Redis({
+        ...this.config.redis,
+        enableOfflineQueue: false, // fail fast while disconnected so the limiter degrades
+        maxRetriesPerRequest: 1
+      });
+      client.on('error', (error: Error) => this.emit('redis-error', error));
+      this.ownedRedisClient = client;
+      this.store = new RedisLimiterStore(client);
+      return this.store;
+    } catch (error) {
+      this.emit('redis-error', error instanceof Error ? error : new Error(String(error)));
+      this.config.redis = undefined; // stay local-only
+      return null;
+    }
+  }
+
+  private withTimeout<T>(promise: Promise<T>): Promise<T> {
+    let timer: NodeJS.Timeout;
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Rate limit store timed out after ${this.config.redisTimeoutMs}ms`)),
+        this.config.redisTimeoutMs
+      );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
   private startCleanupInterval(): void {
     // OPTIMIZATION: BoundedLRUCache handles automatic cleanup via TTL
     // This eliminates the need for periodic cleanup intervals that would:
@@ -181,17 +291,18 @@ export class DistributedRateLimiter extends EventEmitter {
   /**
  * Check if a request exceeds the rate limit
  *
- * This method implements the core rate limiting algorithm using a sliding
- * window approach. It first checks if the key is currently blocked, then
- * updates the request counter and applies the limit.
- *
  * Algorithm steps:
  * 1. Generate unique key for the request
- * 2. Check if key is currently blocked (fast path)
- * 3. Get or create request counter for the time window
- * 4. Increment counter and check against limit
- * 5. Block key if limit exceeded
- * 6. Return appropriate result
+ * 2. Answer from a recently cached shared-store denial (fast path)
+ * 3. Apply the configured algorithm in the shared store, or in the local
+ *    store when running local-only
+ * 4. Cache denials until the store would allow the key again, at most
+ *    `localCacheTtlMs`
+ * 5. Return appropriate result
+ *
+ * When the shared store fails or times out, a 'redis-error' event is
+ * emitted and the limiter runs local-only until `redisRetryIntervalMs` has
+ * passed.
  *
  * @param {any} req - The request object (Express, Fastify, etc.)
  * @param {any} res - The response object (for callback usage)
@@ -210,50 +321,52 @@ export class DistributedRateLimiter extends EventEmitter {
     const key = this.config.keyGenerator?.(req) || req.ip || req.socket?.remoteAddress || 'unknown';
     const now = Date.now();
 
-    // Check if currently blocked
-    const blockUntil = this.blockedKeys.get(key);
-    if (blockUntil && now < blockUntil) {
-      const retryAfter = Math.ceil((blockUntil - now) / 1000);
-      return {
-        allowed: false,
-        remaining: 0,
-        retryAfter
-      };
+    const store = now >= this.degradedUntil ? await this.getStore() : null;
+    if (!store) {
+      return this.toResult(req, res, key, now, await this.localStore.hit(key, this.policy));
     }
 
-    // Get or create request counter
-    let counter = this.requestCounts.get(key);
-    if (!counter || (now - counter.windowStart) > this.config.windowMs) {
-      counter = { count: 0, windowStart: now };
-      this.requestCounts.set(key, counter);
+    const blocked = this.blockedKeys.get(key);
+    if (blocked && now < blocked.retryAt) {
+      const answer = { allowed: false, remaining: 0, resetMs: blocked.resetAt - now, retryAfterMs: blocked.retryAt - now };
+      return this.toResult(req, res, key, now, answer, false);
     }
 
-    // Increment count
-    counter.count++;
-
-    // Check if over limit
-    if (counter.count > this.config.maxRequests) {
-      const blockUntil = now + this.config.windowMs;
-      this.blockedKeys.set(key, blockUntil);
-
-      const result: RateLimitResult = {
-        allowed: false,
-        remaining: 0,
-        retryAfter: Math.ceil(this.config.windowMs / 1000)
-      };
+    let result: AlgorithmResult;
+    try {
+      result = await this.withTimeout(store.hit(`${this.config.keyPrefix}${this.policy.algorithm}:${key}`, this.policy));
+    } catch (error) {
+      this.degradedUntil = now + this.config.redisRetryIntervalMs!;
+      this.emit('redis-error', error instanceof Error ? error : new Error(String(error)));
+      return this.toResult(req, res, key, now, await this.localStore.hit(key, this.policy));
+    }
 
-      if (this.config.onLimitReached) {
-        this.config.onLimitReached(req, res, result, this.config);
-      }
+    if (!result.allowed && result.retryAfterMs > 0) {
+      const denial = { retryAt: now + result.retryAfterMs, resetAt: now + result.resetMs };
+      this.blockedKeys.set(key, denial, Math.min(result.retryAfterMs, this.config.localCacheTtlMs!));
+    }
+    return this.toResult(req, res, key, now, result);
+  }
 
-      return result;
+  /**
+   * Convert a store answer to the public result, notifying on fresh denials
+   */
+  private toResult(req: any, res: any, key: string, now: number, answer: AlgorithmResult, notify = true): RateLimitResult {
+    if (answer.allowed) {
+      return { allowed: true, remaining: answer.remaining, resetTime: now + answer.resetMs };
     }
 
-    // Allowed request
-    return {
-      allowed: true,
-      remaining: Math.max(0, this.config.maxRequests - counter.count)
+    const result: RateLimitResult = {
+      allowed: false,
+      remaining: 0,
+      resetTime: now + answer.resetMs,
+      retryAfter: Math.max(1, Math.ceil(answer.retryAfterMs / 1000))
     };
+    if (notify) {
+      this.emit('rate-limit', { key, ...result });
+      this.config.onLimitReached?.(req, res, result, this.config);
+    }
+    return result;
   }
 
   /**
@@ -299,7 +412,7 @@ export class DistributedRateLimiter extends EventEmitter {
         if (!result.allowed) {
           res.setHeader('X-RateLimit-Limit', this.config.maxRequests.toString());
           res.setHeader('X-RateLimit-Remaining', '0');
-          res.setHeader('X-RateLimit-Reset', new Date(Date.now() + this.config.windowMs).toISOString());
+          res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
 
           if (result.retryAfter) {
             res.setHeader('Retry-After', result.retryAfter.toString());
@@ -315,7 +428,7 @@ export class DistributedRateLimiter extends EventEmitter {
         // Set headers for allowed requests
         res.setHeader('X-RateLimit-Limit', this.config.maxRequests.toString());
         res.setHeader('X-RateLimit-Remaining', result.remaining.toString());
-        res.setHeader('X-RateLimit-Reset', new Date(Date.now() + this.config.windowMs).toISOString());
+        res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
 
         next();
       } catch (error) {
@@ -340,7 +453,8 @@ export class DistributedRateLimiter extends EventEmitter {
  * Cleanup operations performed:
  * - Stops automatic cleanup intervals
  * - Clears all local caches
- * - Closes Redis connections (if configured)
+ * - Closes the Redis connection it created from `redis` options
+ *   (clients passed as `redisClient` are left open for their owner)
  * - Removes all event listeners
  *
  * @example
@@ -365,8 +479,13 @@ export class DistributedRateLimiter extends EventEmitter {
       this.cleanupInterval = null;
     }
 
-    this.requestCounts.destroy();
+    this.localStore.close();
     this.blockedKeys.destroy();
+
+    if (this.ownedRedisClient) {
+      this.ownedRedisClient.disconnect();
+      this.ownedRedisClient = null;
+    }
   }
 
   /**
@@ -400,8 +519,9 @@ export class DistributedRateLimiter extends EventEmitter {
  */
   getStats() {
     return {
-      cacheStats: this.requestCounts.getStats(),
-      blockedCount: this.blockedKeys.size
+      cacheStats: this.localStore.getStats(),
+      blockedCount: this.blockedKeys.size,
+      mode: this.store || this.config.redis ? (Date.now() < this.degradedUntil ? 'degraded' : 'distributed') : 'local'
     };
   }
 }
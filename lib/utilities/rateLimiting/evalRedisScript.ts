@@ -0,0 +1,54 @@
+/**
+ * Redis Lua Script Runner
+ *
+ * Runs a Lua script by SHA (EVALSHA) and falls back to sending the source
+ * (EVAL) when the server's script cache does not have it, e.g. after a
+ * restart or failover. Accepts ioredis clients (`evalsha(sha, numKeys, ...)`)
+ * and node-redis v4 clients (`evalSha(sha, { keys, arguments })`), so any
+ * server speaking the Redis protocol with Lua support works.
+ */
+
+import { createHash } from 'crypto';
+
+const shaCache = new Map<string, string>();
+
+function scriptSha(script: string): string {
+  let sha = shaCache.get(script);
+  if (!sha) {
+    sha = createHash('sha1').update(script).digest('hex');
+    shaCache.set(script, sha);
+  }
+  return sha;
+}
+
+/**
+ * Whether a value looks like an ioredis or node-redis v4 client
+ */
+export function isRedisScriptClient(client: any): boolean {
+  return !!client && (typeof client.evalsha === 'function' || typeof client.evalSha === 'function');
+}
+
+function run(client: any, cached: boolean, script: string, keys: string[], args: string[]): Promise<any> {
+  if (typeof client.evalsha === 'function') {
+    return cached
+      ? client.evalsha(scriptSha(script), keys.length, ...keys, ...args)
+      : client.eval(script, keys.length, ...keys, ...args);
+  }
+  const options = { keys, arguments: args };
+  return cached
+    ? client.evalSha(scriptSha(script), options)
+    : client.eval(script, options);
+}
+
+async function evalRedisScript(client: any, script: string, keys: string[], args: string[]): Promise<any> {
+  try {
+    return await run(client, true, script, keys, args);
+  } catch (error: any) {
+    if (!String(error?.message).includes('NOSCRIPT')) {
+      throw error;
+    }
+    return run(client, false, script, keys, args);
+  }
+}
+
+export default evalRedisScript;
@@ -0,0 +1,91 @@
+/**
+ * Limiter Stores for DistributedRateLimiter
+ *
+ * PURPOSE: Keep rate limit state where every application instance can see
+ * it. A store applies one of the algorithms from rateLimitAlgorithms.ts to a
+ * key and answers atomically whether the request fits.
+ *
+ * IMPLEMENTATIONS:
+ * - RedisLimiterStore: runs the algorithm's Lua script on the Redis server,
+ *   so reading, deciding and writing happen atomically. Timestamps come
+ *   from the Redis clock, so instance clock skew does not matter. Works with
+ *   ioredis (`evalsha`/`eval`) and node-redis v4 (`evalSha`/`eval`) clients.
+ * - MemoryLimiterStore: same algorithms in a BoundedLRUCache; used for the
+ *   limiter's local-only mode, tests and single-instance deployments.
+ */
+
+import { randomBytes } from 'crypto';
+import { BoundedLRUCache } from '../performance/boundedCache.js';
+import { ALGORITHM_DEFINITIONS, AlgorithmResult, RateLimitPolicy, resolvePolicy } from './rateLimitAlgorithms.js';
+import evalRedisScript, { isRedisScriptClient } from './evalRedisScript.js';
+
+export interface LimiterStore {
+  hit(key: string, policy: RateLimitPolicy): Promise<AlgorithmResult>;
+  reset(key: string): Promise<void>;
+  close?(): Promise<void> | void;
+}
+
+class RedisLimiterStore implements LimiterStore {
+  private client: any;
+
+  /**
+   * @param client - Connected ioredis or node-redis v4 client
+   */
+  constructor(client: any) {
+    if (!isRedisScriptClient(client)) {
+      throw new Error('RedisLimiterStore requires an ioredis or node-redis client');
+    }
+    this.client = client;
+  }
+
+  async hit(key: string, policy: RateLimitPolicy): Promise<AlgorithmResult> {
+    const { algorithm, limit, windowMs, burst, refillRate } = resolvePolicy(policy);
+    const args = [String(limit), String(windowMs), String(burst), String(refillRate / 1000), randomBytes(6).toString('hex')];
+    const reply = await evalRedisScript(this.client, ALGORITHM_DEFINITIONS[algorithm].script, [key], args);
+
+    return {
+      allowed: Number(reply[0]) === 1,
+      remaining: Math.max(0, Number(reply[1])),
+      resetMs: Math.max(0, Number(reply[2])),
+      retryAfterMs: Math.max(0, Number(reply[3]))
+    };
+  }
+
+  async reset(key: string): Promise<void> {
+    await this.client.del(key);
+  }
+}
+
+class MemoryLimiterStore implements LimiterStore {
+  private states: BoundedLRUCache<string, unknown>;
+
+  /**
+   * @param maxKeys - Keys tracked before the least recently used is evicted
+   */
+  constructor(maxKeys = 10000) {
+    this.states = new BoundedLRUCache<string, unknown>(maxKeys);
+  }
+
+  async hit(key: string, policy: RateLimitPolicy): Promise<AlgorithmResult> {
+    const resolved = resolvePolicy(policy);
+    const { result, state, ttlMs } = ALGORITHM_DEFINITIONS[resolved.algorithm].evaluate(this.states.get(key), Date.now(), resolved);
+    if (state !== undefined) {
+      this.states.set(key, state, Math.max(1, ttlMs ?? resolved.windowMs));
+    }
+    return result;
+  }
+
+  async reset(key: string): Promise<void> {
+    this.states.delete(key);
+  }
+
+  getStats() {
+    return this.states.getStats();
+  }
+
+  close(): void {
+    this.states.destroy();
+  }
+}
+
+export { RedisLimiterStore, MemoryLimiterStore };
@@ -0,0 +1,155 @@
+const { ALGORITHM_DEFINITIONS, resolvePolicy } = require('./rateLimitAlgorithms');
+const { RedisLimiterStore } = require('./limiterStore');
+const { createLuaRedis } = require('../../../tests/helpers/createLuaRedis');
+
+// Replays hits at the given times, storing state the way MemoryLimiterStore does
+function run(algorithm, policy, times) {
+  const { evaluate } = ALGORITHM_DEFINITIONS[algorithm];
+  const resolved = resolvePolicy({ algorithm, ...policy });
+  let state;
+  return times.map(now => {
+    const { result, state: next } = evaluate(state, now, resolved);
+    if (next !== undefined) {
+      state = next;
+    }
+    return result;
+  });
+}
+
+// Replays the same hits through the algorithm's Lua script, with the key's
+// PTTL after each hit
+async function runScript(algorithm, policy, times) {
+  const redis = createLuaRedis({ startMs: times[0] });
+  const store = new RedisLimiterStore(redis);
+  const results = [];
+  for (const now of times) {
+    redis.advance(now - redis.now());
+    const result = await store.hit('rl:key', { algorithm, ...policy });
+    results.push({ result, pttl: await redis.pttl('rl:key') });
+  }
+  return results;
+}
+
+describe('rate limit algorithms', () => {
+  const base = 1_000_000_000_000; // aligned to the 1s and 10s windows below
+
+  describe('fixed-window', () => {
+    it('resets at the window boundary', () => {
+      const results = run('fixed-window', { limit: 2, windowMs: 1000 }, [base, base + 100, base + 200, base + 1000]);
+
+      expect(results.map(result => result.allowed)).toEqual([true, true, false, true]);
+      expect(results[1]).toEqual({ allowed: true, remaining: 0, resetMs: 900, retryAfterMs: 0 });
+      expect(results[2]).toEqual({ allowed: false, remaining: 0, resetMs: 800, retryAfterMs: 800 });
+    });
+  });
+
+  describe('sliding-log', () => {
+    it('frees capacity as each request leaves the window', () => {
+      const results = run('sliding-log', { limit: 2, windowMs: 1000 }, [base, base + 400, base + 500, base + 1000]);
+
+      expect(results.map(result => result.allowed)).toEqual([true, true, false, true]);
+      expect(results[2]).toEqual({ allowed: false, remaining: 0, resetMs: 900, retryAfterMs: 500 });
+    });
+
+    it('does not count rejected requests', () => {
+      const times = [base, base + 10, base + 20, base + 30, base + 1000];
+      const results = run('sliding-log', { limit: 1, windowMs: 1000 }, times);
+
+      expect(results.map(result => result.allowed)).toEqual([true, false, false, false, true]);
+    });
+  });
+
+  describe('sliding-window', () => {
+    it('weights the previous window by its overlap', () => {
+      const policy = { limit: 10, windowMs: 10000 };
+      const burst = Array.from({ length: 10 }, (_, i) => base + 9000 + i);
+      // At 25% into the next window, 75% of the 10 previous requests still count
+      const results = run('sliding-window', policy, [...burst, base + 12500, base + 12501, base + 12502, base + 12503]);
+      const next = results.slice(10);
+
+      expect(next.map(result => result.allowed)).toEqual([true, true, false, false]);
+      expect(next[1].remaining).toBe(0);
+      // 10 * weight + 2 + 1 <= 10 once the weight drops to 0.7: 30% into the window
+      expect(next[2].retryAfterMs).toBe(base + 13000 - (base + 12502));
+    });
+
+    it('waits into the next window when the current one is full', () => {
+      const results = run('sliding-window', { limit: 2, windowMs: 1000 }, [base, base + 1, base + 2]);
+
+      expect(results[2].allowed).toBe(false);
+      // 2 * (1 - t) + 1 <= 2 at t = 0.5 of the next window
+      expect(results[2].retryAfterMs).toBe(1500 - 2);
+      expect(results[2].resetMs).toBe(2000 - 2);
+    });
+  });
+
+  describe('token-bucket', () => {
+    it('allows a burst and then refills at the configured rate', () => {
+      const policy = { limit: 10, windowMs: 1000, burst: 3, refillRate: 2 };
+      const results = run('token-bucket', policy, [base, base, base, base, base + 499, base + 500]);
+
+      expect(results.map(result => result.allowed)).toEqual([true, true, true, false, false, true]);
+      expect(results[0].remaining).toBe(2);
+      expect(results[3]).toEqual({ allowed: false, remaining: 0, resetMs: 1500, retryAfterMs: 500 });
+    });
+  });
+
+  describe('gcra', () => {
+    it('matches token-bucket limits with a single timestamp of state', () => {
+      const policy = { limit: 10, windowMs: 1000, burst: 3, refillRate: 2 };
+      const times = [base, base, base, base, base + 499, base + 500];
+      const gcra = run('gcra', policy, times);
+      const bucket = run('token-bucket', policy, times);
+
+      expect(gcra.map(result => result.allowed)).toEqual(bucket.map(result => result.allowed));
+      expect(gcra.map(result => result.remaining)).toEqual(bucket.map(result => result.remaining));
+      expect(gcra[3].retryAfterMs).toBe(500);
+      expect(gcra[3].resetMs).toBe(1500);
+    });
+  });
+
+  describe('Lua scripts', () => {
+    const base = 1_000_000_000; // within the Lua VM's 32-bit integers, aligned to 1s and 10s
+    const offsets = (...deltas) => deltas.map(delta => base + delta);
+    const scenarios = [
+      ['fixed-window', { limit: 2, windowMs: 1000 }, offsets(0, 100, 200, 999, 1000)],
+      ['sliding-log', { limit: 2, windowMs: 1000 }, offsets(0, 400, 500, 999, 1000, 1400)],
+      ['sliding-log', { limit: 1, windowMs: 1000 }, offsets(0, 10, 20, 1000)],
+      ['sliding-window', { limit: 10, windowMs: 10000 }, [...offsets(...Array.from({ length: 10 }, (_, i) => 9000 + i)), ...offsets(12500, 12501, 12502, 12503, 13000)]],
+      ['sliding-window', { limit: 2, windowMs: 1000 }, offsets(0, 1, 2, 1499, 1500, 2999, 3000)],
+      ['token-bucket', { limit: 10, windowMs: 1000, burst: 3, refillRate: 2 }, offsets(0, 0, 0, 0, 499, 500, 10000)],
+      ['gcra', { limit: 10, windowMs: 1000, burst: 3, refillRate: 2 }, offsets(0, 0, 0, 0, 499, 500, 10000)]
+    ];
+
+    it.each(scenarios)('%s decides like evaluate at the boundaries (%j)', async (algorithm, policy, times) => {
+      const scripted = await runScript(algorithm, policy, times);
+
+      expect(scripted.map(({ result }) => result)).toEqual(run(algorithm, policy, times));
+    });
+
+    it.each(scenarios)('%s expires its key when the state would be fresh again (%j)', async (algorithm, policy, times) => {
+      const { evaluate } = ALGORITHM_DEFINITIONS[algorithm];
+      const [first] = await runScript(algorithm, policy, times.slice(0, 1));
+
+      expect(first.pttl).toBe(evaluate(undefined, times[0], resolvePolicy({ algorithm, ...policy })).ttlMs);
+    });
+
+    it('leaves state untouched when rejecting', async () => {
+      const redis = createLuaRedis({ startMs: base });
+      const store = new RedisLimiterStore(redis);
+      const policy = { algorithm: 'fixed-window', limit: 1, windowMs: 1000 };
+
+      await store.hit('rl:key', policy);
+      redis.advance(300);
+      await store.hit('rl:key', policy);
+
+      expect(await redis.hgetall('rl:key')).toEqual({ start: String(base), count: '1' });
+      expect(await redis.pttl('rl:key')).toBe(700);
+    });
+  });
+
+  it('rejects unknown algorithms and empty limits', () => {
+    expect(() => resolvePolicy({ algorithm: 'leaky', limit: 1, windowMs: 1000 })).toThrow('Unknown rate limit algorithm');
+    expect(() => resolvePolicy({ algorithm: 'gcra', limit: 0, windowMs: 1000 })).toThrow();
+  });
+});
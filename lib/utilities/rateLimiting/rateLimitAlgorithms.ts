@@ -0,0 +1,345 @@
+/**
+ * Rate Limiting Algorithms
+ *
+ * PURPOSE: One definition per algorithm, used by both the in-memory and the
+ * Redis limiter stores so a limiter behaves the same whichever store
+ * answers. Each algorithm has a pure `evaluate` function over a small
+ * serialisable state and a Lua script implementing the same arithmetic
+ * atomically on the Redis server.
+ *
+ * ALGORITHMS:
+ * - fixed-window: counter per clock-aligned window; cheap, but allows up to
+ *   2x `limit` across a window boundary
+ * - sliding-log: timestamp of every allowed request; exact, memory grows
+ *   with `limit`
+ * - sliding-window: counter for the current and previous window, with the
+ *   previous one weighted by how much of it still overlaps; close to exact
+ *   at constant memory
+ * - token-bucket: `burst` tokens refilled at `refillRate` per second
+ * - gcra: Generic Cell Rate Algorithm; token-bucket behaviour stored as a
+ *   single timestamp (the theoretical arrival time)
+ *
+ * Rejected requests never change state, so clients that retry while limited
+ * are not locked out beyond the point the algorithm frees capacity.
+ */
+
+export type RateLimitAlgorithm = 'fixed-window' | 'sliding-log' | 'sliding-window' | 'token-bucket' | 'gcra';
+
+export interface RateLimitPolicy {
+  algorithm: RateLimitAlgorithm;
+  /** Requests allowed per window */
+  limit: number;
+  windowMs: number;
+  /** Bucket capacity for token-bucket and gcra (default: limit) */
+  burst?: number;
+  /** Tokens added per second for token-bucket and gcra (default: limit per window) */
+  refillRate?: number;
+}
+
+export interface AlgorithmResult {
+  allowed: boolean;
+  /** Requests that would be allowed right now after this one */
+  remaining: number;
+  /** Milliseconds until the full quota is available again */
+  resetMs: number;
+  /** Milliseconds until the next request can be allowed; 0 when allowed */
+  retryAfterMs: number;
+}
+
+export interface AlgorithmEvaluation<S> {
+  result: AlgorithmResult;
+  /** New state to store; absent when the request was rejected */
+  state?: S;
+  /** Milliseconds after which the stored state equals a fresh key */
+  ttlMs?: number;
+}
+
+export interface RateLimitAlgorithmDefinition<S = any> {
+  evaluate(state: S | undefined, now: number, policy: RateLimitPolicy): AlgorithmEvaluation<S>;
+  /** Lua script; KEYS[1] = key, ARGV = limit, windowMs, burst, refill per ms, unique member */
+  script: string;
+}
+
+export const RATE_LIMIT_ALGORITHMS: RateLimitAlgorithm[] = ['fixed-window', 'sliding-log', 'sliding-window', 'token-bucket', 'gcra'];
+
+/**
+ * Validate a policy and fill in burst and refill defaults
+ */
+export function resolvePolicy(policy: RateLimitPolicy): Required<RateLimitPolicy> {
+  if (!RATE_LIMIT_ALGORITHMS.includes(policy.algorithm)) {
+    throw new Error(`Unknown rate limit algorithm: ${policy.algorithm}`);
+  }
+  if (!(policy.limit >= 1) || !(policy.windowMs > 0)) {
+    throw new Error('Rate limit policy needs limit >= 1 and windowMs > 0');
+  }
+  return {
+    ...policy,
+    burst: policy.burst ?? policy.limit,
+    refillRate: policy.refillRate ?? (policy.limit * 1000) / policy.windowMs
+  };
+}
+
+const SCRIPT_PRELUDE = `
+local key = KEYS[1]
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local burst = tonumber(ARGV[3])
+local rate = tonumber(ARGV[4])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+`;
+
+interface WindowCount {
+  start: number;
+  count: number;
+}
+
+const fixedWindow: RateLimitAlgorithmDefinition<WindowCount> = {
+  evaluate(state, now, { limit, windowMs }) {
+    const start = now - (now % windowMs);
+    const count = state?.start === start ? state.count : 0;
+    const resetMs = start + windowMs - now;
+
+    if (count >= limit) {
+      return { result: { allowed: false, remaining: 0, resetMs, retryAfterMs: resetMs } };
+    }
+    return {
+      result: { allowed: true, remaining: limit - count - 1, resetMs, retryAfterMs: 0 },
+      state: { start, count: count + 1 },
+      ttlMs: resetMs
+    };
+  },
+  script: `${SCRIPT_PRELUDE}
+local start = now - (now % window)
+local stored = redis.call('HMGET', key, 'start', 'count')
+local count = 0
+if tonumber(stored[1]) == start then
+  count = tonumber(stored[2])
+end
+local resetMs = start + window - now
+if count >= limit then
+  return { 0, 0, resetMs, resetMs }
+end
+redis.call('HSET', key, 'start', start, 'count', count + 1)
+redis.call('PEXPIRE', key, resetMs)
+return { 1, limit - count - 1, resetMs, 0 }
+`
+};
+
+const slidingLog: RateLimitAlgorithmDefinition<number[]> = {
+  evaluate(state, now, { limit, windowMs }) {
+    const log = (state || []).filter(timestamp => timestamp > now - windowMs);
+
+    if (log.length >= limit) {
+      return {
+        result: {
+          allowed: false,
+          remaining: 0,
+          resetMs: log[log.length - 1] + windowMs - now,
+          retryAfterMs: log[log.length - limit] + windowMs - now
+        }
+      };
+    }
+
+    log.push(now);
+    return {
+      result: { allowed: true, remaining: limit - log.length, resetMs: windowMs, retryAfterMs: 0 },
+      state: log,
+      ttlMs: windowMs
+    };
+  },
+  script: `${SCRIPT_PRELUDE}
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+if count >= limit then
+  local newest = redis.call('ZRANGE', key, -1, -1, 'WITHSCORES')
+  local freed = redis.call('ZRANGE', key, count - limit, count - limit, 'WITHSCORES')
+  return { 0, 0, tonumber(newest[2]) + window - now, tonumber(freed[2]) + window - now }
+end
+redis.call('ZADD', key, now, now .. '-' .. ARGV[5])
+redis.call('PEXPIRE', key, window)
+return { 1, limit - count - 1, window, 0 }
+`
+};
+
+interface WindowPair {
+  start: number;
+  current: number;
+  previous: number;
+}
+
+const slidingWindow: RateLimitAlgorithmDefinition<WindowPair> = {
+  evaluate(state, now, { limit, windowMs }) {
+    const start = now - (now % windowMs);
+    let current = 0;
+    let previous = 0;
+    if (state?.start === start) {
+      current = state.current;
+      previous = state.previous;
+    } else if (state?.start === start - windowMs) {
+      previous = state.current;
+    }
+
+    const weight = (windowMs - (now - start)) / windowMs;
+    const estimate = previous * weight + current;
+
+    if (estimate + 1 > limit) {
+      // Earliest time the weighted estimate leaves room for one more request
+      const room = limit - 1 - current;
+      const retryAt = room >= 0
+        ? start + windowMs * (1 - room / previous)
+        : start + windowMs + windowMs * (1 - (limit - 1) / current);
+      return {
+        result: {
+          allowed: false,
+          remaining: 0,
+          resetMs: (current > 0 ? start + 2 * windowMs : start + windowMs) - now,
+          retryAfterMs: Math.ceil(retryAt - now)
+        }
+      };
+    }
+
+    current++;
+    const resetMs = start + 2 * windowMs - now;
+    return {
+      result: { allowed: true, remaining: Math.floor(limit - (previous * weight + current)), resetMs, retryAfterMs: 0 },
+      state: { start, current, previous },
+      ttlMs: resetMs
+    };
+  },
+  script: `${SCRIPT_PRELUDE}
+local start = now - (now % window)
+local stored = redis.call('HMGET', key, 'start', 'current', 'previous')
+local storedStart = tonumber(stored[1])
+local current = 0
+local previous = 0
+if storedStart == start then
+  current = tonumber(stored[2])
+  previous = tonumber(stored[3])
+elseif storedStart == start - window then
+  previous = tonumber(stored[2])
+end
+
+local weight = (window - (now - start)) / window
+local estimate = previous * weight + current
+if estimate + 1 > limit then
+  local room = limit - 1 - current
+  local retryAt
+  if room >= 0 then
+    retryAt = start + window * (1 - room / previous)
+  else
+    retryAt = start + window + window * (1 - (limit - 1) / current)
+  end
+  local resetAt = start + window
+  if current > 0 then
+    resetAt = start + 2 * window
+  end
+  return { 0, 0, resetAt - now, math.ceil(retryAt - now) }
+end
+
+current = current + 1
+local resetMs = start + 2 * window - now
+redis.call('HSET', key, 'start', start, 'current', current, 'previous', previous)
+redis.call('PEXPIRE', key, resetMs)
+return { 1, math.floor(limit - (previous * weight + current)), resetMs, 0 }
+`
+};
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+const tokenBucket: RateLimitAlgorithmDefinition<Bucket> = {
+  evaluate(state, now, policy) {
+    const { burst, refillRate } = resolvePolicy(policy);
+    const rate = refillRate / 1000; // tokens per millisecond
+    const tokens = state ? Math.min(burst, state.tokens + (now - state.updatedAt) * rate) : burst;
+
+    if (tokens < 1) {
+      return {
+        result: {
+          allowed: false,
+          remaining: 0,
+          resetMs: Math.ceil((burst - tokens) / rate),
+          retryAfterMs: Math.ceil((1 - tokens) / rate)
+        }
+      };
+    }
+
+    const left = tokens - 1;
+    const resetMs = Math.ceil((burst - left) / rate);
+    return {
+      result: { allowed: true, remaining: Math.floor(left), resetMs, retryAfterMs: 0 },
+      state: { tokens: left, updatedAt: now },
+      ttlMs: resetMs
+    };
+  },
+  script: `${SCRIPT_PRELUDE}
+local stored = redis.call('HMGET', key, 'tokens', 'updatedAt')
+local tokens = burst
+if stored[1] then
+  tokens = math.min(burst, tonumber(stored[1]) + (now - tonumber(stored[2])) * rate)
+end
+if tokens < 1 then
+  return { 0, 0, math.ceil((burst - tokens) / rate), math.ceil((1 - tokens) / rate) }
+end
+
+local left = tokens - 1
+local resetMs = math.ceil((burst - left) / rate)
+redis.call('HSET', key, 'tokens', tostring(left), 'updatedAt', now)
+redis.call('PEXPIRE', key, resetMs)
+return { 1, math.floor(left), resetMs, 0 }
+`
+};
+
+interface ArrivalTime {
+  tat: number;
+}
+
+const gcra: RateLimitAlgorithmDefinition<ArrivalTime> = {
+  evaluate(state, now, policy) {
+    const { burst, refillRate } = resolvePolicy(policy);
+    const interval = 1000 / refillRate; // milliseconds between requests at the sustained rate
+    const tat = Math.max(state?.tat ?? now, now);
+    const newTat = tat + interval;
+    const allowAt = newTat - burst * interval;
+
+    if (now < allowAt) {
+      return {
+        result: { allowed: false, remaining: 0, resetMs: Math.ceil(tat - now), retryAfterMs: Math.ceil(allowAt - now) }
+      };
+    }
+
+    const resetMs = Math.ceil(newTat - now);
+    return {
+      result: { allowed: true, remaining: Math.floor((now - allowAt) / interval), resetMs, retryAfterMs: 0 },
+      state: { tat: newTat },
+      ttlMs: resetMs
+    };
+  },
+  script: `${SCRIPT_PRELUDE}
+local interval = 1 / rate
+local tat = tonumber(redis.call('GET', key)) or now
+if tat < now then
+  tat = now
+end
+local newTat = tat + interval
+local allowAt = newTat - burst * interval
+if now < allowAt then
+  return { 0, 0, math.ceil(tat - now), math.ceil(allowAt - now) }
+end
+
+local resetMs = math.ceil(newTat - now)
+redis.call('SET', key, tostring(newTat), 'PX', resetMs)
+return { 1, math.floor((now - allowAt) / interval), resetMs, 0 }
+`
+};
+
+export const ALGORITHM_DEFINITIONS: Record<RateLimitAlgorithm, RateLimitAlgorithmDefinition> = {
+  'fixed-window': fixedWindow,
+  'sliding-log': slidingLog,
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket,
+  gcra
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: createFileRateLimitStore } = require('./createFileRateLimitStore');
+
+describe('createFileRateLimitStore', () => {
+  let dir;
+  let filePath;
+  let stores;
+
+  const createStore = (options = {}) => {
+    const store = createFileRateLimitStore({ filePath, ...options });
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratelimit-'));
+    filePath = path.join(dir, 'limits.json');
+    stores = [];
+  });
+
+  afterEach(() => {
+    stores.forEach(store => store.destroy());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps counts across restarts', () => {
+    const first = createStore();
+    first.consume('ip:1', 3, 60000);
+    first.consume('ip:1', 3, 60000);
+    first.destroy();
+
+    const second = createStore();
+    const result = second.consume('ip:1', 3, 60000);
+
+    expect(result.consumed).toBe(3);
+    expect(result.remaining).toBe(0);
+    expect(second.ttl('ip:1')).toBeGreaterThan(59000);
+  });
+
+  it('writes changes after the flush interval', async () => {
+    const store = createStore({ flushIntervalMs: 10 });
+    store.consume('ip:2', 5, 60000);
+
+    expect(fs.existsSync(filePath)).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))['ip:2'].consumed).toBe(1);
+  });
+
+  it('skips expired windows and unreadable files on load', () => {
+    const now = Date.now();
+    fs.writeFileSync(filePath, JSON.stringify({
+      old: { consumed: 9, resetTime: now - 1 },
+      live: { consumed: 2, resetTime: now + 60000 }
+    }));
+    expect(createStore().get('old')).toBeNull();
+    expect(createStore().get('live').consumed).toBe(2);
+
+    fs.writeFileSync(filePath, '{not json');
+    expect(createStore().get('live')).toBeNull();
+  });
+
+  it('forgets reset keys', () => {
+    const store = createStore();
+    store.consume('ip:3', 1, 60000);
+    store.reset('ip:3');
+
+    expect(store.get('ip:3')).toBeNull();
+    expect(store.ttl('ip:3')).toBeNull();
+  });
+});
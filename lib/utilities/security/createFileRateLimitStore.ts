@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import type { RateLimitConsumeResult, RateLimitStoreAdapter, RateLimitUsage } from './createRateLimitStore.js';
+
+/**
+ * File-Backed Rate Limit Store
+ *
+ * Rate limit store adapter for single-host deployments whose limits must
+ * survive restarts. Counters are served from memory and written to a JSON
+ * file shortly after they change (atomically, via a temp file and rename);
+ * the file is loaded when the store is created, skipping expired windows.
+ * Only one process should use a given file.
+ *
+ * @param {object} options - Store options
+ * @param {string} options.filePath - JSON file holding the counters
+ * @param {number} [options.flushIntervalMs=1000] - Delay before changes are written
+ * @returns {RateLimitStoreAdapter} Store with consume, get, reset, refund, ttl, flush and destroy methods
+ * @example
+ * const store = createFileRateLimitStore({ filePath: '/var/lib/app/ratelimit.json' });
+ * app.use(createSecurityRateLimiter({ store }));
+ */
+function createFileRateLimitStore(options: { filePath: string; flushIntervalMs?: number }): RateLimitStoreAdapter & {
+  flush(): void;
+  destroy(): void;
+} {
+  const { filePath, flushIntervalMs = 1000 } = options || ({} as any);
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('createFileRateLimitStore requires a filePath');
+  }
+
+  const store = new Map<string, RateLimitUsage>(); // key -> { consumed, resetTime }
+  let flushTimer: NodeJS.Timeout | null = null;
+
+  function load() {
+    let raw: string;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        qerrors(error, 'createFileRateLimitStore', { message: 'Could not read rate limit file; starting empty', filePath });
+      }
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      for (const [key, entry] of Object.entries<RateLimitUsage>(JSON.parse(raw))) {
+        if (Number.isFinite(entry?.consumed) && Number.isFinite(entry?.resetTime) && entry.resetTime > now) {
+          store.set(key, { consumed: entry.consumed, resetTime: entry.resetTime });
+        }
+      }
+    } catch (error) {
+      qerrors(error instanceof Error ? error : new Error(String(error)), 'createFileRateLimitStore', { message: 'Corrupt rate limit file; starting empty', filePath });
+    }
+  }
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    const now = Date.now();
+    const live: Record<string, RateLimitUsage> = {};
+    for (const [key, entry] of store.entries()) {
+      if (entry.resetTime > now) {
+        live[key] = entry;
+      } else {
+        store.delete(key);
+      }
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(live));
+      fs.renameSync(tempPath, filePath); // readers never see a half-written file
+    } catch (error) {
+      qerrors(error instanceof Error ? error : new Error(String(error)), 'createFileRateLimitStore', { message: 'Could not write rate limit file', filePath });
+    }
+  }
+
+  function scheduleFlush() {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+      if (flushTimer.unref) {
+        flushTimer.unref();
+      } // don't block process exit
+    }
+  }
+
+  function get(key: string): RateLimitUsage | null {
+    const entry = store.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() >= entry.resetTime) { // expired
+      store.delete(key);
+      return null;
+    }
+    return { consumed: entry.consumed, resetTime: entry.resetTime };
+  }
+
+  load();
+
+  return {
+    consume(key: string, points: number, durationMs: number): RateLimitConsumeResult {
+      const now = Date.now();
+      let entry = store.get(key);
+
+      if (!entry || now >= entry.resetTime) { // create new window if expired
+        entry = { consumed: 0, resetTime: now + durationMs };
+        store.set(key, entry);
+      }
+
+      entry.consumed += 1;
+      scheduleFlush();
+
+      return {
+        consumed: entry.consumed,
+        remaining: Math.max(0, points - entry.consumed),
+        resetTime: entry.resetTime,
+        exceeded: entry.consumed > points
+      };
+    },
+
+    get,
+
+    reset(key: string) {
+      if (store.delete(key)) {
+        scheduleFlush();
+      }
+    },
+
+    refund(key: string) {
+      const entry = store.get(key);
+      if (entry && Date.now() < entry.resetTime && entry.consumed > 0) {
+        entry.consumed -= 1;
+        scheduleFlush();
+      }
+    },
+
+    ttl(key: string) {
+      const entry = get(key);
+      return entry ? entry.resetTime - Date.now() : null;
+    },
+
+    /**
+     * Write pending changes to disk now
+     */
+    flush,
+
+    /**
+     * Write pending changes and stop the flush timer
+     */
+    destroy() {
+      if (flushTimer) {
+        flush();
+      }
+      store.clear();
+    }
+  };
+}
+
+export default createFileRateLimitStore;
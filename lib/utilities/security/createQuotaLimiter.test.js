@@ -0,0 +1,115 @@
+const { default: createQuotaLimiter, getQuotaWindow } = require('./createQuotaLimiter');
+const { default: createRateLimitStore } = require('./createRateLimitStore');
+
+describe('getQuotaWindow', () => {
+  it('resets daily quotas at local midnight', () => {
+    const window = getQuotaWindow('day', Date.parse('2026-10-19T03:30:00Z'), 'America/New_York');
+
+    expect(window.id).toBe('2026-10-18');
+    expect(new Date(window.resetTime).toISOString()).toBe('2026-10-19T04:00:00.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    const window = getQuotaWindow('day', Date.parse('2026-11-01T12:00:00Z'), 'America/New_York');
+
+    expect(window.id).toBe('2026-11-01');
+    expect(new Date(window.resetTime).toISOString()).toBe('2026-11-02T05:00:00.000Z');
+  });
+
+  it('resets monthly quotas on the first of the month', () => {
+    const window = getQuotaWindow('month', Date.parse('2026-10-31T23:00:00Z'), 'Asia/Tokyo');
+
+    expect(window.id).toBe('2026-11');
+    expect(new Date(window.resetTime).toISOString()).toBe('2026-11-30T15:00:00.000Z');
+  });
+
+  it('aligns fixed periods to the epoch', () => {
+    expect(getQuotaWindow('minute', 90500)).toEqual({ id: '60000', resetTime: 120000 });
+  });
+});
+
+describe('createQuotaLimiter', () => {
+  let store;
+
+  const createLimiter = (policies) => createQuotaLimiter({ store, policies });
+
+  beforeEach(() => {
+    store = createRateLimitStore({ cleanupInterval: 0 });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  it('denies when any policy trips and names it', async () => {
+    const limiter = createLimiter([
+      { name: 'per-ip', limit: 5, per: 'hour', by: ['ip'] },
+      { name: 'per-key', limit: 2, per: 'day', by: ['apiKey'] }
+    ]);
+    const req = { ip: '10.0.0.1', validatedApiKey: 'secret' };
+
+    await limiter.evaluate(req);
+    await limiter.evaluate(req);
+    const decision = await limiter.evaluate(req);
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.policy).toBe('per-key');
+    expect(decision.exceeded).toEqual(['per-key']);
+    expect(decision.retryAfter).toBeGreaterThan(0);
+    expect(decision.results.find(result => result.policy === 'per-ip').remaining).toBe(3);
+  });
+
+  it('does not charge other policies for denied requests', async () => {
+    const limiter = createLimiter([
+      { name: 'burst', limit: 1, per: 'hour', by: ['ip'] },
+      { name: 'daily', limit: 10, per: 'day', by: ['ip'] }
+    ]);
+    const req = { ip: '10.0.0.2' };
+
+    for (let i = 0; i < 4; i++) {
+      await limiter.evaluate(req);
+    }
+    const decision = await limiter.evaluate(req);
+
+    expect(decision.results.find(result => result.policy === 'daily').remaining).toBe(9);
+  });
+
+  it('counts per combination of dimensions and skips policies the request cannot match', async () => {
+    const limiter = createLimiter([
+      { name: 'user-endpoint', limit: 1, per: 'minute', by: ['user', 'endpoint'] }
+    ]);
+
+    const first = await limiter.evaluate({ user: { id: 'u1' }, method: 'GET', path: '/a' });
+    const otherEndpoint = await limiter.evaluate({ user: { id: 'u1' }, method: 'GET', path: '/b' });
+    const repeated = await limiter.evaluate({ user: { id: 'u1' }, method: 'GET', path: '/a' });
+    const anonymous = await limiter.evaluate({ method: 'GET', path: '/a' });
+
+    expect([first.allowed, otherEndpoint.allowed, repeated.allowed]).toEqual([true, true, false]);
+    expect(anonymous).toMatchObject({ allowed: true, results: [] });
+  });
+
+  it('answers 429 with the tripped policy from the middleware', async () => {
+    const middleware = createLimiter([{ name: 'per-ip', limit: 1, per: 'hour', by: ['ip'] }]).middleware();
+    const call = () => new Promise(resolve => {
+      const res = { headers: {}, statusCode: 200 };
+      res.setHeader = (name, value) => { res.headers[name] = value; };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; resolve(res); };
+      middleware({ ip: '10.0.0.3' }, res, () => resolve(res));
+    });
+
+    await call();
+    const res = await call();
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ policy: 'per-ip', exceeded: ['per-ip'] });
+    expect(res.headers['X-RateLimit-Policy']).toBe('per-ip');
+  });
+
+  it('rejects duplicate policy names', () => {
+    expect(() => createLimiter([
+      { name: 'a', limit: 1, per: 'second', by: ['ip'] },
+      { name: 'a', limit: 2, per: 'second', by: ['ip'] }
+    ])).toThrow('unique names');
+  });
+});
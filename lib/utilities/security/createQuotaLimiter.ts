@@ -0,0 +1,322 @@
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import buildRateLimitKey from './buildRateLimitKey.js';
+import createRateLimitStore from './createRateLimitStore.js';
+import type { RateLimitStoreAdapter } from './createRateLimitStore.js';
+
+export type QuotaPeriod = 'second' | 'minute' | 'hour' | 'day' | 'month';
+
+/**
+ * Identity a quota is counted per:
+ * - `ip`, `user` (req.user.id), `apiKey` (req.validatedApiKey, hashed): as in buildRateLimitKey
+ * - `endpoint`: method plus route pattern (or path)
+ * - function: custom identity; return a falsy value when the request has none
+ */
+export type QuotaDimension = 'ip' | 'user' | 'apiKey' | 'endpoint' | ((req: any) => string | null | undefined);
+
+export interface QuotaPolicy {
+  /** Reported when this policy denies a request */
+  name: string;
+  limit: number;
+  /** Window: a calendar-aligned period, or milliseconds */
+  per: QuotaPeriod | number;
+  /** Identities the quota is counted per; all must be present for the policy to apply */
+  by: QuotaDimension[];
+  /** IANA timezone for `day`/`month` boundaries (default: limiter timezone) */
+  timezone?: string;
+}
+
+export interface QuotaLimiterOptions {
+  policies: QuotaPolicy[];
+  /** Counter storage (default: in-memory createRateLimitStore) */
+  store?: RateLimitStoreAdapter;
+  /** IANA timezone for `day`/`month` boundaries (default: UTC) */
+  timezone?: string;
+  userIdPath?: string;
+  apiKeyPath?: string;
+  prefix?: string;
+}
+
+export interface QuotaPolicyResult {
+  policy: string;
+  limit: number;
+  remaining: number;
+  resetTime: number;
+  exceeded: boolean;
+}
+
+export interface QuotaDecision {
+  allowed: boolean;
+  /** First policy that denied the request */
+  policy: string | null;
+  /** Every policy the request is over */
+  exceeded: string[];
+  /** One entry per policy that applied to the request */
+  results: QuotaPolicyResult[];
+  /** Seconds until every exceeded policy allows requests again */
+  retryAfter: number;
+}
+
+const PERIOD_MS: Record<Exclude<QuotaPeriod, 'day' | 'month'>, number> = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function zonedParts(timestamp: number, timezone: string) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    formatters.set(timezone, formatter);
+  }
+  const parts: Record<string, number> = {};
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * UTC timestamp of midnight at the start of a local date in a timezone
+ */
+function zonedMidnight(year: number, month: number, day: number, timezone: string): number {
+  const wallTime = Date.UTC(year, month - 1, day);
+  let timestamp = wallTime;
+  // Two passes settle the offset even when the guess lands across a DST change
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(timestamp, timezone);
+    const shownAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    timestamp += wallTime - shownAsUtc;
+  }
+  return timestamp;
+}
+
+/**
+ * Window containing `now` for a quota period
+ *
+ * @returns Window id (part of the counter key) and the time the window ends
+ */
+export function getQuotaWindow(per: QuotaPeriod | number, now: number, timezone = 'UTC'): { id: string; resetTime: number } {
+  if (per === 'day' || per === 'month') {
+    const { year, month, day } = zonedParts(now, timezone);
+    const pad = (value: number) => String(value).padStart(2, '0');
+    if (per === 'day') {
+      const next = new Date(Date.UTC(year, month - 1, day + 1));
+      return { id: `${year}-${pad(month)}-${pad(day)}`, resetTime: zonedMidnight(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), timezone) };
+    }
+    const next = new Date(Date.UTC(year, month, 1));
+    return { id: `${year}-${pad(month)}`, resetTime: zonedMidnight(next.getUTCFullYear(), next.getUTCMonth() + 1, 1, timezone) };
+  }
+
+  const windowMs = typeof per === 'number' ? per : PERIOD_MS[per];
+  if (!(windowMs > 0)) {
+    throw new Error(`Invalid quota period: ${per}`);
+  }
+  const start = now - (now % windowMs);
+  return { id: String(start), resetTime: start + windowMs };
+}
+
+/**
+ * Creates a limiter enforcing several quota policies per request
+ *
+ * Each policy counts requests per combination of its dimensions, so one
+ * limiter can enforce e.g. 10/s per IP, 1000/day per API key and 50/min per
+ * endpoint per user. A request is denied when any applicable policy is over
+ * its limit, and the decision names the policy. Policies whose dimensions
+ * the request lacks (no API key, no user) do not apply to it.
+ *
+ * Windows are aligned: seconds, minutes, hours and millisecond windows to
+ * the epoch, `day` and `month` to local midnight in the configured
+ * timezone. Policies are checked before counting, so a request denied by
+ * one policy does not use up the others.
+ *
+ * @param {QuotaLimiterOptions} options - Policies, store and timezone
+ * @returns {{ evaluate: Function, middleware: Function, destroy: Function }} Quota limiter
+ * @example
+ * const quotas = createQuotaLimiter({
+ *   timezone: 'America/New_York',
+ *   policies: [
+ *     { name: 'ip-burst', limit: 10, per: 'second', by: ['ip'] },
+ *     { name: 'api-key-daily', limit: 1000, per: 'day', by: ['apiKey'] },
+ *     { name: 'user-endpoint', limit: 50, per: 'minute', by: ['user', 'endpoint'] }
+ *   ]
+ * });
+ * app.use(quotas.middleware());
+ */
+function createQuotaLimiter(options: QuotaLimiterOptions) {
+  const {
+    policies,
+    timezone = 'UTC',
+    userIdPath = 'user.id',
+    apiKeyPath = 'validatedApiKey',
+    prefix = 'quota'
+  } = options || ({} as QuotaLimiterOptions);
+
+  if (!Array.isArray(policies) || policies.length === 0) {
+    throw new Error('createQuotaLimiter requires at least one policy');
+  }
+  const names = new Set<string>();
+  for (const policy of policies) {
+    if (!policy?.name || names.has(policy.name)) {
+      throw new Error(`Quota policies need unique names: ${policy?.name}`);
+    }
+    if (!(policy.limit > 0) || !Array.isArray(policy.by) || policy.by.length === 0) {
+      throw new Error(`Quota policy ${policy.name} needs a positive limit and at least one dimension`);
+    }
+    getQuotaWindow(policy.per, Date.now(), policy.timezone || timezone); // validates period and timezone
+    names.add(policy.name);
+  }
+
+  const ownsStore = !options.store;
+  const store: RateLimitStoreAdapter = options.store || createRateLimitStore();
+
+  function resolveDimension(req: any, dimension: QuotaDimension): string | null {
+    if (typeof dimension === 'function') {
+      const value = dimension(req);
+      return value ? `custom:${value}` : null;
+    }
+    switch (dimension) {
+    case 'ip': {
+      const ip = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress;
+      return ip ? buildRateLimitKey({ ip }, { strategy: 'ip', prefix: 'ip' }) : null;
+    }
+    case 'user': {
+      const key = buildRateLimitKey(req, { strategy: 'user', prefix: 'user', userIdPath });
+      return key === 'user:unknown-user' ? null : key;
+    }
+    case 'apiKey': {
+      const key = buildRateLimitKey(req, { strategy: 'apiKey', prefix: 'apiKey', apiKeyPath });
+      return key === 'apiKey:unknown-key' ? null : key;
+    }
+    case 'endpoint': {
+      const path = req.route?.path ? `${req.baseUrl || ''}${req.route.path}` : String(req.path || req.originalUrl || req.url || '/').split('?')[0];
+      return `endpoint:${String(req.method || 'GET').toUpperCase()} ${path}`;
+    }
+    default:
+      throw new Error(`Unknown quota dimension: ${dimension}`);
+    }
+  }
+
+  /**
+   * Count a request against every applicable policy
+   */
+  async function evaluate(req: any): Promise<QuotaDecision> {
+    const now = Date.now();
+    const applicable: Array<{ policy: QuotaPolicy; key: string; durationMs: number }> = [];
+
+    for (const policy of policies) {
+      const parts = policy.by.map(dimension => resolveDimension(req, dimension));
+      if (parts.some(part => part === null)) {
+        continue;
+      }
+      const window = getQuotaWindow(policy.per, now, policy.timezone || timezone);
+      applicable.push({
+        policy,
+        key: `${prefix}:${policy.name}:${parts.join('|')}:${window.id}`,
+        durationMs: window.resetTime - now
+      });
+    }
+
+    // Check first so a request already over one quota is not charged to the others
+    const usages = await Promise.all(applicable.map(({ key }) => store.get(key)));
+    let results: QuotaPolicyResult[] = applicable.map(({ policy, durationMs }, index) => {
+      const consumed = usages[index]?.consumed ?? 0;
+      return {
+        policy: policy.name,
+        limit: policy.limit,
+        remaining: Math.max(0, policy.limit - consumed),
+        resetTime: usages[index]?.resetTime ?? now + durationMs,
+        exceeded: consumed >= policy.limit
+      };
+    });
+
+    if (!results.some(result => result.exceeded)) {
+      const consumed = await Promise.all(applicable.map(({ policy, key, durationMs }) => store.consume(key, policy.limit, durationMs)));
+      results = applicable.map(({ policy }, index) => ({
+        policy: policy.name,
+        limit: policy.limit,
+        remaining: consumed[index].remaining,
+        resetTime: consumed[index].resetTime,
+        exceeded: consumed[index].exceeded
+      }));
+    }
+
+    const exceeded = results.filter(result => result.exceeded);
+    const latestReset = Math.max(now, ...exceeded.map(result => result.resetTime));
+    return {
+      allowed: exceeded.length === 0,
+      policy: exceeded[0]?.policy ?? null,
+      exceeded: exceeded.map(result => result.policy),
+      results,
+      retryAfter: exceeded.length > 0 ? Math.max(1, Math.ceil((latestReset - now) / 1000)) : 0
+    };
+  }
+
+  /**
+   * Express middleware answering 429 with the tripped policy
+   *
+   * Rate limit headers describe the policy with the fewest remaining
+   * requests. Requests are allowed when the store fails.
+   */
+  function middleware() {
+    return function quotaMiddleware(req: any, res: any, next: any) {
+      evaluate(req).then(
+        (decision) => {
+          (req as any).quota = decision;
+
+          const tightest = decision.results.reduce<QuotaPolicyResult | null>(
+            (best, result) => (!best || result.remaining < best.remaining ? result : best),
+            null
+          );
+          if (tightest) {
+            res.setHeader('X-RateLimit-Limit', tightest.limit.toString());
+            res.setHeader('X-RateLimit-Remaining', tightest.remaining.toString());
+            res.setHeader('X-RateLimit-Reset', new Date(tightest.resetTime).toISOString());
+            res.setHeader('X-RateLimit-Policy', tightest.policy);
+          }
+
+          if (decision.allowed) {
+            next();
+            return;
+          }
+
+          res.setHeader('X-RateLimit-Policy', decision.policy);
+          res.setHeader('Retry-After', decision.retryAfter.toString());
+          res.status(429).json({
+            error: 'Too Many Requests',
+            message: `Quota "${decision.policy}" exceeded`,
+            policy: decision.policy,
+            exceeded: decision.exceeded,
+            retryAfter: decision.retryAfter
+          });
+        },
+        (error: unknown) => {
+          qerrors(error instanceof Error ? error : new Error(String(error)), 'createQuotaLimiter', { message: 'Quota store failed; allowing request' });
+          next();
+        }
+      );
+    };
+  }
+
+  return {
+    evaluate,
+    middleware,
+    /**
+     * Stop the default store's cleanup timer (stores passed in are left to their owner)
+     */
+    destroy() {
+      if (ownsStore) {
+        store.destroy?.();
+      }
+    }
+  };
+}
+
+export default createQuotaLimiter;
@@ -1,3 +1,41 @@
+/**
+ * Rate limit store adapter contract
+ *
+ * Every limiter (createRateLimiter, createSecurityRateLimiter,
+ * createRateLimitMiddleware, the API gateway) keeps its counters in an
+ * adapter with this shape, so the backing storage can be swapped:
+ * - createRateLimitStore: in-process memory (default)
+ * - createRedisRateLimitStore: shared by every instance through Redis
+ * - createFileRateLimitStore: JSON file that survives restarts on one host
+ *
+ * Windows start at a key's first consume and last `durationMs`. Methods may
+ * answer synchronously or with a promise.
+ */
+export interface RateLimitConsumeResult {
+  consumed: number;
+  remaining: number;
+  resetTime: number;
+  exceeded: boolean;
+}
+
+export interface RateLimitUsage {
+  consumed: number;
+  resetTime: number;
+}
+
+export interface RateLimitStoreAdapter {
+  /** Count one request against `key`; `points` is the limit for the window */
+  consume(key: string, points: number, durationMs: number): RateLimitConsumeResult | Promise<RateLimitConsumeResult>;
+  /** Current usage without counting, or null when the key has no open window */
+  get(key: string): RateLimitUsage | null | Promise<RateLimitUsage | null>;
+  reset(key: string): void | Promise<void>;
+  /** Uncount one request in the key's open window (for requests that should not count) */
+  refund?(key: string): void | Promise<void>;
+  /** Milliseconds until the key's window ends, or null when it has none */
+  ttl(key: string): number | null | Promise<number | null>;
+  destroy?(): void | Promise<void>;
+}
+
 /**
  * In-Memory Rate Limit Store
  *
@@ -6,9 +44,9 @@
  *
  * @param {object} [options] - Store options
  * @param {number} [options.cleanupInterval=60000] - Interval for cleanup in ms (0 to disable)
- * @returns {object} Rate limit store with consume, get, reset, and destroy methods
+ * @returns {object} Rate limit store with consume, get, reset, refund, ttl and destroy methods
  */
-function createRateLimitStore(options: any = {}) {
+function createRateLimitStore(options: any = {}): RateLimitStoreAdapter & { size(): number; destroy(): void } {
   const { cleanupInterval = 60000 } = options;
 
   const store = new Map(); // key -> { points, resetTime }
@@ -104,6 +142,28 @@ function createRateLimitStore(options: any = {}) {
       store.delete(key);
     },
 
+    /**
+     * Uncount one request in the key's open window
+     * @param {string} key - Rate limit key
+     */
+    refund(key: string) {
+      const entry = store.get(key);
+      if (entry && Date.now() < entry.resetTime && entry.consumed > 0) {
+        entry.consumed -= 1;
+      }
+    },
+
+    /**
+     * Milliseconds until the key's window ends
+     * @param {string} key - Rate limit key
+     * @returns {number | null}
+     */
+    ttl(key: string) {
+      const entry = store.get(key);
+      const now = Date.now();
+      return entry && now < entry.resetTime ? entry.resetTime - now : null;
+    },
+
     /**
      * Get store size
      * @returns {number}
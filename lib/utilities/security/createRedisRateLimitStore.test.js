@@ -0,0 +1,51 @@
+const { default: createRedisRateLimitStore } = require('./createRedisRateLimitStore');
+
+describe('createRedisRateLimitStore', () => {
+  const createClient = (reply) => ({
+    evalsha: jest.fn().mockResolvedValue(reply),
+    eval: jest.fn(),
+    get: jest.fn(),
+    pttl: jest.fn(),
+    del: jest.fn().mockResolvedValue(1)
+  });
+
+  it('counts through one script call per consume', async () => {
+    const client = createClient([4, 30000]);
+    const store = createRedisRateLimitStore({ client, prefix: 'test:' });
+
+    const before = Date.now();
+    const result = await store.consume('ip:1', 3, 60000);
+
+    expect(result).toMatchObject({ consumed: 4, remaining: 0, exceeded: true });
+    expect(result.resetTime).toBeGreaterThanOrEqual(before + 30000);
+    expect(client.evalsha.mock.calls[0].slice(1)).toEqual([1, 'test:ip:1', '60000']);
+  });
+
+  it('reads usage and ttl without counting', async () => {
+    const client = createClient();
+    client.get.mockResolvedValue('2');
+    client.pttl.mockResolvedValue(5000);
+    const store = createRedisRateLimitStore({ client });
+
+    const usage = await store.get('ip:1');
+
+    expect(usage.consumed).toBe(2);
+    expect(await store.ttl('ip:1')).toBe(5000);
+    expect(client.get).toHaveBeenCalledWith('ratelimit:ip:1');
+    expect(client.evalsha).not.toHaveBeenCalled();
+  });
+
+  it('reports missing keys as null', async () => {
+    const client = createClient();
+    client.get.mockResolvedValue(null);
+    client.pttl.mockResolvedValue(-2);
+    const store = createRedisRateLimitStore({ client });
+
+    expect(await store.get('ip:1')).toBeNull();
+    expect(await store.ttl('ip:1')).toBeNull();
+  });
+
+  it('requires a Redis client', () => {
+    expect(() => createRedisRateLimitStore({ client: {} })).toThrow('ioredis or node-redis');
+  });
+});
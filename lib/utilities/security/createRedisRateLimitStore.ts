@@ -0,0 +1,87 @@
+import evalRedisScript, { isRedisScriptClient } from '../rateLimiting/evalRedisScript.js';
+import type { RateLimitConsumeResult, RateLimitStoreAdapter, RateLimitUsage } from './createRateLimitStore.js';
+
+// KEYS[1] = counter key, ARGV[1] = window ms; returns { consumed, ms until reset }
+const CONSUME_SCRIPT = `
+local consumed = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { consumed, ttl }
+`;
+
+// KEYS[1] = counter key; never counts below zero or recreates an expired key
+const REFUND_SCRIPT = `
+local consumed = tonumber(redis.call('GET', KEYS[1]) or '0')
+if consumed > 0 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis Rate Limit Store
+ *
+ * Rate limit store adapter keeping counters in Redis, so every application
+ * instance shares one window per key. Each consume is a single Lua script
+ * (INCR plus expiry), so concurrent requests cannot race. Works with
+ * ioredis and node-redis v4 clients and any server speaking the Redis
+ * protocol with Lua support.
+ *
+ * @param {object} options - Store options
+ * @param {object} options.client - Connected ioredis or node-redis v4 client
+ * @param {string} [options.prefix='ratelimit:'] - Prefix for Redis keys
+ * @returns {RateLimitStoreAdapter} Store with consume, get, reset, refund and ttl methods
+ * @example
+ * const store = createRedisRateLimitStore({ client: new Redis(process.env.REDIS_URL) });
+ * app.use(createSecurityRateLimiter({ store }));
+ */
+function createRedisRateLimitStore(options: { client: any; prefix?: string }): RateLimitStoreAdapter {
+  const { client, prefix = 'ratelimit:' } = options || ({} as any);
+
+  if (!isRedisScriptClient(client)) {
+    throw new Error('createRedisRateLimitStore requires an ioredis or node-redis client');
+  }
+
+  async function ttl(key: string): Promise<number | null> {
+    // ioredis names the command pttl, node-redis v4 pTTL
+    const remaining = Number(await (typeof client.pttl === 'function' ? client.pttl(prefix + key) : client.pTTL(prefix + key)));
+    return remaining > 0 ? remaining : null;
+  }
+
+  return {
+    async consume(key: string, points: number, durationMs: number): Promise<RateLimitConsumeResult> {
+      const reply = await evalRedisScript(client, CONSUME_SCRIPT, [prefix + key], [String(durationMs)]);
+      const consumed = Number(reply[0]);
+
+      return {
+        consumed,
+        remaining: Math.max(0, points - consumed),
+        resetTime: Date.now() + Number(reply[1]),
+        exceeded: consumed > points
+      };
+    },
+
+    async get(key: string): Promise<RateLimitUsage | null> {
+      const [value, remaining] = await Promise.all([client.get(prefix + key), ttl(key)]);
+      if (value === null || value === undefined || remaining === null) {
+        return null;
+      }
+      return { consumed: Number(value), resetTime: Date.now() + remaining };
+    },
+
+    async reset(key: string): Promise<void> {
+      await client.del(prefix + key);
+    },
+
+    async refund(key: string): Promise<void> {
+      await evalRedisScript(client, REFUND_SCRIPT, [prefix + key], []);
+    },
+
+    ttl
+  };
+}
+
+export default createRedisRateLimitStore;
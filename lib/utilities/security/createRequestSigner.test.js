@@ -0,0 +1,132 @@
+const http = require('http');
+const { createHmac, createHash } = require('crypto');
+const { default: createRequestSigner, buildCanonicalRequest, canonicalizeQuery } = require('./createRequestSigner');
+const { default: createSignatureVerifier } = require('./createSignatureVerifier');
+const { default: createFetchClient } = require('../http/createFetchClient');
+const { retryMiddleware } = require('../http/fetchClientMiddleware');
+
+describe('createRequestSigner', () => {
+  it('builds the canonical request from method, path, sorted query, body hash, timestamp and nonce', () => {
+    const canonical = buildCanonicalRequest({
+      method: 'post',
+      path: '/orders',
+      query: '?b=2&a=z&a=1&q=hello world',
+      body: '{"id":1}',
+      timestamp: 1700000000000,
+      nonce: 'n-1'
+    });
+
+    expect(canonical).toBe([
+      'POST',
+      '/orders',
+      'a=1&a=z&b=2&q=hello%20world',
+      createHash('sha256').update('{"id":1}').digest('hex'),
+      '1700000000000',
+      'n-1'
+    ].join('\n'));
+    expect(canonicalizeQuery("x=it's")).toBe('x=it%27s');
+  });
+
+  it('signs with HMAC-SHA256 over the canonical request', () => {
+    const signer = createRequestSigner({ secret: 'shh', keyId: 'k1', now: () => 1700000000000, generateNonce: () => 'n-1' });
+
+    const headers = signer.sign({ method: 'GET', url: 'https://partner.example.com/v1/items?page=2' });
+
+    const canonical = buildCanonicalRequest({ method: 'GET', path: '/v1/items', query: 'page=2', timestamp: 1700000000000, nonce: 'n-1' });
+    expect(headers).toEqual({
+      'X-Signature': createHmac('sha256', 'shh').update(canonical).digest('hex'),
+      'X-Signature-Timestamp': '1700000000000',
+      'X-Signature-Nonce': 'n-1',
+      'X-Signature-Key-Id': 'k1'
+    });
+  });
+
+  it('is verified with the same header names and the secret its key ID names', async () => {
+    const headers = { signature: 'X-Partner-Sig', timestamp: 'X-Partner-Time', nonce: 'X-Partner-Nonce', keyId: 'X-Partner-Key' };
+    const signer = createRequestSigner({ secret: 'secret-2', keyId: 'k2', headers });
+    const verifier = createSignatureVerifier({ secret: { k1: 'secret-1', k2: 'secret-2' }, headers });
+    const verify = signed => new Promise(resolve => {
+      const req = { method: 'POST', url: '/orders', rawBody: Buffer.from('{}'), headers: Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value])) };
+      const res = { status: () => res, json: body => resolve({ body }) };
+      verifier(req, res, () => resolve({ passed: true, signature: req.signature }));
+    });
+
+    const accepted = await verify(signer.sign({ method: 'POST', url: '/orders', body: '{}' }));
+    const misnamed = await verify(createRequestSigner({ secret: 'secret-2', keyId: 'k1', headers }).sign({ method: 'POST', url: '/orders', body: '{}' }));
+    const unnamed = await verify(createRequestSigner({ secret: 'secret-2', headers }).sign({ method: 'POST', url: '/orders', body: '{}' }));
+    verifier.destroy();
+
+    expect(accepted).toMatchObject({ passed: true, signature: { keyId: 'k2' } });
+    expect(misnamed.body.reason).toBe('invalid_signature');
+    expect(unnamed.body.reason).toBe('invalid_signature');
+    expect(() => createSignatureVerifier({ secret: 'x', preset: 'github', headers })).toThrow('default preset only');
+  });
+
+  it('requires a secret', () => {
+    expect(() => createRequestSigner({})).toThrow('secret');
+  });
+
+  describe('as fetch client middleware', () => {
+    let server;
+    let baseURL;
+    let verifier;
+    let attempts;
+
+    beforeAll(async () => {
+      verifier = createSignatureVerifier({ secret: 'partner-secret' });
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          req.rawBody = Buffer.concat(chunks);
+          attempts++;
+          res.status = code => { res.statusCode = code; return res; };
+          res.json = body => { res.setHeader('Content-Type', 'application/json'); res.end(JSON.stringify(body)); };
+          verifier(req, res, () => {
+            if (req.url.startsWith('/api/flaky') && attempts === 1) {
+              res.status(503).json({ error: 'try again' });
+              return;
+            }
+            res.status(200).json({ verified: true, nonce: req.signature.nonce });
+          });
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseURL = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterAll(async () => {
+      verifier.destroy();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      attempts = 0;
+    });
+
+    it('produces signatures the verifier accepts for JSON bodies and query params', async () => {
+      const signer = createRequestSigner({ secret: 'partner-secret' });
+      const client = createFetchClient({ baseURL, middleware: [signer.middleware()] });
+
+      const response = await client.post('/orders', { id: 1, items: ['a', 'b'] }, { params: { z: 1, a: 'x y' } });
+
+      expect(response.data.verified).toBe(true);
+    });
+
+    it('signs each retry afresh so retries are not rejected as replays', async () => {
+      const signer = createRequestSigner({ secret: 'partner-secret' });
+      const client = createFetchClient({ baseURL, middleware: [retryMiddleware({ retries: 1, retryDelay: 1 }), signer.middleware()] });
+
+      const response = await client.put('/flaky', 'plain text', { headers: { 'Content-Type': 'text/plain' } });
+
+      expect(response.data.verified).toBe(true);
+      expect(attempts).toBe(2);
+    });
+
+    it('is rejected with the wrong secret', async () => {
+      const client = createFetchClient({ baseURL, middleware: [createRequestSigner({ secret: 'guess' }).middleware()] });
+
+      await expect(client.get('/orders')).rejects.toMatchObject({ status: 401, response: { data: { reason: 'invalid_signature' } } });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * HMAC REQUEST SIGNING
+ *
+ * PURPOSE: Signs outbound HTTP requests so the receiver can prove they came
+ * from a holder of the shared secret and were not altered or replayed.
+ * createSignatureVerifier checks these signatures on the receiving side.
+ *
+ * CANONICAL REQUEST: The HMAC-SHA256 covers one line per part:
+ *
+ *   METHOD
+ *   /path
+ *   a=1&b=2          (query, sorted by key then value, RFC 3986 encoded)
+ *   <sha256 hex of the body, empty string for no body>
+ *   <timestamp in milliseconds>
+ *   <nonce>
+ *
+ * Headers, host and scheme are not signed, so proxies that rewrite them do
+ * not break signatures. The timestamp bounds how long a signature is useful
+ * and the nonce lets the verifier reject a second delivery.
+ */
+
+import { createHash, createHmac, randomUUID } from 'crypto';
+import { buildRequestUrl, serializeRequestBody } from '../http/createFetchClient.js';
+import type { FetchMiddleware } from '../http/createFetchClient.js';
+
+/**
+ * Header names carrying the signature parts
+ */
+interface SignatureHeaderNames {
+  signature: string;
+  timestamp: string;
+  nonce: string;
+  keyId: string;
+}
+
+const DEFAULT_SIGNATURE_HEADERS: SignatureHeaderNames = {
+  signature: 'X-Signature',
+  timestamp: 'X-Signature-Timestamp',
+  nonce: 'X-Signature-Nonce',
+  keyId: 'X-Signature-Key-Id'
+};
+
+interface CanonicalRequestParts {
+  method: string;
+  path: string;
+  /** Query string with or without the leading `?` */
+  query?: string;
+  body?: string | Buffer | Uint8Array | null;
+  timestamp: number;
+  nonce: string;
+}
+
+/**
+ * RFC 3986 encoding, so every side encodes `!'()*` the same way
+ */
+function encodeComponent(value: string): string {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sort and re-encode a query string into its canonical form
+ *
+ * @param query - Query string with or without the leading `?`
+ * @returns Pairs sorted by key then value and joined with `&`
+ */
+function canonicalizeQuery(query = ''): string {
+  const pairs = [...new URLSearchParams(query.startsWith('?') ? query.slice(1) : query)];
+  pairs.sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) : keyA < keyB ? -1 : 1));
+  return pairs.map(([key, value]) => `${encodeComponent(key)}=${encodeComponent(value)}`).join('&');
+}
+
+/**
+ * SHA-256 hex digest of a request body; no body hashes as the empty string
+ */
+function hashRequestBody(body?: string | Buffer | Uint8Array | null): string {
+  return createHash('sha256').update(body ?? '').digest('hex');
+}
+
+/**
+ * Build the string a request signature covers
+ *
+ * @param parts - Method, path, query, body, timestamp and nonce
+ * @returns Newline-joined canonical request
+ */
+function buildCanonicalRequest(parts: CanonicalRequestParts): string {
+  return [
+    parts.method.toUpperCase(),
+    parts.path || '/',
+    canonicalizeQuery(parts.query),
+    hashRequestBody(parts.body),
+    String(parts.timestamp),
+    parts.nonce
+  ].join('\n');
+}
+
+/**
+ * HMAC-SHA256 of a canonical request or webhook payload, hex encoded
+ */
+function computeHmacSignature(secret: string, payload: string | Buffer): string {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Creates a request signer.
+ *
+ * @param options - Shared secret, optional key ID (sent so the receiver can
+ *   pick the secret: createSignatureVerifier with secrets keyed by ID),
+ *   header names (give the verifier the same `headers`) and clock
+ * @returns Signer with sign (headers for one request) and middleware (for createFetchClient)
+ *
+ * @example
+ * const signer = createRequestSigner({ secret: process.env.PARTNER_SECRET, keyId: 'partner-2024' });
+ * const partner = createFetchClient({
+ *   baseURL: 'https://partner.example.com',
+ *   middleware: [retryMiddleware(), signer.middleware()] // inside retry: each attempt gets a fresh nonce
+ * });
+ */
+function createRequestSigner(options: {
+  secret: string;
+  keyId?: string;
+  headers?: Partial<SignatureHeaderNames>;
+  now?: () => number;
+  generateNonce?: () => string;
+}) {
+  const { secret, keyId, now = Date.now, generateNonce = randomUUID } = options || ({} as any);
+  if (!secret || typeof secret !== 'string') {
+    throw new Error('createRequestSigner requires a secret');
+  }
+  const headerNames: SignatureHeaderNames = { ...DEFAULT_SIGNATURE_HEADERS, ...options.headers };
+
+  /**
+   * Signature headers for one request
+   *
+   * @param request - Method, absolute or path-only URL and the body exactly as sent
+   * @returns Headers to add to the request
+   */
+  function sign(request: { method: string; url: string; body?: string | Buffer | Uint8Array | null }): Record<string, string> {
+    const { pathname, search } = new URL(request.url, 'http://localhost');
+    const timestamp = now();
+    const nonce = generateNonce();
+    const canonical = buildCanonicalRequest({ method: request.method, path: pathname, query: search, body: request.body, timestamp, nonce });
+
+    const headers: Record<string, string> = {
+      [headerNames.signature]: computeHmacSignature(secret, canonical),
+      [headerNames.timestamp]: String(timestamp),
+      [headerNames.nonce]: nonce
+    };
+    if (keyId) {
+      headers[headerNames.keyId] = keyId;
+    }
+    return headers;
+  }
+
+  /**
+   * Fetch client middleware signing every request it passes on. The body is
+   * serialized here so the signed bytes are the bytes sent.
+   */
+  function middleware(): FetchMiddleware {
+    return (request, next) => {
+      const headers = { ...request.headers };
+      let body = serializeRequestBody(request.data, headers);
+      if (body instanceof URLSearchParams) {
+        if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+          headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
+        }
+        body = body.toString();
+      } else if (body instanceof ArrayBuffer) {
+        body = Buffer.from(body);
+      }
+      if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body) && !(body instanceof Uint8Array)) {
+        throw new Error('Request signing supports string, JSON, form and binary bodies only');
+      }
+      const url = buildRequestUrl(request.baseURL ?? '', request.url, request.params);
+      return next({
+        ...request,
+        data: body,
+        headers: { ...headers, ...sign({ method: request.method, url, body }) }
+      });
+    };
+  }
+
+  return { sign, middleware };
+}
+
+export {
+  buildCanonicalRequest,
+  canonicalizeQuery,
+  computeHmacSignature,
+  DEFAULT_SIGNATURE_HEADERS,
+  hashRequestBody
+};
+export type { CanonicalRequestParts, SignatureHeaderNames };
+export default createRequestSigner;
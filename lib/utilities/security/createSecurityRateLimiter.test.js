@@ -0,0 +1,60 @@
+const { default: createSecurityRateLimiter } = require('./createSecurityRateLimiter');
+const { default: createRateLimitStore } = require('./createRateLimitStore');
+
+function createResponse() {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+function request(middleware, req = { ip: '10.0.0.1', url: '/', headers: {} }) {
+  return new Promise(resolve => {
+    const res = createResponse();
+    res.json = (body) => { res.body = body; resolve(res); return res; };
+    middleware(req, res, () => resolve(res));
+  });
+}
+
+describe('createSecurityRateLimiter', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createRateLimitStore({ cleanupInterval: 0 });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  it('shares counts and blocks through the store', async () => {
+    const options = { store, windowMs: 60000, maxRequests: 2, blockDurationMs: 30000 };
+    const first = createSecurityRateLimiter(options);
+    const second = createSecurityRateLimiter(options);
+
+    expect((await request(first)).statusCode).toBe(200);
+    expect((await request(second)).statusCode).toBe(200);
+    const limited = await request(first);
+    const blocked = await request(second);
+
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('30');
+    expect(blocked.statusCode).toBe(429);
+    expect(store.ttl('block:10.0.0.1')).toBeGreaterThan(29000);
+  });
+
+  it('allows requests when the store fails', async () => {
+    const failing = {
+      consume: () => Promise.reject(new Error('store down')),
+      get: () => null,
+      reset: () => {},
+      ttl: () => null
+    };
+    const middleware = createSecurityRateLimiter({ store: failing });
+
+    const res = await request(middleware);
+
+    expect(res.statusCode).toBe(200);
+  });
+});
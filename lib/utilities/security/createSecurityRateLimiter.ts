@@ -1,5 +1,8 @@
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
 import SECURITY_CONFIG from './securityConfig.js';
-import { BoundedLRUCache } from '../performance/boundedCache.js';
+import createRateLimitStore from './createRateLimitStore.js';
+import type { RateLimitStoreAdapter } from './createRateLimitStore.js';
 
 /**
  * Creates a security-focused rate limiter middleware for Express
@@ -10,9 +13,13 @@ import { BoundedLRUCache } from '../performance/boundedCache.js';
  * @param {number} [options.blockDurationMs] - Block duration when exceeded
  * @param {Function} [options.keyGenerator] - Custom key generator function
  * @param {Function} [options.onLimitExceeded] - Callback when limit exceeded
+ * @param {RateLimitStoreAdapter} [options.store] - Counter and block storage (default: in-memory createRateLimitStore)
  * @returns {Function} Express middleware function
  * @example
  * app.use(createSecurityRateLimiter({ windowMs: 60000, maxRequests: 30 }));
+ * @example
+ * // Share limits and blocks across instances
+ * app.use(createSecurityRateLimiter({ store: createRedisRateLimitStore({ client: redis }) }));
  */
 function createSecurityRateLimiter(options: {
   windowMs?: number;
@@ -22,6 +29,7 @@ function createSecurityRateLimiter(options: {
   maxUrlLength?: number;
   keyGenerator?: Function;
   onLimitExceeded?: Function;
+  store?: RateLimitStoreAdapter;
 } = {}) { // factory for security rate limiter
   const maxRequestSize: number = (options.maxRequestSize ?? 1024 * 1024) as number; // 1MB default
   const maxUrlLength: number = (options.maxUrlLength ?? 2048) as number; // 2KB default
@@ -56,29 +64,60 @@ function createSecurityRateLimiter(options: {
   const keyGenerator: Function = typeof options.keyGenerator === 'function' ? options.keyGenerator : defaultKeyGenerator;
   const onLimitExceeded: Function | null = typeof options.onLimitExceeded === 'function' ? options.onLimitExceeded : null;
 
-  // Use bounded caches to prevent memory leaks
-  const requestCounts = new BoundedLRUCache<string, { count: number; windowStart: number }>(
-    10000, // Maximum 10K IPs tracked
-    60000  // 1 minute TTL
-  );
-  const blockedKeys = new BoundedLRUCache<string, number>(
-    5000,  // Maximum 5K blocked IPs
-    300000 // 5 minute TTL for blocks
-  );
+  // Blocks live in the same store under a separate key, so they are shared wherever counts are
+  const store: RateLimitStoreAdapter = options.store || createRateLimitStore();
 
   function defaultKeyGenerator(req: any) { // default: use client IP
     return req.ip || req.socket?.remoteAddress || 'unknown';
   }
 
-  function cleanup() { // cleanup expired entries with memory leak prevention
-    // BoundedLRUCache handles automatic cleanup via TTL
-    // No manual cleanup needed - the cache handles eviction automatically
-    return 0;
+  function sendLimited(res: any, retryAfter: number) {
+    res.setHeader('Retry-After', retryAfter.toString());
+    res.setHeader('X-RateLimit-Remaining', '0');
+
+    res.status(429).json({
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded',
+      retryAfter
+    });
+  }
+
+  /**
+   * Count the request and answer 429 when limited
+   * @returns Whether the request may continue
+   */
+  async function applyLimit(req: any, res: any, key: string): Promise<boolean> {
+    const blockKey = `block:${key}`;
+    const blockedFor = await store.ttl(blockKey); // check if blocked
+    if (blockedFor !== null && blockedFor > 0) {
+      res.setHeader('X-RateLimit-Limit', maxRequests.toString());
+      res.setHeader('X-RateLimit-Reset', new Date(Date.now() + blockedFor).toISOString());
+      sendLimited(res, Math.ceil(blockedFor / 1000));
+      return false;
+    }
+
+    const result = await store.consume(key, maxRequests, windowMs);
+
+    res.setHeader('X-RateLimit-Limit', maxRequests.toString()); // set rate limit headers
+    res.setHeader('X-RateLimit-Remaining', result.remaining.toString());
+    res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
+
+    if (result.exceeded) { // limit exceeded
+      await store.consume(blockKey, 1, blockDurationMs);
+
+      if (onLimitExceeded) {
+        onLimitExceeded(req, key, result.consumed);
+      }
+
+      sendLimited(res, Math.ceil(blockDurationMs / 1000));
+      return false;
+    }
+
+    return true;
   }
 
   return function rateLimiterMiddleware(req: any, res: any, next: any) { // rate limiter middleware
-    const now: any = Date.now();
-    const key: any = keyGenerator(req);
+    const key: string = keyGenerator(req);
 
     const requestUrl: string = String(req?.originalUrl ?? req?.url ?? '');
     if (requestUrl.length > maxUrlLength) {
@@ -99,69 +138,18 @@ function createSecurityRateLimiter(options: {
       return;
     }
 
-    // Enhanced cleanup strategy to prevent memory leaks
-    if (Math.random() < 0.05 || requestCounts.size > 1000 || blockedKeys.size > 500) {
-      cleanup();
-    }
-
-    const blockUntil: any = blockedKeys.get(key); // check if blocked
-    if (blockUntil && now < blockUntil) {
-      const retryAfter: any = Math.ceil((blockUntil - now) / 1000);
-
-      res.setHeader('Retry-After', retryAfter.toString());
-      res.setHeader('X-RateLimit-Limit', maxRequests.toString());
-      res.setHeader('X-RateLimit-Remaining', '0');
-      res.setHeader('X-RateLimit-Reset', new Date(blockUntil).toISOString());
-
-      res.status(429).json({
-        error: 'Too Many Requests',
-        message: 'Rate limit exceeded',
-        retryAfter
-      });
-      return;
-    }
-
-    let data = requestCounts.get(key); // get or create request data
-
-    if (!data || now - data.windowStart > windowMs) { // new window
-      data = { count: 0, windowStart: now };
-      requestCounts.set(key, data, windowMs); // Set with TTL
-    } else {
-      // Update existing entry
-      requestCounts.set(key, data, windowMs);
-    }
-
-    data.count++; // increment request count
-
-    const remaining: any = Math.max(0, maxRequests - data.count);
-    const resetTime: any = new Date(data.windowStart + windowMs);
-
-    res.setHeader('X-RateLimit-Limit', maxRequests.toString()); // set rate limit headers
-    res.setHeader('X-RateLimit-Remaining', remaining.toString());
-    res.setHeader('X-RateLimit-Reset', resetTime.toISOString());
-
-    if (data.count > maxRequests) { // limit exceeded
-      const blockUntilTime: any = now + blockDurationMs;
-      blockedKeys.set(key, blockUntilTime, blockDurationMs); // Set with TTL
-
-      if (onLimitExceeded) {
-        onLimitExceeded(req, key, data.count);
+    applyLimit(req, res, key).then(
+      (allowed) => {
+        if (allowed) {
+          next(); // continue to next middleware
+        }
+      },
+      (error: unknown) => {
+        // Fail open so a store outage does not take the service down
+        qerrors(error instanceof Error ? error : new Error(String(error)), 'createSecurityRateLimiter', { message: 'Rate limit store failed; allowing request' });
+        next();
       }
-
-      const retryAfter: any = Math.ceil(blockDurationMs / 1000);
-
-      res.setHeader('Retry-After', retryAfter.toString());
-      res.setHeader('X-RateLimit-Remaining', '0');
-
-      res.status(429).json({
-        error: 'Too Many Requests',
-        message: 'Rate limit exceeded',
-        retryAfter
-      });
-      return;
-    }
-
-    next(); // continue to next middleware
+    );
   };
 }
 
@@ -0,0 +1,154 @@
+const { default: createSignatureVerifier } = require('./createSignatureVerifier');
+const { default: webhookSignaturePresets } = require('./webhookSignaturePresets');
+
+function createResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+function request(middleware, req) {
+  return new Promise(resolve => {
+    const res = createResponse();
+    res.json = (body) => { res.body = body; resolve({ res, req }); return res; };
+    middleware(req, res, () => resolve({ res, req, passed: true }));
+  });
+}
+
+const lowerCaseHeaders = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+describe('createSignatureVerifier', () => {
+  const now = 1700000000000;
+  const body = '{"event":"paid"}';
+  let verifiers;
+
+  const create = (options) => {
+    const verifier = createSignatureVerifier({ now: () => now, ...options });
+    verifiers.push(verifier);
+    return verifier;
+  };
+
+  const signedRequest = (presetName, secret, overrides = {}) => {
+    const signature = webhookSignaturePresets[presetName].sign(secret, { method: 'POST', url: '/hooks?b=2&a=1', body, timestamp: now, ...overrides });
+    return { method: 'POST', url: '/hooks?a=1&b=2', headers: lowerCaseHeaders(signature), rawBody: Buffer.from(body) };
+  };
+
+  beforeEach(() => {
+    verifiers = [];
+  });
+
+  afterEach(() => {
+    verifiers.forEach(verifier => verifier.destroy());
+  });
+
+  it('accepts default-format signatures and exposes the nonce', async () => {
+    const verifier = create({ secret: 'shh' });
+
+    const { passed, req } = await request(verifier, signedRequest('default', 'shh', { nonce: 'n-1' }));
+
+    expect(passed).toBe(true);
+    expect(req.signature).toEqual({ timestamp: now, nonce: 'n-1' });
+  });
+
+  it('rejects replays of an accepted nonce', async () => {
+    const verifier = create({ secret: 'shh' });
+    const onFailure = jest.fn();
+    const replayVerifier = create({ secret: 'shh', onFailure });
+
+    await request(replayVerifier, signedRequest('default', 'shh', { nonce: 'n-2' }));
+    const { res } = await request(replayVerifier, signedRequest('default', 'shh', { nonce: 'n-2' }));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.reason).toBe('replayed');
+    expect(onFailure).toHaveBeenCalledWith(expect.any(Object), 'replayed');
+    expect((await request(verifier, signedRequest('default', 'shh', { nonce: 'n-2' }))).passed).toBe(true);
+  });
+
+  it('enforces the clock-skew tolerance', async () => {
+    const verifier = create({ secret: 'shh', toleranceMs: 60000 });
+
+    const early = await request(verifier, signedRequest('default', 'shh', { timestamp: now + 59000 }));
+    const late = await request(verifier, signedRequest('default', 'shh', { timestamp: now - 61000 }));
+
+    expect(early.passed).toBe(true);
+    expect(late.res.body.reason).toBe('timestamp_out_of_range');
+  });
+
+  it('rejects tampered bodies, wrong secrets and missing signatures', async () => {
+    const verifier = create({ secret: 'shh' });
+    const tampered = signedRequest('default', 'shh');
+    tampered.rawBody = Buffer.from('{"event":"refunded"}');
+
+    expect((await request(verifier, tampered)).res.body.reason).toBe('invalid_signature');
+    expect((await request(verifier, signedRequest('default', 'other'))).res.body.reason).toBe('invalid_signature');
+    expect((await request(verifier, { method: 'POST', url: '/hooks', headers: {} })).res.body.reason).toBe('missing_signature');
+  });
+
+  it('accepts any of several secrets during rotation', async () => {
+    const verifier = create({ secret: ['new', 'old'] });
+
+    expect((await request(verifier, signedRequest('default', 'old'))).passed).toBe(true);
+    expect((await request(verifier, signedRequest('default', 'new'))).passed).toBe(true);
+  });
+
+  it('verifies Stripe-style t=,v1= signatures', async () => {
+    const verifier = create({ secret: 'whsec_test', preset: 'stripe' });
+    const valid = signedRequest('stripe', 'whsec_test');
+    expect(valid.headers['stripe-signature']).toMatch(/^t=1700000000,v1=[a-f0-9]{64}$/);
+
+    expect((await request(verifier, valid)).passed).toBe(true);
+    expect((await request(verifier, signedRequest('stripe', 'whsec_test'))).res.body.reason).toBe('replayed');
+    expect((await request(verifier, signedRequest('stripe', 'whsec_test', { timestamp: now - 600000 }))).res.body.reason).toBe('timestamp_out_of_range');
+
+    const rotated = signedRequest('stripe', 'whsec_test', { timestamp: now - 1000 });
+    rotated.headers['stripe-signature'] = rotated.headers['stripe-signature'].replace('v1=', 'v1=deadbeef,v1=');
+    expect((await request(verifier, rotated)).passed).toBe(true);
+  });
+
+  it('verifies GitHub-style sha256= signatures with the delivery ID as nonce', async () => {
+    const verifier = create({ secret: 'gh', preset: 'github' });
+    const delivery = signedRequest('github', 'gh', { nonce: 'delivery-1' });
+    delivery.body = JSON.parse(body);
+    delete delivery.rawBody;
+
+    const first = await request(verifier, delivery);
+    const second = await request(verifier, { ...delivery });
+
+    expect(first.passed).toBe(true);
+    expect(first.req.signature.nonce).toBe('delivery-1');
+    expect(second.res.body.reason).toBe('replayed');
+  });
+
+  it('keys GitHub replays on the signature since the delivery ID is not signed', async () => {
+    const verifier = create({ secret: 'gh', preset: 'github' });
+    const delivery = signedRequest('github', 'gh', { nonce: 'delivery-1' });
+    expect((await request(verifier, delivery)).passed).toBe(true);
+
+    const forged = { ...delivery, headers: { ...delivery.headers, 'x-github-delivery': 'delivery-2' } };
+    expect((await request(verifier, forged)).res.body.reason).toBe('replayed');
+  });
+
+  it('keys replays on the valid signature, not on extra candidates', async () => {
+    const verifier = create({ secret: 'whsec_test', preset: 'stripe' });
+    const valid = signedRequest('stripe', 'whsec_test');
+    expect((await request(verifier, valid)).passed).toBe(true);
+
+    const padded = signedRequest('stripe', 'whsec_test');
+    padded.headers['stripe-signature'] = padded.headers['stripe-signature'].replace('v1=', 'v1=deadbeef,v1=');
+    expect((await request(verifier, padded)).res.body.reason).toBe('replayed');
+  });
+
+  it('fails closed when the nonce cache errors', async () => {
+    const verifier = create({ secret: 'shh', nonceCache: { remember: () => Promise.reject(new Error('redis down')) } });
+
+    const { res } = await request(verifier, signedRequest('default', 'shh'));
+
+    expect(res.statusCode).toBe(503);
+  });
+
+  it('validates its options', () => {
+    expect(() => createSignatureVerifier({})).toThrow('secret');
+    expect(() => createSignatureVerifier({ secret: 'x', preset: 'unknown' })).toThrow('Unknown signature preset');
+  });
+});
@@ -0,0 +1,219 @@
+import qerrorsMod from '@bijikyu/qerrors';
+const qerrors = (qerrorsMod as any).qerr || (qerrorsMod as any).qerrors || qerrorsMod;
+import { BoundedLRUCache } from '../performance/boundedCache.js';
+import timingSafeCompare from './timingSafeCompare.js';
+import { computeHmacSignature, DEFAULT_SIGNATURE_HEADERS } from './createRequestSigner.js';
+import type { SignatureHeaderNames } from './createRequestSigner.js';
+import webhookSignaturePresets, { createDefaultPreset } from './webhookSignaturePresets.js';
+import type { SignaturePreset } from './webhookSignaturePresets.js';
+
+/**
+ * Remembers nonces (delivery IDs) already accepted, for replay protection.
+ * Share one cache across instances (e.g. Redis SET NX PX) to stop replays
+ * that land on a different server.
+ */
+interface NonceCache {
+  /** Record a nonce; true when it was not seen within ttlMs */
+  remember(nonce: string, ttlMs: number): boolean | Promise<boolean>;
+}
+
+type VerificationFailure = 'missing_signature' | 'invalid_timestamp' | 'timestamp_out_of_range' | 'invalid_signature' | 'replayed';
+
+/**
+ * In-memory nonce cache on a BoundedLRUCache; call destroy when done
+ */
+function createMemoryNonceCache(maxSize: number): NonceCache & { destroy: () => void } {
+  const seen = new BoundedLRUCache<string, true>(maxSize);
+  return {
+    remember(nonce, ttlMs) {
+      if (seen.has(nonce)) {
+        return false;
+      }
+      seen.set(nonce, true, ttlMs);
+      return true;
+    },
+    destroy: () => seen.destroy()
+  };
+}
+
+/**
+ * Raw request body as received: req.rawBody (set by a body parser's
+ * `verify` hook), a Buffer or string body (express.raw / express.text), or
+ * re-serialized JSON as a last resort
+ */
+function defaultGetRawBody(req: any): string | Buffer {
+  if (req.rawBody !== undefined) {
+    return req.rawBody;
+  }
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    return req.body;
+  }
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+    return JSON.stringify(req.body);
+  }
+  return '';
+}
+
+/**
+ * Creates Express middleware verifying HMAC-SHA256 request signatures
+ *
+ * Checks, in order: a signature is present, its timestamp is within
+ * toleranceMs of the local clock, one signature matches one secret
+ * (constant-time), and its nonce has not been accepted before. Failures
+ * answer 401; on success `req.signature` holds the timestamp, nonce and key
+ * ID. With secrets keyed by ID, only the secret the request's key ID names
+ * is tried, and requests naming no known key are rejected.
+ * Nonces are recorded only after the signature checks out, so forged
+ * requests cannot fill the cache. Schemes without a nonce (Stripe) or whose
+ * nonce is not signed (GitHub's delivery ID) use the signature itself as the
+ * replay key; for GitHub, which signs no timestamp either, nonceTtlMs is the
+ * only window in which a captured delivery is refused.
+ *
+ * Verify the raw body: with express.json, keep it via
+ * `express.json({ verify: (req, res, buf) => { req.rawBody = buf; } })`.
+ *
+ * @param {Object} options - Configuration options
+ * @param {string|string[]|Object<string, string>} options.secret - Shared secret; several during
+ *   rotation, or secrets by key ID (matching createRequestSigner's keyId)
+ * @param {string|SignaturePreset} [options.preset='default'] - 'default', 'stripe', 'github' or a custom preset
+ * @param {Object} [options.headers] - Header names of the default preset, as given to createRequestSigner
+ * @param {number} [options.toleranceMs=300000] - Accepted clock skew either way
+ * @param {number} [options.nonceTtlMs] - How long nonces are remembered (default: twice toleranceMs)
+ * @param {NonceCache} [options.nonceCache] - Shared nonce cache (default: in-memory, up to maxNonces)
+ * @param {number} [options.maxNonces=10000] - Size of the default nonce cache
+ * @param {Function} [options.getRawBody] - Read the raw body from the request
+ * @param {Function} [options.onFailure] - Called with (req, reason) when verification fails
+ * @returns {Function} Express middleware with a destroy method
+ * @example
+ * app.post('/webhooks/stripe',
+ *   express.raw({ type: 'application/json' }),
+ *   createSignatureVerifier({ secret: process.env.STRIPE_WEBHOOK_SECRET, preset: 'stripe' }),
+ *   handleStripeEvent);
+ */
+function createSignatureVerifier(options: {
+  secret: string | string[] | Record<string, string>;
+  preset?: keyof typeof webhookSignaturePresets | SignaturePreset;
+  headers?: Partial<SignatureHeaderNames>;
+  toleranceMs?: number;
+  nonceTtlMs?: number;
+  nonceCache?: NonceCache;
+  maxNonces?: number;
+  getRawBody?: (req: any) => string | Buffer;
+  onFailure?: (req: any, reason: VerificationFailure) => void;
+  now?: () => number;
+}) {
+  const {
+    preset: presetOption = 'default',
+    toleranceMs = 300000,
+    maxNonces = 10000,
+    getRawBody = defaultGetRawBody,
+    onFailure,
+    now = Date.now
+  } = options || ({} as any);
+  const nonceTtlMs = options.nonceTtlMs ?? toleranceMs * 2;
+
+  const isValidSecret = (secret: unknown): secret is string => typeof secret === 'string' && secret.length > 0;
+  const secretOption = options?.secret;
+  const keyedSecrets = secretOption && typeof secretOption === 'object' && !Array.isArray(secretOption)
+    ? new Map(Object.entries(secretOption).filter(([, secret]) => isValidSecret(secret)))
+    : null;
+  const secrets = keyedSecrets ? [...keyedSecrets.values()] : (Array.isArray(secretOption) ? secretOption : [secretOption]).filter(isValidSecret);
+  if (secrets.length === 0) {
+    throw new Error('createSignatureVerifier requires a secret');
+  }
+  if (options.headers && presetOption !== 'default') {
+    throw new Error('Signature header names apply to the default preset only');
+  }
+  const preset: SignaturePreset = options.headers
+    ? createDefaultPreset({ ...DEFAULT_SIGNATURE_HEADERS, ...options.headers })
+    : typeof presetOption === 'string' ? webhookSignaturePresets[presetOption] : presetOption;
+  if (!preset) {
+    throw new Error(`Unknown signature preset: ${presetOption}`);
+  }
+  if (!Number.isFinite(toleranceMs) || toleranceMs <= 0) {
+    throw new Error('toleranceMs must be a positive number');
+  }
+
+  const memoryCache = options.nonceCache ? null : createMemoryNonceCache(maxNonces);
+  const nonceCache: NonceCache = options.nonceCache || memoryCache!;
+
+  function reject(req: any, res: any, reason: VerificationFailure) {
+    if (onFailure) {
+      onFailure(req, reason);
+    }
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Request signature verification failed',
+      reason
+    });
+  }
+
+  async function verify(req: any, res: any, next: any) {
+    const parsed = preset.parse(req);
+    if (!parsed || parsed.signatures.length === 0) {
+      return reject(req, res, 'missing_signature');
+    }
+
+    if (parsed.timestamp === undefined) {
+      if (preset.requiresTimestamp) {
+        return reject(req, res, 'invalid_timestamp');
+      }
+    } else if (Math.abs(now() - parsed.timestamp) > toleranceMs) {
+      return reject(req, res, 'timestamp_out_of_range');
+    }
+
+    // A key ID selects its secret; an unknown one matches none
+    const keyedSecret = keyedSecrets && parsed.keyId !== undefined ? keyedSecrets.get(parsed.keyId) : undefined;
+    if (keyedSecrets && !keyedSecret) {
+      return reject(req, res, 'invalid_signature');
+    }
+
+    const payload = preset.payload(req, getRawBody(req), parsed);
+    const expected = (keyedSecret ? [keyedSecret] : secrets).map(secret => computeHmacSignature(secret, payload));
+    let matched: string | undefined;
+    for (const signature of parsed.signatures) {
+      for (const candidate of expected) {
+        // Every pair is compared so timing does not reveal which secret matched
+        if (timingSafeCompare(candidate, signature.toLowerCase())) {
+          matched = candidate;
+        }
+      }
+    }
+    if (!matched) {
+      return reject(req, res, 'invalid_signature');
+    }
+
+    // An unsigned nonce, or a signature other than the valid one, can be
+    // swapped freely, so neither can identify a replay
+    const replayKey = preset.nonceSigned && parsed.nonce ? parsed.nonce : matched;
+    if (!(await nonceCache.remember(replayKey, nonceTtlMs))) {
+      return reject(req, res, 'replayed');
+    }
+
+    req.signature = { timestamp: parsed.timestamp, nonce: parsed.nonce || replayKey, keyId: parsed.keyId };
+    next();
+  }
+
+  const signatureVerifierMiddleware = function signatureVerifierMiddleware(req: any, res: any, next: any) {
+    verify(req, res, next).catch((error: unknown) => {
+      // Fail closed: without the nonce cache a replay cannot be ruled out
+      qerrors(error instanceof Error ? error : new Error(String(error)), 'createSignatureVerifier', { message: 'Signature verification failed unexpectedly' });
+      res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Request signature could not be verified'
+      });
+    });
+  };
+
+  /**
+   * Stop the default nonce cache's cleanup timer
+   */
+  signatureVerifierMiddleware.destroy = (): void => {
+    memoryCache?.destroy();
+  };
+
+  return signatureVerifierMiddleware;
+}
+
+export type { NonceCache, VerificationFailure };
+export default createSignatureVerifier;
@@ -7,7 +7,7 @@
  * utilities while maintaining tree-shaking support.
  *
  * SECURITY CATEGORIES:
- * - Authentication: API key validation and timing-safe comparisons
+ * - Authentication: API key validation, timing-safe comparisons and HMAC request signing
  * - Sanitization: XSS-safe string and object sanitization
  * - Rate Limiting: IP tracking and rate limit store implementations
  * - Threat Detection: Suspicious pattern detection and analysis
@@ -20,6 +20,12 @@
 import timingSafeCompare from './timingSafeCompare.js';
 import maskApiKey from './maskApiKey.js';
 import extractApiKey from './extractApiKey.js';
+import verifyJwt from './verifyJwt.js';
+import createRequestSigner from './createRequestSigner.js';
+import createSignatureVerifier from './createSignatureVerifier.js';
+import webhookSignaturePresets from './webhookSignaturePresets.js';
+import type { NonceCache } from './createSignatureVerifier.js';
+import type { SignaturePreset } from './webhookSignaturePresets.js';
 import type { ExtractApiKeyOptions, Request } from './extractApiKey.js';
 import maskString from './maskString.js';
 import maskUnified from './maskUnified.js';
@@ -27,7 +33,11 @@ import maskUnified from './maskUnified.js';
 // Rate limiting and tracking
 import createIpTracker from './createIpTracker.js';
 import createRateLimitStore from './createRateLimitStore.js';
+import createRedisRateLimitStore from './createRedisRateLimitStore.js';
+import createFileRateLimitStore from './createFileRateLimitStore.js';
+import type { RateLimitStoreAdapter, RateLimitConsumeResult, RateLimitUsage } from './createRateLimitStore.js';
 import buildRateLimitKey from './buildRateLimitKey.js';
+import createQuotaLimiter from './createQuotaLimiter.js';
 import createSecurityRateLimiter from './createSecurityRateLimiter.js';
 
 // Input sanitization and data protection
@@ -56,13 +66,20 @@ export {
   timingSafeCompare,
   maskApiKey,
   extractApiKey,
+  verifyJwt,
+  createRequestSigner,
+  createSignatureVerifier,
+  webhookSignaturePresets,
   maskString,
   maskUnified,
 
   // Rate limiting
   createIpTracker,
   createRateLimitStore,
+  createRedisRateLimitStore,
+  createFileRateLimitStore,
   buildRateLimitKey,
+  createQuotaLimiter,
   createSecurityRateLimiter,
 
   // Sanitization
@@ -86,16 +103,25 @@ export {
   createSecurityMiddleware
 };
 
+export type { RateLimitStoreAdapter, RateLimitConsumeResult, RateLimitUsage, NonceCache, SignaturePreset };
+
 // Default export for convenience (backward compatibility)
 export default {
   timingSafeCompare,
   maskApiKey,
   extractApiKey,
+  verifyJwt,
+  createRequestSigner,
+  createSignatureVerifier,
+  webhookSignaturePresets,
   maskString,
   maskUnified,
   createIpTracker,
   createRateLimitStore,
+  createRedisRateLimitStore,
+  createFileRateLimitStore,
   buildRateLimitKey,
+  createQuotaLimiter,
   createSecurityRateLimiter,
   sanitizeLogValue,
   sanitizeObject,
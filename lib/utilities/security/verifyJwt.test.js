@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const { default: verifyJwt } = require('./verifyJwt');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signHs256 = (payload, secret, header = { alg: 'HS256', typ: 'JWT' }) => {
+  const input = `${encode(header)}.${encode(payload)}`;
+  return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+};
+
+const signRs256 = (payload, privateKey) => {
+  const input = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${input}.${crypto.createSign('RSA-SHA256').update(input).sign(privateKey).toString('base64url')}`;
+};
+
+describe('verifyJwt', () => {
+  const secret = 'top-secret';
+  const now = 1700000000;
+
+  it('should verify HS256 tokens and return the payload', () => {
+    const token = signHs256({ sub: 'user-1', exp: now + 60 }, secret);
+    expect(verifyJwt(token, { secret, now })).toEqual({ sub: 'user-1', exp: now + 60 });
+  });
+
+  it('should verify RS256 tokens with a public key', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = signRs256({ sub: 'svc' }, privateKey);
+    const pem = publicKey.export({ type: 'spki', format: 'pem' });
+    expect(verifyJwt(token, { publicKey: pem }).sub).toBe('svc');
+  });
+
+  it('should reject bad signatures, unknown algorithms and malformed tokens', () => {
+    expect(() => verifyJwt(signHs256({ sub: 'x' }, 'other'), { secret })).toThrow('Invalid JWT signature');
+    expect(() => verifyJwt(signHs256({ sub: 'x' }, secret, { alg: 'none' }), { secret })).toThrow('not allowed');
+    expect(() => verifyJwt(signHs256({ sub: 'x' }, secret), { publicKey: 'pem' })).toThrow('not allowed');
+    expect(() => verifyJwt('not-a-token', { secret })).toThrow('Malformed JWT');
+  });
+
+  it('should check exp and nbf with clock tolerance', () => {
+    const expired = signHs256({ exp: now - 5 }, secret);
+    expect(() => verifyJwt(expired, { secret, now })).toThrow('JWT expired');
+    expect(verifyJwt(expired, { secret, now, clockTolerance: 10 })).toEqual({ exp: now - 5 });
+    expect(() => verifyJwt(signHs256({ nbf: now + 30 }, secret), { secret, now })).toThrow('not yet valid');
+  });
+
+  it('should check audience and issuer when configured', () => {
+    const token = signHs256({ aud: ['api', 'web'], iss: 'https://auth.example.com' }, secret);
+    expect(verifyJwt(token, { secret, audience: 'web', issuer: 'https://auth.example.com' })).toBeTruthy();
+    expect(() => verifyJwt(token, { secret, audience: 'admin' })).toThrow('audience mismatch');
+    expect(() => verifyJwt(token, { secret, issuer: 'https://evil.example.com' })).toThrow('issuer mismatch');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * JWT VERIFICATION UTILITY
+ *
+ * PURPOSE: Verifies compact JSON Web Tokens signed with HS256 (shared secret)
+ * or RS256 (RSA public key) and validates their registered time and audience
+ * claims, without pulling in a JWT library.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - The `alg` header must be in the allow-list AND have a matching key; an
+ *   HS256 token is never checked against an RSA public key (prevents
+ *   algorithm-confusion attacks) and `none` is never accepted
+ * - HMAC signatures are compared with timingSafeCompare
+ * - exp/nbf are checked with a configurable clock tolerance
+ * - aud and iss are only checked when the caller configures them
+ *
+ * Fail-closed: every failure throws; a returned payload is always verified.
+ */
+
+import { createHmac, createVerify } from 'crypto';
+import timingSafeCompare from './timingSafeCompare.js';
+
+export type JwtAlgorithm = 'HS256' | 'RS256';
+
+export interface VerifyJwtOptions {
+  /** Shared secret for HS256 */
+  secret?: string;
+  /** PEM encoded public key for RS256 */
+  publicKey?: string;
+  /** Accepted algorithms (default: every algorithm with a configured key) */
+  algorithms?: JwtAlgorithm[];
+  /** Expected audience; token `aud` must contain at least one of these */
+  audience?: string | string[];
+  /** Expected issuer(s) */
+  issuer?: string | string[];
+  /** Seconds of leeway for exp and nbf */
+  clockTolerance?: number;
+  /** Current time in seconds (for testing) */
+  now?: number;
+}
+
+export interface JwtPayload {
+  sub?: string;
+  iss?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  [claim: string]: unknown;
+}
+
+function decodeSegment(segment: string): any {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies a JWT and returns its payload.
+ *
+ * @param token - Compact serialized JWT (`header.payload.signature`)
+ * @param options - Keys, accepted algorithms and claim expectations
+ * @returns Verified payload
+ * @throws {Error} When the token is malformed, the signature is invalid or
+ *   a claim check fails
+ *
+ * @example
+ * ```typescript
+ * const claims = verifyJwt(token, {
+ *   secret: process.env.JWT_SECRET,
+ *   audience: 'orders-api',
+ *   issuer: 'https://auth.example.com'
+ * });
+ * ```
+ */
+const verifyJwt = (token: string, options: VerifyJwtOptions = {}): JwtPayload => {
+  if (typeof token !== 'string' || token.split('.').length !== 3) {
+    throw new Error('Malformed JWT');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  let header: { alg?: string; typ?: string };
+  let payload: JwtPayload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch {
+    throw new Error('Malformed JWT');
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Malformed JWT payload');
+  }
+
+  const allowed: JwtAlgorithm[] = options.algorithms || [
+    ...(options.secret ? ['HS256' as const] : []),
+    ...(options.publicKey ? ['RS256' as const] : [])
+  ];
+  const alg = header?.alg as JwtAlgorithm;
+  if (!allowed.includes(alg)) {
+    throw new Error(`JWT algorithm not allowed: ${header?.alg}`);
+  }
+
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  let validSignature = false;
+
+  if (alg === 'HS256') {
+    if (!options.secret) {
+      throw new Error('No secret configured for HS256');
+    }
+    const expected = createHmac('sha256', options.secret).update(signingInput).digest('base64url');
+    validSignature = timingSafeCompare(expected, encodedSignature);
+  } else if (alg === 'RS256') {
+    if (!options.publicKey) {
+      throw new Error('No public key configured for RS256');
+    }
+    validSignature = createVerify('RSA-SHA256')
+      .update(signingInput)
+      .verify(options.publicKey, Buffer.from(encodedSignature, 'base64url'));
+  }
+
+  if (!validSignature) {
+    throw new Error('Invalid JWT signature');
+  }
+
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance ?? 0;
+
+  if (typeof payload.exp === 'number' && now - tolerance >= payload.exp) {
+    throw new Error('JWT expired');
+  }
+  if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf) {
+    throw new Error('JWT not yet valid');
+  }
+
+  if (options.audience !== undefined) {
+    const expected = Array.isArray(options.audience) ? options.audience : [options.audience];
+    const actual = Array.isArray(payload.aud) ? payload.aud : payload.aud !== undefined ? [payload.aud] : [];
+    if (!actual.some(aud => expected.includes(aud))) {
+      throw new Error('JWT audience mismatch');
+    }
+  }
+
+  if (options.issuer !== undefined) {
+    const expected = Array.isArray(options.issuer) ? options.issuer : [options.issuer];
+    if (typeof payload.iss !== 'string' || !expected.includes(payload.iss)) {
+      throw new Error('JWT issuer mismatch');
+    }
+  }
+
+  return payload;
+};
+
+export default verifyJwt;
@@ -0,0 +1,187 @@
+/**
+ * WEBHOOK SIGNATURE PRESETS
+ *
+ * PURPOSE: Describes where common signature schemes keep their signature,
+ * timestamp and delivery ID, and what bytes they sign, so one verifier
+ * (createSignatureVerifier) can check all of them. Each preset can also
+ * produce its headers, for sending webhooks in that format or for tests.
+ *
+ * - default: createRequestSigner's canonical request (method, path, sorted
+ *   query, body hash, timestamp, nonce) and key ID header
+ * - stripe: `Stripe-Signature: t=<seconds>,v1=<hex>` over `<t>.<raw body>`
+ * - github: `X-Hub-Signature-256: sha256=<hex>` over the raw body, with
+ *   `X-GitHub-Delivery` as the delivery ID
+ *
+ * GitHub signs neither a timestamp nor the delivery ID, so the signature is
+ * the only replay key an attacker cannot change: a captured delivery is
+ * rejected while the verifier remembers it (nonceTtlMs) and accepted again
+ * afterwards. There is no other freshness bound.
+ */
+
+import { randomUUID } from 'crypto';
+import { buildCanonicalRequest, computeHmacSignature, DEFAULT_SIGNATURE_HEADERS } from './createRequestSigner.js';
+import type { SignatureHeaderNames } from './createRequestSigner.js';
+
+/**
+ * Signature material read from an incoming request
+ */
+interface ParsedSignature {
+  /** Candidate signatures (hex); any one matching is enough */
+  signatures: string[];
+  /** Signing time in milliseconds, when the scheme carries one */
+  timestamp?: number;
+  /** Delivery ID used for replay protection */
+  nonce?: string;
+  /** Names the secret that signed the request, when the scheme carries one */
+  keyId?: string;
+}
+
+interface SignaturePreset {
+  /** Read the signature material, or null when the request carries none */
+  parse(req: any): ParsedSignature | null;
+  /** Bytes the signature covers */
+  payload(req: any, rawBody: string | Buffer, parsed: ParsedSignature): string | Buffer;
+  /** Whether requests without a timestamp are rejected */
+  requiresTimestamp: boolean;
+  /**
+   * Whether the signature covers the nonce. When it does not, anyone can
+   * swap the nonce, so the verifier uses the signature as the replay key.
+   */
+  nonceSigned?: boolean;
+  /** Headers signing a request in this format */
+  sign(secret: string, request: { method?: string; url?: string; body: string | Buffer; timestamp?: number; nonce?: string; keyId?: string }): Record<string, string>;
+}
+
+/**
+ * Read a header from an Express or Node request, case-insensitively
+ */
+function getHeader(req: any, name: string): string | undefined {
+  const value = typeof req.get === 'function' ? req.get(name) : req.headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Path and query of the URL the client requested
+ */
+function requestTarget(req: any): { path: string; query: string } {
+  const url = String(req.originalUrl ?? req.url ?? '/');
+  const queryStart = url.indexOf('?');
+  return queryStart === -1 ? { path: url, query: '' } : { path: url.slice(0, queryStart), query: url.slice(queryStart + 1) };
+}
+
+/**
+ * Preset for createRequestSigner's format, read from the given header names
+ * (the signer's `headers` option)
+ */
+function createDefaultPreset(headerNames: SignatureHeaderNames = DEFAULT_SIGNATURE_HEADERS): SignaturePreset {
+  return {
+    requiresTimestamp: true,
+    nonceSigned: true,
+
+    parse(req) {
+      const signature = getHeader(req, headerNames.signature);
+      if (!signature) {
+        return null;
+      }
+      const timestamp = Number(getHeader(req, headerNames.timestamp));
+      return {
+        signatures: [signature],
+        timestamp: Number.isFinite(timestamp) ? timestamp : undefined,
+        nonce: getHeader(req, headerNames.nonce),
+        keyId: getHeader(req, headerNames.keyId)
+      };
+    },
+
+    payload(req, rawBody, parsed) {
+      const { path, query } = requestTarget(req);
+      return buildCanonicalRequest({
+        method: req.method,
+        path,
+        query,
+        body: rawBody,
+        timestamp: parsed.timestamp!,
+        nonce: parsed.nonce || ''
+      });
+    },
+
+    sign(secret, { method = 'POST', url = '/', body, timestamp = Date.now(), nonce = randomUUID(), keyId }) {
+      const { pathname, search } = new URL(url, 'http://localhost');
+      const canonical = buildCanonicalRequest({ method, path: pathname, query: search, body, timestamp, nonce });
+      return {
+        [headerNames.signature]: computeHmacSignature(secret, canonical),
+        [headerNames.timestamp]: String(timestamp),
+        [headerNames.nonce]: nonce,
+        ...(keyId ? { [headerNames.keyId]: keyId } : {})
+      };
+    }
+  };
+}
+
+const defaultPreset = createDefaultPreset();
+
+const stripePreset: SignaturePreset = {
+  requiresTimestamp: true,
+
+  parse(req) {
+    const header = getHeader(req, 'Stripe-Signature');
+    if (!header) {
+      return null;
+    }
+    let seconds: number | undefined;
+    const signatures: string[] = [];
+    for (const part of header.split(',')) {
+      const [key, value] = part.trim().split('=');
+      if (key === 't') {
+        seconds = Number(value);
+      } else if (key === 'v1' && value) {
+        signatures.push(value);
+      }
+    }
+    return {
+      signatures,
+      timestamp: seconds !== undefined && Number.isFinite(seconds) ? seconds * 1000 : undefined
+    };
+  },
+
+  payload(req, rawBody, parsed) {
+    return `${Math.floor(parsed.timestamp! / 1000)}.${rawBody.toString()}`;
+  },
+
+  sign(secret, { body, timestamp = Date.now() }) {
+    const seconds = Math.floor(timestamp / 1000);
+    return { 'Stripe-Signature': `t=${seconds},v1=${computeHmacSignature(secret, `${seconds}.${body.toString()}`)}` };
+  }
+};
+
+const githubPreset: SignaturePreset = {
+  requiresTimestamp: false,
+
+  parse(req) {
+    const header = getHeader(req, 'X-Hub-Signature-256');
+    if (!header || !header.startsWith('sha256=')) {
+      return null;
+    }
+    return { signatures: [header.slice('sha256='.length)], nonce: getHeader(req, 'X-GitHub-Delivery') };
+  },
+
+  payload(req, rawBody) {
+    return rawBody;
+  },
+
+  sign(secret, { body, nonce = randomUUID() }) {
+    return {
+      'X-Hub-Signature-256': `sha256=${computeHmacSignature(secret, body)}`,
+      'X-GitHub-Delivery': nonce
+    };
+  }
+};
+
+const webhookSignaturePresets: Record<'default' | 'stripe' | 'github', SignaturePreset> = {
+  default: defaultPreset,
+  stripe: stripePreset,
+  github: githubPreset
+};
+
+export { createDefaultPreset };
+export type { ParsedSignature, SignaturePreset };
+export default webhookSignaturePresets;
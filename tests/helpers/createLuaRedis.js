@@ -0,0 +1,345 @@
+/**
+ * In-process Redis for tests that run Lua scripts
+ *
+ * Scripts run in a real Lua VM (fengari) with `redis.call` bound to an
+ * in-memory keyspace implementing the commands the library's scripts use
+ * (TIME, GET, SET, DEL, INCR, DECR, PTTL, PEXPIRE, HSET, HMGET, HGETALL, ZADD,
+ * ZREM, ZSCORE, ZCARD, ZRANGE, ZREMRANGEBYSCORE). Values cross between Lua
+ * and Redis with Redis's conversion rules: nil replies become false, Lua
+ * numbers become integers, arrays stop at the first nil. The client speaks
+ * the ioredis dialect (`evalsha(sha, numKeys, ...)`, `eval`, `call` and
+ * lower-case command methods) and answers NOSCRIPT for scripts it has not
+ * seen through EVAL.
+ *
+ * Time only moves through `advance(ms)`. fengari integers are 32-bit, so
+ * keep the clock below 2^31 ms (the default start is 1e9 ms).
+ */
+
+const { createHash } = require('crypto');
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari');
+
+function createLuaRedis({ startMs = 1_000_000_000 } = {}) {
+  let clock = startMs;
+  const keyspace = new Map(); // key -> { type, value, expiresAt }
+  const scripts = new Map(); // sha -> source
+
+  function lookup(key, type) {
+    const entry = keyspace.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= clock) {
+      keyspace.delete(key);
+      return undefined;
+    }
+    if (entry && type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  function create(key, type, value) {
+    const entry = { type, value, expiresAt: null };
+    keyspace.set(key, entry);
+    return entry;
+  }
+
+  function dropIfEmpty(key, entry) {
+    if (entry.value.size === 0) {
+      keyspace.delete(key);
+    }
+  }
+
+  function parseInteger(value) {
+    if (!/^-?\d+$/.test(String(value))) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    return Number(value);
+  }
+
+  function parseScoreBound(value) {
+    if (value === '-inf') return { score: -Infinity, exclusive: false };
+    if (value === '+inf' || value === 'inf') return { score: Infinity, exclusive: false };
+    const exclusive = value.startsWith('(');
+    const score = Number(exclusive ? value.slice(1) : value);
+    if (Number.isNaN(score)) {
+      throw new Error('ERR min or max is not a float');
+    }
+    return { score, exclusive };
+  }
+
+  const formatScore = score => String(score);
+
+  function sortedMembers(entry) {
+    return [...entry.value.entries()].sort(([memberA, scoreA], [memberB, scoreB]) => scoreA - scoreB || (memberA < memberB ? -1 : 1));
+  }
+
+  const commands = {
+    time: () => [String(Math.floor(clock / 1000)), String((clock % 1000) * 1000)],
+
+    get(key) {
+      const entry = lookup(key, 'string');
+      return entry ? entry.value : null;
+    },
+
+    set(key, value, ...options) {
+      let expiresAt = null;
+      for (let i = 0; i < options.length; i++) {
+        const option = options[i].toUpperCase();
+        if (option === 'PX') {
+          expiresAt = clock + parseInteger(options[++i]);
+        } else if (option === 'EX') {
+          expiresAt = clock + parseInteger(options[++i]) * 1000;
+        }
+      }
+      lookup(key);
+      create(key, 'string', String(value)).expiresAt = expiresAt;
+      return 'OK';
+    },
+
+    del(...keys) {
+      return keys.filter(key => lookup(key) && keyspace.delete(key)).length;
+    },
+
+    incr(key) {
+      const entry = lookup(key, 'string') || create(key, 'string', '0');
+      entry.value = String(parseInteger(entry.value) + 1);
+      return Number(entry.value);
+    },
+
+    decr(key) {
+      const entry = lookup(key, 'string') || create(key, 'string', '0');
+      entry.value = String(parseInteger(entry.value) - 1);
+      return Number(entry.value);
+    },
+
+    pttl(key) {
+      const entry = lookup(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - clock;
+    },
+
+    pexpire(key, ms) {
+      const entry = lookup(key);
+      if (!entry) return 0;
+      entry.expiresAt = clock + parseInteger(ms);
+      return 1;
+    },
+
+    hset(key, ...pairs) {
+      const entry = lookup(key, 'hash') || create(key, 'hash', new Map());
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += entry.value.has(pairs[i]) ? 0 : 1;
+        entry.value.set(pairs[i], String(pairs[i + 1]));
+      }
+      return added;
+    },
+
+    hmget(key, ...fields) {
+      const entry = lookup(key, 'hash');
+      return fields.map(field => (entry && entry.value.has(field) ? entry.value.get(field) : null));
+    },
+
+    hgetall(key) {
+      const entry = lookup(key, 'hash');
+      return entry ? Object.fromEntries(entry.value) : {};
+    },
+
+    zadd(key, ...pairs) {
+      const entry = lookup(key, 'zset') || create(key, 'zset', new Map());
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += entry.value.has(pairs[i + 1]) ? 0 : 1;
+        entry.value.set(pairs[i + 1], Number(pairs[i]));
+      }
+      return added;
+    },
+
+    zrem(key, ...members) {
+      const entry = lookup(key, 'zset');
+      if (!entry) return 0;
+      const removed = members.filter(member => entry.value.delete(member)).length;
+      dropIfEmpty(key, entry);
+      return removed;
+    },
+
+    zscore(key, member) {
+      const entry = lookup(key, 'zset');
+      return entry && entry.value.has(member) ? formatScore(entry.value.get(member)) : null;
+    },
+
+    zcard(key) {
+      const entry = lookup(key, 'zset');
+      return entry ? entry.value.size : 0;
+    },
+
+    zrange(key, start, stop, withScores) {
+      const entry = lookup(key, 'zset');
+      if (!entry) return [];
+      const members = sortedMembers(entry);
+      const from = Math.max(0, parseInteger(start) < 0 ? members.length + parseInteger(start) : parseInteger(start));
+      const to = parseInteger(stop) < 0 ? members.length + parseInteger(stop) : parseInteger(stop);
+      const range = members.slice(from, to + 1);
+      return String(withScores).toUpperCase() === 'WITHSCORES'
+        ? range.flatMap(([member, score]) => [member, formatScore(score)])
+        : range.map(([member]) => member);
+    },
+
+    zremrangebyscore(key, min, max) {
+      const entry = lookup(key, 'zset');
+      if (!entry) return 0;
+      const low = parseScoreBound(min);
+      const high = parseScoreBound(max);
+      let removed = 0;
+      for (const [member, score] of [...entry.value]) {
+        const aboveLow = low.exclusive ? score > low.score : score >= low.score;
+        const belowHigh = high.exclusive ? score < high.score : score <= high.score;
+        if (aboveLow && belowHigh) {
+          entry.value.delete(member);
+          removed++;
+        }
+      }
+      dropIfEmpty(key, entry);
+      return removed;
+    }
+  };
+
+  function call(name, ...args) {
+    const command = commands[String(name).toLowerCase()];
+    if (!command) {
+      throw new Error(`ERR unknown command '${name}'`);
+    }
+    return command(...args.map(String));
+  }
+
+  // LUA BRIDGE: Redis's conversion rules in both directions
+  function pushReply(L, reply) {
+    if (reply === null || reply === undefined) {
+      lua.lua_pushboolean(L, false);
+    } else if (typeof reply === 'number') {
+      lua.lua_pushinteger(L, reply);
+    } else if (Array.isArray(reply)) {
+      lua.lua_createtable(L, reply.length, 0);
+      reply.forEach((item, index) => {
+        pushReply(L, item);
+        lua.lua_rawseti(L, -2, index + 1);
+      });
+    } else if (reply === 'OK') {
+      lua.lua_createtable(L, 0, 1);
+      lua.lua_pushstring(L, to_luastring('OK'));
+      lua.lua_setfield(L, -2, to_luastring('ok'));
+    } else {
+      lua.lua_pushstring(L, to_luastring(String(reply)));
+    }
+  }
+
+  function readArgument(L, index) {
+    if (lua.lua_type(L, index) === lua.LUA_TNUMBER) {
+      return lua.lua_isinteger(L, index) ? String(lua.lua_tointeger(L, index)) : String(lua.lua_tonumber(L, index));
+    }
+    if (lua.lua_type(L, index) === lua.LUA_TSTRING) {
+      return lua.lua_tojsstring(L, index);
+    }
+    return lauxlib.luaL_error(L, to_luastring('Lua redis() command arguments must be strings or integers'));
+  }
+
+  function redisCall(L) {
+    const args = [];
+    for (let index = 1; index <= lua.lua_gettop(L); index++) {
+      args.push(readArgument(L, index));
+    }
+    let reply;
+    try {
+      reply = call(...args);
+    } catch (error) {
+      return lauxlib.luaL_error(L, to_luastring(error.message));
+    }
+    pushReply(L, reply);
+    return 1;
+  }
+
+  function readReply(L, index) {
+    switch (lua.lua_type(L, index)) {
+      case lua.LUA_TNUMBER:
+        return Math.trunc(lua.lua_tonumber(L, index));
+      case lua.LUA_TSTRING:
+        return lua.lua_tojsstring(L, index);
+      case lua.LUA_TBOOLEAN:
+        return lua.lua_toboolean(L, index) ? 1 : null;
+      case lua.LUA_TTABLE: {
+        const table = lua.lua_absindex(L, index);
+        if (lua.lua_getfield(L, table, to_luastring('err')) !== lua.LUA_TNIL) {
+          throw new Error(lua.lua_tojsstring(L, -1));
+        }
+        lua.lua_pop(L, 1);
+        if (lua.lua_getfield(L, table, to_luastring('ok')) !== lua.LUA_TNIL) {
+          return lua.lua_tojsstring(L, -1);
+        }
+        lua.lua_pop(L, 1);
+        const items = [];
+        for (let i = 1; lua.lua_rawgeti(L, table, i) !== lua.LUA_TNIL; i++) {
+          items.push(readReply(L, -1));
+          lua.lua_pop(L, 1);
+        }
+        lua.lua_pop(L, 1);
+        return items;
+      }
+      default:
+        return null;
+    }
+  }
+
+  function setStringArray(L, name, values) {
+    lua.lua_createtable(L, values.length, 0);
+    values.forEach((value, index) => {
+      lua.lua_pushstring(L, to_luastring(String(value)));
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+    lua.lua_setglobal(L, to_luastring(name));
+  }
+
+  function runScript(script, numKeys, rest) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    setStringArray(L, 'KEYS', rest.slice(0, Number(numKeys)));
+    setStringArray(L, 'ARGV', rest.slice(Number(numKeys)));
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushjsfunction(L, redisCall);
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw new Error(`ERR Error running script: ${to_jsstring(lua.lua_tolstring(L, -1))}`);
+    }
+    return readReply(L, -1);
+  }
+
+  const client = {
+    async eval(script, numKeys, ...rest) {
+      scripts.set(createHash('sha1').update(script).digest('hex'), script);
+      return runScript(script, numKeys, rest);
+    },
+
+    async evalsha(sha, numKeys, ...rest) {
+      if (!scripts.has(sha)) {
+        throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+      }
+      return runScript(scripts.get(sha), numKeys, rest);
+    },
+
+    async call(name, ...args) {
+      return call(name, ...args);
+    },
+
+    /** Move the server clock forward */
+    advance(ms) {
+      clock += ms;
+    },
+
+    now: () => clock
+  };
+  for (const name of Object.keys(commands)) {
+    client[name] = async (...args) => call(name, ...args);
+  }
+  return client;
+}
+
+module.exports = { createLuaRedis };